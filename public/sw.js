@@ -7,6 +7,7 @@ const STATIC_CACHE_NAME = `anatomical-static-v${VERSION}`;
 const DYNAMIC_CACHE_NAME = `anatomical-dynamic-v${VERSION}`;
 const API_CACHE_NAME = `anatomical-api-v${VERSION}`;
 const MODELS_CACHE_NAME = `anatomical-models-v${VERSION}`;
+const LESSONS_CACHE_NAME = `anatomical-lessons-v${VERSION}`;
 
 
 /** ---- Added constants for cache aging/limits ---- */
@@ -27,6 +28,11 @@ const CRITICAL_RESOURCES = [
   // Will be populated dynamically with webpack-generated assets
 ];
 
+// Lesson scripts: the index and every lesson it lists are cached on install
+// so lessons can be followed offline
+const LESSONS_PATH = '/assets/lessons/';
+const LESSONS_INDEX = `${LESSONS_PATH}index.json`;
+
 // Runtime cache configurations
 const CACHE_STRATEGIES = {
   static: {
@@ -97,14 +103,34 @@ self.addEventListener('install', event => {
       })
       .then(() => {
         console.log('Static assets cached successfully');
-        return self.skipWaiting();
+        return precacheLessons();
       })
+      .then(() => self.skipWaiting())
       .catch(error => {
         console.error('Failed to cache static assets:', error);
       })
   );
 });
 
+async function precacheLessons() {
+  try {
+    const cache = await caches.open(LESSONS_CACHE_NAME);
+    const response = await fetch(LESSONS_INDEX);
+    if (!response.ok) return;
+    const index = await response.clone().json();
+    await putWithTimestamp(cache, LESSONS_INDEX, response);
+    const files = (index.lessons || []).filter(lesson => lesson.file).map(lesson => LESSONS_PATH + lesson.file);
+    await Promise.all(files.map(async file => {
+      const lessonResponse = await fetch(file);
+      if (lessonResponse.ok) await putWithTimestamp(cache, file, lessonResponse);
+    }));
+    console.log(`Cached ${files.length} lessons for offline use`);
+  } catch (error) {
+    // Lessons are optional: never fail the install over them
+    console.warn('Failed to cache lessons:', error);
+  }
+}
+
 self.addEventListener('activate', event => {
   console.log('Service Worker activating...');
   
@@ -116,6 +142,7 @@ self.addEventListener('activate', event => {
           cacheNames.map(cacheName => {
             if (cacheName !== STATIC_CACHE_NAME && 
                 cacheName !== DYNAMIC_CACHE_NAME &&
+                cacheName !== LESSONS_CACHE_NAME &&
                 cacheName.startsWith('anatomical-')) {
               console.log('Deleting old cache:', cacheName);
               return caches.delete(cacheName);
@@ -162,6 +189,11 @@ async function handleFetch(request) {
       return await cacheFirst(request, STATIC_CACHE_NAME);
     }
     
+    // Lessons: serve the cached copy, refresh it in the background
+    if (url.pathname.startsWith(LESSONS_PATH)) {
+      return await staleWhileRevalidate(request, LESSONS_CACHE_NAME);
+    }
+    
     // Stale-while-revalidate for dynamic content
     if (DYNAMIC_CACHE_PATTERNS.some(pattern => pattern.test(url.pathname))) {
       return await staleWhileRevalidate(request, DYNAMIC_CACHE_NAME);
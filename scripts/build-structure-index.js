@@ -0,0 +1,382 @@
+#!/usr/bin/env node
+
+/**
+ * Builds the structure index consumed by HumanMusclesLoader directly from a GLB.
+ *
+ * For every node with a mesh it records the world-space bounding box (numeric),
+ * vertex counts and its place in the node hierarchy, then merges the
+ * hand-maintained label/layer/region annotations from the overrides file.
+ * The result is validated against scripts/schema/structure-index.schema.json.
+ *
+ * Usage:
+ *   node scripts/build-structure-index.js <model.glb> [--out <index.json>] [--overrides <overrides.json>] [--check]
+ *
+ *   --out        Defaults to assets/models/<model>_index.json
+ *   --overrides  Defaults to assets/models/<model>_overrides.json (optional file)
+ *   --check      Do not write; fail if the index on disk lists different ids than the model
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+
+const ROOT = path.join(__dirname, '..');
+const INDEX_SCHEMA = require('./schema/structure-index.schema.json');
+const OVERRIDES_SCHEMA = require('./schema/structure-overrides.schema.json');
+
+const GLB_MAGIC = 0x46546C67; // 'glTF'
+const CHUNK_JSON = 0x4E4F534A; // 'JSON'
+const CHUNK_BIN = 0x004E4942; // 'BIN\0'
+
+// BodyParts3D concept ids, and the generic group names their exports wrap meshes in
+const FJ_ID = /^FJ\d+M?$/;
+const WRAPPER_NAME = /^grp\d+$/;
+
+/**
+ * @typedef {[number, number, number]} Vec3
+ *
+ * @typedef {Object} IndexEntry
+ * @property {string} id - Node name; scene or file name for wrapped parts (BodyParts3D FJ id for ours)
+ * @property {string|null} scene - Scene that named the entry (merged models), else null
+ * @property {string} root - Name of the top-level node containing it
+ * @property {string|null} parent - Name of the parent node
+ * @property {{min: Vec3, max: Vec3}} bbox - World-space bounding box in model units
+ * @property {number} vertexCount - Unique vertices uploaded to the GPU
+ * @property {number} renderVertexCount - Vertices processed when drawing (index count)
+ * @property {number} primitiveCount
+ * @property {string|null} label
+ * @property {number|null} layer
+ * @property {string|null} region
+ * @property {Object|null} [assets] - Optional per-resolution textures/meshes
+ *
+ * @typedef {Object} HierarchyNode - Scenes at the top level, then nodes
+ * @property {string} name
+ * @property {string|null} mesh - Mesh name when the node has geometry
+ * @property {HierarchyNode[]} children
+ */
+
+class IndexBuildError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'IndexBuildError';
+    this.details = details;
+  }
+}
+
+/**
+ * Split a binary glTF container into its JSON and BIN chunks
+ * @param {Buffer} buffer
+ * @returns {{json: Object, bin: Buffer|null}}
+ */
+function parseGLB(buffer) {
+  if (buffer.length < 20 || buffer.readUInt32LE(0) !== GLB_MAGIC) {
+    throw new IndexBuildError('Not a binary glTF file (bad magic)');
+  }
+  const version = buffer.readUInt32LE(4);
+  if (version !== 2) throw new IndexBuildError(`Unsupported glTF version ${version}`);
+
+  const length = Math.min(buffer.readUInt32LE(8), buffer.length);
+  let json = null;
+  let bin = null;
+  for (let offset = 12; offset + 8 <= length;) {
+    const chunkLength = buffer.readUInt32LE(offset);
+    const chunkType = buffer.readUInt32LE(offset + 4);
+    const data = buffer.subarray(offset + 8, offset + 8 + chunkLength);
+    if (chunkType === CHUNK_JSON) json = JSON.parse(data.toString('utf8'));
+    else if (chunkType === CHUNK_BIN) bin = data;
+    offset += 8 + chunkLength;
+  }
+  if (!json) throw new IndexBuildError('GLB has no JSON chunk');
+  return { json, bin };
+}
+
+// Column-major 4x4 matrices, as stored in glTF
+function composeMatrix(node) {
+  if (Array.isArray(node.matrix)) return node.matrix.slice();
+
+  const [tx, ty, tz] = node.translation || [0, 0, 0];
+  const [x, y, z, w] = node.rotation || [0, 0, 0, 1];
+  const [sx, sy, sz] = node.scale || [1, 1, 1];
+  const x2 = x + x, y2 = y + y, z2 = z + z;
+  const xx = x * x2, xy = x * y2, xz = x * z2;
+  const yy = y * y2, yz = y * z2, zz = z * z2;
+  const wx = w * x2, wy = w * y2, wz = w * z2;
+
+  return [
+    (1 - (yy + zz)) * sx, (xy + wz) * sx, (xz - wy) * sx, 0,
+    (xy - wz) * sy, (1 - (xx + zz)) * sy, (yz + wx) * sy, 0,
+    (xz + wy) * sz, (yz - wx) * sz, (1 - (xx + yy)) * sz, 0,
+    tx, ty, tz, 1
+  ];
+}
+
+function multiplyMatrices(a, b) {
+  const out = new Array(16);
+  for (let col = 0; col < 4; col++) {
+    for (let row = 0; row < 4; row++) {
+      let sum = 0;
+      for (let k = 0; k < 4; k++) sum += a[k * 4 + row] * b[col * 4 + k];
+      out[col * 4 + row] = sum;
+    }
+  }
+  return out;
+}
+
+function transformPoint(m, [x, y, z]) {
+  return [
+    m[0] * x + m[4] * y + m[8] * z + m[12],
+    m[1] * x + m[5] * y + m[9] * z + m[13],
+    m[2] * x + m[6] * y + m[10] * z + m[14]
+  ];
+}
+
+/**
+ * Bounding box and vertex counts of a mesh in world space. Relies on the
+ * POSITION accessor min/max, which the glTF spec makes mandatory.
+ */
+function measureMesh(json, meshIndex, worldMatrix, nodeName) {
+  const mesh = json.meshes?.[meshIndex];
+  if (!mesh) throw new IndexBuildError(`Node "${nodeName}" references missing mesh ${meshIndex}`);
+
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  let vertexCount = 0;
+  let renderVertexCount = 0;
+
+  for (const primitive of mesh.primitives || []) {
+    const position = json.accessors?.[primitive.attributes?.POSITION];
+    if (!position) continue;
+    if (!Array.isArray(position.min) || !Array.isArray(position.max)) {
+      throw new IndexBuildError(`POSITION accessor of "${nodeName}" has no min/max`);
+    }
+
+    vertexCount += position.count;
+    const indices = primitive.indices != null ? json.accessors?.[primitive.indices] : null;
+    renderVertexCount += indices ? indices.count : position.count;
+
+    const [x0, y0, z0] = position.min;
+    const [x1, y1, z1] = position.max;
+    for (const corner of [[x0, y0, z0], [x1, y0, z0], [x0, y1, z0], [x1, y1, z0], [x0, y0, z1], [x1, y0, z1], [x0, y1, z1], [x1, y1, z1]]) {
+      const p = transformPoint(worldMatrix, corner);
+      for (let i = 0; i < 3; i++) {
+        min[i] = Math.min(min[i], p[i]);
+        max[i] = Math.max(max[i], p[i]);
+      }
+    }
+  }
+
+  const round = (v) => isFinite(v) ? Math.round(v * 1e5) / 1e5 : 0;
+  return {
+    bbox: { min: min.map(round), max: max.map(round) },
+    vertexCount,
+    renderVertexCount,
+    primitiveCount: (mesh.primitives || []).length
+  };
+}
+
+/**
+ * Walk every scene and collect one entry per mesh node. `gltf-transform merge`
+ * keeps each input file as a scene named after it (e.g. "FJ1252") whose only
+ * node is a generic "grp1", so in multi-scene files a scene holding a single
+ * mesh node lends its name to that entry. Single-part files
+ * (assets/models/_glb_tmp/FJ1252.glb) have no scene name; their lone
+ * wrapper node takes the FJ id of its mesh, scene or file instead.
+ * @param {Object} json - glTF JSON
+ * @param {Object} options - { fileId: file name without extension }
+ * @returns {{entries: IndexEntry[], hierarchy: HierarchyNode[]}}
+ */
+function collectEntries(json, { fileId = null } = {}) {
+  const scenes = json.scenes || [];
+  if (!scenes.length) throw new IndexBuildError('GLB has no scene');
+
+  const entries = [];
+  const problems = [];
+  const seen = new Set();
+  const identity = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+  const getNode = (index) => {
+    const node = json.nodes?.[index];
+    if (!node) throw new IndexBuildError(`Missing node ${index}`);
+    return node;
+  };
+
+  const countMeshNodes = (index, stack = new Set()) => {
+    if (stack.has(index)) throw new IndexBuildError(`Cycle in node hierarchy at node ${index}`);
+    const node = getNode(index);
+    stack.add(index);
+    const count = (node.mesh != null ? 1 : 0) + (node.children || []).reduce((sum, child) => sum + countMeshNodes(child, stack), 0);
+    stack.delete(index);
+    return count;
+  };
+
+  const visit = (nodeIndex, parentMatrix, parentName, rootName, sceneId, wrapperIds = []) => {
+    const node = getNode(nodeIndex);
+    const mesh = node.mesh != null ? json.meshes?.[node.mesh] : null;
+    const name = node.name || mesh?.name || `node_${nodeIndex}`;
+    const world = multiplyMatrices(parentMatrix, composeMatrix(node));
+    const root = rootName ?? name;
+
+    if (node.mesh != null) {
+      const wrapperId = WRAPPER_NAME.test(name) ? [mesh?.name, ...wrapperIds].find(n => FJ_ID.test(n || '')) : null;
+      const id = sceneId || wrapperId || node.name || mesh?.name;
+      if (!id) problems.push(`node ${nodeIndex} has a mesh but no name`);
+      else if (seen.has(id)) problems.push(`duplicate id "${id}"`);
+      seen.add(id);
+
+      entries.push({
+        id: id || name,
+        scene: sceneId,
+        root,
+        parent: parentName,
+        ...measureMesh(json, node.mesh, world, id || name),
+        label: null,
+        layer: null,
+        region: null
+      });
+    }
+
+    const children = (node.children || []).map(child => visit(child, world, name, root, sceneId, wrapperIds));
+    return { name, mesh: mesh ? (mesh.name || null) : null, children };
+  };
+
+  const hierarchy = scenes.map((scene, index) => {
+    const roots = scene.nodes || [];
+    const meshNodes = roots.reduce((sum, root) => sum + countMeshNodes(root), 0);
+    const sceneId = scenes.length > 1 && scene.name && meshNodes === 1 ? scene.name : null;
+    const wrapperIds = scenes.length === 1 && meshNodes === 1 ? [scene.name, fileId] : [];
+    return {
+      name: scene.name || `scene_${index}`,
+      mesh: null,
+      children: roots.map(root => visit(root, identity, null, null, sceneId, wrapperIds))
+    };
+  });
+
+  if (problems.length) throw new IndexBuildError('Model ids are not usable as structure ids', problems);
+  return { entries, hierarchy };
+}
+
+function validate(schema, data, what) {
+  const ajv = new Ajv({ allErrors: true });
+  if (!ajv.validate(schema, data)) {
+    throw new IndexBuildError(`${what} does not match ${schema.$id}`,
+      ajv.errors.map(e => `${e.instancePath || '/'} ${e.message}`));
+  }
+}
+
+/**
+ * Apply overrides; every overridden id must exist in the model
+ */
+function mergeOverrides(entries, overrides) {
+  const byId = new Map(entries.map(e => [e.id, e]));
+  const unknown = Object.keys(overrides.entries).filter(id => !byId.has(id));
+  if (unknown.length) {
+    throw new IndexBuildError('Overrides reference ids that are not in the model', unknown);
+  }
+
+  for (const [id, values] of Object.entries(overrides.entries)) {
+    Object.assign(byId.get(id), values);
+  }
+  return entries;
+}
+
+/**
+ * Build a validated index from GLB bytes
+ * @param {Buffer} buffer - GLB contents
+ * @param {Object} options - { modelName, overrides, overridesName }
+ */
+function buildIndex(buffer, { modelName, overrides = null, overridesName = null } = {}) {
+  const { json } = parseGLB(buffer);
+  const fileId = modelName ? modelName.replace(/\.[^.]+$/, '') : null;
+  const { entries, hierarchy } = collectEntries(json, { fileId });
+
+  if (overrides) {
+    validate(OVERRIDES_SCHEMA, overrides, 'Overrides file');
+    mergeOverrides(entries, overrides);
+  }
+
+  const index = {
+    version: 2,
+    generatedAt: new Date().toISOString(),
+    source: {
+      model: modelName,
+      overrides: overridesName,
+      generator: 'scripts/build-structure-index.js'
+    },
+    entries,
+    hierarchy
+  };
+  validate(INDEX_SCHEMA, index, 'Generated index');
+  return index;
+}
+
+/**
+ * Ids present in only one of the two lists
+ */
+function diffIds(expected, actual) {
+  const a = new Set(expected), b = new Set(actual);
+  return {
+    missing: [...a].filter(id => !b.has(id)),
+    extra: [...b].filter(id => !a.has(id))
+  };
+}
+
+function parseArgs(argv) {
+  const args = { model: null, out: null, overrides: null, check: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--out') args.out = argv[++i];
+    else if (arg === '--overrides') args.overrides = argv[++i];
+    else if (arg === '--check') args.check = true;
+    else if (!arg.startsWith('--') && !args.model) args.model = arg;
+    else throw new IndexBuildError(`Unknown argument: ${arg}`);
+  }
+  if (!args.model) throw new IndexBuildError('Usage: build-structure-index.js <model.glb> [--out file] [--overrides file] [--check]');
+  return args;
+}
+
+function main() {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+    const modelPath = path.resolve(args.model);
+    const base = path.basename(modelPath, path.extname(modelPath));
+    const outPath = path.resolve(args.out || path.join(ROOT, 'assets/models', `${base}_index.json`));
+    const overridesPath = path.resolve(args.overrides || path.join(ROOT, 'assets/models', `${base}_overrides.json`));
+
+    if (!fs.existsSync(modelPath)) throw new IndexBuildError(`Model not found: ${modelPath}`);
+    if (args.overrides && !fs.existsSync(overridesPath)) throw new IndexBuildError(`Overrides not found: ${overridesPath}`);
+    const overrides = fs.existsSync(overridesPath) ? JSON.parse(fs.readFileSync(overridesPath, 'utf8')) : null;
+
+    const index = buildIndex(fs.readFileSync(modelPath), {
+      modelName: path.basename(modelPath),
+      overrides,
+      overridesName: overrides ? path.relative(ROOT, overridesPath) : null
+    });
+    const ids = index.entries.map(e => e.id);
+
+    if (args.check) {
+      const current = JSON.parse(fs.readFileSync(outPath, 'utf8'));
+      const { missing, extra } = diffIds(ids, (current.entries || []).map(e => e.id));
+      if (missing.length || extra.length) {
+        throw new IndexBuildError(`${path.relative(ROOT, outPath)} is out of date with the model`, [
+          ...missing.map(id => `missing from index: ${id}`),
+          ...extra.map(id => `not in model: ${id}`)
+        ]);
+      }
+      console.log(`✅ ${path.relative(ROOT, outPath)} matches the model (${ids.length} entries)`);
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(outPath), { recursive: true });
+    fs.writeFileSync(outPath, JSON.stringify(index, null, 2) + '\n', 'utf8');
+    const annotated = overrides ? Object.keys(overrides.entries).length : 0;
+    console.log(`✅ Wrote ${path.relative(ROOT, outPath)}: ${ids.length} entries, ${annotated} with overrides`);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    (error.details || []).forEach(detail => console.error(`  - ${detail}`));
+    process.exit(1);
+  }
+}
+
+if (require.main === module) main();
+
+module.exports = { parseGLB, buildIndex, collectEntries, mergeOverrides, validate, diffIds, IndexBuildError };
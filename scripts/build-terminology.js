@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+/**
+ * Builds the offline BodyParts3D terminology table used by HumanMusclesLoader.
+ *
+ * FJ file id -> FMA concept id and English name come from the headers of the
+ * BodyParts3D OBJ files; Latin/Spanish names, region, layer, system and parent
+ * part come from scripts/data/terminology-curated.json.
+ *
+ * Curation covers every concept of the default model (human_muscles.glb).
+ * Concepts of the other systems only carry their English name; their meshes
+ * get region and layer from the HumanMusclesLoader name heuristics. A few
+ * default parts have no OBJ header, hence no concept, and need
+ * human_muscles_overrides.json instead.
+ *
+ * Usage: node scripts/build-terminology.js [objDir] [outFile]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const OBJ_DIR = path.resolve(process.argv[2] || path.join(ROOT, 'assets/models/_tmp/partof_BP3D_4.0_obj_99'));
+const OUT_FILE = path.resolve(process.argv[3] || path.join(ROOT, 'assets/data/bp3d-terminology.json'));
+const CURATED_FILE = path.join(__dirname, 'data/terminology-curated.json');
+
+const SIDED = /\b(left|right)\b/i;
+
+function readHeader(file) {
+  const header = {};
+  // Headers are a few hundred bytes; avoid reading multi-MB meshes
+  const fd = fs.openSync(file, 'r');
+  const buffer = Buffer.alloc(2048);
+  const bytes = fs.readSync(fd, buffer, 0, buffer.length, 0);
+  fs.closeSync(fd);
+
+  for (const line of buffer.toString('utf8', 0, bytes).split(/\r?\n/)) {
+    if (!line.startsWith('#')) break;
+    const match = line.match(/^#\s*([^:]+?)\s*:\s*(.*)$/);
+    if (match) header[match[1]] = match[2].trim();
+  }
+  return {
+    fmaId: header['Concept ID'] || null,
+    en: header['English name'] || null
+  };
+}
+
+function main() {
+  if (!fs.existsSync(OBJ_DIR)) {
+    console.error(`❌ OBJ directory not found: ${OBJ_DIR}`);
+    process.exit(1);
+  }
+
+  const curated = JSON.parse(fs.readFileSync(CURATED_FILE, 'utf8'));
+  const headers = new Map();
+  for (const name of fs.readdirSync(OBJ_DIR).sort()) {
+    const match = name.match(/^(FJ\d+M?)\.obj$/i);
+    if (match) headers.set(match[1].toUpperCase(), readHeader(path.join(OBJ_DIR, name)));
+  }
+
+  // Some halves ship with an empty header; reuse the mirrored half when the
+  // concept is not sided (a sided name would give the wrong FMA id)
+  let mirrored = 0;
+  for (const [fj, entry] of headers) {
+    if (entry.fmaId) continue;
+    const twin = headers.get(fj.endsWith('M') ? fj.slice(0, -1) : `${fj}M`);
+    if (twin?.fmaId && !SIDED.test(twin.en || '')) {
+      headers.set(fj, { ...twin });
+      mirrored++;
+    }
+  }
+
+  const parts = {};
+  const concepts = {};
+  const missing = [];
+  for (const [fj, { fmaId, en }] of headers) {
+    if (!fmaId) {
+      missing.push(fj);
+      continue;
+    }
+    parts[fj] = fmaId;
+    if (!concepts[fmaId]) concepts[fmaId] = { en };
+  }
+
+  const mismatched = [];
+  for (const [fmaId, entry] of Object.entries(curated.concepts)) {
+    const existing = concepts[fmaId];
+    if (existing && existing.en !== entry.en) mismatched.push(`${fmaId}: "${existing.en}" ≠ "${entry.en}"`);
+    concepts[fmaId] = { ...existing, ...entry };
+  }
+
+  if (mismatched.length) {
+    console.error('❌ Curated English names do not match the OBJ headers:');
+    mismatched.forEach(m => console.error(`  - ${m}`));
+    process.exit(1);
+  }
+
+  const table = {
+    generatedAt: new Date().toISOString(),
+    source: 'BodyParts3D 4.0 OBJ headers (FMA 3.0 part_of) + scripts/data/terminology-curated.json',
+    license: 'BodyParts3D, (c) The Database Center for Life Science licensed under CC Attribution-Share Alike 2.1 Japan',
+    groups: curated.groups,
+    concepts,
+    parts
+  };
+
+  fs.mkdirSync(path.dirname(OUT_FILE), { recursive: true });
+  fs.writeFileSync(OUT_FILE, JSON.stringify(table, null, 1) + '\n');
+
+  const translated = Object.values(concepts).filter(c => c.es).length;
+  console.log(`✅ ${Object.keys(parts).length} parts → ${Object.keys(concepts).length} concepts (${translated} translated, ${mirrored} from mirrored halves)`);
+  if (missing.length) console.log(`⚠️ No concept id for: ${missing.join(', ')}`);
+  console.log(`📄 Written to ${path.relative(ROOT, OUT_FILE)}`);
+}
+
+main();
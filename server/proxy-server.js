@@ -4,6 +4,7 @@
  */
 const express = require('express');
 const cors = require('cors');
+const fs = require('fs');
 const path = require('path');
 const fetch = require('node-fetch');
 
@@ -33,12 +34,23 @@ const API_CONFIGS = {
     }
 };
 
+// Servidor de modelos propio (p. ej. MODEL_API_URL=https://models.example.edu/api)
+if (process.env.MODEL_API_URL) {
+    API_CONFIGS[process.env.MODEL_API_URL] = {
+        headers: {
+            'User-Agent': 'AnatomicalViewer/1.0',
+            'Accept': 'application/json'
+        },
+        timeout: parseInt(process.env.MODEL_API_TIMEOUT, 10) || 10000
+    };
+}
+
 /**
  * Endpoint de proxy para APIs externas
  */
 app.get('/api/proxy', async (req, res) => {
     try {
-        const { endpoint, model, quality, health } = req.query;
+        const { endpoint, model, quality, health, texture, resolution } = req.query;
         
         if (!endpoint) {
             return res.status(400).json({ error: 'Endpoint parameter required' });
@@ -56,6 +68,10 @@ app.get('/api/proxy', async (req, res) => {
         // Health check
         if (health === 'true') {
             targetUrl = `${decodedEndpoint}/health`;
+        } else if (texture) {
+            // Texturas: se reenvía el binario tal cual
+            const resolutionParam = resolution || 'standard';
+            targetUrl = `${decodedEndpoint}/textures/${encodeURIComponent(texture)}?resolution=${resolutionParam}`;
         } else {
             // Construir URL para obtener modelo
             if (!model) {
@@ -82,6 +98,12 @@ app.get('/api/proxy', async (req, res) => {
             throw new Error(`API responded with status: ${response.status}`);
         }
 
+        if (texture && health !== 'true') {
+            const buffer = await response.buffer();
+            res.set('Content-Type', response.headers.get('content-type') || 'application/octet-stream');
+            return res.send(buffer);
+        }
+
         const data = await response.json();
         
         // Transformar respuesta según el formato esperado
@@ -148,6 +170,117 @@ app.get('/api/status', async (req, res) => {
     }
 });
 
+/**
+ * Anotaciones compartidas por la clase: notas fijadas a la superficie de una
+ * estructura (posición en el espacio local de su malla). Se guardan en
+ * memoria y, si se define ANNOTATIONS_FILE, también en disco.
+ */
+const ANNOTATIONS_FILE = process.env.ANNOTATIONS_FILE || null;
+const MAX_ANNOTATIONS = 5000;
+const MAX_ANNOTATION_TEXT = 2000;
+const annotations = new Map(); // id -> anotación
+
+if (ANNOTATIONS_FILE && fs.existsSync(ANNOTATIONS_FILE)) {
+    try {
+        const saved = JSON.parse(fs.readFileSync(ANNOTATIONS_FILE, 'utf8'));
+        (saved.annotations || []).forEach(annotation => annotations.set(annotation.id, annotation));
+    } catch (error) {
+        console.warn('Could not read annotations file:', error.message);
+    }
+}
+
+function saveAnnotations() {
+    if (!ANNOTATIONS_FILE) return;
+    const data = JSON.stringify({ annotations: [...annotations.values()] });
+    fs.writeFile(ANNOTATIONS_FILE, data, error => {
+        if (error) console.error('Could not save annotations:', error.message);
+    });
+}
+
+/**
+ * Valida y normaliza una anotación recibida
+ * @param {Object} body - Cuerpo de la petición
+ * @returns {{annotation: Object}|{error: string}}
+ */
+function validateAnnotation(body) {
+    const vector = v => Array.isArray(v) && v.length === 3 && v.every(Number.isFinite);
+    const { id, structureId, position, normal = null, text, author = null, createdAt } = body || {};
+
+    if (typeof id !== 'string' || !/^[\w-]{1,64}$/.test(id)) return { error: 'Invalid id' };
+    if (typeof structureId !== 'string' || !structureId || structureId.length > 200) return { error: 'Invalid structureId' };
+    if (!vector(position)) return { error: 'position must be three numbers' };
+    if (normal !== null && !vector(normal)) return { error: 'normal must be three numbers' };
+    if (typeof text !== 'string' || !text.trim()) return { error: 'text required' };
+
+    return {
+        annotation: {
+            id,
+            structureId,
+            position,
+            normal,
+            text: text.trim().slice(0, MAX_ANNOTATION_TEXT),
+            author: typeof author === 'string' ? author.slice(0, 100) : null,
+            createdAt: Number.isFinite(createdAt) ? createdAt : Date.now()
+        }
+    };
+}
+
+/**
+ * Endpoint para listar anotaciones (opcionalmente de una estructura)
+ */
+app.get('/api/annotations', (req, res) => {
+    const { structureId } = req.query;
+    const list = [...annotations.values()]
+        .filter(annotation => !structureId || annotation.structureId === structureId)
+        .sort((a, b) => a.createdAt - b.createdAt);
+    res.json({ annotations: list });
+});
+
+/**
+ * Endpoint para crear (o reemplazar, por id) una anotación
+ */
+app.post('/api/annotations', (req, res) => {
+    const { annotation, error } = validateAnnotation(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    const exists = annotations.has(annotation.id);
+    if (!exists && annotations.size >= MAX_ANNOTATIONS) {
+        return res.status(507).json({ error: 'Annotation storage full' });
+    }
+    annotations.set(annotation.id, annotation);
+    saveAnnotations();
+    res.status(exists ? 200 : 201).json(annotation);
+});
+
+/**
+ * Endpoint para editar el texto de una anotación
+ */
+app.put('/api/annotations/:id', (req, res) => {
+    const annotation = annotations.get(req.params.id);
+    if (!annotation) {
+        return res.status(404).json({ error: 'Annotation not found' });
+    }
+    const text = req.body?.text;
+    if (typeof text !== 'string' || !text.trim()) {
+        return res.status(400).json({ error: 'text required' });
+    }
+    annotation.text = text.trim().slice(0, MAX_ANNOTATION_TEXT);
+    saveAnnotations();
+    res.json(annotation);
+});
+
+/**
+ * Endpoint para borrar una anotación
+ */
+app.delete('/api/annotations/:id', (req, res) => {
+    if (!annotations.delete(req.params.id)) {
+        return res.status(404).json({ error: 'Annotation not found' });
+    }
+    saveAnnotations();
+    res.status(204).end();
+});
+
 /**
  * Transforma respuesta de API al formato esperado
  * @param {Object} data - Datos de la API
@@ -243,13 +376,16 @@ app.use((error, req, res, next) => {
     res.status(500).json({ error: 'Internal server error' });
 });
 
-// Iniciar servidor
-app.listen(PORT, () => {
-    console.log(`Proxy server running on port ${PORT}`);
-    console.log(`Available endpoints:`);
-    console.log(`  - GET /api/proxy - Proxy to external APIs`);
-    console.log(`  - GET /api/models - Get available models`);
-    console.log(`  - GET /api/status - Check API status`);
-});
+// Iniciar servidor (no al importarlo, p. ej. desde los tests)
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`Proxy server running on port ${PORT}`);
+        console.log(`Available endpoints:`);
+        console.log(`  - GET /api/proxy - Proxy to external APIs`);
+        console.log(`  - GET /api/models - Get available models`);
+        console.log(`  - GET /api/status - Check API status`);
+        console.log(`  - GET|POST /api/annotations, PUT|DELETE /api/annotations/:id - Shared annotations`);
+    });
+}
 
 module.exports = app;
\ No newline at end of file
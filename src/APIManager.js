@@ -1,8 +1,375 @@
-// Minimal API manager with local fallback
-export default class APIManager{
-  constructor({ cacheManager, errorHandler } = {}){
-    this.cacheManager = cacheManager; this.errorHandler = errorHandler;
+import API_CONFIG from './config/api-config.js';
+import CacheManager from './CacheManager.js';
+
+// Keywords used to guess the anatomical system from a model id
+const SYSTEM_KEYWORDS = {
+  musculoskeletal: ['muscle', 'bone', 'skeleton', 'joint', 'ligament', 'tendon'],
+  cardiovascular: ['heart', 'artery', 'vein', 'vessel', 'aorta', 'capillar'],
+  nervous: ['brain', 'nerve', 'spinal', 'cortex', 'ganglia'],
+  respiratory: ['lung', 'trachea', 'bronch', 'alveol'],
+  digestive: ['stomach', 'intestine', 'liver', 'pancreas'],
+  urogenital: ['kidney', 'bladder', 'ureter', 'reproductive'],
+  lymphatic: ['lymph', 'spleen', 'thymus']
+};
+
+/**
+ * APIManager - Resolves anatomical models from the configured catalog APIs
+ * (through the /api/proxy route) with failover primary → secondary → local
+ * fallback, exponential backoff, and persistence through CacheManager.
+ */
+export default class APIManager {
+  constructor({ cacheManager, errorHandler, endpoints, proxyUrl, modelsUrl, retry } = {}) {
+    this.cacheManager = cacheManager || new CacheManager();
+    this.errorHandler = errorHandler;
+
+    // Custom endpoints are merged over the defaults; override `primary` to put
+    // your own model server first. It must also be allowed by the proxy.
+    this.apiEndpoints = { ...API_CONFIG.endpoints, ...(endpoints || {}) };
+    this.proxyUrl = proxyUrl || '/api/proxy';
+    this.modelsUrl = modelsUrl || '/api/models';
+    this.retry = { ...API_CONFIG.retry, ...(retry || {}) };
+    this.qualityLevels = API_CONFIG.qualityLevels;
+
+    this.fallbackPath = API_CONFIG.fallback.localPath;
+    this.fallbackModels = new Map(Object.entries(API_CONFIG.fallback.models));
+    this.apiStatus = {};
+  }
+
+  async initialize() {
+    await this.initializeCache();
+  }
+
+  /**
+   * Open the cache; failures only disable persistence
+   */
+  async initializeCache() {
+    if (this.cacheManager.isInitialized) return;
+    try {
+      await this.cacheManager.initialize();
+    } catch (error) {
+      console.warn('APIManager: cache unavailable, continuing without it:', error.message);
+    }
+  }
+
+  /**
+   * Resolve a model descriptor ({ modelUrl, textureUrl, metadata, source })
+   * @param {string} modelId - Catalog id, e.g. 'muscle_biceps'
+   * @param {string} quality - low|medium|high|ultra
+   * @returns {Promise<Object>}
+   */
+  async fetchModel(modelId, quality = 'medium') {
+    const cached = await this.getCachedModel(modelId, quality);
+    if (cached) return cached;
+
+    const system = this.extractSystemFromId(modelId);
+
+    for (const [name, endpoint] of this._endpointsWith('models')) {
+      const result = await this._fetchWithRetry(endpoint, modelId, quality);
+      if (result) {
+        result.endpoint = name;
+        await this.cacheModel(modelId, quality, result, system);
+        return result;
+      }
+    }
+
+    // Fallback descriptors are not cached so the APIs are retried next time
+    console.warn(`APIManager: all APIs failed for ${modelId}, using local fallback`);
+    return this.getFallbackModel(modelId);
+  }
+
+  /**
+   * Single request to one catalog API through the proxy
+   * @param {string} endpointUrl - Catalog base URL (must be known to the proxy)
+   * @param {string} modelId
+   * @param {string} quality
+   * @returns {Promise<Object|null>} Descriptor, or null on any failure
+   */
+  async fetchFromAPI(endpointUrl, modelId, quality = 'medium') {
+    try {
+      return await this._requestModel(endpointUrl, modelId, quality);
+    } catch (error) {
+      console.warn(`APIManager: ${endpointUrl} failed for ${modelId}:`, error.message);
+      return null;
+    }
+  }
+
+  async _requestModel(endpointUrl, modelId, quality) {
+    const params = new URLSearchParams({ endpoint: endpointUrl, model: modelId, quality });
+    const response = await this._fetchWithTimeout(`${this.proxyUrl}?${params}`, {
+      method: 'GET',
+      headers: { 'Content-Type': 'application/json' }
+    }, this._timeoutFor(endpointUrl));
+
+    if (!response.ok) {
+      const error = new Error(`API responded with status: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const data = await response.json();
+    return { ...data, id: modelId, quality, source: 'api', timestamp: Date.now() };
+  }
+
+  /**
+   * Retry one endpoint with exponential backoff. Client errors (4xx) are
+   * final: the model does not exist there, so move to the next endpoint.
+   */
+  async _fetchWithRetry(endpoint, modelId, quality) {
+    const { maxAttempts, initialDelay, backoffMultiplier } = this.retry;
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      if (attempt > 0) {
+        await this.delay(initialDelay * Math.pow(backoffMultiplier, attempt - 1));
+      }
+      try {
+        return await this._requestModel(endpoint.url, modelId, quality);
+      } catch (error) {
+        console.warn(`APIManager: ${endpoint.name} attempt ${attempt + 1} failed:`, error.message);
+        if (error.status >= 400 && error.status < 500) return null;
+      }
+    }
+    return null;
+  }
+
+  _fetchWithTimeout(url, options, timeout) {
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    let timer;
+    const timeoutPromise = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        controller?.abort();
+        reject(new Error(`Request timeout after ${timeout}ms`));
+      }, timeout);
+    });
+    return Promise.race([
+      fetch(url, { ...options, signal: controller?.signal }),
+      timeoutPromise
+    ]).finally(() => clearTimeout(timer));
+  }
+
+  _timeoutFor(endpointUrl) {
+    const endpoint = Object.values(this.apiEndpoints).find(e => e.url === endpointUrl);
+    return endpoint?.timeout || 10000;
+  }
+
+  _endpointsWith(feature) {
+    return Object.entries(this.apiEndpoints).filter(([, e]) => !e.features || e.features.includes(feature));
+  }
+
+  /**
+   * Fetch a texture for a zoom level, preferring the cache
+   * @param {string} textureId
+   * @param {number} zoomLevel
+   * @param {string} modelId - Owning model
+   * @returns {Promise<Object|null>} { data, resolution, source }
+   */
+  async fetchTexture(textureId, zoomLevel, modelId) {
+    try {
+      const cached = await this.cacheManager.getCachedTexture(textureId, zoomLevel);
+      if (cached) return cached;
+    } catch (error) {
+      console.warn('APIManager: texture cache read failed:', error.message);
+    }
+
+    const resolution = this.cacheManager.getOptimalResolution(zoomLevel);
+    return this._downloadTexture(textureId, modelId, resolution);
+  }
+
+  /**
+   * Download and cache a texture in several resolutions ahead of time
+   * @param {string} textureId
+   * @param {string} modelId
+   * @param {string[]} resolutions
+   */
+  async preloadTextures(textureId, modelId, resolutions = ['standard']) {
+    const results = [];
+    for (const resolution of resolutions) {
+      results.push(await this._downloadTexture(textureId, modelId, resolution));
+    }
+    return results;
+  }
+
+  async _downloadTexture(textureId, modelId, resolution) {
+    for (const [name, endpoint] of this._endpointsWith('textures')) {
+      try {
+        const params = new URLSearchParams({ endpoint: endpoint.url, texture: textureId, resolution });
+        const response = await this._fetchWithTimeout(`${this.proxyUrl}?${params}`, { method: 'GET' }, endpoint.timeout);
+        if (!response.ok) continue;
+
+        const data = await response.arrayBuffer();
+        try {
+          await this.cacheManager.cacheTexture(textureId, data, modelId, resolution, { source: 'api', endpoint: name });
+        } catch (error) {
+          console.warn('APIManager: could not cache texture:', error.message);
+        }
+        return { data, resolution, source: 'api' };
+      } catch (error) {
+        console.warn(`APIManager: texture ${textureId} failed on ${name}:`, error.message);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * List catalog models through the proxy's /api/models route
+   * @param {string} system - Optional system filter
+   * @returns {Promise<Array>}
+   */
+  async listModels(system = null) {
+    try {
+      const url = system ? `${this.modelsUrl}?system=${encodeURIComponent(system)}` : this.modelsUrl;
+      const response = await fetch(url, { method: 'GET' });
+      return response.ok ? await response.json() : [];
+    } catch (error) {
+      console.warn('APIManager: could not list models:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Health-check every endpoint through the proxy
+   * @returns {Promise<Object>} Endpoint name → boolean
+   */
+  async checkAPIAvailability() {
+    const status = {};
+    for (const [name, endpoint] of Object.entries(this.apiEndpoints)) {
+      try {
+        const params = new URLSearchParams({ endpoint: endpoint.url, health: 'true' });
+        const response = await this._fetchWithTimeout(`${this.proxyUrl}?${params}`, { method: 'GET' }, endpoint.timeout);
+        status[name] = !!response.ok;
+      } catch (error) {
+        status[name] = false;
+      }
+    }
+    this.apiStatus = status;
+    return status;
+  }
+
+  /**
+   * Local model from API_CONFIG.fallback for the id's system
+   * @param {string} modelId
+   * @returns {Promise<Object>}
+   */
+  async getFallbackModel(modelId) {
+    const system = this.extractSystemFromId(modelId);
+    const models = this.fallbackModels.get(system);
+    let file = this.fallbackModels.get('generic');
+
+    if (models && typeof models === 'object') {
+      const id = modelId.toLowerCase();
+      // 'muscles' matches 'muscle_biceps', 'nerves' matches 'nerve_ulnar'…
+      const match = Object.entries(models).find(([key]) => id.includes(key) || id.includes(key.replace(/s$/, '')));
+      file = match ? match[1] : Object.values(models)[0];
+    }
+
+    return {
+      id: modelId,
+      modelUrl: `${this.fallbackPath}${file}`,
+      textureUrl: null,
+      metadata: {
+        name: modelId,
+        system: models ? system : 'general',
+        description: 'Modelo local de respaldo'
+      },
+      source: 'fallback',
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Pick the best quality level the device can handle
+   * @param {Object} capabilities - e.g. PerformanceManager.deviceCapabilities
+   * @returns {string}
+   */
+  selectQuality(capabilities = {}) {
+    const maxTexture = capabilities.maxTextureSize || 1024;
+    const memoryGb = typeof navigator !== 'undefined' ? navigator.deviceMemory : undefined;
+    let best = 'low';
+    for (const [level, spec] of Object.entries(this.qualityLevels)) {
+      if (spec.textureSize <= maxTexture) best = level;
+    }
+    // Keep ultra for workstations; low-memory devices stay at medium or below
+    if (best === 'ultra' && !(memoryGb >= 8)) best = 'high';
+    if (memoryGb && memoryGb <= 2 && (best === 'high' || best === 'ultra')) best = 'medium';
+    return best;
+  }
+
+  /**
+   * @param {string} modelId
+   * @param {string} quality
+   * @returns {Promise<Object|null>}
+   */
+  async getCachedModel(modelId, quality) {
+    try {
+      return (await this.cacheManager.getCachedModel(this._cacheKey(modelId, quality))) || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Persist a resolved descriptor, tagged with the source it came from
+   * @param {string} modelId
+   * @param {string} quality
+   * @param {Object} modelData - Descriptor
+   * @param {string} system
+   */
+  async cacheModel(modelId, quality, modelData, system = this.extractSystemFromId(modelId)) {
+    try {
+      await this.cacheManager.cacheModel(this._cacheKey(modelId, quality), modelData, system, {
+        modelId,
+        quality,
+        source: modelData.source,
+        endpoint: modelData.endpoint
+      });
+    } catch (error) {
+      console.warn('APIManager: could not cache model:', error.message);
+    }
+  }
+
+  _cacheKey(modelId, quality) {
+    return `${modelId}_${quality}`;
+  }
+
+  /**
+   * Drop entries older than the configured LRU max age
+   */
+  async cleanupCache() {
+    return this.cacheManager.clearOldEntries?.();
+  }
+
+  async getCacheStats() {
+    return this.cacheManager.getCacheStats();
+  }
+
+  async clearCache() {
+    return this.cacheManager.clearCache();
+  }
+
+  extractSystemFromId(modelId = '') {
+    const id = modelId.toLowerCase();
+    for (const [system, keywords] of Object.entries(SYSTEM_KEYWORDS)) {
+      if (keywords.some(k => id.includes(k))) return system;
+    }
+    return 'general';
+  }
+
+  extractStructureFromId(modelId = '') {
+    const parts = modelId.split('_');
+    return parts[parts.length - 1];
+  }
+
+  estimateSize(data) {
+    try {
+      return JSON.stringify(data).length * 2; // UTF-16
+    } catch (e) {
+      return 0;
+    }
+  }
+
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  close() {
+    this.cacheManager?.close();
   }
-  async initialize(){}
-  async close(){}
 }
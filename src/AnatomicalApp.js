@@ -4,14 +4,22 @@
  */
 import AnatomicalRenderer from './AnatomicalRenderer.js';
 import AnatomyManager from './AnatomyManager.js';
-import InteractionController from './InteractionController.js';
+import AnnotationManager from './AnnotationManager.js';
+import AttachmentManager from './AttachmentManager.js';
+import BookmarkManager from './BookmarkManager.js';
+import ClippingManager from './ClippingManager.js';
+import ColorSchemeManager from './ColorSchemeManager.js';
+import LessonPlayer from './LessonPlayer.js';
+import MeasurementManager from './MeasurementManager.js';
 import PerformanceManager from './PerformanceManager.js';
-import ZoomManager from './ZoomManager.js';
+import QuizManager from './QuizManager.js';
 import UIManager from './UIManager.js';
 import APIManager from './APIManager.js';
 import CacheManager from './CacheManager.js';
 import ErrorHandler from './ErrorHandler.js';
 import LoadingManager from './LoadingManager.js';
+import { buildStructureTree } from './utils/structure-tree.js';
+import { encodeViewState, decodeViewState } from './utils/view-state.js';
 
 export default class AnatomicalApp {
   constructor(options = {}) {
@@ -19,16 +27,47 @@ export default class AnatomicalApp {
     this.canvas = options.canvas || document.getElementById('viewer');
     this.errorHandler = new ErrorHandler();
     this.cacheManager = new CacheManager({ maxStorageSize: options.maxCacheSize || 500*1024*1024 });
-    this.apiManager = new APIManager({ cacheManager: this.cacheManager, errorHandler: this.errorHandler });
+    this.apiManager = new APIManager({
+      cacheManager: this.cacheManager,
+      errorHandler: this.errorHandler,
+      endpoints: options.apiEndpoints
+    });
 
     this.loading = new LoadingManager();
     this.loading.show('Inicializando…', 5);
 
-    this.renderer = new AnatomicalRenderer(this.canvas, { errorHandler: this.errorHandler });
-    this.anatomy = new AnatomyManager(this.renderer);
-    this.zoom = new ZoomManager(this.renderer, this.anatomy);
+    this.renderer = new AnatomicalRenderer(this.canvas, {
+      errorHandler: this.errorHandler,
+      // Structure names are LabelManager's; zoom labels would double them
+      zoom: { enableLabels: false }
+    });
+    this.anatomy = new AnatomyManager(this.renderer, { cacheManager: this.cacheManager });
+    this.clipping = new ClippingManager(this.renderer, this.anatomy);
+    this.colors = new ColorSchemeManager({ anatomy: this.anatomy });
+    this.zoom = this.renderer.getZoomManager();
+    this.zoom.anatomy = this.anatomy;
     this.ui = new UIManager(this.anatomy, this.zoom);
-    this.interaction = new InteractionController(this.renderer, this.anatomy, this.ui);
+    this.bookmarks = new BookmarkManager({ renderer: this.renderer, anatomy: this.anatomy, zoom: this.zoom });
+    this.lessons = new LessonPlayer(
+      { renderer: this.renderer, anatomy: this.anatomy, zoom: this.zoom },
+      { cacheManager: this.cacheManager }
+    );
+    this.quiz = new QuizManager({ renderer: this.renderer, anatomy: this.anatomy, zoom: this.zoom });
+    this.annotations = new AnnotationManager(
+      { renderer: this.renderer, anatomy: this.anatomy },
+      { endpoint: options.annotationsEndpoint, author: options.annotationAuthor }
+    );
+    this.measurements = new MeasurementManager({ renderer: this.renderer, anatomy: this.anatomy });
+    this.attachments = new AttachmentManager(
+      { renderer: this.renderer, anatomy: this.anatomy },
+      { cacheManager: this.cacheManager }
+    );
+    this.interaction = this.renderer.getInteractionController();
+    Object.assign(this.interaction, { anatomy: this.anatomy, ui: this.ui });
+
+    this._viewStateTimer = null;
+    this._onCameraChange = () => this._scheduleViewStateSave();
+    this._onHashChange = () => this.restoreViewState();
 
     this.performance = new PerformanceManager(this.renderer, { targetFps: 60 });
     if (options.enablePerformanceMonitoring) this.performance.enable();
@@ -38,21 +77,183 @@ export default class AnatomicalApp {
 
   async _init() {
     try {
-      await this.cacheManager.initialize?.();
+      try {
+        await this.cacheManager.initialize();
+      } catch (e) {
+        // No IndexedDB (private mode, old browser): keep going without persistence
+        console.warn('⚠️ Persistent cache unavailable:', e.message);
+      }
       await this.apiManager.initialize?.();
 
-      // Load placeholder scene (or future API models)
+      // Resolve the model through the catalog APIs when one is requested
+      let modelPath;
+      if (this.options.modelId) {
+        this.loading.update('Buscando modelo…', 15);
+        const quality = this.options.modelQuality || this.apiManager.selectQuality(this.performance.deviceCapabilities);
+        const descriptor = await this.apiManager.fetchModel(this.options.modelId, quality);
+        modelPath = descriptor.modelUrl;
+        console.log(`📦 Modelo ${this.options.modelId} (${quality}) desde: ${descriptor.source}`);
+      }
+
       this.loading.update('Cargando modelo base…', 25);
-      await this.anatomy.loadInitialScene();
+      // Metadata and attachments only matter once something is selected, so they load alongside the model
+      const metadataReady = Promise.all([this.anatomy.loadStructureMetadata(), this.attachments.load()]);
+      await this.anatomy.loadInitialScene(modelPath);
+      await metadataReady;
+      // The framed whole-model view is zoom factor 1
+      this.zoom.setReferenceDistance();
 
-      // Hook UI events
-      this.ui.onSelectSystem = (sys) => this.anatomy.showOnlySystem(sys);
+      // Hook UI events; view changes are mirrored into the URL hash
+      const saving = (action) => (...args) => {
+        action(...args);
+        this._scheduleViewStateSave();
+      };
+      this.ui.onToggleSystem = async (id, enabled) => {
+        await this.anatomy.setSystemEnabled(id, enabled);
+        this._scheduleViewStateSave();
+      };
+      this.ui.onUnloadSystem = saving((id) => this.anatomy.unloadSystem(id));
+      this.anatomy.onSystemsChange = (systems) => {
+        this.ui.updateSystems(systems);
+        this.ui.setStructureTree(buildStructureTree(this.anatomy));
+        this.ui.setLayerCount(this.anatomy.getLayerCount());
+        // Newly loaded structures take the colour scheme in use
+        if (this.colors.mode !== 'original') this.colors.refresh();
+      };
       this.ui.onSearch = (q) => this.anatomy.search(q);
-      this.ui.onPeelDepth = (d) => this.anatomy.applyPeelDepth(d);
-      this.ui.onHideMuscle = () => this.anatomy.hideSelectedMuscle();
-      this.ui.onReset = () => this.anatomy.resetView();
+      this.ui.onPeelDepth = saving((d) => this.anatomy.applyPeelDepth(d));
+      this.ui.onHideMuscle = saving(() => this.anatomy.hideSelection());
+      this.ui.onIsolateSelection = saving(() => this.anatomy.isolateSelection());
+      this.ui.onColorSelection = (color) => this.anatomy.colorSelection(color);
+      this.ui.onSelectColorScheme = (mode) => this.colors.setMode(mode);
+      this.ui.onImportPalette = (text) => this.colors.importPalette(text);
+      this.colors.onChange = (legend) => this.ui.showColorLegend(legend);
+      this.anatomy.selection.onChange(() => {
+        // A quiz question highlights through the selection: the panels would give the answer away
+        if (!this.quiz.active || this.quiz.finished) {
+          this.ui.showSelectionInfo(this.anatomy.getSelectionInfo());
+          this.ui.updateStructureInfo(this.anatomy.getStructureInfo(this.anatomy.selection.primary));
+          this.attachments.show(this.anatomy.selection.primary);
+          this.ui.refreshStructureTree();
+        } else {
+          this.attachments.clear();
+        }
+        this._scheduleViewStateSave();
+      });
+      this.ui.onSelectStructure = (id) => this.anatomy.selectStructure(id);
+      this.ui.onTreeVisibility = saving((ids, visible) => this.anatomy.setStructuresVisible(ids, visible));
+      this.ui.onTreeCheck = (ids, checked) => (checked ? this.anatomy.selection.add(ids) : this.anatomy.selection.remove(ids));
+      this.anatomy.onVisibilityChange = () => this.ui.refreshStructureTree();
+      this.interaction.onFocus = (ids) => this.zoom.focusOn(ids);
+      this.interaction.viewCube = this.zoom;
+      this.interaction.onVisibilityChange = () => this._scheduleViewStateSave();
+      this.ui.onReset = saving(() => this.anatomy.resetView());
       this.ui.onToggleAutoRotation = (enabled) => this.renderer.toggleAutoRotation(enabled);
-      this.ui.onToggleLabels = (enabled) => this.anatomy.toggleLabels(enabled);
+      this.ui.onToggleLabels = saving((enabled) => this.anatomy.toggleLabels(enabled));
+      this.ui.onToggleGhostMode = (enabled) => this.anatomy.setGhostMode(enabled);
+      this.ui.onToggleAttachments = (enabled) => this.attachments.setEnabled(enabled);
+      this.ui.onAddClippingPlane = (type) => this.clipping.addPlane(type);
+      this.ui.onFlipClippingPlane = (id) => this.clipping.flipPlane(id);
+      this.ui.onRemoveClippingPlane = (id) => this.clipping.removePlane(id);
+      this.ui.onToggleClippingGizmos = (visible) => this.clipping.setGizmosVisible(visible);
+      this.clipping.onChange = (planes) => this.ui.updateClippingPlanes(planes);
+      this.ui.onSaveBookmark = (name) => this.bookmarks.save(name);
+      this.ui.onRestoreBookmark = (id) => {
+        const state = this.bookmarks.restore(id);
+        if (state) this.ui.setViewState(state);
+      };
+      this.ui.onRenameBookmark = (id, name) => this.bookmarks.rename(id, name);
+      this.ui.onDeleteBookmark = (id) => this.bookmarks.remove(id);
+      this.ui.onExportBookmarks = () => this.bookmarks.exportJSON();
+      this.ui.onImportBookmarks = (text) => this.bookmarks.importJSON(text);
+      this.bookmarks.onChange = (bookmarks) => this.ui.updateBookmarks(bookmarks);
+      await this.bookmarks.initialize();
+      this.ui.onStartLesson = async (id) => {
+        const lesson = await this.lessons.load(id);
+        if (lesson) this.lessons.start(lesson);
+      };
+      this.ui.onLessonPrevious = () => this.lessons.previous();
+      this.ui.onLessonNext = () => this.lessons.next();
+      this.ui.onLessonTogglePlay = () => this.lessons.togglePlay();
+      this.ui.onLessonClose = () => this.lessons.stop();
+      this.lessons.onChange = (status) => {
+        this.ui.showLessonStep(status);
+        this.ui.setViewState(this.anatomy.getViewState());
+        this._scheduleViewStateSave();
+      };
+      this.ui.onStartQuiz = (settings) => this.quiz.start(settings);
+      this.ui.onQuizAnswer = (text) => this.quiz.answer(text);
+      this.ui.onQuizNext = () => this.quiz.next();
+      this.ui.onQuizStop = () => this.quiz.stop();
+      this.ui.onExportQuiz = (format) => (format === 'csv' ? this.quiz.exportCSV() : this.quiz.exportJSON());
+      // A tap places a note or a measurement point first, then answers the quiz, then selects
+      this.interaction.pickHandler = (id, x, y) =>
+        this.annotations.handleTap(id, x, y) || this.measurements.handleTap(id, x, y) || this.quiz.handlePick(id);
+      this.quiz.onChange = (status) => {
+        const asking = !!status && !status.finished;
+        if (asking) {
+          this.ui.updateStructureInfo(null);
+          this.ui.hideHud();
+        }
+        this.interaction.showHoverNames = !asking;
+        this.ui.showQuizStatus(status);
+        this.ui.setViewState(this.anatomy.getViewState());
+        this._scheduleViewStateSave();
+      };
+      this.ui.onToggleAnnotationPlacing = (enabled) => {
+        if (enabled) {
+          this.measurements.setTool(null);
+          this.ui.setMeasurementTool(null);
+        }
+        this.annotations.setPlacing(enabled);
+      };
+      this.ui.onToggleAnnotations = (visible) => this.annotations.setVisible(visible);
+      this.ui.onFocusAnnotation = (id) => {
+        const pin = this.annotations.list().find(p => p.id === id);
+        if (!pin) return;
+        this.zoom.focusOn([pin.structureId]);
+        this.annotations.toggleNote(id, true);
+      };
+      this.ui.onDeleteAnnotation = (id) => this.annotations.remove(id);
+      this.ui.onExportAnnotations = () => this.annotations.exportJSON();
+      this.ui.onImportAnnotations = (text) => this.annotations.importJSON(text);
+      this.annotations.onPlace = ({ structureId, position, normal }) => {
+        this.annotations.setPlacing(false);
+        this.ui.setAnnotationPlacing(false);
+        const name = this.anatomy.structures.get(structureId)?.name || structureId;
+        const text = this.ui.promptAnnotationNote(name);
+        if (text) this.annotations.add(structureId, { position, normal }, text);
+      };
+      this.annotations.onChange = (pins) => this.ui.updateAnnotations(pins.map(pin => ({
+        ...pin,
+        structureName: this.anatomy.structures.get(pin.structureId)?.name || pin.structureId
+      })));
+      this.ui.onSelectMeasurementTool = (tool) => {
+        if (tool) {
+          this.annotations.setPlacing(false);
+          this.ui.setAnnotationPlacing(false);
+        }
+        this.measurements.setTool(tool);
+      };
+      this.ui.onDeleteMeasurement = (id) => this.measurements.remove(id);
+      this.ui.onClearMeasurements = () => this.measurements.clear();
+      this.measurements.onProgress = (progress) => this.ui.showMeasurementProgress(progress);
+      this.measurements.onError = (message) => this.ui.showMessage(message);
+      this.measurements.onChange = (measurements) => this.ui.updateMeasurements(measurements.map(m => ({
+        ...m,
+        structureNames: m.structureIds.map(id => this.anatomy.structures.get(id)?.name || id)
+      })));
+      // The shared notes and the lesson catalog are optional: don't hold up the first render
+      this.annotations.initialize();
+      this.lessons.loadIndex().then(lessons => this.ui.setLessons(lessons));
+      this.ui.setLayerCount(this.anatomy.getLayerCount());
+      this.ui.updateSystems(this.anatomy.getAvailableSystems());
+      this.ui.setStructureTree(buildStructureTree(this.anatomy));
+
+      // Open the view a shared link describes, then keep the link current
+      this.restoreViewState();
+      this.renderer.controls.addEventListener('change', this._onCameraChange);
+      window.addEventListener('hashchange', this._onHashChange);
 
       // Start render loop
       this.renderer.start();
@@ -67,10 +268,67 @@ export default class AnatomicalApp {
     }
   }
 
+  /**
+   * Camera, visibility, selection and labels as a URL hash (without '#')
+   */
+  getViewStateHash() {
+    const { camera, controls } = this.renderer;
+    const state = this.anatomy.getViewState();
+    return encodeViewState({
+      ...state,
+      camera: { position: camera.position.toArray(), target: controls.target.toArray() }
+    }, this.anatomy.getViewStateIds(state));
+  }
+
+  /**
+   * Apply the view described by a URL hash, loading the systems it shows
+   * first so its structure ids decode against the same list they were saved with
+   * @returns {Promise<boolean>} false when the hash holds no view state
+   */
+  async restoreViewState(hash = window.location.hash) {
+    const linked = decodeViewState(hash, null);
+    if (!linked) return false;
+    await Promise.all(this.anatomy.getLinkedSystems(linked).map(id =>
+      this.anatomy.loadSystem(id).catch(e => console.warn('⚠️', e.message))
+    ));
+    const state = decodeViewState(hash, this.anatomy.getViewStateIds(linked));
+
+    this.anatomy.applyViewState(state);
+    if (state.camera) {
+      this.zoom.cancelTransition();
+      this.renderer.camera.position.fromArray(state.camera.position);
+      this.renderer.controls.target.fromArray(state.camera.target);
+      this.renderer.controls.update();
+    }
+    this.ui.setViewState(state);
+    console.log('🔗 View restored from link');
+    return true;
+  }
+
+  _scheduleViewStateSave() {
+    clearTimeout(this._viewStateTimer);
+    // Camera changes fire every frame while orbiting or easing
+    this._viewStateTimer = setTimeout(() => {
+      const hash = `#${this.getViewStateHash()}`;
+      // replaceState: no history entry per tweak, and no hashchange echo
+      if (hash !== window.location.hash) window.history.replaceState(null, '', hash);
+    }, this.options.viewStateDelay ?? 400);
+  }
+
   destroy() {
+    clearTimeout(this._viewStateTimer);
+    window.removeEventListener('hashchange', this._onHashChange);
+    this.renderer?.controls?.removeEventListener('change', this._onCameraChange);
+    this.clipping?.dispose();
+    this.anatomy?.labels?.dispose();
     this.renderer?.dispose();
     this.performance?.disable();
     this.cacheManager?.close?.();
+    this.bookmarks?.close();
+    this.lessons?.dispose();
+    this.annotations?.dispose();
+    this.measurements?.dispose();
+    this.attachments?.dispose();
     this.apiManager?.close?.();
     this.ui?.dispose();
     this.loading?.destroy();
@@ -1,16 +1,26 @@
 // Creates the Three.js renderer/scene/camera and runs the loop
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import InteractionController from './InteractionController.js';
+import ZoomManager from './ZoomManager.js';
 
 export default class AnatomicalRenderer {
-  constructor(canvas, { errorHandler } = {}) {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {Object} options
+   * @param {boolean} options.enableInteractions - Pointer picking and hover (InteractionController)
+   * @param {Object} options.zoom - ZoomManager options
+   */
+  constructor(canvas, { errorHandler, enableInteractions = true, zoom = {} } = {}) {
     this.canvas = canvas || document.createElement('canvas');
     this.errorHandler = errorHandler;
     this.clock = new THREE.Clock();
     this.autoRotation = false;
     this.autoRotationSpeed = 0.5;
 
-    this.renderer = new THREE.WebGLRenderer({ canvas: this.canvas, antialias: true });
+    // The stencil buffer caps clipped cross-sections (see ClippingManager)
+    this.renderer = new THREE.WebGLRenderer({ canvas: this.canvas, antialias: true, stencil: true });
+    this.renderer.localClippingEnabled = true;
     this.renderer.setSize(window.innerWidth, window.innerHeight);
     this.renderer.setPixelRatio(Math.min(1, window.devicePixelRatio || 1));
     this.renderer.outputColorSpace = THREE.SRGBColorSpace;
@@ -44,12 +54,73 @@ export default class AnatomicalRenderer {
     rimLight.position.set(0, 2, -3);
     this.scene.add(rimLight);
 
+    this.root = null; // shared model root, see setRootObject()
+    this.systemRoots = new Map(); // system id -> sub-root under the root
+    this.selectableObjects = new Set(); // pickable objects outside the root
+
     this.raycaster = new THREE.Raycaster();
     this.pointer = new THREE.Vector2();
+    this.frameCallbacks = new Set();
+    this.beforeRenderCallbacks = new Set();
+
+    this.interactionController = enableInteractions ? new InteractionController(this) : null;
+    // Follows the camera through the interaction controller, so it comes second
+    this.zoomManager = new ZoomManager(this, this.camera, this.scene, zoom);
 
     window.addEventListener('resize', () => this._onResize());
   }
 
+  getInteractionController() {
+    return this.interactionController;
+  }
+
+  getZoomManager() {
+    return this.zoomManager;
+  }
+
+  setZoomLevel(level) {
+    return this.zoomManager?.setZoomLevel(level);
+  }
+
+  setLabelsEnabled(enabled) {
+    this.zoomManager?.setLabelsEnabled(enabled);
+  }
+
+  setOrientationIndicatorsEnabled(enabled) {
+    this.zoomManager?.setOrientationIndicatorsEnabled(enabled);
+  }
+
+  getCurrentZoomInfo() {
+    return this.zoomManager ? this.zoomManager.getCurrentZoomInfo() : null;
+  }
+
+  getZoomTextureCacheStats() {
+    return this.zoomManager ? this.zoomManager.getTextureCacheStats() : null;
+  }
+
+  clearZoomTextureCache() {
+    this.zoomManager?.clearTextureCache();
+  }
+
+  /**
+   * @param {Function} callback - (level, levelConfig) once a zoom transition ends
+   */
+  onZoomTransitionComplete(callback) {
+    this.zoomManager?.onTransitionComplete(callback);
+  }
+
+  /**
+   * Make objects that live outside the model root pickable
+   * @param {...THREE.Object3D} objects
+   */
+  addSelectableObjects(...objects) {
+    objects.flat().forEach(o => o && this.selectableObjects.add(o));
+  }
+
+  removeSelectableObjects(...objects) {
+    objects.flat().forEach(o => this.selectableObjects.delete(o));
+  }
+
   _onResize() {
     const w = window.innerWidth, h = window.innerHeight;
     this.camera.aspect = w/h; this.camera.updateProjectionMatrix();
@@ -60,14 +131,192 @@ export default class AnatomicalRenderer {
     if (this.root) this.scene.remove(this.root);
     this.root = obj;
     this.scene.add(obj);
+    // System sub-roots move along, see setSystemRoot()
+    this.systemRoots.forEach(sub => obj.add(sub));
   }
 
-  pick(clientX, clientY) {
+  /**
+   * Attach one anatomical system's model under the root, replacing that
+   * system's previous one. Sub-roots are children of the root, so they share
+   * its fit transform, auto-rotation and coordinate frame.
+   * @param {string} systemId
+   * @param {THREE.Object3D} obj
+   */
+  setSystemRoot(systemId, obj) {
+    this.removeSystemRoot(systemId);
+    if (!this.root) this.setRootObject(new THREE.Group());
+    if (!obj.name) obj.name = `system:${systemId}`;
+    this.systemRoots.set(systemId, obj);
+    this.root.add(obj);
+  }
+
+  /**
+   * Detach a system's sub-root
+   * @returns {THREE.Object3D|null} The detached sub-root
+   */
+  removeSystemRoot(systemId) {
+    const obj = this.systemRoots.get(systemId);
+    if (!obj) return null;
+    obj.removeFromParent();
+    this.systemRoots.delete(systemId);
+    return obj;
+  }
+
+  /**
+   * All visible intersections under a screen point, nearest first
+   * @returns {Array} Three.js intersections ({ object, point, distance, face, ... })
+   */
+  pickAll(clientX, clientY) {
+    const intersects = this.raycasterAt(clientX, clientY).intersectObjects(this._pickRoots(), true);
+    // The raycaster ignores `visible` and clipping planes, so hidden, peeled
+    // or cut-away parts would still be hit
+    return intersects.filter(hit => {
+      for (let o = hit.object; o; o = o.parent) if (!o.visible) return false;
+      return !this._isCutAway(hit);
+    });
+  }
+
+  /**
+   * Nearest visible intersection under a screen point, without intersecting
+   * the whole model: meshes are tried nearest bounding sphere first and the
+   * search stops once no mesh left can be closer. Cheap enough for hover.
+   * @param {Function} [prefer] - (object) => boolean; the nearest preferred hit
+   *   wins over nearer ones, as focused structures win over ghosts in
+   *   AnatomyManager.resolvePick
+   * @returns {Object|null} Three.js intersection
+   */
+  pickFirst(clientX, clientY, prefer = null) {
+    const raycaster = this.raycasterAt(clientX, clientY);
+    const { ray } = raycaster;
+    const sphere = new THREE.Sphere();
+    const candidates = [];
+    const collect = (object) => {
+      if (!object.visible) return;
+      if (object.isMesh && raycaster.layers.test(object.layers)) {
+        if (!object.geometry.boundingSphere) object.geometry.computeBoundingSphere();
+        sphere.copy(object.geometry.boundingSphere).applyMatrix4(object.matrixWorld);
+        if (ray.intersectsSphere(sphere)) {
+          // No hit on this mesh can be nearer than where the ray enters its sphere
+          candidates.push({ object, distance: Math.max(0, ray.origin.distanceTo(sphere.center) - sphere.radius) });
+        }
+      }
+      object.children.forEach(collect);
+    };
+    this._pickRoots().forEach(root => {
+      for (let p = root.parent; p; p = p.parent) if (!p.visible) return;
+      collect(root);
+    });
+    candidates.sort((a, b) => a.distance - b.distance);
+
+    let first = null;
+    let preferred = null;
+    for (const { object, distance } of candidates) {
+      const best = prefer ? preferred : first;
+      if (best && best.distance <= distance) break;
+      const hit = raycaster.intersectObject(object, false).find(h => !this._isCutAway(h));
+      if (!hit) continue;
+      if (!first || hit.distance < first.distance) first = hit;
+      if (prefer?.(object) && (!preferred || hit.distance < preferred.distance)) preferred = hit;
+    }
+    return preferred || first;
+  }
+
+  /**
+   * Objects picking starts from: the model plus selectable objects outside it
+   */
+  _pickRoots() {
+    const base = this.root || this.scene;
+    const extra = [...this.selectableObjects].filter(o => {
+      for (let p = o.parent; p; p = p.parent) if (p === base) return false; // already under base
+      return true;
+    });
+    return [...base.children, ...extra];
+  }
+
+  _isCutAway(hit) {
+    const material = Array.isArray(hit.object.material) ? hit.object.material[0] : hit.object.material;
+    return !!material?.clippingPlanes?.some(plane => plane.distanceToPoint(hit.point) < 0);
+  }
+
+  /**
+   * Shared raycaster aimed through a screen point
+   * @returns {THREE.Raycaster}
+   */
+  raycasterAt(clientX, clientY) {
     const rect = this.renderer.domElement.getBoundingClientRect();
     this.pointer.set(((clientX - rect.left)/rect.width)*2 - 1, -((clientY - rect.top)/rect.height)*2 + 1);
     this.raycaster.setFromCamera(this.pointer, this.camera);
-    const intersects = this.raycaster.intersectObjects(this.root ? this.root.children : this.scene.children, true);
-    return intersects[0]?.object || null;
+    return this.raycaster;
+  }
+
+  /**
+   * Nearest visible surface under a screen point
+   * @returns {{object: THREE.Object3D, point: THREE.Vector3, normal: THREE.Vector3|null, distance: number}|null}
+   *   `point` and `normal` in world space
+   */
+  pick(clientX, clientY) {
+    const hit = this.pickAll(clientX, clientY)[0];
+    if (!hit) return null;
+    const normal = hit.face
+      ? hit.face.normal.clone().applyMatrix3(new THREE.Matrix3().getNormalMatrix(hit.object.matrixWorld)).normalize()
+      : null;
+    return { object: hit.object, point: hit.point.clone(), normal, distance: hit.distance };
+  }
+
+  /**
+   * Bounding sphere of `objects` and the camera distance that fits it in view
+   * @param {THREE.Object3D[]} objects
+   * @param {number} padding - Margin around the sphere (1 = touching the frustum)
+   * @returns {{ center: THREE.Vector3, radius: number, distance: number }|null}
+   */
+  computeFraming(objects, padding = 1.2) {
+    const box = new THREE.Box3();
+    objects.forEach(o => o && box.expandByObject(o));
+    if (box.isEmpty()) return null;
+
+    const sphere = box.getBoundingSphere(new THREE.Sphere());
+    const vFov = THREE.MathUtils.degToRad(this.camera.fov);
+    // Portrait viewports are limited by the horizontal field of view
+    const fov = this.camera.aspect < 1 ? 2 * Math.atan(Math.tan(vFov / 2) * this.camera.aspect) : vFov;
+    const distance = Math.max(sphere.radius * padding / Math.sin(fov / 2), this.camera.near * 2);
+    return { center: sphere.center, radius: sphere.radius, distance };
+  }
+
+  /**
+   * Small JPEG of the current view. The frame is drawn right before copying
+   * because the WebGL drawing buffer is not preserved between frames.
+   * @returns {string|null} data URL, or null when the canvas cannot be read
+   */
+  captureThumbnail(width = 160, height = 100) {
+    try {
+      this.renderer.render(this.scene, this.camera);
+      const source = this.renderer.domElement;
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      const ctx = canvas.getContext('2d');
+      // Crop to the thumbnail's aspect ratio around the centre
+      const scale = Math.min(source.width / width, source.height / height);
+      const sw = width * scale, sh = height * scale;
+      ctx.drawImage(source, (source.width - sw) / 2, (source.height - sh) / 2, sw, sh, 0, 0, width, height);
+      return canvas.toDataURL('image/jpeg', 0.7);
+    } catch (e) {
+      console.warn('⚠️ Thumbnail capture failed:', e.message);
+      return null;
+    }
+  }
+
+  /**
+   * Register a callback run after every rendered frame
+   * @param {Function} callback - Receives the frame delta in ms
+   * @param {Object} options
+   * @param {boolean} options.beforeRender - Run just before the scene is drawn instead
+   * @returns {Function} Unsubscribe function
+   */
+  addFrameCallback(callback, { beforeRender = false } = {}) {
+    const callbacks = beforeRender ? this.beforeRenderCallbacks : this.frameCallbacks;
+    callbacks.add(callback);
+    return () => callbacks.delete(callback);
   }
 
   start() {
@@ -83,8 +332,10 @@ export default class AnatomicalRenderer {
       }
       
       this.controls.update();
+      this.beforeRenderCallbacks.forEach(cb => cb(dt));
       this.renderer.render(this.scene, this.camera);
       this.onAfterRender?.(dt);
+      this.frameCallbacks.forEach(cb => cb(dt));
       requestAnimationFrame(loop);
     };
     loop();
@@ -97,6 +348,11 @@ export default class AnatomicalRenderer {
 
   dispose() {
     this._running = false;
+    this.frameCallbacks.clear();
+    this.beforeRenderCallbacks.clear();
+    this.zoomManager?.dispose();
+    this.interactionController?.dispose();
+    this.selectableObjects.clear();
     this.controls?.dispose();
     this.renderer?.dispose();
     this.scene?.traverse(o=>{
@@ -1,15 +1,58 @@
 // AnatomyManager - Manages anatomical systems and structures
 import * as THREE from 'three';
 import HumanMusclesLoader from './integration/HumanMusclesLoader.js';
+import LabelManager from './LabelManager.js';
+import SelectionSet from './SelectionSet.js';
+import { loadCachedJSON } from './utils/cached-json.js';
+
+// Per-system model files are BodyParts3D exports, in millimetres like the base model
+const SYSTEM_MODEL_UNIT_MM = 1;
 
 export default class AnatomyManager {
-  constructor(renderer) {
+  constructor(renderer, { cacheManager = null } = {}) {
     this.renderer = renderer;
+    this.cacheManager = cacheManager;
     this.systems = new Map();
     this.structures = new Map();
-    this.currentSystem = null;
-    this.selectedStructure = null;
+    this.currentSystem = null; // exclusive filter set by showOnlySystem(), see also system.visible
+    this.onSystemsChange = null; // (systems) => void, see getAvailableSystems()
+    this.onVisibilityChange = null; // () => void, once per batch of shown/hidden/peeled structures
+    this._visibilityQueued = false;
+    this.selectedStructure = null; // primary (most recent) entry of the selection
+    this.selection = new SelectionSet({ isValid: id => this.structures.has(id) });
+    this.selection.onChange(change => this._onSelectionChange(change));
+
+    // Ghost (x-ray) mode: unselected structures swap to a translucent material
+    this.ghostMode = false;
+    this.ghostOptions = { color: 0xcfd8e3, opacity: 0.12 };
+    this._ghosts = new Map(); // mesh -> { original, ghost }
+    this._baseColors = new WeakMap(); // material -> colour it shipped with, while tinted
+
+    // Hover feedback is an overlay child sharing the hovered geometry, so the
+    // mesh's own (selection, ghost or fading) material is never touched
+    this.hoveredStructure = null;
+    this._hoverOverlay = null;
   this.structuresIndex = null; // will hold { byId, groups, allMeshes }
+
+    // Layer peeling: layers shallower than peelDepth or deeper than maxVisibleLayer fade out
+    this.peelDepth = 0;
+    this.maxVisibleLayer = Infinity;
+    this.peelFadeDuration = 400;
+    this.isolatedStructures = new Set();
+    this._peelState = new WeakMap(); // mesh -> { peeled, visibleBefore }
+    this._fades = new Map(); // mesh -> active opacity fade
+
+    // Real-world length of one model unit, before _fitAndCenterModel rescales the
+    // model: BodyParts3D meshes are in millimetres, the procedural body in metres
+    this.modelUnitMm = 1000;
+
+    // BodyParts3D bones loaded next to the muscles (relative to the models folder)
+    this.skeletonPath = 'fallback/skeleton.gltf';
+
+    // Anatomical metadata (origin, insertion, ...) shipped with the app
+    this.metadataPath = 'assets/data/structure-metadata.json';
+    this.metadata = new Map(); // metadata key -> entry
+    this._metadataIndex = new Map(); // structure id / FMA id -> metadata key
     
     // Initialize with basic anatomical systems
     this.initializeSystems();
@@ -26,63 +69,79 @@ export default class AnatomyManager {
       },
       {
         id: 'cardiovascular',
+        model: 'systems/cardiovascular.glb',
         name: 'Sistema Cardiovascular',
         color: '#ee5a24',
         description: 'Corazón y vasos sanguíneos'
       },
       {
         id: 'nervous',
+        model: 'systems/nervous.glb',
         name: 'Sistema Nervioso',
         color: '#feca57',
         description: 'Cerebro, médula espinal y nervios'
       },
       {
         id: 'respiratory',
+        model: 'systems/respiratory.glb',
         name: 'Sistema Respiratorio',
         color: '#48dbfb',
         description: 'Pulmones y vías respiratorias'
       },
       {
         id: 'digestive',
+        model: 'systems/digestive.glb',
         name: 'Sistema Digestivo',
         color: '#1dd1a1',
         description: 'Órganos digestivos'
       },
       {
         id: 'urinary',
+        model: 'systems/urinary.glb',
         name: 'Sistema Urinario',
         color: '#5f27cd',
         description: 'Riñones y vías urinarias'
       },
       {
         id: 'lymphatic',
+        model: 'systems/lymphatic.glb',
         name: 'Sistema Linfático',
         color: '#ff9ff3',
         description: 'Ganglios linfáticos y vasos'
       }
     ];
 
+    // `model` (relative to assets/models/) is loaded into the system's own
+    // sub-root the first time the system is enabled; musculoskeletal comes
+    // with the base scene
     systemDefinitions.forEach(system => {
       this.systems.set(system.id, {
+        model: null,
         ...system,
         structures: [],
-        visible: true
+        root: null, // sub-root loaded from `model`
+        visible: true,
+        status: 'unloaded' // 'loading' | 'loaded' | 'error'
       });
     });
   }
 
-  async loadInitialScene() {
+  /**
+   * Load the base model (a path relative to assets/models/ or an absolute URL),
+   * falling back to the procedural body when it cannot be loaded
+   */
+  async loadInitialScene(modelPath = 'human_muscles.glb') {
     try {
       console.log('🔄 Starting to load initial scene...');
       
       // Prepare muscles loader
-      this.musclesLoader = new HumanMusclesLoader();
+      this.musclesLoader = new HumanMusclesLoader({ cacheManager: this.cacheManager });
       
       // Try to load the real GLB model first
       if (this.musclesLoader) {
         try {
           console.log('🔄 Loading real GLB model...');
-          console.log('🔄 Model path: human_muscles.glb');
+          console.log('🔄 Model path:', modelPath);
           console.log('🔄 Timestamp:', new Date().toISOString());
           console.log('🔄 Expected file size: ~22.5 MB');
           
@@ -92,8 +151,10 @@ export default class AnatomyManager {
             console.log('🔄 Cache cleared to force reload');
           }
           
-          const index = await this.musclesLoader.load('human_muscles.glb');
+          const [index, skeleton] = await Promise.all([this.musclesLoader.load(modelPath), this._loadSkeleton()]);
           this.structuresIndex = index;
+          // Bones share the muscles' root so both get the same fit transform
+          const bones = this._attachSkeleton(index, skeleton);
           
           console.log('✅ GLB model loaded successfully');
           console.log('📊 Model stats:', {
@@ -114,12 +175,17 @@ export default class AnatomyManager {
             }
           }
 
-          // Set the loaded model as root
-          this.renderer.setRootObject(index.model);
+          // Every system gets a sub-root under one shared root, which carries
+          // the fit transform so systems loaded later land in the same frame
+          const root = new THREE.Group();
+          root.name = 'anatomy';
+          this.renderer.setRootObject(root);
+          this.renderer.setSystemRoot('musculoskeletal', index.model);
+          this.modelUnitMm = 1;
 
           // Ensure the loaded model is centered and scaled properly
           try {
-            this._fitAndCenterModel(index.model);
+            this._fitAndCenterModel(root);
             console.log('✅ Model fitted and centered');
           } catch (e) {
             console.warn('⚠️ fitAndCenterModel failed:', e && e.message);
@@ -128,16 +194,11 @@ export default class AnatomyManager {
           // Register all structures from the loaded model
           let registeredCount = 0;
           for (const [id, mesh] of index.byId.entries()) {
-            this.addStructure(id, {
-              id,
-              name: mesh.userData?.originalName || id,
-              system: mesh.userData?.system || 'musculoskeletal',
-              description: mesh.userData?.originalName || id,
-              mesh
-            });
+            this._registerMesh(id, mesh);
             registeredCount++;
           }
-          console.log(`✅ Registered ${registeredCount} structures from GLB model`);
+          bones.forEach((mesh, id) => this._registerMesh(id, mesh));
+          console.log(`✅ Registered ${registeredCount} structures from GLB model and ${bones.size} bones`);
           
           console.log('✅ Scene loaded successfully with real GLB model');
           return;
@@ -175,38 +236,68 @@ export default class AnatomyManager {
     }
   }
 
+  /**
+   * Load the skeleton muscle attachments are drawn on. It is optional: without
+   * it, attachments only find the bones the muscles model ships itself.
+   * @returns {Promise<Object|null>} Loader index, see HumanMusclesLoader.load
+   */
+  async _loadSkeleton() {
+    if (!this.skeletonPath) return null;
+    try {
+      return await this.musclesLoader.load(this.skeletonPath);
+    } catch (e) {
+      console.warn('⚠️ Skeleton unavailable:', this.skeletonPath, e?.message);
+      return null;
+    }
+  }
+
+  /**
+   * Move the skeleton's identified bones under the muscles model. Meshes the
+   * terminology doesn't know (like the placeholder box) are left out.
+   * @returns {Map<string, THREE.Mesh>} Bone meshes by structure id
+   */
+  _attachSkeleton(index, skeleton) {
+    const bones = new Map();
+    if (!skeleton) return bones;
+    skeleton.byId.forEach((mesh, id) => {
+      if (!mesh.userData?.terminology) {
+        mesh.parent?.remove(mesh);
+        return;
+      }
+      mesh.userData.type = 'bone';
+      const key = index.byId.has(id) ? `bone_${id}` : id;
+      // Picking reads the structure id back from the mesh
+      mesh.userData.canonicalName = key;
+      bones.set(key, mesh);
+    });
+    if (bones.size) index.model.add(skeleton.model);
+    else console.warn('⚠️ Skeleton has no BodyParts3D bones:', this.skeletonPath);
+    return bones;
+  }
+
   /**
    * Explicit loader for the real muscular system model (glb)
    */
   async loadMuscularSystemReal(modelPath = null, options = {}) {
-    if (!this.musclesLoader) this.musclesLoader = new HumanMusclesLoader();
+    if (!this.musclesLoader) this.musclesLoader = new HumanMusclesLoader({ cacheManager: this.cacheManager });
     const index = await this.musclesLoader.load(modelPath, options);
     this.structuresIndex = index;
     // attach to scene
-    this.renderer.setRootObject(index.model);
+    this.renderer.setSystemRoot('musculoskeletal', index.model);
 
     // register structures
     for (const [id, mesh] of index.byId.entries()) {
-      this.addStructure(id, {
-        id,
-        name: mesh.userData?.originalName || id,
-        system: mesh.userData?.system || 'musculoskeletal',
-        description: mesh.userData?.originalName || id,
-        mesh
-      });
+      this._registerMesh(id, mesh);
     }
     return index;
   }
 
   /**
-   * Set maximum visible layer (0..n)
+   * Set maximum visible layer (0..n); deeper layers fade out like peeled ones
    */
   setVisibleLayer(maxLayer) {
-    if (!this.structuresIndex) return;
-    this.structuresIndex.allMeshes.forEach(m => {
-      const layer = typeof m.userData?.layer === 'number' ? m.userData.layer : 0;
-      m.visible = layer <= maxLayer;
-    });
+    this.maxVisibleLayer = typeof maxLayer === 'number' ? Math.max(0, maxLayer) : Infinity;
+    this._applyLayerVisibility();
   }
 
   createBodyParts() {
@@ -907,6 +998,28 @@ export default class AnatomyManager {
     }
   }
 
+  /**
+   * Register a loaded mesh, naming it from its terminology when available so
+   * search matches Spanish, English and Latin names as well as the FJ id
+   */
+  _registerMesh(id, mesh) {
+    const data = mesh.userData || {};
+    const term = data.terminology;
+    const name = data.label || data.originalName || id;
+    const description = [term?.en, term?.la, data.originalName]
+      .filter((v, i, all) => v && v !== name && all.indexOf(v) === i)
+      .join(' · ') || name;
+
+    this.addStructure(id, {
+      id,
+      name,
+      system: data.system || 'musculoskeletal',
+      description,
+      fmaId: term?.fmaId || null,
+      mesh
+    });
+  }
+
   addStructure(id, structure) {
     this.structures.set(id, structure);
     
@@ -914,53 +1027,155 @@ export default class AnatomyManager {
     const system = this.systems.get(structure.system);
     if (system) {
       system.structures.push(id);
+      system.status = 'loaded';
     }
   }
 
-  showOnlySystem(systemId) {
-    if (!systemId) {
-      // Show all systems
-      this.currentSystem = null;
-      this.structures.forEach(structure => {
-        if (structure.mesh) {
-          structure.mesh.visible = true;
-        }
-      });
-      console.log('✅ Showing all systems');
-      return;
+  /**
+   * Turn a system on or off. The first time a system with its own model file
+   * is enabled, the file is loaded (see loadSystem).
+   * @returns {Promise<boolean>} Whether the system is shown now
+   * @throws When the system's model can't be loaded
+   */
+  async setSystemEnabled(systemId, enabled) {
+    const system = this.systems.get(systemId);
+    if (!system) return false;
+    if (enabled && system.status !== 'loaded') await this.loadSystem(systemId);
+    system.visible = !!enabled;
+    // Toggles replace the single-system filter
+    this.currentSystem = null;
+    this._applySystemVisibility();
+    this._notifySystems();
+    console.log(`✅ ${system.name} ${system.visible ? 'shown' : 'hidden'}`);
+    return system.visible;
+  }
+
+  /**
+   * Load a system's model file into its own sub-root and register its
+   * structures. Concurrent calls share one load.
+   * @returns {Promise<Object>} The system
+   */
+  async loadSystem(systemId) {
+    const system = this.systems.get(systemId);
+    if (!system) throw new Error(`Sistema desconocido: ${systemId}`);
+    if (system.status === 'loaded') return system;
+    if (!system.model) throw new Error(`${system.name} no tiene un modelo propio`);
+    if (!system.loading) {
+      system.loading = this._loadSystemModel(system).finally(() => { system.loading = null; });
+    }
+    await system.loading;
+    return system;
+  }
+
+  async _loadSystemModel(system) {
+    if (!this.musclesLoader) this.musclesLoader = new HumanMusclesLoader({ cacheManager: this.cacheManager });
+    system.status = 'loading';
+    this._notifySystems();
+    let index;
+    try {
+      index = await this.musclesLoader.load(system.model);
+    } catch (e) {
+      system.status = 'error';
+      this._notifySystems();
+      console.warn(`⚠️ ${system.name} unavailable:`, e?.message);
+      throw new Error(`No se pudo cargar el ${system.name}`);
     }
 
+    // Root units are modelUnitMm millimetres: the procedural body is in metres
+    index.model.scale.setScalar(SYSTEM_MODEL_UNIT_MM / this.modelUnitMm);
+    this.renderer.setSystemRoot(system.id, index.model);
+    system.root = index.model;
+    index.byId.forEach((mesh, id) => {
+      // The file decides the system, whatever the terminology says
+      mesh.userData.system = system.id;
+      const key = this.structures.has(id) ? `${system.id}_${id}` : id;
+      // Picking reads the structure id back from the mesh
+      mesh.userData.canonicalName = key;
+      this._registerMesh(key, mesh);
+    });
+    system.status = 'loaded';
+    // New meshes follow the current peeling and ghost mode
+    this._applyLayerVisibility();
+    this._refreshGhosts();
+    console.log(`✅ Loaded ${system.structures.length} structures for ${system.name}`);
+  }
+
+  /**
+   * Remove a system loaded from its own model file and free its geometry,
+   * materials and textures. Enabling it again reloads the file.
+   * @returns {boolean} false when the system has no model file or isn't loaded
+   */
+  unloadSystem(systemId) {
     const system = this.systems.get(systemId);
-    if (!system) return;
+    if (!system?.model || system.status !== 'loaded') return false;
 
-    this.currentSystem = systemId;
-    
-    // Hide all structures
-    this.structures.forEach(structure => {
-      if (structure.mesh) {
-        structure.mesh.visible = false;
-      }
+    // The loader caches every model it loads (under a cache-busted URL, so
+    // never reused): drop it while the meshes still tell its size
+    if (system.root) this.musclesLoader?.modelLoader?.evictModel(system.root);
+    system.root = null;
+
+    const ids = system.structures;
+    this.selection.remove(ids);
+    if (ids.includes(this.hoveredStructure?.id)) this.setHoveredStructure(null);
+    ids.forEach(id => {
+      const mesh = this.structures.get(id)?.mesh;
+      this.structures.delete(id);
+      this.isolatedStructures.delete(id);
+      if (!mesh) return;
+      this._finishFade(mesh, this._fades.get(mesh));
+      if (this._ghosts.has(mesh)) this._unghostMesh(mesh);
+      mesh.removeFromParent();
+      this._disposeMesh(mesh);
     });
-    
-    // Show only structures from selected system
-    system.structures.forEach(structureId => {
-      const structure = this.structures.get(structureId);
-      if (structure && structure.mesh) {
-        structure.mesh.visible = true;
-      }
+    const root = this.renderer.removeSystemRoot(system.id);
+    // Unregistered meshes of the file; clipping stencils share their materials with every mesh
+    root?.traverse(object => { if (object.isMesh && !object.userData.clippingHelper) this._disposeMesh(object); });
+
+    system.structures = [];
+    system.status = 'unloaded';
+    system.visible = true;
+    this._notifySystems();
+    console.log(`🗑️ Unloaded ${system.name} (${ids.length} structures)`);
+    return true;
+  }
+
+  _disposeMesh(mesh) {
+    mesh.geometry?.dispose();
+    [].concat(mesh.material || []).forEach(material => {
+      Object.values(material).forEach(value => { if (value?.isTexture) value.dispose(); });
+      material.dispose();
     });
-    
-    console.log(`✅ Showing system: ${system.name}`);
+  }
+
+  _applySystemVisibility() {
+    this.structures.forEach(structure => {
+      if (structure.mesh) this._setVisible(structure.mesh, this._matchesSystemFilter(structure));
+    });
+  }
+
+  _notifySystems() {
+    this.onSystemsChange?.(this.getAvailableSystems());
+  }
+
+  /**
+   * Show a single system (null shows every loaded system). Systems that
+   * aren't loaded stay unloaded.
+   */
+  showOnlySystem(systemId) {
+    const system = systemId ? this.systems.get(systemId) : null;
+    if (systemId && !system) return;
+
+    this.currentSystem = systemId || null;
+    this.systems.forEach(s => { s.visible = !system || s === system; });
+    this._applySystemVisibility();
+    this._notifySystems();
+    console.log(system ? `✅ Showing system: ${system.name}` : '✅ Showing all systems');
   }
 
   search(query) {
     if (!query || query.length < 2) {
-      // Show all structures when search is cleared
-      this.structures.forEach(structure => {
-        if (structure.mesh) {
-          structure.mesh.visible = true;
-        }
-      });
+      // Show every structure of the shown systems when search is cleared
+      this._applySystemVisibility();
       return [];
     }
     
@@ -970,7 +1185,7 @@ export default class AnatomyManager {
     // Hide all structures first
     this.structures.forEach(structure => {
       if (structure.mesh) {
-        structure.mesh.visible = false;
+        this._setVisible(structure.mesh, false);
       }
     });
     
@@ -986,7 +1201,7 @@ export default class AnatomyManager {
         
         // Show matching structures
         if (structure.mesh) {
-          structure.mesh.visible = true;
+          this._setVisible(structure.mesh, true);
         }
       }
     });
@@ -994,36 +1209,305 @@ export default class AnatomyManager {
     return results.slice(0, 10); // Limit to 10 results
   }
 
+  /**
+   * Select a single structure, replacing the current selection
+   */
   selectStructure(structureId) {
     const structure = this.structures.get(structureId);
     if (!structure) return;
-    
-    this.selectedStructure = structure;
-    
-    // Highlight the structure
-    if (structure.mesh) {
-      // Store original material
-      if (!structure.originalMaterial) {
-        structure.originalMaterial = structure.mesh.material.clone();
-      }
-      
-      // Create highlight material
-      const highlightMaterial = structure.mesh.material.clone();
-      highlightMaterial.emissive = new THREE.Color(0x444444);
-      structure.mesh.material = highlightMaterial;
-    }
-    
+
+    this.selection.replace([structureId]);
     console.log(`✅ Selected structure: ${structure.name}`);
   }
 
   clearSelection() {
-    if (this.selectedStructure && this.selectedStructure.mesh) {
-      // Restore original material
-      if (this.selectedStructure.originalMaterial) {
-        this.selectedStructure.mesh.material = this.selectedStructure.originalMaterial;
-      }
+    this.selection.clear();
+  }
+
+  _onSelectionChange({ added, removed }) {
+    removed.forEach(id => this._setHighlighted(this.structures.get(id), false));
+    // Ghosts are refreshed between the two passes so a highlight never wraps a ghost
+    this._refreshGhosts();
+    added.forEach(id => this._setHighlighted(this.structures.get(id), true));
+    this.selectedStructure = this.structures.get(this.selection.primary) || null;
+  }
+
+  _setHighlighted(structure, highlighted) {
+    const mesh = structure?.mesh;
+    if (!mesh?.material) return;
+
+    if (highlighted) {
+      if (structure.highlightMaterial) return;
+      // The unselected material is the base; the highlight is a throwaway clone
+      structure.originalMaterial = mesh.material;
+      const highlightMaterial = Array.isArray(mesh.material)
+        ? mesh.material.map(m => this._makeHighlight(m))
+        : this._makeHighlight(mesh.material);
+      structure.highlightMaterial = highlightMaterial;
+      mesh.material = highlightMaterial;
+      return;
+    }
+
+    if (!structure.highlightMaterial) return;
+    if (mesh.material === structure.highlightMaterial) mesh.material = structure.originalMaterial;
+    [].concat(structure.highlightMaterial).forEach(m => m.dispose?.());
+    structure.highlightMaterial = null;
+  }
+
+  _makeHighlight(material) {
+    const highlight = material.clone();
+    if (highlight.emissive) highlight.emissive = new THREE.Color(0x444444);
+    return highlight;
+  }
+
+  /**
+   * Tint the structure under the cursor
+   * @param {string|null} structureId - null clears the hover tint
+   */
+  setHoveredStructure(structureId) {
+    const structure = structureId ? this.structures.get(structureId) : null;
+    const overlay = this._hoverOverlay;
+    if (overlay?.parent) overlay.parent.remove(overlay);
+    this.hoveredStructure = structure || null;
+    if (!structure?.mesh?.geometry) return;
+
+    if (!overlay) {
+      this._hoverOverlay = new THREE.Mesh(structure.mesh.geometry, new THREE.MeshBasicMaterial({
+        color: 0x60a5fa,
+        transparent: true,
+        opacity: 0.3,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false,
+        depthFunc: THREE.LessEqualDepth
+      }));
+      this._hoverOverlay.name = 'hover-overlay';
+      // Not pickable, so hover and labels keep seeing the structure below it
+      this._hoverOverlay.raycast = () => {};
+    }
+    this._hoverOverlay.geometry = structure.mesh.geometry;
+    structure.mesh.add(this._hoverOverlay);
+  }
+
+  /**
+   * Ghost (x-ray) mode: selected structures stay opaque while everything else
+   * becomes a translucent shell that can still be clicked to switch focus.
+   * With nothing selected the scene renders normally.
+   * @param {boolean} enabled
+   */
+  setGhostMode(enabled) {
+    this.ghostMode = !!enabled;
+    this._refreshGhosts();
+    console.log(`👻 Ghost mode ${this.ghostMode ? 'enabled' : 'disabled'}`);
+  }
+
+  isGhosted(mesh) {
+    return this._ghosts.has(mesh);
+  }
+
+  /**
+   * Choose the object a click refers to: in ghost mode a focused structure
+   * behind a ghost shell wins over the shell itself
+   * @param {Array} intersections - Nearest-first raycast hits
+   * @returns {THREE.Object3D|null}
+   */
+  resolvePick(intersections = []) {
+    if (!intersections.length) return null;
+    if (this._ghosts.size > 0) {
+      const focused = intersections.find(hit => !this._ghosts.has(hit.object));
+      if (focused) return focused.object;
     }
-    this.selectedStructure = null;
+    return intersections[0].object;
+  }
+
+  _refreshGhosts() {
+    const active = this.ghostMode && this.selection.size > 0;
+    this.structures.forEach((structure, id) => {
+      const mesh = structure.mesh;
+      if (!mesh) return;
+      const shouldGhost = active && !this.selection.has(id);
+      if (shouldGhost && !this._ghosts.has(mesh)) this._ghostMesh(mesh);
+      else if (!shouldGhost && this._ghosts.has(mesh)) this._unghostMesh(mesh);
+    });
+  }
+
+  _ghostMesh(mesh) {
+    // Settle any peel fade first so it cannot write into the wrong material
+    this._finishFade(mesh, this._fades.get(mesh));
+    const ghost = new THREE.MeshStandardMaterial({
+      color: this.ghostOptions.color,
+      transparent: true,
+      opacity: this.ghostOptions.opacity,
+      depthWrite: false,
+      roughness: 0.6,
+      metalness: 0
+    });
+    this._ghosts.set(mesh, { original: mesh.material, ghost });
+    mesh.material = ghost;
+  }
+
+  _unghostMesh(mesh) {
+    const entry = this._ghosts.get(mesh);
+    this._finishFade(mesh, this._fades.get(mesh));
+    this._ghosts.delete(mesh);
+    if (mesh.material === entry.ghost) mesh.material = entry.original;
+    entry.ghost.dispose();
+  }
+
+  /**
+   * Hide every selected structure and clear the selection
+   * @returns {number} Number of structures hidden
+   */
+  hideSelection() {
+    const ids = this.selection.list();
+    this.selection.clear();
+    ids.forEach(id => {
+      const mesh = this.structures.get(id)?.mesh;
+      if (mesh) this._setVisible(mesh, false);
+    });
+    if (ids.length) console.log(`✅ Hidden ${ids.length} structure(s)`);
+    return ids.length;
+  }
+
+  /**
+   * Show or hide structures, e.g. a whole branch of the structure tree.
+   * Peeled structures take the new visibility when they are unpeeled.
+   * @param {string[]} structureIds
+   * @param {boolean} visible
+   */
+  setStructuresVisible(structureIds, visible) {
+    structureIds.forEach(id => {
+      const mesh = this.structures.get(id)?.mesh;
+      if (mesh) this._setVisible(mesh, !!visible);
+    });
+  }
+
+  /**
+   * Whether a structure is shown by the system, search, isolation and hide
+   * filters. Peeling is left out, see isStructurePeeled().
+   */
+  isStructureVisible(structureId) {
+    const mesh = this.structures.get(structureId)?.mesh;
+    if (!mesh) return false;
+    const state = this._peelState.get(mesh);
+    return state?.peeled ? state.visibleBefore : mesh.visible;
+  }
+
+  isStructurePeeled(structureId) {
+    const mesh = this.structures.get(structureId)?.mesh;
+    return !!(mesh && this._peelState.get(mesh)?.peeled);
+  }
+
+  /**
+   * Show only the selected structures
+   */
+  isolateSelection() {
+    this.isolateStructures(this.selection.list());
+  }
+
+  /**
+   * Tint every selected structure; pass null to restore their original colour
+   * @param {string|number|THREE.Color|null} color
+   */
+  colorSelection(color) {
+    this.colorStructures(this.selection.list(), color);
+  }
+
+  /**
+   * Tint structures; pass null to restore their original colour
+   * @param {string[]} structureIds
+   * @param {string|number|THREE.Color|null} color
+   */
+  colorStructures(structureIds, color) {
+    const tint = color == null ? null : `#${new THREE.Color(color).getHexString()}`;
+    structureIds.forEach(id => {
+      const structure = this.structures.get(id);
+      if (!structure?.mesh) return;
+      structure.customColor = tint;
+      this._applyStructureColor(structure);
+    });
+  }
+
+  /**
+   * Replace the colouring scheme (see ColorSchemeManager). Scheme colours sit
+   * under custom tints and are not part of getStructureColors().
+   * @param {Object<string, string>|null} colors - structure id -> colour; null restores the materials
+   */
+  setSchemeColors(colors = null) {
+    this.structures.forEach((structure, id) => {
+      const color = colors?.[id] ? `#${new THREE.Color(colors[id]).getHexString()}` : null;
+      if (color === (structure.schemeColor || null)) return;
+      structure.schemeColor = color;
+      this._applyStructureColor(structure);
+    });
+  }
+
+  /**
+   * Paint a structure's base material (and its live highlight clone) with its
+   * custom tint, else its scheme colour, else the colour it shipped with
+   */
+  _applyStructureColor(structure) {
+    const mesh = structure.mesh;
+    const base = structure.originalMaterial || this._ghosts.get(mesh)?.original || mesh.material;
+    if (!base) return;
+    const color = structure.customColor || structure.schemeColor;
+    const tint = color ? new THREE.Color(color) : null;
+    const highlights = [].concat(structure.highlightMaterial || []);
+    [].concat(base).forEach((material, i) => {
+      if (!material?.color) return;
+      // Shipped colours are kept per material, so shared materials restore correctly
+      if (tint && !this._baseColors.has(material)) this._baseColors.set(material, material.color.clone());
+      const target = tint || this._baseColors.get(material);
+      if (!target) return;
+      material.color.copy(target);
+      highlights[i]?.color?.copy(target);
+      if (!tint) this._baseColors.delete(material);
+    });
+  }
+
+  /**
+   * Custom tints currently applied
+   * @returns {Object<string, string>} structure id -> '#rrggbb'
+   */
+  getStructureColors() {
+    const colors = {};
+    this.structures.forEach((structure, id) => {
+      if (structure.customColor) colors[id] = structure.customColor;
+    });
+    return colors;
+  }
+
+  /**
+   * Replace every custom tint with `colors` (a getStructureColors() result)
+   */
+  setStructureColors(colors = {}) {
+    const tinted = Object.keys(this.getStructureColors()).filter(id => !(id in colors));
+    this.colorStructures(tinted, null);
+    Object.entries(colors).forEach(([id, color]) => this.colorStructures([id], color));
+  }
+
+  /**
+   * Summary of the current selection for info panels and the HUD
+   * @returns {{count: number, primary: Object|null, structures: Object[], systems: Object}}
+   */
+  getSelectionInfo() {
+    const structures = this.selection.list()
+      .map(id => this.structures.get(id))
+      .filter(Boolean)
+      .map(({ id, name, system, description, fmaId, mesh }) => ({
+        id, name, system, description, fmaId: fmaId || null,
+        region: mesh?.userData?.region || null,
+        layer: mesh?.userData?.layer ?? null
+      }));
+
+    const systems = {};
+    structures.forEach(s => { systems[s.system] = (systems[s.system] || 0) + 1; });
+
+    return {
+      count: structures.length,
+      primary: structures[structures.length - 1] || null,
+      structures,
+      systems
+    };
   }
 
   highlight(object) {
@@ -1049,6 +1533,10 @@ export default class AnatomyManager {
     }
   }
 
+  /**
+   * @returns {Array<{id: string, name: string, color: string, model: string|null, structures: string[],
+   *   visible: boolean, status: 'unloaded'|'loading'|'loaded'|'error'}>}
+   */
   getAvailableSystems() {
     return Array.from(this.systems.values());
   }
@@ -1060,43 +1548,442 @@ export default class AnatomyManager {
     return system.structures.map(id => this.structures.get(id)).filter(Boolean);
   }
 
+  /**
+   * Load the bundled per-structure metadata. Failures leave the info panel
+   * with the terminology data only.
+   * @returns {Promise<number>} Number of metadata entries available
+   */
+  async loadStructureMetadata(path = this.metadataPath) {
+    const data = await loadCachedJSON(path, this.cacheManager);
+    if (!data) {
+      console.warn('⚠️ Structure metadata unavailable:', path);
+      return 0;
+    }
+    this.setStructureMetadata(data);
+    console.log(`📚 Loaded metadata for ${this.metadata.size} structures`);
+    return this.metadata.size;
+  }
+
+  /**
+   * @param {Object} data - { structures: { key: { name, canonicalName, synonyms, origin, ..., related, fmaIds, ids } } }
+   */
+  setStructureMetadata(data) {
+    this.metadata = new Map(Object.entries(data?.structures || {}));
+    this._metadataIndex = new Map();
+    this.metadata.forEach((entry, key) => {
+      [...(entry.fmaIds || []), ...(entry.ids || [])].forEach(ref => this._metadataIndex.set(ref, key));
+    });
+  }
+
+  /**
+   * Metadata key of a structure: explicit structure ids win over FMA concepts
+   */
+  _metadataKeyOf(structure) {
+    if (!structure) return null;
+    return this._metadataIndex.get(structure.id) ?? this._metadataIndex.get(structure.fmaId) ?? null;
+  }
+
+  /**
+   * Metadata key ("biceps_brachii") of a structure, null when it has no metadata
+   */
+  getMetadataKey(structureId) {
+    return this._metadataKeyOf(this.structures.get(structureId));
+  }
+
+  /**
+   * Body side of a structure
+   * @returns {'left'|'right'|null}
+   */
+  getStructureSide(structureId) {
+    const structure = this.structures.get(structureId);
+    return structure ? this._sideOf(structure) : null;
+  }
+
+  _sideOf(structure) {
+    const source = `${structure.mesh?.userData?.terminology?.en || ''} ${structure.id}`.toLowerCase();
+    if (/(^|[^a-z])left([^a-z]|$)/.test(source)) return 'left';
+    if (/(^|[^a-z])right([^a-z]|$)/.test(source)) return 'right';
+    return null;
+  }
+
+  /**
+   * Structure ids for model-independent references, as written in lessons:
+   * a structure id, a metadata key ("deltoid") for every structure of that
+   * concept, or "key:left" / "key:right" for one side. Unknown references
+   * resolve to nothing.
+   * @param {string[]} refs
+   * @returns {string[]} Matching structure ids, without duplicates
+   */
+  resolveStructureRefs(refs = []) {
+    const ids = new Set();
+    [].concat(refs).forEach(ref => {
+      if (typeof ref !== 'string') return;
+      if (this.structures.has(ref)) {
+        ids.add(ref);
+        return;
+      }
+      const [key, side] = ref.split(':');
+      this.structures.forEach((structure, id) => {
+        if (this._metadataKeyOf(structure) !== key) return;
+        if (!side || this._sideOf(structure) === side) ids.add(id);
+      });
+    });
+    return [...ids];
+  }
+
+  /**
+   * Everything the info panel shows for a structure
+   * @param {string} structureId
+   * @returns {Object|null} { id, name, canonicalName, synonyms, system, systemName, region, layer,
+   *   fmaId, description, origin, insertion, innervation, bloodSupply, action, related[{ id, name }] }
+   */
   getStructureInfo(structureId) {
-    return this.structures.get(structureId);
+    const structure = this.structures.get(structureId);
+    if (!structure) return null;
+
+    const data = structure.mesh?.userData || {};
+    const term = data.terminology;
+    const key = this._metadataKeyOf(structure);
+    const meta = key ? this.metadata.get(key) : null;
+    const synonyms = [...(meta?.synonyms || []), term?.en, term?.la]
+      .filter((v, i, all) => v && v !== structure.name && all.indexOf(v) === i);
+
+    return {
+      id: structure.id,
+      name: structure.name,
+      canonicalName: meta?.canonicalName || term?.la || structure.name,
+      synonyms,
+      system: structure.system,
+      systemName: this.systems.get(structure.system)?.name || structure.system,
+      region: data.region || meta?.region || null,
+      layer: data.layer ?? meta?.layer ?? null,
+      fmaId: structure.fmaId || null,
+      description: structure.description,
+      origin: meta?.origin || null,
+      insertion: meta?.insertion || null,
+      innervation: meta?.innervation || null,
+      bloodSupply: meta?.bloodSupply || null,
+      action: meta?.action || null,
+      related: this._relatedStructures(structure, meta)
+    };
+  }
+
+  /**
+   * In-scene structures for the metadata `related` keys, preferring the same
+   * body side as `structure` when both sides are loaded
+   */
+  _relatedStructures(structure, meta) {
+    if (!meta?.related?.length) return [];
+    const side = this._sideOf(structure);
+    const related = [];
+    meta.related.forEach(key => {
+      const matches = [];
+      this.structures.forEach(candidate => {
+        if (candidate !== structure && this._metadataKeyOf(candidate) === key) matches.push(candidate);
+      });
+      const sameSide = side ? matches.filter(c => this._sideOf(c) === side) : [];
+      (sameSide.length ? sameSide : matches).forEach(c => related.push({ id: c.id, name: c.name }));
+    });
+    return related;
   }
 
+  /**
+   * Peel away every layer shallower than `depth` (0 shows all layers).
+   * Isolated structures are never peeled, and structures hidden by the
+   * system filter, search or hide stay hidden when their layer comes back.
+   * @param {number} depth - Number of superficial layers to remove
+   */
   applyPeelDepth(depth) {
-    // Implementation for layer peeling (future feature)
-    console.log(`Peeling to depth: ${depth}`);
+    this.peelDepth = Math.max(0, Math.floor(depth) || 0);
+    this._applyLayerVisibility();
+    console.log(`🧅 Peeling to depth: ${this.peelDepth}`);
   }
 
-  hideSelectedMuscle() {
-    if (this.selectedStructure && this.selectedStructure.mesh) {
-      this.selectedStructure.mesh.visible = false;
-      console.log(`✅ Hidden muscle: ${this.selectedStructure.name}`);
-      this.selectedStructure = null;
+  /**
+   * Number of distinct layers available for peeling (highest layer + 1)
+   */
+  getLayerCount() {
+    let max = 0;
+    this.structures.forEach(structure => {
+      if (structure.mesh) max = Math.max(max, this._layerOf(structure.mesh));
+    });
+    return max + 1;
+  }
+
+  /**
+   * Restrict the scene to the given structures; peeling leaves them in place
+   * @param {string[]} structureIds - Structures to keep visible
+   */
+  isolateStructures(structureIds = []) {
+    this.isolatedStructures = new Set(structureIds.filter(id => this.structures.has(id)));
+    if (this.isolatedStructures.size === 0) return this.clearIsolation();
+
+    this.structures.forEach((structure, id) => {
+      if (structure.mesh) this._setVisible(structure.mesh, this.isolatedStructures.has(id));
+    });
+    this._applyLayerVisibility();
+  }
+
+  clearIsolation() {
+    if (this.isolatedStructures.size === 0) return;
+    this.isolatedStructures.clear();
+    this.structures.forEach(structure => {
+      if (structure.mesh) this._setVisible(structure.mesh, this._matchesSystemFilter(structure));
+    });
+    this._applyLayerVisibility();
+  }
+
+  /**
+   * Visibility, peeling, selection and labels as plain data. `hidden` lists
+   * structures hidden on purpose: ones the system filter or isolation would show.
+   * @returns {{system: string|null, peelDepth: number, hidden: string[], isolated: string[], selection: string[], labels: boolean}}
+   */
+  getViewState() {
+    const hidden = [];
+    this.structures.forEach((structure, id) => {
+      const mesh = structure.mesh;
+      if (!mesh || !this._matchesSystemFilter(structure)) return;
+      if (this.isolatedStructures.size && !this.isolatedStructures.has(id)) return;
+      const peel = this._peelState.get(mesh);
+      if (!(peel?.peeled ? peel.visibleBefore : mesh.visible)) hidden.push(id);
+    });
+    const state = {
+      system: this.currentSystem,
+      peelDepth: this.peelDepth,
+      hidden,
+      isolated: [...this.isolatedStructures],
+      selection: this.selection.list(),
+      labels: !!this.labels?.enabled
+    };
+    // Toggled systems, when some loaded system is switched off or was loaded
+    // on demand: a link must say which files to load before its ids mean anything
+    const loaded = this.getAvailableSystems().filter(s => s.status === 'loaded');
+    if (!this.currentSystem && loaded.some(s => !s.visible || s.model)) {
+      state.systems = loaded.filter(s => s.visible).map(s => s.id);
+    }
+    return state;
+  }
+
+  /**
+   * Systems with their own model file that a view state shows
+   * @returns {string[]}
+   */
+  getLinkedSystems(state) {
+    const ids = state.systems || (state.system ? [state.system] : []);
+    return ids.filter(id => this.systems.get(id)?.model);
+  }
+
+  /**
+   * Structure ids a view state's link is encoded against: the base model's
+   * plus those of the systems it shows (see getLinkedSystems), so the same
+   * link decodes alike whatever else is loaded
+   * @returns {string[]}
+   */
+  getViewStateIds(state) {
+    const linked = this.getLinkedSystems(state);
+    return [...this.structures.keys()].filter(id => {
+      const system = this.systems.get(this.structures.get(id).system);
+      return !system?.model || linked.includes(system.id);
+    });
+  }
+
+  /**
+   * Restore a getViewState() result
+   */
+  applyViewState(state) {
+    this.isolatedStructures.clear();
+    if (state.systems) {
+      this.currentSystem = null;
+      this.systems.forEach(system => { system.visible = state.systems.includes(system.id); });
+      // Systems the link shows that aren't loaded here come in when their file does
+      state.systems.forEach(id => {
+        if (this.systems.get(id)?.model && this.systems.get(id).status !== 'loaded') {
+          this.setSystemEnabled(id, true).catch(e => console.warn('⚠️', e.message));
+        }
+      });
+      this._applySystemVisibility();
+      this._notifySystems();
+    } else {
+      this.showOnlySystem(this.systems.has(state.system) ? state.system : null);
     }
+    if (state.isolated?.length) this.isolateStructures(state.isolated);
+    (state.hidden || []).forEach(id => {
+      const mesh = this.structures.get(id)?.mesh;
+      if (mesh) this._setVisible(mesh, false);
+    });
+    // Also settles the peeling of structures isolation no longer protects
+    this.applyPeelDepth(state.peelDepth || 0);
+    this.selection.replace(state.selection || []);
+    if (state.labels || this.labels) this.toggleLabels(!!state.labels);
+  }
+
+  _matchesSystemFilter(structure) {
+    if (this.currentSystem) return structure.system === this.currentSystem;
+    return this.systems.get(structure.system)?.visible !== false;
+  }
+
+  _layerOf(mesh) {
+    const layer = mesh.userData?.layer;
+    return typeof layer === 'number' && isFinite(layer) ? layer : 0;
+  }
+
+  _applyLayerVisibility() {
+    this.structures.forEach((structure, id) => {
+      const mesh = structure.mesh;
+      if (!mesh) return;
+      const layer = this._layerOf(mesh);
+      const peel = !this.isolatedStructures.has(id) &&
+        (layer < this.peelDepth || layer > this.maxVisibleLayer);
+      if (peel) this._peelMesh(mesh);
+      else this._unpeelMesh(mesh);
+    });
+  }
+
+  /**
+   * Change filter visibility without undoing peeling: while a mesh is peeled
+   * the requested visibility is remembered and applied when it is unpeeled
+   */
+  _setVisible(mesh, visible) {
+    const state = this._peelState.get(mesh);
+    if (state?.peeled) state.visibleBefore = visible;
+    else mesh.visible = visible;
+    this._notifyVisibility();
+  }
+
+  /**
+   * Tell onVisibilityChange once the current batch of changes is done:
+   * a search or a peel touches every structure
+   */
+  _notifyVisibility() {
+    if (!this.onVisibilityChange || this._visibilityQueued) return;
+    this._visibilityQueued = true;
+    Promise.resolve().then(() => {
+      this._visibilityQueued = false;
+      this.onVisibilityChange?.();
+    });
+  }
+
+  _peelMesh(mesh) {
+    const state = this._peelState.get(mesh);
+    if (state?.peeled) return;
+    this._peelState.set(mesh, { peeled: true, visibleBefore: mesh.visible });
+    this._notifyVisibility();
+    if (!mesh.visible) return;
+    this._fadeMesh(mesh, 0, () => { mesh.visible = false; });
+  }
+
+  _unpeelMesh(mesh) {
+    const state = this._peelState.get(mesh);
+    if (!state?.peeled) return;
+    this._peelState.delete(mesh);
+    this._notifyVisibility();
+    if (!state.visibleBefore) {
+      // Filtered out meanwhile: drop any running fade and keep it hidden
+      this._finishFade(mesh, this._fades.get(mesh));
+      mesh.visible = false;
+      return;
+    }
+    const fading = this._fades.has(mesh);
+    mesh.visible = true;
+    this._fadeMesh(mesh, 1, null, fading ? undefined : 0);
+  }
+
+  /**
+   * Animate the opacity of a mesh's materials towards `to` (fraction of the
+   * original opacity). Original material settings are restored when done.
+   */
+  _fadeMesh(mesh, to, onDone = null, from) {
+    const materials = [].concat(mesh.material || []);
+    const current = this._fades.get(mesh);
+    const original = current?.original || materials.map(m => ({
+      material: m, opacity: m.opacity, transparent: m.transparent, depthWrite: m.depthWrite
+    }));
+    const start = from ?? current?.value ?? (to === 0 ? 1 : 0);
+
+    this._fades.set(mesh, { from: start, to, value: start, startTime: performance.now(), original, onDone });
+    this._setFadeOpacity(mesh, original, start);
+    this._runFades();
+  }
+
+  _runFades() {
+    if (this._fadeFrame) return;
+    const step = () => {
+      this._fadeFrame = null;
+      const now = performance.now();
+      this._fades.forEach((fade, mesh) => {
+        const t = Math.min(1, (now - fade.startTime) / this.peelFadeDuration);
+        const eased = t * (2 - t); // ease-out
+        fade.value = fade.from + (fade.to - fade.from) * eased;
+        this._setFadeOpacity(mesh, fade.original, fade.value);
+        if (t >= 1) this._finishFade(mesh, fade);
+      });
+      if (this._fades.size > 0) this._fadeFrame = requestAnimationFrame(step);
+    };
+    this._fadeFrame = requestAnimationFrame(step);
+  }
+
+  _setFadeOpacity(mesh, original, value) {
+    // Apply to whatever material is current (selection swaps in clones)
+    [].concat(mesh.material || []).forEach((m, i) => {
+      const base = original[i] || original[0];
+      if (!base) return;
+      m.transparent = true;
+      m.depthWrite = false;
+      m.opacity = base.opacity * value;
+    });
+  }
+
+  _finishFade(mesh, fade) {
+    if (!fade) return;
+    this._fades.delete(mesh);
+    const restore = (m, base) => {
+      m.opacity = base.opacity;
+      m.transparent = base.transparent;
+      m.depthWrite = base.depthWrite;
+    };
+    [].concat(mesh.material || []).forEach((m, i) => {
+      const base = fade.original[i] || fade.original[0];
+      if (base) restore(m, base);
+    });
+    // The faded material may have been swapped out (e.g. by a selection highlight)
+    fade.original.forEach(base => restore(base.material, base));
+    fade.onDone?.();
+  }
+
+  hideSelectedMuscle() {
+    this.hideSelection();
   }
 
   resetView() {
     // Show all structures
     this.structures.forEach(structure => {
       if (structure.mesh) {
-        structure.mesh.visible = true;
+        this._setVisible(structure.mesh, true);
       }
     });
     
     // Clear selection
     this.clearSelection();
     
-    // Reset system filter
+    // Reset system filter and isolation (peel depth is kept, it has its own control)
     this.currentSystem = null;
+    this.systems.forEach(system => { system.visible = true; });
+    this._notifySystems();
+    if (this.isolatedStructures.size > 0) {
+      this.isolatedStructures.clear();
+      this._applyLayerVisibility();
+    }
     
     console.log('✅ View reset to show all structures');
   }
 
   toggleLabels(enabled) {
-    // Implementation for showing/hiding labels
-    console.log(`Labels ${enabled ? 'enabled' : 'disabled'}`);
-    // TODO: Implement label system
+    // The label overlay is created lazily the first time labels are turned on
+    if (!this.labels) {
+      if (!enabled) return;
+      this.labels = new LabelManager(this.renderer, this);
+    }
+    this.labels.setEnabled(enabled);
+    console.log(`🏷️ Labels ${enabled ? 'enabled' : 'disabled'}`);
   }
 }
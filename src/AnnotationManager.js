@@ -0,0 +1,436 @@
+// AnnotationManager - Notes pinned to structure surfaces. A pin is stored in
+// the local space of its structure's mesh, so it follows the model however
+// it is rotated or rescaled; markers are DOM elements projected every frame.
+// Pins persist in localStorage and, when the proxy server is reachable, are
+// shared through its /api/annotations endpoint.
+import * as THREE from 'three';
+
+export const ANNOTATION_FORMAT = 'musculos3d-annotations';
+const FORMAT_VERSION = 1;
+const STORAGE_KEY = 'musculos3d-annotations';
+const MAX_TEXT_LENGTH = 2000;
+
+export default class AnnotationManager {
+  /**
+   * @param {Object} viewer
+   * @param {AnatomicalRenderer} viewer.renderer - Picking, camera and frame callbacks
+   * @param {AnatomyManager} viewer.anatomy - Structures the pins belong to
+   * @param {Object} options - { storage, endpoint (null disables sharing), author }
+   */
+  constructor({ renderer, anatomy }, options = {}) {
+    this.renderer = renderer;
+    this.anatomy = anatomy;
+    this.storage = options.storage !== undefined ? options.storage : (typeof localStorage !== 'undefined' ? localStorage : null);
+    this.endpoint = options.endpoint !== undefined ? options.endpoint : '/api/annotations';
+    this.author = options.author || null;
+
+    this.annotations = new Map(); // structureId -> pins, see add()
+    this.placing = false;
+    this.visible = true;
+    this.remoteAvailable = false;
+
+    this.container = null;
+    this.markers = new Map(); // pin id -> { el, note, text, expanded }
+    this._unsubscribe = null;
+    this._world = new THREE.Vector3();
+    this._normal = new THREE.Vector3();
+    this._toCamera = new THREE.Vector3();
+    this._normalMatrix = new THREE.Matrix3();
+
+    this.onChange = null; // (pins) => void, see list()
+    this.onPlace = null; // ({ structureId, position, normal }) => void, for a tap while placing
+  }
+
+  /**
+   * Load saved pins, then the class's shared pins when the server answers
+   */
+  async initialize() {
+    this._loadLocal();
+    this._ensureOverlay();
+    if (!this._unsubscribe) this._unsubscribe = this.renderer.addFrameCallback?.(() => this.update()) || null;
+    this._notify();
+
+    if (!this.endpoint) return;
+    try {
+      const response = await fetch(this.endpoint, { headers: { Accept: 'application/json' } });
+      if (!response.ok) throw new Error(`status ${response.status}`);
+      const data = await response.json();
+      this.remoteAvailable = true;
+      let added = 0;
+      (data.annotations || []).forEach(pin => {
+        if (this._valid(pin) && !this._find(pin.id)) {
+          this._insert(pin);
+          added++;
+        }
+      });
+      if (added) {
+        this._saveLocal();
+        this._notify();
+      }
+      console.log(`📌 ${added} shared annotation(s) loaded`);
+    } catch (e) {
+      console.warn('⚠️ Shared annotations unavailable, keeping them on this device:', e.message);
+    }
+  }
+
+  /**
+   * While placing, a tap on a structure drops a pin there (see onPlace)
+   */
+  setPlacing(enabled) {
+    this.placing = !!enabled;
+    const canvas = this.renderer.renderer?.domElement;
+    if (canvas) canvas.style.cursor = this.placing ? 'crosshair' : '';
+  }
+
+  setVisible(visible) {
+    this.visible = !!visible;
+    if (this.container) this.container.style.display = this.visible ? 'block' : 'none';
+  }
+
+  /**
+   * Turn a tap into a pin draft. Meant for InteractionController.pickHandler.
+   * @param {string|null} structureId - Structure under the pointer
+   * @returns {boolean} true when the tap was consumed (placing mode)
+   */
+  handleTap(structureId, clientX, clientY) {
+    if (!this.placing) return false;
+    const mesh = this.anatomy.structures.get(structureId)?.mesh;
+    const hit = mesh ? this.renderer.pick(clientX, clientY) : null;
+    // Only the surface of the structure the tap resolved to (not a ghost shell in front of it)
+    if (!hit || hit.object !== mesh) return true;
+
+    mesh.updateWorldMatrix(true, false);
+    const position = mesh.worldToLocal(hit.point.clone());
+    // Normals go back to local space through the transpose of the world matrix
+    const normal = hit.normal
+      ? hit.normal.clone().applyMatrix3(this._normalMatrix.setFromMatrix4(mesh.matrixWorld).transpose()).normalize()
+      : null;
+    this.onPlace?.({ structureId, position: position.toArray(), normal: normal ? normal.toArray() : null });
+    return true;
+  }
+
+  /**
+   * Pin a note to a structure
+   * @param {string} structureId
+   * @param {{position: number[], normal: number[]|null}} anchor - In the mesh's local space
+   * @param {string} text
+   * @returns {Object|null} The new pin
+   */
+  add(structureId, { position, normal = null }, text) {
+    const pin = {
+      id: this._newId(),
+      structureId,
+      position,
+      normal,
+      text: String(text || '').trim().slice(0, MAX_TEXT_LENGTH),
+      author: this.author,
+      createdAt: Date.now()
+    };
+    if (!this._valid(pin)) return null;
+    this._insert(pin);
+    this._saveLocal();
+    this._notify();
+    this._remote('POST', '', pin);
+    console.log(`📌 Annotation added on ${structureId}`);
+    return pin;
+  }
+
+  edit(id, text) {
+    const pin = this._find(id);
+    const clean = String(text || '').trim().slice(0, MAX_TEXT_LENGTH);
+    if (!pin || !clean) return;
+    pin.text = clean;
+    const marker = this.markers.get(id);
+    if (marker) marker.text.textContent = clean;
+    this._saveLocal();
+    this._notify();
+    this._remote('PUT', `/${encodeURIComponent(id)}`, { text: clean });
+  }
+
+  remove(id) {
+    const pin = this._find(id);
+    if (!pin) return;
+    const pins = this.annotations.get(pin.structureId).filter(p => p.id !== id);
+    if (pins.length) this.annotations.set(pin.structureId, pins);
+    else this.annotations.delete(pin.structureId);
+    this.markers.get(id)?.el.remove();
+    this.markers.delete(id);
+    this._saveLocal();
+    this._notify();
+    this._remote('DELETE', `/${encodeURIComponent(id)}`);
+  }
+
+  /**
+   * Pins on one structure
+   */
+  get(structureId) {
+    return this.annotations.get(structureId) || [];
+  }
+
+  /**
+   * Every pin, oldest first
+   */
+  list() {
+    return [...this.annotations.values()].flat().sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Open or close a pin's note
+   */
+  toggleNote(id, expanded) {
+    const marker = this.markers.get(id);
+    if (!marker) return;
+    marker.expanded = expanded ?? !marker.expanded;
+    marker.note.style.display = marker.expanded ? 'block' : 'none';
+  }
+
+  exportJSON() {
+    return JSON.stringify({
+      format: ANNOTATION_FORMAT,
+      version: FORMAT_VERSION,
+      exportedAt: new Date().toISOString(),
+      annotations: this.list()
+    }, null, 2);
+  }
+
+  /**
+   * Add the pins of an exportJSON() document; pins already present are skipped
+   * @returns {number} Number of pins imported
+   */
+  importJSON(text) {
+    const data = typeof text === 'string' ? JSON.parse(text) : text;
+    if (data?.format !== ANNOTATION_FORMAT || !Array.isArray(data.annotations)) {
+      throw new Error('El archivo no contiene notas válidas');
+    }
+    const fresh = data.annotations.filter(pin => this._valid(pin) && !this._find(pin.id));
+    fresh.forEach(pin => {
+      this._insert({ ...pin });
+      this._remote('POST', '', pin);
+    });
+    this._saveLocal();
+    this._notify();
+    console.log(`📌 Imported ${fresh.length} annotation(s)`);
+    return fresh.length;
+  }
+
+  /**
+   * Per-frame marker placement; pins on hidden structures are hidden, pins
+   * on the far side of a surface are dimmed
+   */
+  update() {
+    if (!this.container || !this.visible || !this.renderer.camera) return;
+    const canvas = this.renderer.renderer?.domElement || this.renderer.canvas;
+    const rect = canvas?.getBoundingClientRect?.() || { left: 0, top: 0, width: window.innerWidth, height: window.innerHeight };
+    const style = this.container.style;
+    style.left = `${rect.left}px`;
+    style.top = `${rect.top}px`;
+    style.width = `${rect.width}px`;
+    style.height = `${rect.height}px`;
+
+    const camera = this.renderer.camera;
+    this.annotations.forEach((pins, structureId) => {
+      const mesh = this.anatomy.structures.get(structureId)?.mesh;
+      const shown = !!mesh && this._isShown(mesh);
+      pins.forEach(pin => {
+        const marker = this.markers.get(pin.id);
+        if (!shown) {
+          marker.el.style.display = 'none';
+          return;
+        }
+        const world = this._world.fromArray(pin.position).applyMatrix4(mesh.matrixWorld);
+        let facing = true;
+        if (pin.normal) {
+          const normal = this._normal.fromArray(pin.normal)
+            .applyMatrix3(this._normalMatrix.getNormalMatrix(mesh.matrixWorld));
+          facing = normal.dot(this._toCamera.subVectors(camera.position, world)) >= 0;
+        }
+        const ndc = world.project(camera);
+        if (ndc.z < -1 || ndc.z > 1 || Math.abs(ndc.x) > 1 || Math.abs(ndc.y) > 1) {
+          marker.el.style.display = 'none';
+          return;
+        }
+        marker.el.style.display = 'block';
+        marker.el.style.opacity = facing ? '1' : '0.35';
+        marker.el.style.transform = `translate(${(ndc.x + 1) / 2 * rect.width}px, ${(1 - ndc.y) / 2 * rect.height}px)`;
+      });
+    });
+  }
+
+  _isShown(object) {
+    for (let o = object; o; o = o.parent) {
+      if (!o.visible) return false;
+    }
+    return true;
+  }
+
+  _ensureOverlay() {
+    if (this.container) return;
+    this.container = document.createElement('div');
+    this.container.className = 'anatomy-annotations';
+    this.container.style.cssText = `
+      position: fixed;
+      left: 0;
+      top: 0;
+      pointer-events: none;
+      overflow: hidden;
+      z-index: 6;
+    `;
+    const canvas = this.renderer.renderer?.domElement || this.renderer.canvas;
+    (canvas?.parentElement || document.body).appendChild(this.container);
+    this.annotations.forEach(pins => pins.forEach(pin => this._createMarker(pin)));
+  }
+
+  _createMarker(pin) {
+    if (!this.container || this.markers.has(pin.id)) return;
+    const el = document.createElement('div');
+    el.className = 'anatomy-annotation';
+    el.style.cssText = 'position:absolute;left:0;top:0;display:none;will-change:transform;';
+
+    const dot = document.createElement('button');
+    dot.title = 'Ver nota';
+    dot.style.cssText = `
+      position: absolute;
+      left: -8px;
+      top: -8px;
+      width: 16px;
+      height: 16px;
+      padding: 0;
+      border-radius: 50%;
+      border: 2px solid #ffffff;
+      background: #f59e0b;
+      box-shadow: 0 1px 4px rgba(0,0,0,0.5);
+      cursor: pointer;
+      pointer-events: auto;
+    `;
+    dot.addEventListener('click', () => this.toggleNote(pin.id));
+
+    const note = document.createElement('div');
+    note.style.cssText = `
+      position: absolute;
+      left: 12px;
+      top: -10px;
+      display: none;
+      width: 220px;
+      padding: 8px 10px;
+      border-radius: 8px;
+      background: rgba(17,24,39,0.92);
+      border: 1px solid rgba(245,158,11,0.6);
+      color: #e5e7eb;
+      font: 12px/1.4 system-ui, sans-serif;
+      pointer-events: auto;
+    `;
+    const heading = document.createElement('div');
+    heading.textContent = this.anatomy.structures.get(pin.structureId)?.name || pin.structureId;
+    heading.style.cssText = 'font-weight:600;color:#fbbf24;margin-bottom:4px;';
+    const text = document.createElement('div');
+    text.textContent = pin.text;
+    text.style.whiteSpace = 'pre-wrap';
+    const actions = document.createElement('div');
+    actions.style.cssText = 'display:flex;gap:6px;justify-content:flex-end;margin-top:6px;';
+    const action = (label, title, onClick) => {
+      const button = document.createElement('button');
+      button.textContent = label;
+      button.title = title;
+      button.style.cssText = 'padding:2px 6px;border-radius:4px;border:1px solid rgba(255,255,255,0.2);background:rgba(255,255,255,0.1);color:#fff;cursor:pointer;';
+      button.addEventListener('click', onClick);
+      return button;
+    };
+    actions.append(
+      action('✎', 'Editar nota', () => {
+        const next = window.prompt('Editar nota', pin.text);
+        if (next) this.edit(pin.id, next);
+      }),
+      action('✕', 'Borrar nota', () => this.remove(pin.id))
+    );
+    if (pin.author) {
+      const author = document.createElement('div');
+      author.textContent = pin.author;
+      author.style.cssText = 'color:#9ca3af;font-size:11px;margin-top:4px;';
+      note.append(heading, text, author, actions);
+    } else {
+      note.append(heading, text, actions);
+    }
+
+    el.append(dot, note);
+    this.container.appendChild(el);
+    this.markers.set(pin.id, { el, note, text, expanded: false });
+  }
+
+  _insert(pin) {
+    const pins = this.annotations.get(pin.structureId) || [];
+    pins.push(pin);
+    this.annotations.set(pin.structureId, pins);
+    this._createMarker(pin);
+  }
+
+  _find(id) {
+    for (const pins of this.annotations.values()) {
+      const pin = pins.find(p => p.id === id);
+      if (pin) return pin;
+    }
+    return null;
+  }
+
+  _valid(pin) {
+    const vector = (v) => Array.isArray(v) && v.length === 3 && v.every(Number.isFinite);
+    return !!pin && typeof pin.id === 'string' && typeof pin.structureId === 'string' &&
+      vector(pin.position) && (pin.normal == null || vector(pin.normal)) &&
+      typeof pin.text === 'string' && pin.text.trim() !== '';
+  }
+
+  _loadLocal() {
+    try {
+      const data = JSON.parse(this.storage?.getItem(STORAGE_KEY) || 'null');
+      Object.values(data?.annotations || {}).flat().forEach(pin => {
+        if (this._valid(pin) && !this._find(pin.id)) this._insert(pin);
+      });
+    } catch (e) {
+      console.warn('⚠️ Saved annotations unreadable:', e.message);
+    }
+  }
+
+  _saveLocal() {
+    try {
+      // Stored per structure id, like the in-memory map
+      this.storage?.setItem(STORAGE_KEY, JSON.stringify({
+        version: FORMAT_VERSION,
+        annotations: Object.fromEntries(this.annotations)
+      }));
+    } catch (e) {
+      console.warn('⚠️ Annotations not saved:', e.message);
+    }
+  }
+
+  /**
+   * Mirror a change to the shared endpoint; failures only cost the sharing
+   */
+  _remote(method, path, body) {
+    if (!this.remoteAvailable) return;
+    fetch(`${this.endpoint}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    }).then(response => {
+      if (!response.ok) throw new Error(`status ${response.status}`);
+    }).catch(e => console.warn(`⚠️ Annotation not shared (${method}):`, e.message));
+  }
+
+  _newId() {
+    let id;
+    do id = `pin-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    while (this._find(id));
+    return id;
+  }
+
+  _notify() {
+    this.onChange?.(this.list());
+  }
+
+  dispose() {
+    this._unsubscribe?.();
+    this._unsubscribe = null;
+    this.container?.remove();
+    this.container = null;
+    this.markers.clear();
+  }
+}
@@ -0,0 +1,350 @@
+// AttachmentManager - Marks where the selected muscle attaches: origin and
+// insertion patches on the bones it pulls on, and the line of pull between
+// them. Which bones each muscle attaches to comes from
+// assets/data/muscle-attachments.json; the patches themselves are the bone
+// vertices closest to the muscle, so they follow whatever model is loaded.
+// Work happens in model millimetres like MeasurementManager.
+import * as THREE from 'three';
+import { loadCachedJSON } from './utils/cached-json.js';
+
+export const ATTACHMENT_COLORS = {
+  origin: '#ef4444',
+  insertion: '#3b82f6',
+  pull: '#facc15'
+};
+
+const DEFAULT_PATCH_RADIUS_MM = 12;
+// Upper bound of vertices per mesh compared when a muscle doesn't reach its bone
+const NEAREST_SAMPLE = 2000;
+
+export default class AttachmentManager {
+  /**
+   * @param {Object} viewer
+   * @param {AnatomicalRenderer} viewer.renderer - Scene, model root and frame callbacks
+   * @param {AnatomyManager} viewer.anatomy - Muscles, bones and the model's real-world scale
+   * @param {Object} options - { dataPath, cacheManager }
+   */
+  constructor({ renderer, anatomy }, options = {}) {
+    this.renderer = renderer;
+    this.anatomy = anatomy;
+    this.dataPath = options.dataPath || 'assets/data/muscle-attachments.json';
+    this.cacheManager = options.cacheManager || null;
+
+    this.bones = {}; // bone key -> { name, fmaIds, ids }
+    this.muscles = {}; // metadata key -> { origin: [{ bones, area }], insertion: [...] }
+    this.patchRadiusMm = DEFAULT_PATCH_RADIUS_MM;
+    this.enabled = true;
+    this.structureId = null; // muscle whose attachments are shown
+    this.attachments = null; // see show()
+
+    this.group = null; // patches, markers and line of pull, in model millimetres
+    this._objects = [];
+    this._vertices = new WeakMap(); // mesh -> Float32Array of model millimetres
+    this._patches = new WeakMap(); // muscle mesh -> Map(bone mesh -> patch)
+    this._matrix = new THREE.Matrix4();
+    this._scale = new THREE.Matrix4();
+    this._unsubscribe = null;
+
+    this.onChange = null; // (attachments|null) => void
+  }
+
+  /**
+   * Load the muscle -> bone map. Failures leave attachments unavailable.
+   * @returns {Promise<number>} Number of muscles with attachments
+   */
+  async load(path = this.dataPath) {
+    const data = await loadCachedJSON(path, this.cacheManager);
+    if (!data) {
+      console.warn('⚠️ Muscle attachments unavailable:', path);
+      return 0;
+    }
+    this.setData(data);
+    console.log(`🦴 Loaded attachments for ${Object.keys(this.muscles).length} muscles`);
+    return Object.keys(this.muscles).length;
+  }
+
+  /**
+   * @param {Object} data - { patchRadiusMm, bones: { key: { name, fmaIds, ids } },
+   *   muscles: { metadataKey: { origin: [{ bones: [keys], area }], insertion: [...] } } }
+   */
+  setData(data) {
+    this.bones = data?.bones || {};
+    this.muscles = data?.muscles || {};
+    this.patchRadiusMm = data?.patchRadiusMm > 0 ? data.patchRadiusMm : DEFAULT_PATCH_RADIUS_MM;
+    if (this.structureId) this.show(this.structureId);
+  }
+
+  /**
+   * Show the attachments of a muscle, replacing the ones shown before
+   * @param {string|null} structureId - null just clears them
+   * @returns {Object|null} { structureId, origin: [attachment], insertion: [attachment] } where an
+   *   attachment is { area, bones: [{ id, name }], points: number[][], center: number[]|null },
+   *   or null when the structure has no known attachments or they are switched off
+   */
+  show(structureId) {
+    this._clearObjects();
+    this.structureId = structureId || null;
+    const muscle = this.anatomy.structures.get(structureId);
+    const entry = muscle?.mesh ? this.muscles[this.anatomy.getMetadataKey(structureId)] : null;
+    this.attachments = null;
+    if (this.enabled && entry) {
+      this.attachments = {
+        structureId,
+        origin: (entry.origin || []).map(attachment => this._attachment(muscle, attachment)),
+        insertion: (entry.insertion || []).map(attachment => this._attachment(muscle, attachment))
+      };
+      this._createObjects(this.attachments);
+    }
+    this.onChange?.(this.attachments);
+    return this.attachments;
+  }
+
+  clear() {
+    this.show(null);
+  }
+
+  /**
+   * Switch the overlay on or off; the muscle in use is remembered
+   */
+  setEnabled(enabled) {
+    this.enabled = !!enabled;
+    this.show(this.structureId);
+  }
+
+  /**
+   * In-scene bones for attachment bone keys, on the muscle's side of the body.
+   * Midline bones (sternum, vertebrae) and midline muscles match either side.
+   * @param {string[]} keys - Keys of the data file's `bones`
+   * @param {string} muscleId
+   * @returns {string[]} Bone structure ids
+   */
+  resolveBones(keys, muscleId) {
+    const side = this.anatomy.getStructureSide(muscleId);
+    const ids = [];
+    [].concat(keys || []).forEach(key => {
+      const bone = this.bones[key];
+      if (!bone) return;
+      const refs = new Set([...(bone.fmaIds || []), ...(bone.ids || [])]);
+      this.anatomy.structures.forEach((structure, id) => {
+        if (!structure.mesh || id === muscleId || !(refs.has(id) || refs.has(structure.fmaId))) return;
+        const boneSide = this.anatomy.getStructureSide(id);
+        if (!side || !boneSide || boneSide === side) ids.push(id);
+      });
+    });
+    return [...new Set(ids)];
+  }
+
+  /**
+   * Bone vertices within patchRadiusMm of the muscle's surface. When the
+   * muscle doesn't reach the bone (coarse or separated meshes), the patch is
+   * taken around the bone vertex closest to it instead.
+   * @returns {Float32Array|null} Patch points, xyz in model millimetres
+   */
+  patch(muscleMesh, boneMesh) {
+    if (!this._patches.has(muscleMesh)) this._patches.set(muscleMesh, new Map());
+    const cache = this._patches.get(muscleMesh);
+    if (cache.has(boneMesh)) return cache.get(boneMesh);
+
+    const muscle = this._modelVertices(muscleMesh);
+    const bone = this._modelVertices(boneMesh);
+    let points = null;
+    if (muscle?.length && bone?.length) {
+      const radius = this.patchRadiusMm;
+      points = this._within(bone, this._grid(muscle, radius), radius);
+      if (!points.length) {
+        const nearest = this._nearestTo(bone, muscle);
+        points = this._within(bone, this._grid(nearest, radius), radius);
+      }
+      points = Float32Array.from(points);
+    }
+    cache.set(boneMesh, points);
+    return points;
+  }
+
+  _attachment(muscle, { bones = [], area = '' }) {
+    const ids = this.resolveBones(bones, muscle.id);
+    const points = [];
+    ids.forEach(id => {
+      const patch = this.patch(muscle.mesh, this.anatomy.structures.get(id).mesh);
+      for (let i = 0; patch && i < patch.length; i += 3) points.push([patch[i], patch[i + 1], patch[i + 2]]);
+    });
+    const center = points.length
+      ? points.reduce((sum, p) => sum.add(new THREE.Vector3().fromArray(p)), new THREE.Vector3())
+        .divideScalar(points.length).toArray()
+      : null;
+    return {
+      area,
+      bones: ids.map(id => ({ id, name: this.anatomy.structures.get(id).name })),
+      points,
+      center
+    };
+  }
+
+  /**
+   * Per-frame overlay placement: the group follows the model
+   */
+  update() {
+    if (!this.group) return;
+    const root = this.renderer.root;
+    const toUnits = 1 / this.anatomy.modelUnitMm;
+    this._scale.makeScale(toUnits, toUnits, toUnits);
+    if (root) this._matrix.copy(root.matrixWorld).multiply(this._scale);
+    else this._matrix.copy(this._scale);
+    this.group.matrix.copy(this._matrix);
+    this.group.matrixWorldNeedsUpdate = true;
+  }
+
+  _createObjects({ origin, insertion }) {
+    if (!this.group) {
+      this.group = new THREE.Group();
+      this.group.name = 'muscle-attachments';
+      this.group.matrixAutoUpdate = false;
+      this.renderer.scene?.add(this.group);
+      this._unsubscribe = this.renderer.addFrameCallback?.(() => this.update()) || null;
+    }
+    const add = (object, renderOrder) => {
+      object.renderOrder = renderOrder;
+      object.raycast = () => {};
+      this.group.add(object);
+      this._objects.push(object);
+    };
+    const points = (list, color, size, opacity) => new THREE.Points(
+      new THREE.BufferGeometry().setFromPoints(list.map(p => new THREE.Vector3().fromArray(p))),
+      new THREE.PointsMaterial({ color, size, sizeAttenuation: false, depthTest: false, transparent: true, opacity })
+    );
+
+    [['origin', origin], ['insertion', insertion]].forEach(([role, attachments]) => {
+      const color = ATTACHMENT_COLORS[role];
+      const patch = attachments.flatMap(a => a.points);
+      if (patch.length) add(points(patch, color, 3, 0.6), 998);
+      const centers = attachments.map(a => a.center).filter(Boolean);
+      if (centers.length) add(points(centers, color, 12, 1), 1000);
+    });
+
+    // Line of pull: every origin towards the mean insertion point
+    const insertions = insertion.map(a => a.center).filter(Boolean);
+    if (!insertions.length) return this.update();
+    const target = insertions
+      .reduce((sum, p) => sum.add(new THREE.Vector3().fromArray(p)), new THREE.Vector3())
+      .divideScalar(insertions.length);
+    origin.filter(a => a.center).forEach(({ center }) => {
+      add(new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints([new THREE.Vector3().fromArray(center), target]),
+        new THREE.LineBasicMaterial({ color: ATTACHMENT_COLORS.pull, depthTest: false, transparent: true })
+      ), 999);
+    });
+    this.update();
+  }
+
+  _clearObjects() {
+    this._objects.forEach(object => {
+      this.group.remove(object);
+      object.geometry.dispose();
+      object.material.dispose();
+    });
+    this._objects = [];
+  }
+
+  /**
+   * Mesh vertices in model millimetres (root-local space times modelUnitMm)
+   */
+  _modelVertices(mesh) {
+    if (this._vertices.has(mesh)) return this._vertices.get(mesh);
+    const attribute = mesh.geometry?.attributes?.position;
+    if (!attribute) return null;
+
+    const root = this.renderer.root;
+    mesh.updateWorldMatrix(true, false);
+    const toModel = new THREE.Matrix4();
+    if (root) toModel.copy(root.matrixWorld).invert();
+    toModel.multiply(mesh.matrixWorld).premultiply(new THREE.Matrix4().makeScale(
+      this.anatomy.modelUnitMm, this.anatomy.modelUnitMm, this.anatomy.modelUnitMm
+    ));
+    const vertices = new Float32Array(attribute.count * 3);
+    const v = new THREE.Vector3();
+    for (let i = 0; i < attribute.count; i++) {
+      v.fromBufferAttribute(attribute, i).applyMatrix4(toModel).toArray(vertices, i * 3);
+    }
+    this._vertices.set(mesh, vertices);
+    return vertices;
+  }
+
+  /**
+   * Spatial hash of points with `size` cells, so that neighbours within
+   * `size` are in the 27 cells around a point
+   */
+  _grid(points, size) {
+    const cells = new Map();
+    for (let i = 0; i < points.length; i += 3) {
+      const key = this._cellKey(points[i] / size, points[i + 1] / size, points[i + 2] / size);
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(points[i], points[i + 1], points[i + 2]);
+    }
+    return { cells, size };
+  }
+
+  _cellKey(x, y, z) {
+    return `${Math.floor(x)},${Math.floor(y)},${Math.floor(z)}`;
+  }
+
+  /**
+   * Points (flat xyz) closer than `radius` to any point of the grid
+   */
+  _within(points, { cells, size }, radius) {
+    const found = [];
+    const r2 = radius * radius;
+    for (let i = 0; i < points.length; i += 3) {
+      const x = points[i];
+      const y = points[i + 1];
+      const z = points[i + 2];
+      const cx = Math.floor(x / size);
+      const cy = Math.floor(y / size);
+      const cz = Math.floor(z / size);
+      let near = false;
+      for (let dx = -1; dx <= 1 && !near; dx++) {
+        for (let dy = -1; dy <= 1 && !near; dy++) {
+          for (let dz = -1; dz <= 1 && !near; dz++) {
+            const cell = cells.get(this._cellKey(cx + dx, cy + dy, cz + dz));
+            for (let j = 0; cell && j < cell.length && !near; j += 3) {
+              near = (cell[j] - x) ** 2 + (cell[j + 1] - y) ** 2 + (cell[j + 2] - z) ** 2 <= r2;
+            }
+          }
+        }
+      }
+      if (near) found.push(x, y, z);
+    }
+    return found;
+  }
+
+  /**
+   * Vertex of `points` closest to `others`, comparing evenly spread samples
+   * @returns {number[]} xyz
+   */
+  _nearestTo(points, others) {
+    const step = (count) => Math.max(1, Math.ceil(count / NEAREST_SAMPLE)) * 3;
+    const pointStep = step(points.length / 3);
+    const otherStep = step(others.length / 3);
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let i = 0; i < points.length; i += pointStep) {
+      for (let j = 0; j < others.length; j += otherStep) {
+        const d = (points[i] - others[j]) ** 2 + (points[i + 1] - others[j + 1]) ** 2 + (points[i + 2] - others[j + 2]) ** 2;
+        if (d < bestDistance) {
+          bestDistance = d;
+          best = i;
+        }
+      }
+    }
+    return [points[best], points[best + 1], points[best + 2]];
+  }
+
+  dispose() {
+    this._unsubscribe?.();
+    this._unsubscribe = null;
+    this._clearObjects();
+    if (this.group) this.renderer.scene?.remove(this.group);
+    this.group = null;
+    this.attachments = null;
+    this.structureId = null;
+  }
+}
@@ -0,0 +1,190 @@
+// BookmarkManager - Named, thumbnailed snapshots of the viewer state
+// (camera, visibility, peeling, selection, colours) kept in IndexedDB.
+// Bookmarks live in their own database: the asset cache evicts entries.
+
+export const BOOKMARK_FORMAT = 'musculos3d-bookmarks';
+const FORMAT_VERSION = 1;
+const STORE = 'bookmarks';
+
+export default class BookmarkManager {
+  /**
+   * @param {Object} viewer
+   * @param {AnatomicalRenderer} viewer.renderer - Camera, controls and thumbnails
+   * @param {AnatomyManager} viewer.anatomy - Visibility, selection and colours
+   * @param {ZoomManager} viewer.zoom - Animates the camera on restore
+   * @param {Object} options - { dbName, dbVersion }
+   */
+  constructor({ renderer, anatomy, zoom }, options = {}) {
+    this.renderer = renderer;
+    this.anatomy = anatomy;
+    this.zoom = zoom;
+    this.dbName = options.dbName || 'AnatomicalViewerBookmarks';
+    this.dbVersion = options.dbVersion || 1;
+
+    this.db = null;
+    this.bookmarks = new Map(); // id -> bookmark, mirrors the store
+    this.onChange = null; // (bookmarks) => void, see list()
+  }
+
+  /**
+   * Open the database and load saved bookmarks. Without IndexedDB bookmarks
+   * still work for the session.
+   */
+  async initialize() {
+    if (this.db) return;
+    try {
+      if (typeof indexedDB === 'undefined') throw new Error('not supported in this environment');
+      this.db = await new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, this.dbVersion);
+        request.onupgradeneeded = () => {
+          if (!request.result.objectStoreNames.contains(STORE)) {
+            request.result.createObjectStore(STORE, { keyPath: 'id' });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error || new Error('unknown error'));
+      });
+      const saved = await this._request(this._store().getAll());
+      saved.forEach(bookmark => this.bookmarks.set(bookmark.id, bookmark));
+    } catch (e) {
+      this.db = null;
+      console.warn('⚠️ Bookmarks will not persist:', e.message);
+    }
+    this._notify();
+  }
+
+  _store(mode = 'readonly') {
+    return this.db.transaction([STORE], mode).objectStore(STORE);
+  }
+
+  _request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error || new Error('IndexedDB request failed'));
+    });
+  }
+
+  async _put(bookmark) {
+    this.bookmarks.set(bookmark.id, bookmark);
+    if (this.db) await this._request(this._store('readwrite').put(bookmark));
+  }
+
+  /**
+   * Saved bookmarks, oldest first (lecture order)
+   * @returns {Array<{id: string, name: string, createdAt: number, thumbnail: string|null, state: Object}>}
+   */
+  list() {
+    return [...this.bookmarks.values()].sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Current viewer state as stored in a bookmark
+   */
+  captureState() {
+    const { camera, controls } = this.renderer;
+    return {
+      ...this.anatomy.getViewState(),
+      colors: this.anatomy.getStructureColors(),
+      camera: { position: camera.position.toArray(), target: controls.target.toArray() }
+    };
+  }
+
+  /**
+   * Bookmark the current view
+   * @param {string} name - Defaults to "Vista N"
+   * @returns {Promise<Object>} The new bookmark
+   */
+  async save(name) {
+    const bookmark = {
+      id: this._newId(),
+      name: (name || '').trim() || `Vista ${this.bookmarks.size + 1}`,
+      createdAt: Date.now(),
+      thumbnail: this.renderer.captureThumbnail?.() || null,
+      state: this.captureState()
+    };
+    await this._put(bookmark);
+    this._notify();
+    console.log(`🔖 Bookmark saved: ${bookmark.name}`);
+    return bookmark;
+  }
+
+  /**
+   * Apply a bookmark: visibility and selection at once, the camera animated
+   * @returns {Object|null} The restored state
+   */
+  restore(id, { duration } = {}) {
+    const state = this.bookmarks.get(id)?.state;
+    if (!state) return null;
+    this.anatomy.applyViewState(state);
+    this.anatomy.setStructureColors(state.colors);
+    if (state.camera) this.zoom.flyTo(state.camera, { duration });
+    return state;
+  }
+
+  async rename(id, name) {
+    const bookmark = this.bookmarks.get(id);
+    if (!bookmark || !name?.trim()) return;
+    await this._put({ ...bookmark, name: name.trim() });
+    this._notify();
+  }
+
+  async remove(id) {
+    if (!this.bookmarks.delete(id)) return;
+    if (this.db) await this._request(this._store('readwrite').delete(id));
+    this._notify();
+  }
+
+  /**
+   * All bookmarks as a JSON document for sharing between machines
+   */
+  exportJSON() {
+    return JSON.stringify({
+      format: BOOKMARK_FORMAT,
+      version: FORMAT_VERSION,
+      exportedAt: new Date().toISOString(),
+      bookmarks: this.list()
+    }, null, 2);
+  }
+
+  /**
+   * Add the bookmarks from an exportJSON() document. Imported bookmarks get
+   * fresh ids, so importing the same file twice never overwrites anything.
+   * @returns {Promise<number>} Number of bookmarks imported
+   */
+  async importJSON(text) {
+    const data = typeof text === 'string' ? JSON.parse(text) : text;
+    if (data?.format !== BOOKMARK_FORMAT || !Array.isArray(data.bookmarks)) {
+      throw new Error('El archivo no contiene marcadores válidos');
+    }
+    const valid = data.bookmarks.filter(b => b && typeof b.name === 'string' && b.state && typeof b.state === 'object');
+    for (const [i, b] of valid.entries()) {
+      await this._put({
+        id: this._newId(),
+        name: b.name,
+        // Keep the imported order after the existing bookmarks
+        createdAt: Date.now() + i,
+        thumbnail: typeof b.thumbnail === 'string' ? b.thumbnail : null,
+        state: b.state
+      });
+    }
+    this._notify();
+    console.log(`🔖 Imported ${valid.length} bookmark(s)`);
+    return valid.length;
+  }
+
+  _newId() {
+    let id;
+    do id = `bm-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    while (this.bookmarks.has(id));
+    return id;
+  }
+
+  _notify() {
+    this.onChange?.(this.list());
+  }
+
+  close() {
+    this.db?.close();
+    this.db = null;
+  }
+}
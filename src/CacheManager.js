@@ -1,8 +1,427 @@
-// Minimal cache manager (placeholder for future IndexedDB/Cache Storage)
-export default class CacheManager{
-  constructor({ maxStorageSize } = {}){
-    this.maxStorageSize = maxStorageSize || 500*1024*1024;
+import CACHE_CONFIG from './config/cache-config.js';
+
+const STORES = {
+  model: 'models',
+  texture: 'textures',
+  metadata: 'metadata',
+  usage: 'usage'
+};
+
+// Resolutions ordered from lowest to highest; thresholds come from cache-config
+const RESOLUTION_ORDER = ['standard', 'medium', 'high', 'ultra'];
+
+/**
+ * CacheManager - Persistent IndexedDB cache for model binaries, textures and
+ * index/metadata JSON. Enforces the configured storage limits and evicts
+ * entries using the LRU weighting (recency vs. access count) in cache-config.
+ */
+export default class CacheManager {
+  constructor(options = {}) {
+    const { database, storage, lru } = CACHE_CONFIG;
+
+    this.dbName = options.dbName || database.name;
+    this.dbVersion = options.dbVersion || database.version;
+    this.maxStorageSize = options.maxStorageSize || storage.maxTotalSize;
+    this.maxTextureSize = options.maxTextureSize || storage.maxTextureSize;
+    this.maxModelSize = options.maxModelSize || storage.maxModelSize;
+    this.cleanupThreshold = options.cleanupThreshold || storage.cleanupThreshold;
+    this.lru = { ...lru, ...(options.lru || {}) };
+
+    this.db = null;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Open (and upgrade if needed) the IndexedDB database
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+    if (typeof indexedDB === 'undefined') {
+      throw new Error('Error opening IndexedDB: not supported in this environment');
+    }
+
+    this.db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, this.dbVersion);
+      request.onupgradeneeded = () => this._createStores(request.result);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(new Error(`Error opening IndexedDB: ${request.error?.message || 'unknown error'}`));
+    });
+    this.isInitialized = true;
+  }
+
+  /**
+   * Create object stores on first open / version upgrade
+   * @param {IDBDatabase} db
+   */
+  _createStores(db) {
+    if (!db.objectStoreNames.contains(STORES.model)) {
+      const models = db.createObjectStore(STORES.model, { keyPath: 'id' });
+      models.createIndex('systemType', 'systemType', { unique: false });
+    }
+    if (!db.objectStoreNames.contains(STORES.texture)) {
+      const textures = db.createObjectStore(STORES.texture, { keyPath: 'id' });
+      textures.createIndex('modelId', 'modelId', { unique: false });
+    }
+    if (!db.objectStoreNames.contains(STORES.metadata)) {
+      db.createObjectStore(STORES.metadata, { keyPath: 'id' });
+    }
+    if (!db.objectStoreNames.contains(STORES.usage)) {
+      const usage = db.createObjectStore(STORES.usage, { keyPath: 'key' });
+      usage.createIndex('lastAccessed', 'lastAccessed', { unique: false });
+    }
+  }
+
+  _store(name, mode = 'readonly') {
+    if (!this.db) throw new Error('CacheManager not initialized');
+    return this.db.transaction([name], mode).objectStore(name);
+  }
+
+  _request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error || new Error('IndexedDB request failed'));
+    });
+  }
+
+  /**
+   * Collect every value of a store with a cursor
+   * @param {string} storeName
+   * @returns {Promise<Array>}
+   */
+  _getAll(storeName) {
+    return new Promise((resolve, reject) => {
+      const values = [];
+      const request = this._store(storeName).openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return resolve(values);
+        values.push(cursor.value);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error || new Error('IndexedDB cursor failed'));
+    });
+  }
+
+  /**
+   * Store a model binary (e.g. a GLB ArrayBuffer)
+   * @param {string} modelId - Stable id (usually the asset path)
+   * @param {ArrayBuffer|Blob|Object} modelData - Model payload
+   * @param {string} systemType - Anatomical system the model belongs to
+   * @param {Object} metadata - Extra fields stored alongside (source, quality…)
+   * @returns {Promise<boolean>}
+   */
+  async cacheModel(modelId, modelData, systemType, metadata = {}) {
+    const size = this.calculateDataSize(modelData);
+    if (size > this.maxModelSize) {
+      throw new Error(`Model size ${size} exceeds maximum of ${this.maxModelSize} bytes`);
+    }
+
+    await this._ensureSpace(size);
+
+    const now = Date.now();
+    try {
+      await this._request(this._store(STORES.model, 'readwrite').put({
+        ...metadata,
+        id: modelId,
+        data: modelData,
+        systemType,
+        size,
+        cachedAt: now
+      }));
+    } catch (error) {
+      throw new Error(`Error caching model: ${error.message}`);
+    }
+
+    this._trackUsage(modelId, 'model', size);
+    return true;
+  }
+
+  /**
+   * @param {string} modelId
+   * @returns {Promise<*|null>} Cached payload or null on a miss
+   */
+  async getCachedModel(modelId) {
+    const record = await this._request(this._store(STORES.model).get(modelId));
+    if (!record) return null;
+    this._trackUsage(modelId, 'model', record.size);
+    return record.data;
+  }
+
+  /**
+   * Store a texture at a given resolution
+   * @param {string} textureId
+   * @param {ArrayBuffer|Blob} textureData
+   * @param {string} modelId - Owning model
+   * @param {string} resolution - One of standard|medium|high|ultra
+   * @param {Object} metadata - Extra fields stored alongside (source…)
+   * @returns {Promise<boolean>}
+   */
+  async cacheTexture(textureId, textureData, modelId, resolution = 'standard', metadata = {}) {
+    const size = this.calculateDataSize(textureData);
+    if (size > this.maxTextureSize) {
+      throw new Error(`Texture size ${size} exceeds maximum of ${this.maxTextureSize} bytes`);
+    }
+
+    await this._ensureSpace(size);
+
+    const id = this._textureKey(textureId, resolution);
+    try {
+      await this._request(this._store(STORES.texture, 'readwrite').put({
+        ...metadata,
+        id,
+        textureId,
+        modelId,
+        resolution,
+        data: textureData,
+        size,
+        cachedAt: Date.now()
+      }));
+    } catch (error) {
+      throw new Error(`Error caching texture: ${error.message}`);
+    }
+
+    this._trackUsage(id, 'texture', size);
+    return true;
+  }
+
+  /**
+   * Get the best cached texture for a zoom level. Tries the optimal
+   * resolution first, then lower ones, then higher ones.
+   * @param {string} textureId
+   * @param {number} zoomLevel
+   * @returns {Promise<Object|null>} Texture record ({ data, resolution, size… })
+   */
+  async getCachedTexture(textureId, zoomLevel = 1) {
+    const optimal = this.getOptimalResolution(zoomLevel);
+    const idx = RESOLUTION_ORDER.indexOf(optimal);
+    const candidates = [
+      optimal,
+      ...RESOLUTION_ORDER.slice(0, idx).reverse(),
+      ...RESOLUTION_ORDER.slice(idx + 1)
+    ];
+
+    for (const resolution of candidates) {
+      const id = this._textureKey(textureId, resolution);
+      const record = await this._request(this._store(STORES.texture).get(id));
+      if (record) {
+        this._trackUsage(id, 'texture', record.size);
+        return record;
+      }
+    }
+    return null;
+  }
+
+  _textureKey(textureId, resolution) {
+    return `${textureId}_${resolution}`;
+  }
+
+  /**
+   * Map a zoom level to a texture resolution using progressiveLoading.zoomThresholds
+   * @param {number} zoomLevel
+   * @returns {string}
+   */
+  getOptimalResolution(zoomLevel) {
+    const thresholds = CACHE_CONFIG.progressiveLoading.zoomThresholds;
+    let best = RESOLUTION_ORDER[0];
+    for (const resolution of RESOLUTION_ORDER) {
+      if (zoomLevel >= thresholds[resolution]) best = resolution;
+    }
+    return best;
+  }
+
+  /**
+   * Store JSON metadata such as a structure index
+   * @param {string} id
+   * @param {Object} data
+   * @returns {Promise<boolean>}
+   */
+  async cacheMetadata(id, data) {
+    const size = this.calculateDataSize(data);
+    try {
+      await this._request(this._store(STORES.metadata, 'readwrite').put({ id, data, size, cachedAt: Date.now() }));
+    } catch (error) {
+      throw new Error(`Error caching metadata: ${error.message}`);
+    }
+    this._trackUsage(id, 'metadata', size);
+    return true;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Object|null>}
+   */
+  async getCachedMetadata(id) {
+    const record = await this._request(this._store(STORES.metadata).get(id));
+    return record ? record.data : null;
+  }
+
+  /**
+   * Record an access for LRU scoring
+   * @param {string} itemId
+   * @param {string} type - model|texture|metadata
+   * @param {number} size - Size in bytes, kept so eviction can stop early
+   */
+  async updateUsageTracking(itemId, type, size) {
+    const key = `${type}:${itemId}`;
+    const existing = await this._request(this._store(STORES.usage).get(key));
+    await this._request(this._store(STORES.usage, 'readwrite').put({
+      key,
+      id: itemId,
+      type,
+      size: size ?? existing?.size ?? 0,
+      accessCount: (existing?.accessCount || 0) + 1,
+      lastAccessed: Date.now()
+    }));
+  }
+
+  // Usage bookkeeping must never fail or delay the read/write it belongs to
+  _trackUsage(itemId, type, size) {
+    this.updateUsageTracking(itemId, type, size).catch((e) => {
+      console.warn('CacheManager: usage tracking failed:', e?.message);
+    });
+  }
+
+  /**
+   * Size in bytes of a payload
+   * @param {ArrayBuffer|ArrayBufferView|Blob|string|Object} data
+   * @returns {number}
+   */
+  calculateDataSize(data) {
+    if (data == null) return 0;
+    if (data instanceof ArrayBuffer) return data.byteLength;
+    if (ArrayBuffer.isView(data)) return data.byteLength;
+    if (typeof Blob !== 'undefined' && data instanceof Blob) return data.size;
+    if (typeof data === 'string') return new Blob([data]).size;
+    try {
+      return new Blob([JSON.stringify(data)]).size;
+    } catch (e) {
+      return 0;
+    }
+  }
+
+  /**
+   * Total bytes held by models and textures
+   * @returns {Promise<number>}
+   */
+  async getCurrentStorageSize() {
+    let total = 0;
+    for (const storeName of [STORES.model, STORES.texture]) {
+      const values = await this._getAll(storeName);
+      total += values.reduce((sum, v) => sum + (v.size || 0), 0);
+    }
+    return total;
+  }
+
+  /**
+   * Evict before a write would push usage past cleanupThreshold
+   * @param {number} incomingSize
+   */
+  async _ensureSpace(incomingSize) {
+    try {
+      const current = await this.getCurrentStorageSize();
+      const limit = this.maxStorageSize * this.cleanupThreshold;
+      if (current + incomingSize > limit) {
+        await this.evictLeastValuable(current + incomingSize - limit);
+      }
+    } catch (e) {
+      // The browser still enforces its own quota; don't block the write
+      console.warn('CacheManager: space check failed:', e?.message);
+    }
+  }
+
+  /**
+   * LRU score in [0, 1]; lower means a better eviction candidate
+   * @param {Object} usage - Usage record
+   * @param {number} maxAccessCount - Highest access count across records
+   * @param {number} now
+   * @returns {number}
+   */
+  scoreEntry(usage, maxAccessCount, now = Date.now()) {
+    const age = now - (usage.lastAccessed || 0);
+    const recency = 1 - Math.min(age / this.lru.maxAge, 1);
+    const frequency = maxAccessCount > 0 ? (usage.accessCount || 0) / maxAccessCount : 0;
+    return this.lru.recencyWeight * recency + this.lru.accessCountWeight * frequency;
+  }
+
+  /**
+   * Remove lowest-scored models/textures until bytesToFree are released
+   * @param {number} bytesToFree
+   * @returns {Promise<number>} Bytes actually freed
+   */
+  async evictLeastValuable(bytesToFree) {
+    const usage = (await this._getAll(STORES.usage)).filter(u => u.type === 'model' || u.type === 'texture');
+    const maxAccessCount = usage.reduce((m, u) => Math.max(m, u.accessCount || 0), 0);
+    const now = Date.now();
+    usage.sort((a, b) => this.scoreEntry(a, maxAccessCount, now) - this.scoreEntry(b, maxAccessCount, now));
+
+    let freed = 0;
+    for (const entry of usage) {
+      if (freed >= bytesToFree) break;
+      await this.removeFromCache(entry.id, entry.type);
+      freed += entry.size || 0;
+    }
+    return freed;
+  }
+
+  /**
+   * Drop every entry not accessed within lru.maxAge
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async clearOldEntries() {
+    const cutoff = Date.now() - this.lru.maxAge;
+    const stale = (await this._getAll(STORES.usage)).filter(u => (u.lastAccessed || 0) < cutoff);
+    for (const entry of stale) {
+      await this.removeFromCache(entry.id, entry.type);
+    }
+    return stale.length;
+  }
+
+  /**
+   * @returns {Promise<Object>} Totals and usage percentage
+   */
+  async getCacheStats() {
+    const totalSize = await this.getCurrentStorageSize();
+    const modelCount = await this._request(this._store(STORES.model).count());
+    const textureCount = await this._request(this._store(STORES.texture).count());
+    return {
+      totalSize,
+      maxSize: this.maxStorageSize,
+      modelCount,
+      textureCount,
+      usagePercentage: Math.round((totalSize / this.maxStorageSize) * 100)
+    };
+  }
+
+  /**
+   * Empty every store
+   * @returns {Promise<boolean>}
+   */
+  async clearCache() {
+    for (const storeName of Object.values(STORES)) {
+      await this._request(this._store(storeName, 'readwrite').clear());
+    }
+    return true;
+  }
+
+  /**
+   * @param {string} itemId - Record id (texture ids include the resolution suffix)
+   * @param {string} type - model|texture|metadata
+   * @returns {Promise<boolean>}
+   */
+  async removeFromCache(itemId, type) {
+    const storeName = STORES[type];
+    if (!storeName || storeName === STORES.usage) {
+      throw new Error(`Unknown cache type: ${type}`);
+    }
+    await this._request(this._store(storeName, 'readwrite').delete(itemId));
+    await this._request(this._store(STORES.usage, 'readwrite').delete(`${type}:${itemId}`));
+    return true;
+  }
+
+  async close() {
+    this.db?.close();
+    this.db = null;
+    this.isInitialized = false;
   }
-  async initialize(){}
-  async close(){}
 }
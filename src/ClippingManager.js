@@ -0,0 +1,433 @@
+// ClippingManager - Movable clipping planes with capped cross-sections.
+// Planes live in model (root) space so they turn with the body; whenever the
+// body or a plane moves they are moved to world space and shared by all
+// structure materials, which selection, ghost and fade swaps may replace at
+// any time.
+import * as THREE from 'three';
+
+// Model-space presets (glTF convention: +Y up, body facing +Z). The normal
+// points at the part that stays, so each cut is seen from above, the left
+// or the front respectively.
+const PRESET_NORMALS = {
+  axial: [0, -1, 0],
+  sagittal: [-1, 0, 0],
+  coronal: [0, 0, -1]
+};
+
+export const PLANE_NAMES = {
+  axial: 'Axial',
+  sagittal: 'Sagital',
+  coronal: 'Coronal',
+  custom: 'Libre'
+};
+
+const Z_AXIS = new THREE.Vector3(0, 0, 1);
+
+export default class ClippingManager {
+  /**
+   * @param {AnatomicalRenderer} renderer - Provides scene, camera, root object and frame callbacks
+   * @param {AnatomyManager} anatomy - Source of the structure meshes to cap
+   * @param {Object} options - Clipping options
+   */
+  constructor(renderer, anatomy, options = {}) {
+    this.renderer = renderer;
+    this.anatomy = anatomy;
+    this.maxPlanes = options.maxPlanes ?? 4;
+    this.capColor = options.capColor ?? 0xb5443c; // sectioned muscle
+    this.gizmoColor = options.gizmoColor ?? 0xfacc15;
+    this.rotateSpeed = options.rotateSpeed ?? 0.01; // rad per dragged px
+
+    this.planes = []; // [{ id, type, localPlane, plane, object, gizmo, cap, stencilMaterials }]
+    this.worldPlanes = []; // shared by every clipped material, updated in place
+    this.gizmosVisible = true;
+    this.onChange = null; // (planes) => void, see getPlanes()
+
+    this._nextId = 1;
+    this._stencils = new Map(); // structure mesh -> { key, visible, helpers }
+    this._materials = new WeakMap(); // structure mesh -> material last clipped
+    this._dirty = false; // planes added or removed: redo every material and stencil
+    this._moved = false; // a plane was flipped or dragged
+    this._rootMatrix = new THREE.Matrix4();
+    this._box = new THREE.Box3();
+    this._drag = null;
+    this._modelCenter = new THREE.Vector3(); // root space
+    this._modelSize = 1;
+    this._inverse = new THREE.Matrix4();
+
+    this._unsubscribe = renderer.addFrameCallback?.(() => this.update(), { beforeRender: true }) || null;
+    this._onPointerDown = (e) => this._startDrag(e);
+    this._onPointerMove = (e) => this._moveDrag(e);
+    this._onPointerUp = () => this._endDrag();
+    // Capture phase, so a gizmo drag never reaches orbit controls or selection
+    renderer.renderer?.domElement.addEventListener('pointerdown', this._onPointerDown, true);
+  }
+
+  /**
+   * Add a clipping plane through the middle of the model
+   * @param {string} type - axial, sagittal, coronal or custom (faces the camera)
+   * @param {Object} [plane] - Explicit root-space plane: { normal: [x, y, z], constant }
+   * @returns {number|null} plane id, or null when the limit is reached
+   */
+  addPlane(type = 'axial', plane = null) {
+    const root = this.renderer.root;
+    if (!root || this.planes.length >= this.maxPlanes) return null;
+    this._measureModel();
+
+    const localPlane = new THREE.Plane();
+    if (plane) {
+      localPlane.set(new THREE.Vector3(...plane.normal).normalize(), plane.constant);
+    } else {
+      localPlane.setFromNormalAndCoplanarPoint(this._presetNormal(type), this._modelCenter);
+    }
+
+    const entry = {
+      id: this._nextId++,
+      type: PLANE_NAMES[type] ? type : 'custom',
+      localPlane,
+      plane: localPlane.clone()
+    };
+    this._createPlaneObject(entry);
+    this.planes.push(entry);
+    this._rebuild();
+    return entry.id;
+  }
+
+  removePlane(id) {
+    const entry = this.planes.find(p => p.id === id);
+    if (!entry) return;
+    this.planes.splice(this.planes.indexOf(entry), 1);
+    this._disposePlaneObject(entry);
+    this._rebuild();
+  }
+
+  clear() {
+    this.planes.forEach(entry => this._disposePlaneObject(entry));
+    this.planes = [];
+    this._rebuild();
+  }
+
+  /**
+   * Keep the other side of the cut
+   */
+  flipPlane(id) {
+    const entry = this.planes.find(p => p.id === id);
+    if (!entry) return;
+    entry.localPlane.negate();
+    this._moved = true;
+    this.update();
+    this._notify();
+  }
+
+  setGizmosVisible(visible) {
+    this.gizmosVisible = !!visible;
+    this.planes.forEach(entry => { entry.gizmo.visible = this.gizmosVisible; });
+  }
+
+  /**
+   * Plain descriptions of the active planes in root space
+   * @returns {Array<{ id: number, type: string, name: string, normal: number[], constant: number }>}
+   */
+  getPlanes() {
+    return this.planes.map(({ id, type, localPlane }) => ({
+      id,
+      type,
+      name: PLANE_NAMES[type],
+      normal: localPlane.normal.toArray(),
+      constant: localPlane.constant
+    }));
+  }
+
+  /**
+   * Keep planes, materials and caps in step with the scene. Runs before every
+   * render, but planes are only moved to world space when they or the model
+   * moved, and caps only rebuilt when planes or structure visibility changed.
+   */
+  update() {
+    const root = this.renderer.root;
+    if (!root || (!this.planes.length && !this._dirty)) return;
+    root.updateWorldMatrix(true, false);
+
+    const planesChanged = this._dirty || this._moved;
+    if (planesChanged || !this._rootMatrix.equals(root.matrixWorld)) {
+      this._rootMatrix.copy(root.matrixWorld);
+      const center = new THREE.Vector3();
+      this.planes.forEach(entry => {
+        entry.plane.copy(entry.localPlane).applyMatrix4(root.matrixWorld);
+        // The gizmo sits where the model centre projects onto the plane
+        entry.plane.projectPoint(center.copy(this._modelCenter).applyMatrix4(root.matrixWorld), entry.object.position);
+        entry.object.quaternion.setFromUnitVectors(Z_AXIS, entry.plane.normal);
+        entry.object.scale.setScalar(this._modelSize * root.getWorldScale(center).x);
+      });
+    }
+
+    // worldPlanes is updated in place, so materials only need it once
+    if (this._dirty) {
+      root.traverse(o => {
+        if (o.material && !o.userData.clippingHelper) this._clipMaterials(o);
+      });
+    }
+
+    // Selection, ghost and fade swap structure materials at any time, and
+    // structures loaded or shown after the planes were added need caps too
+    this.anatomy?.structures?.forEach(({ mesh }) => {
+      if (!mesh?.isMesh) return;
+      if (this._materials.get(mesh) !== mesh.material) this._clipMaterials(mesh);
+      if (this.planes.length && (planesChanged || this._stencils.get(mesh)?.visible !== mesh.visible)) {
+        this._updateStencils(mesh);
+      }
+    });
+    this._dirty = false;
+    this._moved = false;
+  }
+
+  _clipMaterials(mesh) {
+    [].concat(mesh.material).forEach(m => {
+      if (m.clippingPlanes !== this.worldPlanes) m.clippingPlanes = this.worldPlanes;
+    });
+    this._materials.set(mesh, mesh.material);
+  }
+
+  _presetNormal(type) {
+    if (PRESET_NORMALS[type]) return new THREE.Vector3(...PRESET_NORMALS[type]);
+    // Free planes face away from the viewer, cutting off the near half
+    const root = this.renderer.root;
+    root.updateWorldMatrix(true, false);
+    const direction = this.renderer.camera.getWorldDirection(new THREE.Vector3());
+    return direction.transformDirection(this._inverse.copy(root.matrixWorld).invert());
+  }
+
+  _measureModel() {
+    const root = this.renderer.root;
+    root.updateWorldMatrix(true, true);
+    const box = new THREE.Box3().setFromObject(root);
+    if (box.isEmpty()) return;
+    this._inverse.copy(root.matrixWorld).invert();
+    box.getCenter(this._modelCenter).applyMatrix4(this._inverse);
+    const size = box.getSize(new THREE.Vector3());
+    this._modelSize = Math.max(size.x, size.y, size.z) / root.getWorldScale(new THREE.Vector3()).x;
+  }
+
+  /**
+   * Cap, translate handle and rotate ring for a plane. Unit sized, facing +Z;
+   * update() scales it to the model.
+   */
+  _createPlaneObject(entry) {
+    const object = new THREE.Group();
+    object.userData.clippingHelper = true;
+
+    entry.cap = new THREE.Mesh(
+      new THREE.PlaneGeometry(1.5, 1.5),
+      new THREE.MeshStandardMaterial({
+        color: this.capColor,
+        roughness: 0.8,
+        side: THREE.DoubleSide,
+        // Only where the stencil pass counted an open section
+        stencilWrite: true,
+        stencilRef: 0,
+        stencilFunc: THREE.NotEqualStencilFunc,
+        stencilFail: THREE.ReplaceStencilOp,
+        stencilZFail: THREE.ReplaceStencilOp,
+        stencilZPass: THREE.ReplaceStencilOp
+      })
+    );
+    entry.cap.onAfterRender = (renderer) => renderer.clearStencil();
+    entry.cap.raycast = () => {};
+
+    const overlay = { color: this.gizmoColor, depthTest: false, transparent: true, opacity: 0.9 };
+    const gizmo = new THREE.Group();
+    const frame = new THREE.LineLoop(
+      new THREE.BufferGeometry().setFromPoints([[-0.5, -0.5], [0.5, -0.5], [0.5, 0.5], [-0.5, 0.5]].map(([x, y]) => new THREE.Vector3(x, y, 0))),
+      new THREE.LineBasicMaterial(overlay)
+    );
+    const shaft = new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3(0, 0, 0.2)]),
+      new THREE.LineBasicMaterial(overlay)
+    );
+    const handle = new THREE.Mesh(new THREE.ConeGeometry(0.03, 0.08, 16).rotateX(Math.PI / 2), new THREE.MeshBasicMaterial(overlay));
+    handle.position.z = 0.22;
+    handle.userData.clippingHandle = 'translate';
+    const ring = new THREE.Mesh(new THREE.TorusGeometry(0.35, 0.012, 8, 64), new THREE.MeshBasicMaterial(overlay));
+    ring.userData.clippingHandle = 'rotate';
+    gizmo.add(frame, shaft, handle, ring);
+    gizmo.traverse(o => { o.renderOrder = 999; });
+    gizmo.visible = this.gizmosVisible;
+
+    entry.gizmo = gizmo;
+    entry.object = object;
+    object.add(entry.cap, gizmo);
+    this.renderer.scene.add(object);
+
+    entry.stencilMaterials = [THREE.BackSide, THREE.FrontSide].map(side => new THREE.MeshBasicMaterial({
+      side,
+      clippingPlanes: [entry.plane],
+      depthWrite: false,
+      depthTest: false,
+      colorWrite: false,
+      stencilWrite: true,
+      stencilFunc: THREE.AlwaysStencilFunc,
+      // Back faces behind the cut minus front faces: non-zero inside a section
+      stencilFail: side === THREE.BackSide ? THREE.IncrementWrapStencilOp : THREE.DecrementWrapStencilOp,
+      stencilZFail: side === THREE.BackSide ? THREE.IncrementWrapStencilOp : THREE.DecrementWrapStencilOp,
+      stencilZPass: side === THREE.BackSide ? THREE.IncrementWrapStencilOp : THREE.DecrementWrapStencilOp
+    }));
+  }
+
+  _disposePlaneObject(entry) {
+    entry.object.removeFromParent();
+    entry.object.traverse(o => {
+      o.geometry?.dispose();
+      o.material?.dispose();
+    });
+    entry.stencilMaterials.forEach(m => m.dispose());
+  }
+
+  /**
+   * Plane order drives the stencil render order, so stencils are rebuilt
+   * whenever planes are added or removed
+   */
+  _rebuild() {
+    this._stencils.forEach(({ helpers }) => helpers.forEach(h => h.removeFromParent()));
+    this._stencils.clear();
+
+    this.worldPlanes.length = 0;
+    this.planes.forEach((entry, i) => {
+      this.worldPlanes.push(entry.plane);
+      // Each cap is cut by the other planes and drawn right after its stencil pass
+      entry.cap.material.clippingPlanes = this.planes.filter(p => p !== entry).map(p => p.plane);
+      entry.cap.renderOrder = i + 1.1;
+    });
+    this._dirty = true;
+    this.update();
+    this._notify();
+  }
+
+  /**
+   * Stencil passes for the planes that cut through a visible mesh. A mesh
+   * wholly on one side of a plane has no section to cap there.
+   */
+  _updateStencils(mesh) {
+    const cutBy = [];
+    if (mesh.visible) {
+      if (!mesh.geometry.boundingBox) mesh.geometry.computeBoundingBox();
+      mesh.updateWorldMatrix(true, false);
+      const box = this._box.copy(mesh.geometry.boundingBox).applyMatrix4(mesh.matrixWorld);
+      this.planes.forEach((entry, i) => { if (entry.plane.intersectsBox(box)) cutBy.push(i); });
+    }
+
+    const key = cutBy.join(',');
+    const current = this._stencils.get(mesh);
+    if (current?.key === key) {
+      current.visible = mesh.visible;
+      return;
+    }
+    current?.helpers.forEach(h => h.removeFromParent());
+
+    const helpers = [];
+    cutBy.forEach(i => {
+      this.planes[i].stencilMaterials.forEach(material => {
+        const helper = new THREE.Mesh(mesh.geometry, material);
+        helper.userData.clippingHelper = true;
+        helper.renderOrder = i + 1;
+        helper.raycast = () => {};
+        mesh.add(helper);
+        helpers.push(helper);
+      });
+    });
+    this._stencils.set(mesh, { key, visible: mesh.visible, helpers });
+  }
+
+  _startDrag(e) {
+    if (!this.gizmosVisible || !this.planes.length || e.button !== 0 || !this.renderer.raycasterAt) return;
+    this.update();
+    const handles = [];
+    this.planes.forEach(entry => entry.gizmo.traverse(o => o.userData.clippingHandle && handles.push(o)));
+    this.renderer.scene.updateMatrixWorld();
+    const hit = this.renderer.raycasterAt(e.clientX, e.clientY).intersectObjects(handles, false)[0];
+    if (!hit) return;
+
+    e.stopImmediatePropagation();
+    e.preventDefault();
+    const entry = this.planes.find(p => p.gizmo === hit.object.parent);
+    // The gizmo follows the plane, so distances are measured from where it started
+    const origin = entry.object.position.clone();
+    this._drag = {
+      entry,
+      mode: hit.object.userData.clippingHandle,
+      origin,
+      x: e.clientX,
+      y: e.clientY,
+      along: this._alongNormal(entry.plane.normal, origin, e.clientX, e.clientY)
+    };
+    if (this.renderer.controls) this.renderer.controls.enabled = false;
+    window.addEventListener('pointermove', this._onPointerMove);
+    window.addEventListener('pointerup', this._onPointerUp);
+    window.addEventListener('pointercancel', this._onPointerUp);
+  }
+
+  _moveDrag(e) {
+    const drag = this._drag;
+    if (!drag) return;
+    const { entry } = drag;
+    const root = this.renderer.root;
+    const world = entry.plane;
+    const center = entry.object.position.clone();
+
+    if (drag.mode === 'translate') {
+      const along = this._alongNormal(world.normal, drag.origin, e.clientX, e.clientY);
+      world.translate(world.normal.clone().multiplyScalar(along - drag.along));
+      drag.along = along;
+    } else {
+      // Tip the normal towards the drag direction, pivoting on the gizmo centre
+      const camera = this.renderer.camera;
+      const right = new THREE.Vector3().setFromMatrixColumn(camera.matrixWorld, 0);
+      const up = new THREE.Vector3().setFromMatrixColumn(camera.matrixWorld, 1);
+      const push = right.multiplyScalar(e.clientX - drag.x).addScaledVector(up, drag.y - e.clientY);
+      const axis = new THREE.Vector3().crossVectors(world.normal, push);
+      if (axis.lengthSq() > 0) {
+        const normal = world.normal.clone().applyAxisAngle(axis.normalize(), push.length() * this.rotateSpeed);
+        world.setFromNormalAndCoplanarPoint(normal, center);
+        if (entry.type !== 'custom') entry.type = 'custom';
+      }
+      drag.x = e.clientX;
+      drag.y = e.clientY;
+    }
+
+    entry.localPlane.copy(world).applyMatrix4(this._inverse.copy(root.matrixWorld).invert());
+    this._moved = true;
+    this.update();
+  }
+
+  _endDrag() {
+    if (!this._drag) return;
+    this._drag = null;
+    if (this.renderer.controls) this.renderer.controls.enabled = true;
+    window.removeEventListener('pointermove', this._onPointerMove);
+    window.removeEventListener('pointerup', this._onPointerUp);
+    window.removeEventListener('pointercancel', this._onPointerUp);
+    this._notify();
+  }
+
+  /**
+   * Position on the line `origin + t * normal` closest to the pointer ray
+   */
+  _alongNormal(normal, origin, clientX, clientY) {
+    const { ray } = this.renderer.raycasterAt(clientX, clientY);
+    const offset = ray.origin.clone().sub(origin);
+    const b = ray.direction.dot(normal);
+    const denominator = 1 - b * b;
+    // Dragging straight along the view direction gives no depth information
+    if (denominator < 1e-6) return this._drag?.along ?? 0;
+    return (offset.dot(normal) - b * offset.dot(ray.direction)) / denominator;
+  }
+
+  _notify() {
+    this.onChange?.(this.getPlanes());
+  }
+
+  dispose() {
+    this._endDrag();
+    this._unsubscribe?.();
+    this.renderer.renderer?.domElement.removeEventListener('pointerdown', this._onPointerDown, true);
+    this.clear();
+  }
+}
@@ -0,0 +1,180 @@
+// ColorSchemeManager - Colours every structure by region, depth layer, system
+// or a user-imported palette and describes the result as a legend. Schemes
+// only change material colours through AnatomyManager.setSchemeColors, so
+// switching back to 'original' restores the materials the model shipped with.
+import * as THREE from 'three';
+import { REGION_NAMES, regionOf } from './utils/regions.js';
+
+export const PALETTE_FORMAT = 'musculos3d-palette';
+const PALETTE_STORAGE_KEY = 'musculos3d-palette';
+
+export const COLOR_SCHEMES = {
+  original: 'Material original',
+  region: 'Región',
+  layer: 'Capa',
+  system: 'Sistema',
+  palette: 'Paleta importada'
+};
+
+const REGION_COLORS = {
+  head_neck: '#f59e0b',
+  torso: '#ef4444',
+  upper_limb: '#3b82f6',
+  lower_limb: '#22c55e',
+  unknown: '#9ca3af'
+};
+
+export default class ColorSchemeManager {
+  /**
+   * @param {Object} viewer
+   * @param {AnatomyManager} viewer.anatomy - Structures to colour
+   * @param {Object} options - { storage }
+   */
+  constructor({ anatomy }, options = {}) {
+    this.anatomy = anatomy;
+    this.storage = options.storage !== undefined ? options.storage : (typeof localStorage !== 'undefined' ? localStorage : null);
+    this.mode = 'original';
+    this.palette = this._loadPalette(); // { name, groups: [{ label, color, structures }] }
+    this.legend = null;
+    this.onChange = null; // (legend|null) => void, see getLegend()
+  }
+
+  /**
+   * Switch the colouring scheme
+   * @param {string} mode - Key of COLOR_SCHEMES
+   * @returns {Object|null} The legend, see getLegend()
+   */
+  setMode(mode) {
+    if (!COLOR_SCHEMES[mode]) throw new Error(`Esquema de color desconocido: ${mode}`);
+    if (mode === 'palette' && !this.palette) throw new Error('Importa una paleta primero');
+    this.mode = mode;
+    return this.refresh();
+  }
+
+  /**
+   * Recolour with the current scheme, e.g. after structures were added
+   */
+  refresh() {
+    const groups = this._groups();
+    const colors = {};
+    groups?.forEach(group => group.structures.forEach(id => { colors[id] = group.color; }));
+    this.anatomy.setSchemeColors(groups ? colors : null);
+    this.legend = groups && {
+      mode: this.mode,
+      title: this.mode === 'palette' ? this.palette.name : COLOR_SCHEMES[this.mode],
+      entries: groups
+        .filter(group => group.structures.length)
+        .map(({ label, color, structures }) => ({ label, color, count: structures.length }))
+    };
+    if (this.mode !== 'original') console.log(`🎨 Colour scheme: ${this.mode}`);
+    this.onChange?.(this.legend);
+    return this.legend;
+  }
+
+  /**
+   * Legend of the scheme in use, null with the original materials
+   * @returns {{mode: string, title: string, entries: Array<{label: string, color: string, count: number}>}|null}
+   */
+  getLegend() {
+    return this.legend;
+  }
+
+  /**
+   * Load a palette document and switch to it:
+   * { format: 'musculos3d-palette', name, groups: [{ label, color, structures: [refs] }] }
+   * where refs are anything AnatomyManager.resolveStructureRefs accepts
+   * @returns {Object|null} The legend
+   */
+  importPalette(text) {
+    const data = typeof text === 'string' ? JSON.parse(text) : text;
+    const palette = this._validPalette(data);
+    if (!palette) throw new Error('El archivo no contiene una paleta válida');
+    this.palette = palette;
+    try {
+      this.storage?.setItem(PALETTE_STORAGE_KEY, JSON.stringify(palette));
+    } catch (e) {
+      console.warn('⚠️ Palette not saved:', e.message);
+    }
+    return this.setMode('palette');
+  }
+
+  /**
+   * Current scheme as [{ label, color, structures: ids }], null for 'original'
+   */
+  _groups() {
+    const structures = [...this.anatomy.structures.entries()].filter(([, s]) => s.mesh);
+    const byKey = (keyOf, describe, order) => {
+      const groups = new Map();
+      structures.forEach(([id, structure]) => {
+        const key = keyOf(structure);
+        if (!groups.has(key)) groups.set(key, { ...describe(key), structures: [] });
+        groups.get(key).structures.push(id);
+      });
+      return [...groups.entries()].sort(([a], [b]) => order(a) - order(b)).map(([, group]) => group);
+    };
+
+    switch (this.mode) {
+      case 'region': {
+        const regions = [...Object.keys(REGION_NAMES), 'unknown'];
+        return byKey(
+          s => regionOf(s),
+          region => ({ label: REGION_NAMES[region] || 'Sin región', color: REGION_COLORS[region] }),
+          region => regions.indexOf(region)
+        );
+      }
+      case 'layer': {
+        const deepest = Math.max(1, this.anatomy.getLayerCount() - 1);
+        return byKey(
+          s => (Number.isFinite(s.mesh.userData?.layer) ? s.mesh.userData.layer : 0),
+          layer => ({
+            label: layer === 0 ? 'Capa 0 (superficial)' : `Capa ${layer}`,
+            // Warm superficial layers, cool deep ones
+            color: `#${new THREE.Color().setHSL((layer / deepest) * 0.6, 0.7, 0.5).getHexString()}`
+          }),
+          layer => layer
+        );
+      }
+      case 'system': {
+        const systems = [...this.anatomy.systems.keys()];
+        return byKey(
+          s => s.system,
+          system => {
+            const info = this.anatomy.systems.get(system);
+            return { label: info?.name || system, color: info?.color || REGION_COLORS.unknown };
+          },
+          system => systems.indexOf(system)
+        );
+      }
+      case 'palette':
+        return this.palette.groups.map(({ label, color, structures: refs }) => ({
+          label,
+          color,
+          structures: this.anatomy.resolveStructureRefs(refs)
+        }));
+      default:
+        return null;
+    }
+  }
+
+  _validPalette(data) {
+    if (data?.format !== PALETTE_FORMAT || !Array.isArray(data.groups)) return null;
+    const groups = data.groups.filter(group =>
+      typeof group?.label === 'string' && /^#[0-9a-f]{6}$/i.test(group.color) &&
+      Array.isArray(group.structures) && group.structures.every(ref => typeof ref === 'string')
+    );
+    if (!groups.length) return null;
+    return {
+      name: typeof data.name === 'string' && data.name ? data.name : COLOR_SCHEMES.palette,
+      groups: groups.map(({ label, color, structures }) => ({ label, color, structures }))
+    };
+  }
+
+  _loadPalette() {
+    try {
+      return this._validPalette({ format: PALETTE_FORMAT, ...JSON.parse(this.storage?.getItem(PALETTE_STORAGE_KEY) || 'null') });
+    } catch (e) {
+      return null;
+    }
+  }
+}
+
@@ -1,51 +1,259 @@
-// Wires DOM pointer events to renderer picking and anatomy selection
+// Wires DOM pointer events to renderer picking and anatomy selection.
+// Mouse, pen and touch share one Pointer Events path: a press only counts as
+// a click/tap when it stays within the movement and time thresholds, so
+// orbit drags never touch the selection.
 export default class InteractionController {
-  constructor(renderer, anatomy, ui){
+  constructor(renderer, anatomy, ui, options = {}){
     this.renderer = renderer;
     this.anatomy = anatomy;
     this.ui = ui;
+    this.onFocus = null; // (structureIds) => frame the camera on them
+    this.viewCube = null; // { pickView(x, y), setView(view) } drawn over the scene
+    this.onVisibilityChange = null; // () => after context-menu isolate/hide
+    this.pickHandler = null; // (structureId|null, clientX, clientY) => true to consume the tap (quiz, pins)
+    this.showHoverNames = true; // off while names are the question
+
+    this.clickTolerance = options.clickTolerance ?? 6;       // px a click may wander
+    this.clickMaxDuration = options.clickMaxDuration ?? 500; // ms before a press stops being a click
+    this.doubleTapInterval = options.doubleTapInterval ?? 300;
+    this.longPressDelay = options.longPressDelay ?? 550;
+
+    // Hover raycasts run at most once per interval, on the latest pointer position
+    this.hoverInterval = options.hoverInterval ?? 60;
+    // Devices whose primary pointer cannot hover (phones, tablets) get no hover feedback
+    this.hoverEnabled = options.hover ?? !window.matchMedia?.('(hover: none)').matches;
+    this._hoverPoint = null;
+    this._hoverTimer = null;
+    this._lastHoverPick = -Infinity;
+    this._hoveredId = null;
+
+    this._pointers = new Set(); // active pointer ids, to spot pinch gestures
+    this._gesture = null;
+    this._lastTap = null;
+    this._controlsListeners = new Set(); // unsubscribers from onControlsChange()
 
     const dom = renderer.renderer.domElement;
-    dom.addEventListener('pointerdown', (e)=> this._onPointer(e));
-    dom.addEventListener('touchstart', (e)=> this._onTouch(e));
+    this._listeners = {
+      pointerdown: (e)=> this._onPointerDown(e),
+      pointermove: (e)=> this._onPointerMove(e),
+      pointerup: (e)=> this._onPointerUp(e),
+      pointercancel: (e)=> this._onPointerCancel(e),
+      pointerleave: ()=> this._clearHover(),
+      // The viewer has its own context menu
+      contextmenu: (e)=> e.preventDefault()
+    };
+    Object.entries(this._listeners).forEach(([type, listener]) => dom.addEventListener(type, listener));
   }
 
-  _onPointer(e){
-    const obj = this.renderer.pick(e.clientX, e.clientY);
-    if (!obj) {
-      this.anatomy.clearSelection?.();
-      this.ui?.hideHud();
+  _onPointerDown(e){
+    this._pointers.add(e.pointerId);
+    this.ui?.hideContextMenu?.();
+    // A second finger turns the gesture into a pinch/pan
+    if (this._pointers.size > 1) return this._cancelGesture();
+
+    this._cancelGesture();
+    const gesture = {
+      pointerId: e.pointerId,
+      pointerType: e.pointerType,
+      button: e.button,
+      // Shift/Ctrl (Cmd on macOS) adds to or removes from the current selection
+      additive: e.shiftKey || e.ctrlKey || e.metaKey,
+      x: e.clientX,
+      y: e.clientY,
+      start: performance.now(),
+      moved: false,
+      consumed: false,
+      longPressTimer: null
+    };
+    if (e.pointerType === 'touch') {
+      gesture.longPressTimer = setTimeout(() => {
+        gesture.consumed = true;
+        this._openContextMenu(gesture.x, gesture.y);
+      }, this.longPressDelay);
+    }
+    this._gesture = gesture;
+  }
+
+  _onPointerMove(e){
+    const gesture = this._gesture;
+    if (gesture && gesture.pointerId === e.pointerId && !gesture.moved &&
+        Math.hypot(e.clientX - gesture.x, e.clientY - gesture.y) > this.clickTolerance) {
+      gesture.moved = true;
+      clearTimeout(gesture.longPressTimer);
+    }
+
+    // No hover while orbiting/panning or for touch input
+    if (!this.hoverEnabled || e.pointerType === 'touch' || e.buttons) {
+      this._clearHover();
       return;
     }
+    this._hoverPoint = { x: e.clientX, y: e.clientY };
+    if (this._hoveredId) this.ui?.moveTooltip?.(e.clientX, e.clientY);
+    if (this._hoverTimer) return;
 
-    // Prefer canonicalName -> selectStructure (string id)
-    const id = obj.userData?.canonicalName || obj.userData?.name || obj.name;
-    if (id && this.anatomy.selectStructure) {
-      this.anatomy.selectStructure(id);
-    } else {
-      this.anatomy.highlight(obj);
+    const wait = Math.max(0, this._lastHoverPick + this.hoverInterval - performance.now());
+    this._hoverTimer = setTimeout(() => {
+      this._hoverTimer = null;
+      this._lastHoverPick = performance.now();
+      if (this._hoverPoint) this._hoverAt(this._hoverPoint.x, this._hoverPoint.y);
+    }, wait);
+  }
+
+  _onPointerUp(e){
+    this._pointers.delete(e.pointerId);
+    const gesture = this._gesture;
+    if (!gesture || gesture.pointerId !== e.pointerId) return;
+    this._cancelGesture();
+
+    const isClick = !gesture.moved && !gesture.consumed && performance.now() - gesture.start <= this.clickMaxDuration;
+    if (!isClick) return;
+    if (gesture.button === 2) this._openContextMenu(gesture.x, gesture.y);
+    else if (gesture.button === 0) this._onTap(gesture.x, gesture.y, gesture.additive);
+  }
+
+  _onPointerCancel(e){
+    this._pointers.delete(e.pointerId);
+    this._cancelGesture();
+  }
+
+  _cancelGesture(){
+    clearTimeout(this._gesture?.longPressTimer);
+    this._gesture = null;
+  }
+
+  _onTap(clientX, clientY, additive){
+    const view = this.viewCube?.pickView(clientX, clientY);
+    if (view) return this.viewCube.setView(view);
+    // One raycast serves both the pick handler and the selection
+    const obj = this._objectAt(clientX, clientY);
+    if (this.pickHandler?.(this._structureIdOf(obj), clientX, clientY)) return;
+
+    const now = performance.now();
+    const last = this._lastTap;
+    const isDouble = !additive && last && now - last.time <= this.doubleTapInterval &&
+      Math.hypot(clientX - last.x, clientY - last.y) <= this.clickTolerance * 2;
+    // A double tap must not chain into a triple
+    this._lastTap = isDouble ? null : { time: now, x: clientX, y: clientY };
+
+    const id = this._pickAt(obj, additive);
+    if (isDouble && id) this.onFocus?.([id]);
+  }
+
+  /**
+   * Right-click / long-press actions on the structure under the pointer.
+   * The structure joins the selection first, so the actions act on it.
+   */
+  _openContextMenu(clientX, clientY){
+    const id = this._structureIdAt(clientX, clientY);
+    if (!id) return;
+    if (!this.anatomy.selection.has(id)) this.anatomy.selection.replace([id]);
+
+    this._clearHover();
+    this.ui?.showContextMenu?.([
+      { label: 'Información', action: () => this.ui.updateStructureInfo?.(this.anatomy.getStructureInfo(id)) },
+      { label: 'Enfocar', action: () => this.onFocus?.(this.anatomy.selection.list()) },
+      { label: 'Aislar', action: () => { this.anatomy.isolateSelection(); this.onVisibilityChange?.(); } },
+      { label: 'Ocultar', action: () => { this.anatomy.hideSelection(); this.onVisibilityChange?.(); } }
+    ], clientX, clientY);
+  }
+
+  _hoverAt(clientX, clientY){
+    // The view cube covers the scene in its corner. Hover runs while the
+    // pointer moves, so it only looks for the nearest hit.
+    const hit = this.viewCube?.pickView(clientX, clientY)
+      ? null
+      : this.renderer.pickFirst(clientX, clientY, (object) => !this.anatomy.isGhosted?.(object));
+    const id = this._structureIdOf(hit?.object);
+    if (!id) return this._clearHover(false);
+
+    if (id !== this._hoveredId) {
+      this._hoveredId = id;
+      this.anatomy.setHoveredStructure?.(id);
+    }
+    if (!this.showHoverNames) return;
+    const name = this.anatomy.structures.get(id)?.name || id;
+    this.ui?.showTooltip?.(name, clientX, clientY);
+  }
+
+  _clearHover(resetPoint = true){
+    if (resetPoint) {
+      this._hoverPoint = null;
+      clearTimeout(this._hoverTimer);
+      this._hoverTimer = null;
     }
+    if (!this._hoveredId) return;
+    this._hoveredId = null;
+    this.anatomy.setHoveredStructure?.(null);
+    this.ui?.hideTooltip?.();
+  }
+
+  _objectAt(clientX, clientY){
+    const hits = this.renderer.pickAll(clientX, clientY);
+    // Let the anatomy prefer focused structures over ghosts in front of them
+    return this.anatomy.resolvePick ? this.anatomy.resolvePick(hits) : hits[0]?.object || null;
+  }
+
+  _structureIdAt(clientX, clientY){
+    return this._structureIdOf(this._objectAt(clientX, clientY));
+  }
 
-    this.ui?.showHud(`${obj.userData?.originalName || obj.userData?.name || obj.name || 'Estructura'}`);
+  _structureIdOf(obj){
+    const id = obj && (obj.userData?.canonicalName || obj.userData?.name || obj.name);
+    return id && this.anatomy.structures?.has(id) ? id : null;
   }
 
-  _onTouch(e){
-    const t = e.touches[0];
-    if (!t) return;
-    const obj = this.renderer.pick(t.clientX, t.clientY);
+  /**
+   * Select the object under the pointer
+   * @param {THREE.Object3D|null} obj - From _objectAt()
+   * @returns {string|null} Picked structure id
+   */
+  _pickAt(obj, additive){
     if (!obj) {
-      this.anatomy.clearSelection?.();
-      this.ui?.hideHud();
-      return;
+      // Clicking empty space with a modifier keeps the group intact
+      if (!additive) this.anatomy.clearSelection?.();
+      return null;
     }
 
+    // Prefer canonicalName -> selection (string id)
     const id = obj.userData?.canonicalName || obj.userData?.name || obj.name;
+    const selection = this.anatomy.selection;
+    if (id && selection && this.anatomy.structures?.has(id)) {
+      if (additive) selection.toggle(id);
+      else selection.replace([id]);
+      return id;
+    }
     if (id && this.anatomy.selectStructure) {
       this.anatomy.selectStructure(id);
     } else {
       this.anatomy.highlight(obj);
     }
+    return null;
+  }
+
+  /**
+   * Follow orbit/zoom changes of the camera
+   * @param {Function} callback - Receives { distance } from the camera to the orbit target
+   * @returns {Function} Unsubscribe function
+   */
+  onControlsChange(callback){
+    const controls = this.renderer.controls;
+    if (!controls) return () => {};
+    const listener = () => callback({ distance: this.renderer.camera.position.distanceTo(controls.target) });
+    controls.addEventListener('change', listener);
+    const off = () => {
+      controls.removeEventListener('change', listener);
+      this._controlsListeners.delete(off);
+    };
+    this._controlsListeners.add(off);
+    return off;
+  }
 
-    this.ui?.showHud(`${obj.userData?.originalName || obj.userData?.name || obj.name || 'Estructura'}`);
+  dispose(){
+    this._clearHover();
+    this._cancelGesture();
+    this.ui?.hideContextMenu?.();
+    this._controlsListeners.forEach(off => off());
+    const dom = this.renderer.renderer.domElement;
+    Object.entries(this._listeners).forEach(([type, listener]) => dom.removeEventListener(type, listener));
   }
 }
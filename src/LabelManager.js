@@ -0,0 +1,319 @@
+// LabelManager - Pooled screen-space labels with leader lines for anatomical structures
+import * as THREE from 'three';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+export default class LabelManager {
+  /**
+   * @param {AnatomicalRenderer} renderer - Provides camera, root object and frame callbacks
+   * @param {AnatomyManager} anatomy - Source of registered structures and current selection
+   * @param {Object} options - Label options
+   */
+  constructor(renderer, anatomy, options = {}) {
+    this.renderer = renderer;
+    this.anatomy = anatomy;
+    this.maxLabels = options.maxLabels ?? 24;
+    this.leaderLength = options.leaderLength ?? 42;
+    this.occludedOpacity = options.occludedOpacity ?? 0.25;
+    this.refreshInterval = options.refreshInterval ?? 200; // ms between candidate re-ranking
+    this.occlusionChecksPerFrame = options.occlusionChecksPerFrame ?? 4;
+    this.padding = options.padding ?? 4;
+
+    this.enabled = false;
+    this.container = null;
+    this.svg = null;
+    this.pool = []; // { el, line, mesh, width, height } - never grows past maxLabels
+    this.active = []; // [{ structure, mesh }] ranked by priority
+    this.anchors = new WeakMap(); // mesh -> local bounding-box centre
+    this.occluded = new WeakMap(); // mesh -> boolean
+
+    this._raycaster = new THREE.Raycaster();
+    this._anchor = new THREE.Vector3();
+    this._dir = new THREE.Vector3();
+    this._occlusionCursor = 0;
+    this._lastRefresh = -Infinity;
+    this._unsubscribe = null;
+  }
+
+  setEnabled(enabled) {
+    this.enabled = !!enabled;
+
+    if (this.enabled) {
+      this._ensureOverlay();
+      this.container.style.display = 'block';
+      this._lastRefresh = -Infinity;
+      if (!this._unsubscribe) {
+        this._unsubscribe = this.renderer.addFrameCallback?.(() => this.update()) || null;
+      }
+      this.update();
+      return;
+    }
+
+    this._unsubscribe?.();
+    this._unsubscribe = null;
+    this.active = [];
+    this.pool.forEach(slot => this._hideSlot(slot));
+    if (this.container) this.container.style.display = 'none';
+  }
+
+  /**
+   * Per-frame update: re-rank candidates periodically, check a few occlusions,
+   * then position every pooled label
+   */
+  update() {
+    if (!this.enabled || !this.container || !this.renderer.camera) return;
+
+    const rect = this._syncOverlay();
+    const now = performance.now();
+    if (now - this._lastRefresh >= this.refreshInterval) {
+      this._refreshCandidates(rect);
+      this._lastRefresh = now;
+    }
+
+    this._checkOcclusion();
+    this._layout(rect);
+  }
+
+  getLabelText(structure) {
+    const data = structure.mesh?.userData || {};
+    return data.label || data.originalName || structure.name || structure.id;
+  }
+
+  _ensureOverlay() {
+    if (this.container) return;
+
+    this.container = document.createElement('div');
+    this.container.className = 'anatomy-labels';
+    this.container.style.cssText = `
+      position: fixed;
+      left: 0;
+      top: 0;
+      pointer-events: none;
+      overflow: hidden;
+      z-index: 5;
+    `;
+
+    this.svg = document.createElementNS(SVG_NS, 'svg');
+    this.svg.style.cssText = 'position:absolute;left:0;top:0;width:100%;height:100%;overflow:visible;';
+    this.container.appendChild(this.svg);
+
+    const canvas = this.renderer.renderer?.domElement || this.renderer.canvas;
+    (canvas?.parentElement || document.body).appendChild(this.container);
+  }
+
+  _syncOverlay() {
+    const canvas = this.renderer.renderer?.domElement || this.renderer.canvas;
+    const rect = canvas?.getBoundingClientRect?.() || { left: 0, top: 0, width: window.innerWidth, height: window.innerHeight };
+    const style = this.container.style;
+    style.left = `${rect.left}px`;
+    style.top = `${rect.top}px`;
+    style.width = `${rect.width}px`;
+    style.height = `${rect.height}px`;
+    return rect;
+  }
+
+  _acquire(index) {
+    if (this.pool[index]) return this.pool[index];
+
+    const el = document.createElement('div');
+    el.className = 'anatomy-label';
+    el.style.cssText = `
+      position: absolute;
+      left: 0;
+      top: 0;
+      display: none;
+      padding: 2px 6px;
+      font: 12px/1.3 system-ui, sans-serif;
+      color: #f8fafc;
+      background: rgba(15, 23, 42, 0.78);
+      border: 1px solid rgba(34, 211, 238, 0.6);
+      border-radius: 4px;
+      white-space: nowrap;
+      transition: opacity .25s ease;
+      will-change: transform, opacity;
+    `;
+    this.container.appendChild(el);
+
+    const line = document.createElementNS(SVG_NS, 'line');
+    line.setAttribute('stroke', 'rgba(34, 211, 238, 0.8)');
+    line.setAttribute('stroke-width', '1');
+    line.style.display = 'none';
+    line.style.transition = 'opacity .25s ease';
+    this.svg.appendChild(line);
+
+    const slot = { el, line, mesh: null, width: 0, height: 0 };
+    this.pool[index] = slot;
+    return slot;
+  }
+
+  _assign(slot, entry) {
+    slot.el.style.display = 'block';
+    slot.line.style.display = '';
+    if (slot.mesh === entry.mesh) return;
+
+    slot.mesh = entry.mesh;
+    slot.el.textContent = this.getLabelText(entry.structure);
+    // Measure once per assignment rather than every frame
+    slot.width = slot.el.offsetWidth;
+    slot.height = slot.el.offsetHeight;
+  }
+
+  _hideSlot(slot) {
+    slot.el.style.display = 'none';
+    slot.line.style.display = 'none';
+  }
+
+  _isShown(object) {
+    for (let o = object; o; o = o.parent) {
+      if (!o.visible) return false;
+    }
+    return true;
+  }
+
+  /**
+   * World-space centre of the mesh bounding box; the local centre is cached per mesh
+   */
+  _anchorWorld(mesh, target) {
+    let local = this.anchors.get(mesh);
+    if (!local) {
+      const geometry = mesh.geometry;
+      if (!geometry) return null;
+      if (!geometry.boundingBox) geometry.computeBoundingBox();
+      local = geometry.boundingBox.getCenter(new THREE.Vector3());
+      this.anchors.set(mesh, local);
+    }
+    return target.copy(local).applyMatrix4(mesh.matrixWorld);
+  }
+
+  _project(mesh, rect) {
+    const anchor = this._anchorWorld(mesh, this._anchor);
+    if (!anchor) return null;
+
+    const ndc = anchor.project(this.renderer.camera);
+    if (ndc.z < -1 || ndc.z > 1 || Math.abs(ndc.x) > 1 || Math.abs(ndc.y) > 1) return null;
+
+    return {
+      x: (ndc.x + 1) / 2 * rect.width,
+      y: (1 - ndc.y) / 2 * rect.height
+    };
+  }
+
+  _refreshCandidates(rect) {
+    const camera = this.renderer.camera;
+    const selection = this.anatomy.selection;
+    const isSelected = (structure) => selection ? selection.has(structure.id) : this.anatomy.selectedStructure === structure;
+    const cx = rect.width / 2, cy = rect.height / 2;
+    const diagonal = Math.hypot(cx, cy) || 1;
+    const scored = [];
+
+    this.anatomy.structures.forEach(structure => {
+      const mesh = structure.mesh;
+      if (!mesh || !this._isShown(mesh)) return;
+
+      const p = this._project(mesh, rect);
+      if (!p) return;
+
+      let score;
+      if (isSelected(structure)) {
+        score = Infinity;
+      } else {
+        // Favour large structures near the middle of the viewport
+        const geometry = mesh.geometry;
+        if (!geometry.boundingSphere) geometry.computeBoundingSphere();
+        const radius = geometry.boundingSphere.radius * mesh.matrixWorld.getMaxScaleOnAxis();
+        const distance = Math.max(1e-3, this._anchorWorld(mesh, this._dir).distanceTo(camera.position));
+        const centrality = 1 - Math.hypot(p.x - cx, p.y - cy) / diagonal;
+        score = (radius / distance) * centrality;
+      }
+      scored.push({ structure, mesh, score });
+    });
+
+    scored.sort((a, b) => b.score - a.score);
+    this.active = scored.slice(0, this.maxLabels);
+    this._occlusionCursor = 0;
+  }
+
+  /**
+   * Raycast from the camera to a few anchors per frame; a structure is occluded
+   * when another visible mesh is hit before its own surface
+   */
+  _checkOcclusion() {
+    const count = this.active.length;
+    const root = this.renderer.root;
+    if (!count || !root) return;
+
+    const origin = this.renderer.camera.position;
+    const checks = Math.min(this.occlusionChecksPerFrame, count);
+
+    for (let i = 0; i < checks; i++) {
+      const { mesh } = this.active[this._occlusionCursor];
+      this._occlusionCursor = (this._occlusionCursor + 1) % count;
+
+      const anchor = this._anchorWorld(mesh, this._anchor);
+      if (!anchor) continue;
+      this._dir.copy(anchor).sub(origin);
+      const distance = this._dir.length();
+      this._raycaster.set(origin, this._dir.normalize());
+      this._raycaster.far = distance;
+
+      // Ghosted (x-ray) structures are see-through and do not hide labels
+      const hit = this._raycaster.intersectObject(root, true)
+        .find(h => this._isShown(h.object) && !this.anatomy.isGhosted?.(h.object));
+      this.occluded.set(mesh, !!hit && hit.object !== mesh);
+    }
+  }
+
+  _layout(rect) {
+    const placed = [];
+    const cx = rect.width / 2, cy = rect.height / 2;
+
+    this.active.forEach((entry, index) => {
+      const slot = this._acquire(index);
+      const p = this._isShown(entry.mesh) ? this._project(entry.mesh, rect) : null;
+      if (!p) return this._hideSlot(slot);
+
+      this._assign(slot, entry);
+
+      // Push labels away from the viewport centre so leader lines fan outwards
+      let dx = p.x - cx, dy = p.y - cy;
+      const length = Math.hypot(dx, dy);
+      if (length < 1) { dx = 0; dy = -1; } else { dx /= length; dy /= length; }
+      const lx = p.x + dx * this.leaderLength;
+      const ly = p.y + dy * this.leaderLength;
+      const left = dx >= 0 ? lx : lx - slot.width;
+      const top = ly - slot.height / 2;
+
+      const box = {
+        left: left - this.padding,
+        top: top - this.padding,
+        right: left + slot.width + this.padding,
+        bottom: top + slot.height + this.padding
+      };
+      const overlaps = placed.some(b => box.left < b.right && box.right > b.left && box.top < b.bottom && box.bottom > b.top);
+      if (overlaps) return this._hideSlot(slot);
+      placed.push(box);
+
+      const opacity = this.occluded.get(entry.mesh) ? this.occludedOpacity : 1;
+      slot.el.style.transform = `translate(${Math.round(left)}px, ${Math.round(top)}px)`;
+      slot.el.style.opacity = opacity;
+      slot.line.setAttribute('x1', p.x);
+      slot.line.setAttribute('y1', p.y);
+      slot.line.setAttribute('x2', lx);
+      slot.line.setAttribute('y2', ly);
+      slot.line.style.opacity = opacity;
+    });
+
+    for (let i = this.active.length; i < this.pool.length; i++) {
+      this.pool[i].mesh = null;
+      this._hideSlot(this.pool[i]);
+    }
+  }
+
+  dispose() {
+    this.setEnabled(false);
+    this.container?.remove();
+    this.container = null;
+    this.svg = null;
+    this.pool = [];
+  }
+}
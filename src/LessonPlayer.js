@@ -0,0 +1,240 @@
+// LessonPlayer - Steps through scripted lessons (assets/lessons/*.json).
+// Each step sets the camera, visibility, peeling and highlighted structures
+// and carries a narration; stopping a lesson restores the view it started from.
+
+import { loadCachedJSON } from './utils/cached-json.js';
+
+// Step fields that keep their previous value when a step omits them
+const CARRIED_FIELDS = { system: null, peelDepth: 0, labels: false };
+// Autoplay reading pace for steps without an explicit duration
+const MS_PER_WORD = 350;
+const MIN_STEP_DURATION = 4000;
+
+export default class LessonPlayer {
+  /**
+   * @param {Object} viewer
+   * @param {AnatomicalRenderer} viewer.renderer - Camera and controls
+   * @param {AnatomyManager} viewer.anatomy - Visibility and selection
+   * @param {ZoomManager} viewer.zoom - Camera transitions
+   * @param {Object} options - { basePath, cacheManager }
+   */
+  constructor({ renderer, anatomy, zoom }, options = {}) {
+    this.renderer = renderer;
+    this.anatomy = anatomy;
+    this.zoom = zoom;
+    this.basePath = options.basePath || 'assets/lessons/';
+    this.cacheManager = options.cacheManager || null;
+
+    this.lessons = []; // index entries, see loadIndex()
+    this.lesson = null;
+    this.index = -1;
+    this.playing = false;
+    this._timer = null;
+    this._savedState = null;
+    this.onChange = null; // (status|null) => void, see getStatus()
+  }
+
+  /**
+   * Load the lesson catalog (index.json)
+   * @returns {Promise<Array<{id: string, title: string, description: string, file: string}>>}
+   */
+  async loadIndex() {
+    const data = await loadCachedJSON(`${this.basePath}index.json`, this.cacheManager);
+    this.lessons = Array.isArray(data?.lessons) ? data.lessons.filter(l => l?.id && l.file) : [];
+    if (!data) console.warn('⚠️ Lesson index unavailable:', this.basePath);
+    return this.lessons;
+  }
+
+  /**
+   * Fetch one lesson of the index
+   * @returns {Promise<Object|null>} The lesson, or null when it is unknown or unreachable
+   */
+  async load(id) {
+    const entry = this.lessons.find(l => l.id === id);
+    if (!entry) return null;
+    const lesson = await loadCachedJSON(`${this.basePath}${entry.file}`, this.cacheManager);
+    if (!Array.isArray(lesson?.steps) || lesson.steps.length === 0) {
+      console.warn('⚠️ Lesson unavailable:', entry.file);
+      return null;
+    }
+    return { ...lesson, id: lesson.id || entry.id, title: lesson.title || entry.title };
+  }
+
+  /**
+   * Start a lesson at its first step, remembering the current view
+   */
+  start(lesson) {
+    if (!Array.isArray(lesson?.steps) || lesson.steps.length === 0) {
+      throw new Error('La lección no tiene pasos');
+    }
+    if (!this.lesson) {
+      const { camera, controls } = this.renderer;
+      this._savedState = {
+        ...this.anatomy.getViewState(),
+        camera: { position: camera.position.toArray(), target: controls.target.toArray() }
+      };
+    }
+    this.pause(false);
+    this.lesson = lesson;
+    this.index = -1;
+    console.log(`🎓 Lesson started: ${lesson.title || lesson.id}`);
+    this.goTo(0);
+  }
+
+  get active() {
+    return !!this.lesson;
+  }
+
+  /**
+   * Show a step: visibility and highlights at once, the camera animated
+   * @returns {boolean} false when there is no such step
+   */
+  goTo(index) {
+    const step = this.lesson?.steps[index];
+    if (!step) return false;
+    this.index = index;
+    this.anatomy.applyViewState(this.getStepState(index));
+    this._moveCamera(step.camera);
+    if (this.playing) this._scheduleNext();
+    this._notify();
+    return true;
+  }
+
+  next() {
+    return this.goTo(this.index + 1);
+  }
+
+  previous() {
+    return this.goTo(this.index - 1);
+  }
+
+  /**
+   * Advance automatically, each step lasting its `duration` (ms) or the
+   * time it takes to read its narration. Playing from the last step restarts.
+   */
+  play() {
+    if (!this.lesson) return;
+    this.playing = true;
+    if (this.index >= this.lesson.steps.length - 1) this.goTo(0);
+    else {
+      this._scheduleNext();
+      this._notify();
+    }
+  }
+
+  pause(notify = true) {
+    clearTimeout(this._timer);
+    this._timer = null;
+    if (!this.playing) return;
+    this.playing = false;
+    if (notify) this._notify();
+  }
+
+  togglePlay() {
+    if (this.playing) this.pause();
+    else this.play();
+  }
+
+  /**
+   * Leave the lesson and go back to the view it started from
+   * @returns {Object|null} The restored view state
+   */
+  stop() {
+    if (!this.lesson) return null;
+    this.pause(false);
+    this.lesson = null;
+    this.index = -1;
+    const state = this._savedState;
+    this._savedState = null;
+    if (state) {
+      this.anatomy.applyViewState(state);
+      this.zoom.flyTo(state.camera);
+    }
+    this._notify();
+    return state;
+  }
+
+  /**
+   * View state (see AnatomyManager.getViewState) a step describes. `system`,
+   * `peelDepth` and `labels` carry over from earlier steps; `visible`,
+   * `isolated` and `highlighted` only apply to their own step. A `visible`
+   * list hides every other structure but, unlike `isolated`, still peels.
+   */
+  getStepState(index) {
+    const steps = this.lesson.steps;
+    const state = { ...CARRIED_FIELDS };
+    steps.slice(0, index + 1).forEach(step => {
+      Object.keys(CARRIED_FIELDS).forEach(key => {
+        if (step[key] !== undefined) state[key] = step[key];
+      });
+    });
+
+    const step = steps[index];
+    const hidden = [];
+    if (step.visible) {
+      const visible = new Set(this.anatomy.resolveStructureRefs(step.visible));
+      this.anatomy.structures.forEach((_, id) => {
+        if (!visible.has(id)) hidden.push(id);
+      });
+    }
+    return {
+      ...state,
+      hidden,
+      isolated: this.anatomy.resolveStructureRefs(step.isolated || []),
+      selection: this.anatomy.resolveStructureRefs(step.highlighted || [])
+    };
+  }
+
+  /**
+   * @param {Object} camera - { position, target } | { focus: refs } | { view }
+   */
+  _moveCamera(camera) {
+    if (!camera) return;
+    if (camera.position && camera.target) {
+      this.zoom.flyTo(camera);
+    } else if (camera.focus) {
+      this.zoom.focusOn(this.anatomy.resolveStructureRefs(camera.focus));
+    } else if (camera.view) {
+      this.zoom.setView(camera.view);
+    }
+  }
+
+  _stepDuration(step) {
+    if (step.duration > 0) return step.duration;
+    const words = (step.narration || '').split(/\s+/).filter(Boolean).length;
+    return Math.max(MIN_STEP_DURATION, words * MS_PER_WORD);
+  }
+
+  _scheduleNext() {
+    clearTimeout(this._timer);
+    this._timer = setTimeout(() => {
+      if (this.index < this.lesson.steps.length - 1) this.next();
+      else this.pause();
+    }, this._stepDuration(this.lesson.steps[this.index]));
+  }
+
+  /**
+   * Player state for the UI, or null outside a lesson
+   * @returns {{id: string, title: string, index: number, count: number, step: Object, playing: boolean}|null}
+   */
+  getStatus() {
+    if (!this.lesson) return null;
+    return {
+      id: this.lesson.id,
+      title: this.lesson.title,
+      index: this.index,
+      count: this.lesson.steps.length,
+      step: this.lesson.steps[this.index],
+      playing: this.playing
+    };
+  }
+
+  _notify() {
+    this.onChange?.(this.getStatus());
+  }
+
+  dispose() {
+    clearTimeout(this._timer);
+    this.onChange = null;
+  }
+}
@@ -0,0 +1,494 @@
+// MeasurementManager - Distance, geodesic, angle and area/volume tools. Picked
+// points are kept in model space converted to millimetres (see
+// AnatomyManager.modelUnitMm), so values don't depend on the 1.6-unit fit
+// rescale; the overlay group replays the model's transform every frame.
+import * as THREE from 'three';
+
+const COLOR = 0x22d3ee;
+// Points each tool needs before it measures
+export const MEASUREMENT_TOOLS = {
+  distance: { name: 'Distancia', points: 2 },
+  geodesic: { name: 'Geodésica', points: 2 },
+  angle: { name: 'Ángulo', points: 3 },
+  area: { name: 'Área y volumen', points: 1 }
+};
+
+/**
+ * Human-readable value of a measurement
+ */
+export function formatMeasurement(measurement) {
+  const { type, value } = measurement;
+  if (type === 'angle') return `${value.toFixed(1)}°`;
+  if (type === 'area') {
+    // mm² -> cm², mm³ -> cm³ (mL)
+    return `${(value.area / 100).toFixed(1)} cm² · ${(value.volume / 1000).toFixed(1)} cm³`;
+  }
+  return value >= 100 ? `${(value / 10).toFixed(1)} cm` : `${value.toFixed(1)} mm`;
+}
+
+export default class MeasurementManager {
+  /**
+   * @param {Object} viewer
+   * @param {AnatomicalRenderer} viewer.renderer - Picking, scene, model root and frame callbacks
+   * @param {AnatomyManager} viewer.anatomy - Structures and the model's real-world scale
+   */
+  constructor({ renderer, anatomy }) {
+    this.renderer = renderer;
+    this.anatomy = anatomy;
+
+    this.tool = null; // key of MEASUREMENT_TOOLS
+    this.pending = []; // { structureId, point (mm) } picked so far for the current tool
+    this.measurements = []; // see measure()
+
+    this.group = null; // lines and points, in model millimetres
+    this.container = null; // DOM value labels
+    this._pendingPoints = null;
+    this._objects = new Map(); // measurement id -> { line, points, label }
+    this._graphs = new WeakMap(); // mesh -> surface graph, see _surfaceGraph()
+    this._matrix = new THREE.Matrix4();
+    this._scale = new THREE.Matrix4();
+    this._world = new THREE.Vector3();
+    this._unsubscribe = null;
+    this._nextId = 1;
+
+    this.onChange = null; // (measurements) => void
+    this.onProgress = null; // ({ tool, picked, needed }|null) => void while collecting points
+    this.onError = null; // (message) => void for a tap that can't be measured
+  }
+
+  /**
+   * Pick a tool (null to stop measuring); points already picked are dropped
+   */
+  setTool(tool) {
+    this.tool = MEASUREMENT_TOOLS[tool] ? tool : null;
+    this.pending = [];
+    this._updatePending();
+    const canvas = this.renderer.renderer?.domElement;
+    if (canvas) canvas.style.cursor = this.tool ? 'crosshair' : '';
+    this.onProgress?.(this.tool ? { tool: this.tool, picked: 0, needed: MEASUREMENT_TOOLS[this.tool].points } : null);
+  }
+
+  /**
+   * Collect a point for the current tool. Meant for InteractionController.pickHandler.
+   * @returns {boolean} true when the tap was consumed (a tool is active)
+   */
+  handleTap(structureId, clientX, clientY) {
+    if (!this.tool) return false;
+    const mesh = this.anatomy.structures.get(structureId)?.mesh;
+    const hit = mesh ? this.renderer.pick(clientX, clientY) : null;
+    if (!hit || hit.object !== mesh) return true;
+
+    if (this.tool === 'geodesic' && this.pending.length && this.pending[0].structureId !== structureId) {
+      this.onError?.('La distancia geodésica se mide sobre una sola estructura');
+      return true;
+    }
+    this.pending.push({ structureId, point: this.toModel(hit.point).toArray() });
+    const needed = MEASUREMENT_TOOLS[this.tool].points;
+    if (this.pending.length < needed) {
+      this._updatePending();
+      this.onProgress?.({ tool: this.tool, picked: this.pending.length, needed });
+      return true;
+    }
+
+    const picked = this.pending;
+    this.pending = [];
+    this._updatePending();
+    this.measure(this.tool, picked);
+    this.onProgress?.({ tool: this.tool, picked: 0, needed });
+    return true;
+  }
+
+  /**
+   * Measure from picked points
+   * @param {string} type - Key of MEASUREMENT_TOOLS
+   * @param {Array<{structureId: string, point: number[]}>} picks - Points in model millimetres
+   * @returns {Object|null} The measurement, or null when it can't be taken
+   */
+  measure(type, picks) {
+    const points = picks.map(p => new THREE.Vector3().fromArray(p.point));
+    const structureIds = [...new Set(picks.map(p => p.structureId))];
+    let value;
+    let path = points;
+
+    if (type === 'distance') {
+      value = points[0].distanceTo(points[1]);
+    } else if (type === 'angle') {
+      const a = points[0].clone().sub(points[1]);
+      const b = points[2].clone().sub(points[1]);
+      if (a.lengthSq() === 0 || b.lengthSq() === 0) return null;
+      value = THREE.MathUtils.radToDeg(a.angleTo(b));
+    } else if (type === 'geodesic') {
+      const geodesic = this.geodesicPath(structureIds[0], points[0], points[1]);
+      if (!geodesic) {
+        this.onError?.('No hay un camino por la superficie entre los dos puntos');
+        return null;
+      }
+      ({ length: value, path } = geodesic);
+    } else if (type === 'area') {
+      value = this.surfaceMetrics(structureIds[0]);
+      if (!value) return null;
+      path = [];
+    } else {
+      return null;
+    }
+
+    const measurement = {
+      id: `m${this._nextId++}`,
+      type,
+      structureIds,
+      points: points.map(p => p.toArray()),
+      path: path.map(p => p.toArray()),
+      // The label sits on the angle's vertex, the path's middle or the tapped point
+      anchor: (type === 'angle' ? points[1] : path.length ? path[Math.floor(path.length / 2)] : points[0]).toArray(),
+      value
+    };
+    this.measurements.push(measurement);
+    this._createObjects(measurement);
+    this._notify();
+    console.log(`📏 ${MEASUREMENT_TOOLS[type].name}: ${formatMeasurement(measurement)}`);
+    return measurement;
+  }
+
+  /**
+   * Shortest path along a structure's surface (edges of its mesh), joined to
+   * the exact points at both ends
+   * @returns {{length: number, path: THREE.Vector3[]}|null} In model millimetres
+   */
+  geodesicPath(structureId, from, to) {
+    const mesh = this.anatomy.structures.get(structureId)?.mesh;
+    const graph = mesh && this._surfaceGraph(mesh);
+    if (!graph) return null;
+    const start = this._nearestVertex(graph, from);
+    const end = this._nearestVertex(graph, to);
+
+    const count = graph.positions.length / 3;
+    const distance = new Float64Array(count).fill(Infinity);
+    const previous = new Int32Array(count).fill(-1);
+    distance[start] = 0;
+    const heap = new MinHeap();
+    heap.push(start, 0);
+    while (heap.size) {
+      const [vertex, d] = heap.pop();
+      if (vertex === end) break;
+      if (d > distance[vertex]) continue;
+      graph.neighbors[vertex].forEach((weight, next) => {
+        if (d + weight < distance[next]) {
+          distance[next] = d + weight;
+          previous[next] = vertex;
+          heap.push(next, d + weight);
+        }
+      });
+    }
+    if (distance[end] === Infinity) return null;
+
+    const path = [to.clone()];
+    for (let v = end; v !== -1; v = previous[v]) {
+      path.push(new THREE.Vector3().fromArray(graph.positions, v * 3));
+    }
+    path.push(from.clone());
+    path.reverse();
+    let length = 0;
+    for (let i = 1; i < path.length; i++) length += path[i].distanceTo(path[i - 1]);
+    return { length, path };
+  }
+
+  /**
+   * Surface area (mm²) and enclosed volume (mm³) of a structure. The volume
+   * is only meaningful for closed meshes.
+   * @returns {{area: number, volume: number}|null}
+   */
+  surfaceMetrics(structureId) {
+    const mesh = this.anatomy.structures.get(structureId)?.mesh;
+    const graph = mesh && this._surfaceGraph(mesh);
+    if (!graph) return null;
+    const { positions, triangles } = graph;
+    const triangle = new THREE.Triangle();
+    const cross = new THREE.Vector3();
+    let area = 0;
+    let volume = 0;
+    for (let i = 0; i < triangles.length; i += 3) {
+      const { a, b, c } = triangle;
+      a.fromArray(positions, triangles[i] * 3);
+      b.fromArray(positions, triangles[i + 1] * 3);
+      c.fromArray(positions, triangles[i + 2] * 3);
+      area += triangle.getArea();
+      // Signed volume of the tetrahedron the triangle makes with the origin
+      volume += a.dot(cross.crossVectors(b, c)) / 6;
+    }
+    return { area, volume: Math.abs(volume) };
+  }
+
+  /**
+   * World point -> model space in millimetres
+   */
+  toModel(worldPoint) {
+    const point = worldPoint.clone();
+    const root = this.renderer.root;
+    if (root) {
+      root.updateWorldMatrix(true, false);
+      root.worldToLocal(point);
+    }
+    return point.multiplyScalar(this.anatomy.modelUnitMm);
+  }
+
+  remove(id) {
+    const index = this.measurements.findIndex(m => m.id === id);
+    if (index === -1) return;
+    this.measurements.splice(index, 1);
+    this._removeObjects(id);
+    this._notify();
+  }
+
+  clear() {
+    this.measurements.forEach(m => this._removeObjects(m.id));
+    this.measurements = [];
+    this._notify();
+  }
+
+  list() {
+    return this.measurements.slice();
+  }
+
+  /**
+   * Per-frame overlay placement: the group follows the model, the labels
+   * follow their anchors on screen
+   */
+  update() {
+    if (!this.group) return;
+    const root = this.renderer.root;
+    const toUnits = 1 / this.anatomy.modelUnitMm;
+    this._scale.makeScale(toUnits, toUnits, toUnits);
+    if (root) this._matrix.copy(root.matrixWorld).multiply(this._scale);
+    else this._matrix.copy(this._scale);
+    this.group.matrix.copy(this._matrix);
+    this.group.matrixWorldNeedsUpdate = true;
+
+    const camera = this.renderer.camera;
+    const canvas = this.renderer.renderer?.domElement || this.renderer.canvas;
+    const rect = canvas?.getBoundingClientRect?.() || { left: 0, top: 0, width: window.innerWidth, height: window.innerHeight };
+    this._objects.forEach(({ label }, id) => {
+      const measurement = this.measurements.find(m => m.id === id);
+      const ndc = this._world.fromArray(measurement.anchor).applyMatrix4(this._matrix).project(camera);
+      if (ndc.z < -1 || ndc.z > 1) {
+        label.style.display = 'none';
+        return;
+      }
+      label.style.display = 'block';
+      label.style.left = `${rect.left + (ndc.x + 1) / 2 * rect.width}px`;
+      label.style.top = `${rect.top + (1 - ndc.y) / 2 * rect.height}px`;
+    });
+  }
+
+  _ensureOverlay() {
+    if (this.group) return;
+    this.group = new THREE.Group();
+    this.group.name = 'measurements';
+    this.group.matrixAutoUpdate = false;
+    this.renderer.scene?.add(this.group);
+    this.container = document.createElement('div');
+    this.container.className = 'anatomy-measurements';
+    this.container.style.cssText = 'position:fixed;left:0;top:0;width:0;height:0;pointer-events:none;z-index:6;';
+    document.body.appendChild(this.container);
+    if (!this._unsubscribe) this._unsubscribe = this.renderer.addFrameCallback?.(() => this.update()) || null;
+  }
+
+  _createObjects(measurement) {
+    this._ensureOverlay();
+    const material = () => ({ color: COLOR, depthTest: false, transparent: true });
+    let line = null;
+    if (measurement.path.length > 1) {
+      line = new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints(measurement.path.map(p => new THREE.Vector3().fromArray(p))),
+        new THREE.LineBasicMaterial(material())
+      );
+      line.renderOrder = 999;
+      this.group.add(line);
+    }
+    const points = this._pointsObject(measurement.points);
+    this.group.add(points);
+
+    const label = document.createElement('div');
+    label.textContent = formatMeasurement(measurement);
+    label.style.cssText = `
+      position: fixed;
+      display: none;
+      transform: translate(-50%, -130%);
+      padding: 2px 6px;
+      border-radius: 4px;
+      background: rgba(8,51,68,0.9);
+      color: #ecfeff;
+      font: 600 11px/1.4 system-ui, sans-serif;
+      white-space: nowrap;
+    `;
+    this.container.appendChild(label);
+    this._objects.set(measurement.id, { line, points, label });
+    this.update();
+  }
+
+  _pointsObject(points) {
+    const object = new THREE.Points(
+      new THREE.BufferGeometry().setFromPoints(points.map(p => new THREE.Vector3().fromArray(p))),
+      new THREE.PointsMaterial({ color: COLOR, size: 8, sizeAttenuation: false, depthTest: false, transparent: true })
+    );
+    object.renderOrder = 1000;
+    return object;
+  }
+
+  _removeObjects(id) {
+    const objects = this._objects.get(id);
+    if (!objects) return;
+    [objects.line, objects.points].forEach(object => {
+      if (!object) return;
+      this.group.remove(object);
+      object.geometry.dispose();
+      object.material.dispose();
+    });
+    objects.label.remove();
+    this._objects.delete(id);
+  }
+
+  _updatePending() {
+    if (this._pendingPoints) {
+      this.group.remove(this._pendingPoints);
+      this._pendingPoints.geometry.dispose();
+      this._pendingPoints.material.dispose();
+      this._pendingPoints = null;
+    }
+    if (!this.pending.length) return;
+    this._ensureOverlay();
+    this._pendingPoints = this._pointsObject(this.pending.map(p => p.point));
+    this.group.add(this._pendingPoints);
+    this.update();
+  }
+
+  /**
+   * Welded vertex graph of a mesh in model millimetres: UV and normal seams
+   * split vertices, which would otherwise cut the surface into islands
+   * @returns {{positions: Float64Array, triangles: Uint32Array, neighbors: Array<Map<number, number>>}|null}
+   */
+  _surfaceGraph(mesh) {
+    if (this._graphs.has(mesh)) return this._graphs.get(mesh);
+    const attribute = mesh.geometry?.attributes?.position;
+    if (!attribute) return null;
+
+    const root = this.renderer.root;
+    mesh.updateWorldMatrix(true, false);
+    const toModel = new THREE.Matrix4();
+    if (root) toModel.copy(root.matrixWorld).invert();
+    toModel.multiply(mesh.matrixWorld).premultiply(new THREE.Matrix4().makeScale(
+      this.anatomy.modelUnitMm, this.anatomy.modelUnitMm, this.anatomy.modelUnitMm
+    ));
+
+    const welded = new Map(); // rounded position -> vertex
+    const remap = new Uint32Array(attribute.count);
+    const positions = [];
+    const v = new THREE.Vector3();
+    for (let i = 0; i < attribute.count; i++) {
+      v.fromBufferAttribute(attribute, i).applyMatrix4(toModel);
+      const key = `${Math.round(v.x * 1000)},${Math.round(v.y * 1000)},${Math.round(v.z * 1000)}`;
+      if (!welded.has(key)) {
+        welded.set(key, positions.length / 3);
+        positions.push(v.x, v.y, v.z);
+      }
+      remap[i] = welded.get(key);
+    }
+
+    const index = mesh.geometry.index;
+    const count = index ? index.count : attribute.count;
+    const triangles = new Uint32Array(count - (count % 3));
+    for (let i = 0; i < triangles.length; i++) triangles[i] = remap[index ? index.getX(i) : i];
+
+    const neighbors = Array.from({ length: positions.length / 3 }, () => new Map());
+    const link = (a, b) => {
+      if (a === b || neighbors[a].has(b)) return;
+      const length = Math.hypot(
+        positions[a * 3] - positions[b * 3],
+        positions[a * 3 + 1] - positions[b * 3 + 1],
+        positions[a * 3 + 2] - positions[b * 3 + 2]
+      );
+      neighbors[a].set(b, length);
+      neighbors[b].set(a, length);
+    };
+    for (let i = 0; i < triangles.length; i += 3) {
+      link(triangles[i], triangles[i + 1]);
+      link(triangles[i + 1], triangles[i + 2]);
+      link(triangles[i + 2], triangles[i]);
+    }
+
+    const graph = { positions: Float64Array.from(positions), triangles, neighbors };
+    this._graphs.set(mesh, graph);
+    return graph;
+  }
+
+  _nearestVertex({ positions }, point) {
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let i = 0; i < positions.length; i += 3) {
+      const d = (positions[i] - point.x) ** 2 + (positions[i + 1] - point.y) ** 2 + (positions[i + 2] - point.z) ** 2;
+      if (d < bestDistance) {
+        bestDistance = d;
+        best = i / 3;
+      }
+    }
+    return best;
+  }
+
+  _notify() {
+    this.onChange?.(this.list());
+  }
+
+  dispose() {
+    this._unsubscribe?.();
+    this._unsubscribe = null;
+    this.clear();
+    this._updatePending();
+    if (this.group) this.renderer.scene?.remove(this.group);
+    this.group = null;
+    this.container?.remove();
+    this.container = null;
+  }
+}
+
+// Binary min-heap of [item, priority] for the geodesic search
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item, priority) {
+    const items = this.items;
+    items.push([item, priority]);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent][1] <= items[i][1]) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left][1] < items[smallest][1]) smallest = left;
+        if (right < items.length && items[right][1] < items[smallest][1]) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
@@ -26,6 +26,9 @@ class ModelLoader {
             ...options
         };
         
+        // Optional persistent (IndexedDB) cache for raw model binaries
+        this.cacheManager = options.cacheManager || null;
+        
         // Initialize loaders
         this.gltfLoader = null;
         this.dracoLoader = null;
@@ -155,6 +158,10 @@ class ModelLoader {
      * @returns {Promise<THREE.Group>} Promise that resolves to the loaded model
      */
     loadModelOnce(fullPath, options, cacheKey) {
+        if (this.cacheManager?.isInitialized) {
+            return this.loadModelPersistent(fullPath, options, cacheKey);
+        }
+        
         return new Promise((resolve, reject) => {
             console.log('🔄 ModelLoader: Starting to load model from:', fullPath);
             
@@ -194,6 +201,103 @@ class ModelLoader {
         });
     }
     
+    /**
+     * Load a model through the persistent cache: reuse the stored binary when
+     * present, otherwise download it once and store it for later visits
+     * @param {string} fullPath - Full path to the model
+     * @param {Object} options - Loading options
+     * @param {string} cacheKey - Cache key for the model
+     * @returns {Promise<THREE.Group>} Promise that resolves to the loaded model
+     */
+    async loadModelPersistent(fullPath, options, cacheKey) {
+        const persistentId = this.getPersistentId(fullPath);
+        let buffer = null;
+        
+        try {
+            buffer = await this.cacheManager.getCachedModel(persistentId);
+        } catch (error) {
+            console.warn('ModelLoader: persistent cache read failed:', error.message);
+        }
+        
+        if (buffer) {
+            console.log(`Loading model from persistent cache: ${persistentId}`);
+            try {
+                return await this.parseModel(buffer, fullPath, options, cacheKey);
+            } catch (error) {
+                // Corrupt or outdated entry: drop it so the retry downloads a fresh copy
+                await this.cacheManager.removeFromCache(persistentId, 'model').catch(() => {});
+                throw error;
+            }
+        }
+        
+        buffer = await this.fetchArrayBuffer(fullPath, cacheKey);
+        this.cacheManager.cacheModel(persistentId, buffer, options.systemType || 'musculoskeletal', { source: options.source || 'local' })
+            .catch(error => console.warn('ModelLoader: could not store model in persistent cache:', error.message));
+        
+        return this.parseModel(buffer, fullPath, options, cacheKey);
+    }
+    
+    /**
+     * Download a binary asset with progress notifications
+     * @param {string} fullPath - Full path to the asset
+     * @param {string} cacheKey - Cache key used for progress callbacks
+     * @returns {Promise<ArrayBuffer>}
+     */
+    fetchArrayBuffer(fullPath, cacheKey) {
+        return new Promise((resolve, reject) => {
+            const fileLoader = new THREE.FileLoader();
+            fileLoader.setResponseType('arraybuffer');
+            fileLoader.load(
+                fullPath,
+                resolve,
+                (progressEvent) => {
+                    if (progressEvent.lengthComputable) {
+                        this.notifyProgress(cacheKey, (progressEvent.loaded / progressEvent.total) * 100, progressEvent);
+                    }
+                },
+                (error) => {
+                    const loadError = new Error(`Failed to load model from ${fullPath}: ${error.message || 'Unknown error'}`);
+                    loadError.originalError = error;
+                    reject(loadError);
+                }
+            );
+        });
+    }
+    
+    /**
+     * Parse a glTF/GLB binary into a processed model
+     * @param {ArrayBuffer} buffer - Model binary
+     * @param {string} fullPath - Original path, used to resolve external resources
+     * @param {Object} options - Processing options
+     * @param {string} cacheKey - Cache key for progress callbacks
+     * @returns {Promise<THREE.Group>}
+     */
+    parseModel(buffer, fullPath, options, cacheKey) {
+        return new Promise((resolve, reject) => {
+            const resourcePath = THREE.LoaderUtils.extractUrlBase(fullPath);
+            this.gltfLoader.parse(buffer, resourcePath, (gltf) => {
+                try {
+                    const model = this.processLoadedModel(gltf, options);
+                    this.notifyProgress(cacheKey, 100, { loaded: 1, total: 1 });
+                    resolve(model);
+                } catch (error) {
+                    reject(new Error(`Failed to process loaded model: ${error.message}`));
+                }
+            }, (error) => {
+                reject(new Error(`Failed to parse model from ${fullPath}: ${error.message || 'Unknown error'}`));
+            });
+        });
+    }
+    
+    /**
+     * Stable id for the persistent cache (without the cache-busting parameter)
+     * @param {string} fullPath - Resolved asset path
+     * @returns {string}
+     */
+    getPersistentId(fullPath) {
+        return fullPath.replace(/[?&]_t=\d+$/, '');
+    }
+    
     /**
      * Process the loaded GLTF model
      * @param {Object} gltf - Loaded GLTF object
@@ -486,6 +590,23 @@ class ModelLoader {
         }
     }
     
+    /**
+     * Drop a model from the cache, e.g. once the scene no longer uses it
+     * @param {THREE.Object3D} model - Model returned by loadModel()
+     * @returns {boolean} Whether the model was cached
+     */
+    evictModel(model) {
+        let evicted = false;
+        for (const [key, cached] of this.modelCache) {
+            if (cached !== model) continue;
+            this.modelCache.delete(key);
+            this.cacheSize -= this.estimateModelSize(cached);
+            evicted = true;
+            console.log(`Evicted cached model: ${key}`);
+        }
+        return evicted;
+    }
+    
     /**
      * Clear all cached models
      */
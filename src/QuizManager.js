@@ -0,0 +1,387 @@
+// QuizManager - Self-assessment: name the highlighted structure (typed or
+// multiple choice) or find a named one in the scene. Answers feed a Leitner
+// review schedule kept in localStorage, so missed structures come back first.
+
+import { regionOf } from './utils/regions.js';
+
+export const QUIZ_FORMAT = 'musculos3d-quiz';
+const FORMAT_VERSION = 1;
+const STORAGE_KEY = 'musculos3d-quiz-review';
+const CHOICE_COUNT = 4;
+
+// Wait before a structure is asked again, by Leitner box (a miss resets to 0)
+const REVIEW_INTERVALS = [0, 10 * 60 * 1000, 24 * 3600 * 1000, 3 * 24 * 3600 * 1000, 7 * 24 * 3600 * 1000, 21 * 24 * 3600 * 1000];
+
+// Side words do not count against an answer: either side names the muscle
+const SIDE_WORDS = /\b(left|right|izquierdo|izquierda|derecho|derecha|sinister|dexter)\b/g;
+
+/**
+ * Comparable form of a structure name: no accents, case, punctuation or side
+ */
+export function normalizeAnswer(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(SIDE_WORDS, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+export default class QuizManager {
+  /**
+   * @param {Object} viewer
+   * @param {AnatomicalRenderer} viewer.renderer - Camera and controls
+   * @param {AnatomyManager} viewer.anatomy - Structures, selection and visibility
+   * @param {ZoomManager} viewer.zoom - Frames the asked structure
+   * @param {Object} options - { storage, random }
+   */
+  constructor({ renderer, anatomy, zoom }, options = {}) {
+    this.renderer = renderer;
+    this.anatomy = anatomy;
+    this.zoom = zoom;
+    this.storage = options.storage !== undefined ? options.storage : (typeof localStorage !== 'undefined' ? localStorage : null);
+    this.random = options.random || Math.random;
+
+    this.settings = null;
+    this.lastSettings = null; // kept after stop() for exports
+    this.questions = [];
+    this.index = -1;
+    this.startedAt = null;
+    this._savedState = null;
+    this.review = this._loadReview(); // structureId -> { box, due, correct, wrong }
+    this.onChange = null; // (status|null) => void, see getStatus()
+  }
+
+  get active() {
+    return !!this.settings;
+  }
+
+  get current() {
+    return this.questions[this.index] || null;
+  }
+
+  /**
+   * Structures a quiz with these filters can ask about
+   * @param {Object} filters - { region, system, layer }; null/undefined matches everything
+   * @returns {string[]} Structure ids
+   */
+  getCandidates({ region = null, system = null, layer = null } = {}) {
+    const ids = [];
+    this.anatomy.structures.forEach((structure, id) => {
+      const data = structure.mesh?.userData;
+      if (!data) return;
+      if (region && regionOf(structure) !== region) return;
+      if (system && structure.system !== system) return;
+      if (layer !== null && layer !== undefined && (data.layer ?? 0) !== layer) return;
+      ids.push(id);
+    });
+    return ids;
+  }
+
+  /**
+   * Start a quiz. Structures due for review are asked first, the rest at random.
+   * @param {Object} settings
+   * @param {'name'|'locate'|'mixed'} settings.mode - Name the highlighted structure, find a named one, or both
+   * @param {'typed'|'choice'} settings.answerMode - How name questions are answered
+   * @param {string} settings.region - HumanMusclesLoader region (upper_limb, torso, ...)
+   * @param {string} settings.system - System id
+   * @param {number} settings.layer - Layer (0 superficial)
+   * @param {number} settings.count - Number of questions (default 10)
+   * @returns {Object|null} The first question, or null when no structure matches the filters
+   */
+  start({ mode = 'name', answerMode = 'choice', region = null, system = null, layer = null, count = 10 } = {}) {
+    const candidates = this._uniqueByName(this.getCandidates({ region, system, layer }));
+    if (!candidates.length) return null;
+
+    if (!this.settings) {
+      const { camera, controls } = this.renderer;
+      this._savedState = {
+        ...this.anatomy.getViewState(),
+        camera: { position: camera.position.toArray(), target: controls.target.toArray() }
+      };
+    }
+    this.settings = { mode, answerMode, region, system, layer, count };
+    this.lastSettings = this.settings;
+    this.startedAt = Date.now();
+    this.questions = this._pickStructures(candidates, count).map((structureId, index) => {
+      const type = mode === 'mixed' ? (this.random() < 0.5 ? 'name' : 'locate') : mode;
+      const name = this.anatomy.structures.get(structureId).name;
+      return {
+        index,
+        type,
+        structureId,
+        name,
+        choices: type === 'name' && answerMode === 'choice' ? this._choicesFor(structureId, candidates) : null,
+        answer: null,
+        correct: null,
+        answeredAt: null
+      };
+    });
+
+    // Labels would give the answers away; deeper layers need the upper ones peeled
+    this.anatomy.applyViewState({ system, peelDepth: layer || 0, labels: false });
+    console.log(`📝 Quiz started: ${this.questions.length} questions (${mode})`);
+    this.index = -1;
+    this.next();
+    return this.current;
+  }
+
+  /**
+   * Move to the next question, or finish the quiz after the last one
+   */
+  next() {
+    if (!this.active) return null;
+    if (this.index >= this.questions.length - 1) {
+      this.index = this.questions.length;
+      this.anatomy.clearSelection();
+      this._notify();
+      return null;
+    }
+    this.index++;
+    const question = this.current;
+    if (question.type === 'name') {
+      this.anatomy.selection.replace([question.structureId]);
+      this.zoom.focusOn([question.structureId]);
+    } else {
+      this.anatomy.clearSelection();
+    }
+    this._notify();
+    return question;
+  }
+
+  get finished() {
+    return this.active && this.index >= this.questions.length;
+  }
+
+  /**
+   * Answer the current name question
+   * @param {string} text - Typed name or the chosen option
+   * @returns {Object|null} The answered question
+   */
+  answer(text) {
+    const question = this.current;
+    if (!question || question.type !== 'name' || question.answeredAt) return null;
+    const given = normalizeAnswer(text);
+    const accepted = this._acceptedNames(question.structureId);
+    return this._record(question, text, given !== '' && accepted.has(given));
+  }
+
+  /**
+   * Check a pick in the scene against the current locate question. Meant as
+   * InteractionController.pickHandler: during a quiz every tap is consumed,
+   * so clicks neither move the highlight nor reveal names by selecting.
+   * @param {string|null} structureId - Structure under the pointer
+   * @returns {boolean} true when the tap was consumed
+   */
+  handlePick(structureId) {
+    const question = this.current;
+    if (!question) return false;
+    if (question.type !== 'locate' || question.answeredAt || !structureId) return true;
+
+    const picked = this.anatomy.structures.get(structureId);
+    const correct = structureId === question.structureId ||
+      normalizeAnswer(picked?.name) === normalizeAnswer(question.name);
+    // Show where it was
+    this.anatomy.selection.replace([question.structureId]);
+    this._record(question, picked?.name || structureId, correct);
+    return true;
+  }
+
+  _record(question, answer, correct) {
+    question.answer = answer;
+    question.correct = correct;
+    question.answeredAt = Date.now();
+    this._schedule(question.structureId, correct);
+    this._notify();
+    return question;
+  }
+
+  /**
+   * Leave the quiz and go back to the view it started from
+   * @returns {Object|null} The restored view state
+   */
+  stop() {
+    if (!this.active) return null;
+    this.settings = null;
+    this.index = -1;
+    const state = this._savedState;
+    this._savedState = null;
+    if (state) {
+      this.anatomy.applyViewState(state);
+      this.zoom.flyTo(state.camera);
+    }
+    this._notify();
+    return state;
+  }
+
+  /**
+   * @returns {{correct: number, answered: number, total: number}}
+   */
+  getScore() {
+    const answered = this.questions.filter(q => q.answeredAt);
+    return {
+      correct: answered.filter(q => q.correct).length,
+      answered: answered.length,
+      total: this.questions.length
+    };
+  }
+
+  /**
+   * Quiz state for the UI, or null outside a quiz
+   */
+  getStatus() {
+    if (!this.active) return null;
+    return {
+      settings: { ...this.settings },
+      index: this.index,
+      count: this.questions.length,
+      question: this.current,
+      finished: this.finished,
+      score: this.getScore()
+    };
+  }
+
+  // --- Spaced repetition ---
+
+  _loadReview() {
+    try {
+      const data = JSON.parse(this.storage?.getItem(STORAGE_KEY) || 'null');
+      return new Map(Object.entries(data?.items || {}));
+    } catch (e) {
+      console.warn('⚠️ Quiz review data unreadable, starting over:', e.message);
+      return new Map();
+    }
+  }
+
+  _saveReview() {
+    try {
+      this.storage?.setItem(STORAGE_KEY, JSON.stringify({
+        version: FORMAT_VERSION,
+        items: Object.fromEntries(this.review)
+      }));
+    } catch (e) {
+      // Quota or privacy mode: the schedule just lasts for the session
+      console.warn('⚠️ Quiz review data not saved:', e.message);
+    }
+  }
+
+  _schedule(structureId, correct) {
+    const item = this.review.get(structureId) || { box: 0, due: 0, correct: 0, wrong: 0 };
+    item.box = correct ? Math.min(item.box + 1, REVIEW_INTERVALS.length - 1) : 0;
+    item.due = Date.now() + REVIEW_INTERVALS[item.box];
+    if (correct) item.correct++;
+    else item.wrong++;
+    this.review.set(structureId, item);
+    this._saveReview();
+  }
+
+  /**
+   * Structures due for review among `ids`, lowest box (most missed) first
+   */
+  getDueStructures(ids, now = Date.now()) {
+    return ids
+      .filter(id => {
+        const item = this.review.get(id);
+        return item && item.wrong > 0 && item.due <= now;
+      })
+      .sort((a, b) => this.review.get(a).box - this.review.get(b).box || this.review.get(a).due - this.review.get(b).due);
+  }
+
+  _pickStructures(candidates, count) {
+    const due = this.getDueStructures(candidates);
+    // Not yet due: seen recently and answered right, so asked last
+    const later = new Set(candidates.filter(id => (this.review.get(id)?.due || 0) > Date.now()));
+    const rest = this._shuffle(candidates.filter(id => !due.includes(id) && !later.has(id)));
+    return [...due, ...rest, ...this._shuffle([...later])].slice(0, Math.max(1, count));
+  }
+
+  // --- Answers ---
+
+  _acceptedNames(structureId) {
+    const info = this.anatomy.getStructureInfo(structureId);
+    return new Set([info?.name, info?.canonicalName, ...(info?.synonyms || [])].map(normalizeAnswer).filter(Boolean));
+  }
+
+  /**
+   * One structure per name, so both sides of a muscle are a single question
+   */
+  _uniqueByName(ids) {
+    const seen = new Set();
+    return ids.filter(id => {
+      const key = normalizeAnswer(this.anatomy.structures.get(id)?.name || id);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * The right name and distractors, preferably from the same quiz filters
+   */
+  _choicesFor(structureId, candidates) {
+    const name = this.anatomy.structures.get(structureId).name;
+    const names = (ids) => ids.map(id => this.anatomy.structures.get(id)?.name).filter(n => n && n !== name);
+    const pool = [...new Set(this._shuffle(names(candidates)))];
+    if (pool.length < CHOICE_COUNT - 1) {
+      this._shuffle(names([...this.anatomy.structures.keys()])).forEach(n => { if (!pool.includes(n)) pool.push(n); });
+    }
+    return this._shuffle([name, ...pool.slice(0, CHOICE_COUNT - 1)]);
+  }
+
+  _shuffle(items) {
+    const list = [...items];
+    for (let i = list.length - 1; i > 0; i--) {
+      const j = Math.floor(this.random() * (i + 1));
+      [list[i], list[j]] = [list[j], list[i]];
+    }
+    return list;
+  }
+
+  // --- Export ---
+
+  _results() {
+    return this.questions.map(q => ({
+      question: q.index + 1,
+      type: q.type,
+      structureId: q.structureId,
+      name: q.name,
+      answer: q.answer,
+      correct: q.correct,
+      answeredAt: q.answeredAt ? new Date(q.answeredAt).toISOString() : null
+    }));
+  }
+
+  /**
+   * The current (or last) quiz as a JSON document
+   */
+  exportJSON() {
+    return JSON.stringify({
+      format: QUIZ_FORMAT,
+      version: FORMAT_VERSION,
+      startedAt: this.startedAt ? new Date(this.startedAt).toISOString() : null,
+      exportedAt: new Date().toISOString(),
+      settings: this.lastSettings,
+      score: this.getScore(),
+      results: this._results()
+    }, null, 2);
+  }
+
+  /**
+   * The current (or last) quiz answers as CSV, one row per question
+   */
+  exportCSV() {
+    const columns = ['question', 'type', 'structureId', 'name', 'answer', 'correct', 'answeredAt'];
+    const cell = (value) => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = this._results().map(result => columns.map(c => cell(result[c])).join(','));
+    return [columns.join(','), ...rows].join('\n');
+  }
+
+  _notify() {
+    this.onChange?.(this.getStatus());
+  }
+}
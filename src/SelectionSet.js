@@ -0,0 +1,111 @@
+// SelectionSet - Ordered set of selected structure ids with change notifications
+export default class SelectionSet {
+  /**
+   * @param {Object} options
+   * @param {Function} options.isValid - Predicate used to ignore unknown ids
+   */
+  constructor({ isValid = null } = {}) {
+    this.isValid = isValid;
+    this.ids = new Set();
+    this.listeners = new Set();
+  }
+
+  get size() {
+    return this.ids.size;
+  }
+
+  /**
+   * Most recently selected id (the one info panels and labels focus on)
+   */
+  get primary() {
+    let last = null;
+    for (const id of this.ids) last = id;
+    return last;
+  }
+
+  has(id) {
+    return this.ids.has(id);
+  }
+
+  /**
+   * Selected ids in selection order
+   * @returns {string[]}
+   */
+  list() {
+    return Array.from(this.ids);
+  }
+
+  add(ids) {
+    const added = [];
+    for (const id of this._normalize(ids)) {
+      if (this.ids.has(id)) continue;
+      this.ids.add(id);
+      added.push(id);
+    }
+    this._commit(added, []);
+    return this;
+  }
+
+  remove(ids) {
+    const removed = [];
+    for (const id of [].concat(ids ?? [])) {
+      if (this.ids.delete(id)) removed.push(id);
+    }
+    this._commit([], removed);
+    return this;
+  }
+
+  toggle(id) {
+    if (this.ids.has(id)) return this.remove(id);
+    return this.add(id);
+  }
+
+  /**
+   * Make `ids` the whole selection, notifying once with the net difference
+   */
+  replace(ids) {
+    const next = new Set(this._normalize(ids));
+    const removed = this.list().filter(id => !next.has(id));
+    const added = [...next].filter(id => !this.ids.has(id));
+    // Re-selecting an existing id moves it to the end so it becomes primary
+    const reordered = !added.length && !removed.length && next.size > 0 && this.primary !== [...next].pop();
+
+    this.ids = next;
+    if (reordered) this._notify([], []);
+    else this._commit(added, removed);
+    return this;
+  }
+
+  clear() {
+    return this.replace([]);
+  }
+
+  /**
+   * Listen for selection changes
+   * @param {Function} callback - Receives { added, removed, selection }
+   * @returns {Function} Unsubscribe function
+   */
+  onChange(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  _normalize(ids) {
+    return [].concat(ids ?? []).filter(id => id != null && (!this.isValid || this.isValid(id)));
+  }
+
+  _commit(added, removed) {
+    if (added.length || removed.length) this._notify(added, removed);
+  }
+
+  _notify(added, removed) {
+    const change = { added, removed, selection: this.list() };
+    this.listeners.forEach(listener => {
+      try {
+        listener(change);
+      } catch (error) {
+        console.error('❌ Selection listener failed:', error);
+      }
+    });
+  }
+}
@@ -1,16 +1,67 @@
 // UI Manager - Creates and manages the user interface
 
+import { ATTACHMENT_COLORS } from './AttachmentManager.js';
+import { PLANE_NAMES } from './ClippingManager.js';
+import { COLOR_SCHEMES } from './ColorSchemeManager.js';
+import { REGION_NAMES } from './utils/regions.js';
+import { MEASUREMENT_TOOLS, formatMeasurement } from './MeasurementManager.js';
+import { flattenStructureTree } from './utils/structure-tree.js';
+
+// Structure tree: only the rows in view (plus a margin) are in the DOM
+const TREE_ROW_HEIGHT = 26;
+const TREE_HEIGHT = 260;
+const TREE_OVERSCAN = 6;
+
 export default class UIManager{
   constructor(anatomy, zoom){
     this.anatomy = anatomy;
     this.zoom = zoom;
-    this.onSelectSystem = null;
+    this.onToggleSystem = null; // (systemId, enabled) => Promise, rejects when the system can't be loaded
+    this.onUnloadSystem = null;
     this.onSearch = null;
     this.onPeelDepth = null;
     this.onHideMuscle = null;
+    this.onIsolateSelection = null;
+    this.onColorSelection = null;
+    this.onSelectColorScheme = null; // (mode) => legend, throws when it can't be applied
+    this.onImportPalette = null; // (text) => legend
     this.onReset = null;
     this.onToggleAutoRotation = null;
     this.onToggleLabels = null;
+    this.onToggleGhostMode = null;
+    this.onToggleAttachments = null; // (enabled) => void
+    this.onSelectStructure = null;
+    this.onTreeVisibility = null; // (structureIds, visible) => void
+    this.onTreeCheck = null; // (structureIds, checked) => void, adds to or removes from the selection
+    this.onAddClippingPlane = null;
+    this.onFlipClippingPlane = null;
+    this.onRemoveClippingPlane = null;
+    this.onToggleClippingGizmos = null;
+    this.onSaveBookmark = null; // (name) => Promise<bookmark>
+    this.onRestoreBookmark = null;
+    this.onRenameBookmark = null;
+    this.onDeleteBookmark = null;
+    this.onExportBookmarks = null; // () => JSON string to download
+    this.onImportBookmarks = null; // (text) => Promise<number>
+    this.onStartLesson = null;
+    this.onLessonPrevious = null;
+    this.onLessonNext = null;
+    this.onLessonTogglePlay = null;
+    this.onLessonClose = null;
+    this.onStartQuiz = null; // (settings) => see QuizManager.start()
+    this.onQuizAnswer = null;
+    this.onQuizNext = null;
+    this.onQuizStop = null;
+    this.onExportQuiz = null; // ('json'|'csv') => text to download
+    this.onToggleAnnotationPlacing = null; // (enabled) => void
+    this.onToggleAnnotations = null;
+    this.onFocusAnnotation = null;
+    this.onDeleteAnnotation = null;
+    this.onExportAnnotations = null; // () => JSON string to download
+    this.onImportAnnotations = null; // (text) => number
+    this.onSelectMeasurementTool = null; // (tool|null) => see MeasurementManager.setTool()
+    this.onDeleteMeasurement = null;
+    this.onClearMeasurements = null;
 
     this._buildUI();
   }
@@ -36,6 +87,9 @@ export default class UIManager{
     panel.style.pointerEvents = 'auto';
     panel.style.border = '1px solid rgba(255,255,255,0.1)';
     panel.style.boxShadow = '0 8px 32px rgba(0,0,0,0.3)';
+    panel.style.maxHeight = 'calc(100vh - 40px)';
+    panel.style.overflowY = 'auto';
+    panel.style.boxSizing = 'border-box';
 
     const title = document.createElement('div');
     title.textContent = 'Sistema Muscular 3D';
@@ -53,31 +107,12 @@ export default class UIManager{
     systemLabel.style.color = '#d1d5db';
     panel.appendChild(systemLabel);
 
-    const select = document.createElement('select');
-    select.style.width = '100%';
-    select.style.padding = '12px';
-    select.style.borderRadius = '8px';
-    select.style.border = '1px solid rgba(255,255,255,0.2)';
-    select.style.background = 'rgba(255,255,255,0.1)';
-    select.style.color = '#ffffff';
-    select.style.fontSize = '14px';
-    select.style.outline = 'none';
-    select.style.marginBottom = '16px';
-    
-    const noneOpt = document.createElement('option');
-    noneOpt.value = ''; noneOpt.textContent = 'Todos los sistemas';
-    select.appendChild(noneOpt);
-    
-    const systems = this.anatomy.getAvailableSystems();
-    for (const s of systems){
-      const o = document.createElement('option');
-      o.value = s.id; o.textContent = s.name;
-      select.appendChild(o);
-    }
-    select.addEventListener('change', ()=>{
-      this.onSelectSystem?.(select.value || null);
-    });
-    panel.appendChild(select);
+    // One toggle per system; systems with their own model load when first enabled
+    const systemList = document.createElement('div');
+    systemList.style.marginBottom = '16px';
+    panel.appendChild(systemList);
+    this._systemList = systemList;
+    this.updateSystems(this.anatomy.getAvailableSystems());
 
     // Search
     const searchLabel = document.createElement('div');
@@ -117,7 +152,8 @@ export default class UIManager{
           li.style.background = 'rgba(255,255,255,0.05)';
         });
         li.addEventListener('click', ()=>{
-          this.onSelectSystem?.(r.system);
+          this.onSelectStructure?.(r.id);
+          this.zoom?.focusOn?.([r.id]);
         });
         list.appendChild(li);
       });
@@ -130,6 +166,29 @@ export default class UIManager{
     list.style.marginBottom = '16px';
     panel.appendChild(list);
 
+    // Every structure, by system, region and muscle group
+    const treeLabel = document.createElement('div');
+    treeLabel.textContent = 'Explorar estructuras:';
+    treeLabel.style.fontSize = '14px';
+    treeLabel.style.marginBottom = '8px';
+    treeLabel.style.color = '#d1d5db';
+    panel.appendChild(treeLabel);
+
+    const treeViewport = document.createElement('div');
+    treeViewport.style.position = 'relative';
+    treeViewport.style.height = `${TREE_HEIGHT}px`;
+    treeViewport.style.overflowY = 'auto';
+    treeViewport.style.marginBottom = '16px';
+    treeViewport.style.borderRadius = '8px';
+    treeViewport.style.background = 'rgba(255,255,255,0.03)';
+    treeViewport.style.fontSize = '12px';
+    const treeSpacer = document.createElement('div');
+    treeSpacer.style.position = 'relative';
+    treeViewport.appendChild(treeSpacer);
+    treeViewport.addEventListener('scroll', () => this._renderTreeRows());
+    panel.appendChild(treeViewport);
+    this._tree = { nodes: [], rows: [], expanded: new Set(), viewport: treeViewport, spacer: treeSpacer };
+
     // Control buttons
     const controlsLabel = document.createElement('div');
     controlsLabel.textContent = 'Controles:';
@@ -146,49 +205,70 @@ export default class UIManager{
     buttonContainer.style.marginBottom = '16px';
     panel.appendChild(buttonContainer);
 
-    // Hide muscle button
-    const hideButton = document.createElement('button');
-    hideButton.textContent = 'Ocultar músculo';
-    hideButton.style.padding = '8px 12px';
-    hideButton.style.borderRadius = '6px';
-    hideButton.style.border = '1px solid rgba(255,255,255,0.2)';
-    hideButton.style.background = 'rgba(255,255,255,0.1)';
-    hideButton.style.color = '#ffffff';
-    hideButton.style.fontSize = '12px';
-    hideButton.style.cursor = 'pointer';
-    hideButton.style.transition = 'background 0.2s';
-    hideButton.addEventListener('mouseenter', () => {
-      hideButton.style.background = 'rgba(255,255,255,0.2)';
-    });
-    hideButton.addEventListener('mouseleave', () => {
-      hideButton.style.background = 'rgba(255,255,255,0.1)';
-    });
-    hideButton.addEventListener('click', () => {
-      this.onHideMuscle?.();
-    });
-    buttonContainer.appendChild(hideButton);
-
-    // Reset button
-    const resetButton = document.createElement('button');
-    resetButton.textContent = 'Reset';
-    resetButton.style.padding = '8px 12px';
-    resetButton.style.borderRadius = '6px';
-    resetButton.style.border = '1px solid rgba(255,255,255,0.2)';
-    resetButton.style.background = 'rgba(255,255,255,0.1)';
-    resetButton.style.color = '#ffffff';
-    resetButton.style.fontSize = '12px';
-    resetButton.style.cursor = 'pointer';
-    resetButton.style.transition = 'background 0.2s';
-    resetButton.addEventListener('mouseenter', () => {
-      resetButton.style.background = 'rgba(255,255,255,0.2)';
-    });
-    resetButton.addEventListener('mouseleave', () => {
-      resetButton.style.background = 'rgba(255,255,255,0.1)';
-    });
-    resetButton.addEventListener('click', () => {
-      this.onReset?.();
-    });
-    buttonContainer.appendChild(resetButton);
+    // Selection group actions
+    buttonContainer.appendChild(this._createButton('Ocultar selección', () => this.onHideMuscle?.()));
+    buttonContainer.appendChild(this._createButton('Aislar selección', () => this.onIsolateSelection?.()));
+    buttonContainer.appendChild(this._createButton('Reset', () => this.onReset?.()));
+
+    // Colour picker tints every selected structure; the button restores them
+    const colorWrap = document.createElement('div');
+    colorWrap.style.display = 'flex';
+    colorWrap.style.gap = '8px';
+    const colorInput = document.createElement('input');
+    colorInput.type = 'color';
+    colorInput.value = '#22d3ee';
+    colorInput.title = 'Colorear selección';
+    colorInput.style.width = '100%';
+    colorInput.style.height = '32px';
+    colorInput.style.border = 'none';
+    colorInput.style.background = 'transparent';
+    colorInput.style.cursor = 'pointer';
+    colorInput.addEventListener('input', () => this.onColorSelection?.(colorInput.value));
+    colorWrap.append(colorInput, this._createButton('Color original', () => this.onColorSelection?.(null)));
+    buttonContainer.appendChild(colorWrap);
+
+    // Colouring schemes for the whole model, explained by the legend
+    const schemeLabel = document.createElement('div');
+    schemeLabel.textContent = 'Colorear por:';
+    schemeLabel.style.fontSize = '14px';
+    schemeLabel.style.marginBottom = '8px';
+    schemeLabel.style.color = '#d1d5db';
+    panel.appendChild(schemeLabel);
+
+    const schemeForm = document.createElement('div');
+    schemeForm.style.display = 'grid';
+    schemeForm.style.gridTemplateColumns = '1fr auto';
+    schemeForm.style.gap = '6px';
+    schemeForm.style.marginBottom = '16px';
+    const schemeSelect = this._createSelect(Object.entries(COLOR_SCHEMES));
+    schemeSelect.addEventListener('change', () => {
+      try {
+        this.onSelectColorScheme?.(schemeSelect.value);
+        this._colorScheme = schemeSelect.value;
+      } catch (e) {
+        schemeSelect.value = this._colorScheme;
+        this._flashHud(e.message);
+      }
+    });
+    this._colorScheme = 'original';
+    const paletteInput = document.createElement('input');
+    paletteInput.type = 'file';
+    paletteInput.accept = 'application/json,.json';
+    paletteInput.style.display = 'none';
+    paletteInput.addEventListener('change', async () => {
+      const file = paletteInput.files?.[0];
+      paletteInput.value = '';
+      if (!file) return;
+      try {
+        this.onImportPalette?.(await file.text());
+        schemeSelect.value = this._colorScheme = 'palette';
+      } catch (e) {
+        this._flashHud(`No se pudo importar: ${e.message}`);
+      }
+    });
+    schemeForm.append(schemeSelect, this._createButton('Importar paleta', () => paletteInput.click()), paletteInput);
+    panel.appendChild(schemeForm);
+    this._schemeSelect = schemeSelect;
 
     // Auto rotation toggle
     const autoRotateContainer = document.createElement('div');
@@ -241,17 +321,80 @@ export default class UIManager{
     });
     labelsContainer.appendChild(labelsToggle);
     panel.appendChild(labelsContainer);
+    this._labelsToggle = labelsToggle;
+
+    // Ghost (x-ray) mode toggle
+    const ghostContainer = document.createElement('div');
+    ghostContainer.style.display = 'flex';
+    ghostContainer.style.alignItems = 'center';
+    ghostContainer.style.justifyContent = 'space-between';
+    ghostContainer.style.marginBottom = '16px';
+    ghostContainer.style.padding = '8px 12px';
+    ghostContainer.style.borderRadius = '6px';
+    ghostContainer.style.background = 'rgba(255,255,255,0.05)';
+    ghostContainer.title = 'Muestra el resto de estructuras translúcidas alrededor de la selección';
+
+    const ghostLabel = document.createElement('span');
+    ghostLabel.textContent = 'Modo fantasma (rayos X)';
+    ghostLabel.style.fontSize = '12px';
+    ghostLabel.style.color = '#d1d5db';
+    ghostContainer.appendChild(ghostLabel);
+
+    const ghostToggle = document.createElement('input');
+    ghostToggle.type = 'checkbox';
+    ghostToggle.style.width = '16px';
+    ghostToggle.style.height = '16px';
+    ghostToggle.addEventListener('change', () => {
+      this.onToggleGhostMode?.(ghostToggle.checked);
+    });
+    ghostContainer.appendChild(ghostToggle);
+    panel.appendChild(ghostContainer);
+
+    // Origin and insertion of the selected muscle, drawn on the bones
+    const attachmentContainer = document.createElement('div');
+    attachmentContainer.style.display = 'flex';
+    attachmentContainer.style.alignItems = 'center';
+    attachmentContainer.style.justifyContent = 'space-between';
+    attachmentContainer.style.marginBottom = '16px';
+    attachmentContainer.style.padding = '8px 12px';
+    attachmentContainer.style.borderRadius = '6px';
+    attachmentContainer.style.background = 'rgba(255,255,255,0.05)';
+    attachmentContainer.title = 'Marca en los huesos el origen y la inserción del músculo seleccionado, unidos por su línea de tracción';
+
+    const attachmentLabel = document.createElement('span');
+    attachmentLabel.style.fontSize = '12px';
+    attachmentLabel.style.color = '#d1d5db';
+    [['Origen', ATTACHMENT_COLORS.origin], [' e ', null], ['inserción', ATTACHMENT_COLORS.insertion]].forEach(([text, color]) => {
+      const part = document.createElement('span');
+      part.textContent = text;
+      if (color) part.style.borderBottom = `2px solid ${color}`;
+      attachmentLabel.appendChild(part);
+    });
+    attachmentContainer.appendChild(attachmentLabel);
+
+    const attachmentToggle = document.createElement('input');
+    attachmentToggle.type = 'checkbox';
+    attachmentToggle.checked = true;
+    attachmentToggle.style.width = '16px';
+    attachmentToggle.style.height = '16px';
+    attachmentToggle.addEventListener('change', () => {
+      this.onToggleAttachments?.(attachmentToggle.checked);
+    });
+    attachmentContainer.appendChild(attachmentToggle);
+    panel.appendChild(attachmentContainer);
+    this._attachmentToggle = attachmentToggle;
 
     // Peel depth slider
     const sliderWrap = document.createElement('div');
     sliderWrap.style.fontSize = '14px';
     sliderWrap.style.fontWeight = '500';
     sliderWrap.style.color = '#e5e7eb';
-    sliderWrap.textContent = 'Capas (0 superficial → 2 profundo)';
+    sliderWrap.textContent = 'Capas retiradas: 0';
     panel.appendChild(sliderWrap);
+    this._peelLabel = sliderWrap;
 
     const slider = document.createElement('input');
-    slider.type = 'range'; slider.min = '0'; slider.max = '2'; slider.step = '1'; slider.value = '2';
+    slider.type = 'range'; slider.min = '0'; slider.max = '2'; slider.step = '1'; slider.value = '0';
     slider.style.width = '100%';
     slider.style.marginTop = '8px';
     slider.style.height = '6px';
@@ -261,9 +404,300 @@ export default class UIManager{
     slider.style.webkitAppearance = 'none';
     slider.style.appearance = 'none';
     slider.addEventListener('input', ()=>{
-      this.onPeelDepth?.(parseInt(slider.value,10));
+      const depth = parseInt(slider.value,10);
+      this._peelLabel.textContent = `Capas retiradas: ${depth}`;
+      this.onPeelDepth?.(depth);
     });
     panel.appendChild(slider);
+    this._peelSlider = slider;
+
+    // Clipping planes (cross-sections)
+    const clipLabel = document.createElement('div');
+    clipLabel.textContent = 'Cortes:';
+    clipLabel.style.fontSize = '14px';
+    clipLabel.style.margin = '16px 0 8px';
+    clipLabel.style.color = '#d1d5db';
+    panel.appendChild(clipLabel);
+
+    const clipButtons = document.createElement('div');
+    clipButtons.style.display = 'grid';
+    clipButtons.style.gridTemplateColumns = 'repeat(4, 1fr)';
+    clipButtons.style.gap = '6px';
+    Object.entries(PLANE_NAMES).forEach(([type, name]) => {
+      clipButtons.appendChild(this._createButton(name, () => this.onAddClippingPlane?.(type)));
+    });
+    panel.appendChild(clipButtons);
+
+    const clipList = document.createElement('div');
+    clipList.style.marginTop = '8px';
+    panel.appendChild(clipList);
+    this._clipList = clipList;
+
+    const gizmoContainer = document.createElement('label');
+    gizmoContainer.style.display = 'none';
+    gizmoContainer.style.alignItems = 'center';
+    gizmoContainer.style.justifyContent = 'space-between';
+    gizmoContainer.style.marginTop = '8px';
+    gizmoContainer.style.fontSize = '12px';
+    gizmoContainer.style.color = '#d1d5db';
+    gizmoContainer.textContent = 'Mostrar controles de corte';
+    const gizmoToggle = document.createElement('input');
+    gizmoToggle.type = 'checkbox';
+    gizmoToggle.checked = true;
+    gizmoToggle.addEventListener('change', () => this.onToggleClippingGizmos?.(gizmoToggle.checked));
+    gizmoContainer.appendChild(gizmoToggle);
+    panel.appendChild(gizmoContainer);
+    this._clipGizmoToggle = gizmoContainer;
+
+    // Bookmarks: named snapshots of the whole view
+    const bookmarkLabel = document.createElement('div');
+    bookmarkLabel.textContent = 'Marcadores:';
+    bookmarkLabel.style.fontSize = '14px';
+    bookmarkLabel.style.margin = '16px 0 8px';
+    bookmarkLabel.style.color = '#d1d5db';
+    panel.appendChild(bookmarkLabel);
+
+    const bookmarkForm = document.createElement('div');
+    bookmarkForm.style.display = 'flex';
+    bookmarkForm.style.gap = '6px';
+    const bookmarkName = document.createElement('input');
+    bookmarkName.placeholder = 'Nombre de la vista';
+    bookmarkName.style.flex = '1';
+    bookmarkName.style.minWidth = '0';
+    bookmarkName.style.padding = '8px';
+    bookmarkName.style.borderRadius = '6px';
+    bookmarkName.style.border = '1px solid rgba(255,255,255,0.2)';
+    bookmarkName.style.background = 'rgba(255,255,255,0.1)';
+    bookmarkName.style.color = '#ffffff';
+    bookmarkName.style.fontSize = '12px';
+    const saveBookmark = async () => {
+      const name = bookmarkName.value;
+      bookmarkName.value = '';
+      try {
+        await this.onSaveBookmark?.(name);
+      } catch (e) {
+        bookmarkName.value = name; // keep it for another try
+        this._flashHud(`No se pudo guardar: ${e.message}`);
+      }
+    };
+    bookmarkName.addEventListener('keydown', (e) => { if (e.key === 'Enter') saveBookmark(); });
+    bookmarkForm.append(bookmarkName, this._createButton('Guardar vista', saveBookmark));
+    panel.appendChild(bookmarkForm);
+
+    const bookmarkList = document.createElement('div');
+    bookmarkList.style.maxHeight = '220px';
+    bookmarkList.style.overflow = 'auto';
+    bookmarkList.style.marginTop = '8px';
+    panel.appendChild(bookmarkList);
+    this._bookmarkList = bookmarkList;
+
+    const importInput = document.createElement('input');
+    importInput.type = 'file';
+    importInput.accept = 'application/json,.json';
+    importInput.style.display = 'none';
+    importInput.addEventListener('change', async () => {
+      const file = importInput.files?.[0];
+      importInput.value = '';
+      if (!file) return;
+      try {
+        const count = await this.onImportBookmarks?.(await file.text());
+        this._flashHud(`${count} marcadores importados`);
+      } catch (e) {
+        this._flashHud(`No se pudo importar: ${e.message}`);
+      }
+    });
+    const transfer = document.createElement('div');
+    transfer.style.display = 'grid';
+    transfer.style.gridTemplateColumns = '1fr 1fr';
+    transfer.style.gap = '6px';
+    transfer.style.marginTop = '8px';
+    transfer.append(
+      this._createButton('Importar', () => importInput.click()),
+      this._createButton('Exportar', () => {
+        const json = this.onExportBookmarks?.();
+        if (json) this._download('marcadores-musculos3d.json', json, 'application/json');
+      }),
+      importInput
+    );
+    panel.appendChild(transfer);
+
+    // Lessons: scripted step-by-step tours
+    const lessonLabel = document.createElement('div');
+    lessonLabel.textContent = 'Lecciones:';
+    lessonLabel.style.fontSize = '14px';
+    lessonLabel.style.margin = '16px 0 8px';
+    lessonLabel.style.color = '#d1d5db';
+    panel.appendChild(lessonLabel);
+
+    const lessonForm = document.createElement('div');
+    lessonForm.style.display = 'flex';
+    lessonForm.style.gap = '6px';
+    const lessonSelect = document.createElement('select');
+    lessonSelect.style.flex = '1';
+    lessonSelect.style.minWidth = '0';
+    lessonSelect.style.padding = '8px';
+    lessonSelect.style.borderRadius = '6px';
+    lessonSelect.style.border = '1px solid rgba(255,255,255,0.2)';
+    lessonSelect.style.background = 'rgba(255,255,255,0.1)';
+    lessonSelect.style.color = '#ffffff';
+    lessonSelect.style.fontSize = '12px';
+    const startLesson = this._createButton('Iniciar', () => {
+      if (lessonSelect.value) this.onStartLesson?.(lessonSelect.value);
+    });
+    lessonForm.append(lessonSelect, startLesson);
+    panel.appendChild(lessonForm);
+    this._lessonSelect = lessonSelect;
+    this._lessonStart = startLesson;
+    this.setLessons([]);
+
+    // Quiz: self-assessment on the loaded structures
+    const quizLabel = document.createElement('div');
+    quizLabel.textContent = 'Autoevaluación:';
+    quizLabel.style.fontSize = '14px';
+    quizLabel.style.margin = '16px 0 8px';
+    quizLabel.style.color = '#d1d5db';
+    panel.appendChild(quizLabel);
+
+    const quizForm = document.createElement('div');
+    quizForm.style.display = 'grid';
+    quizForm.style.gridTemplateColumns = '1fr 1fr';
+    quizForm.style.gap = '6px';
+    const quizMode = this._createSelect([['name', 'Nombrar'], ['locate', 'Localizar'], ['mixed', 'Mixto']]);
+    const quizAnswerMode = this._createSelect([['choice', 'Opción múltiple'], ['typed', 'Escribir']]);
+    const quizRegion = this._createSelect([['', 'Todas las regiones'], ...Object.entries(REGION_NAMES)]);
+    const quizSystem = this._createSelect([
+      ['', 'Todos los sistemas'],
+      ...this.anatomy.getAvailableSystems().map(sys => [sys.id, sys.name])
+    ]);
+    const quizLayer = this._createSelect([['', 'Todas las capas']]);
+    const startQuiz = this._createButton('Empezar', () => {
+      const question = this.onStartQuiz?.({
+        mode: quizMode.value,
+        answerMode: quizAnswerMode.value,
+        region: quizRegion.value || null,
+        system: quizSystem.value || null,
+        layer: quizLayer.value === '' ? null : parseInt(quizLayer.value, 10)
+      });
+      if (question === null) this._flashHud('Ninguna estructura coincide con los filtros');
+    });
+    quizForm.append(quizMode, quizAnswerMode, quizRegion, quizSystem, quizLayer, startQuiz);
+    panel.appendChild(quizForm);
+    this._quizLayerSelect = quizLayer;
+
+    // Annotations: notes pinned to structure surfaces
+    const annotationLabel = document.createElement('div');
+    annotationLabel.textContent = 'Notas:';
+    annotationLabel.style.fontSize = '14px';
+    annotationLabel.style.margin = '16px 0 8px';
+    annotationLabel.style.color = '#d1d5db';
+    panel.appendChild(annotationLabel);
+
+    const annotationPlace = this._createButton('Añadir nota', () => {
+      this.setAnnotationPlacing(!this._annotationPlacing);
+      this.onToggleAnnotationPlacing?.(this._annotationPlacing);
+    });
+    annotationPlace.style.width = '100%';
+    panel.appendChild(annotationPlace);
+    this._annotationPlace = annotationPlace;
+    this._annotationPlacing = false;
+
+    const annotationToggle = document.createElement('label');
+    annotationToggle.style.display = 'flex';
+    annotationToggle.style.alignItems = 'center';
+    annotationToggle.style.justifyContent = 'space-between';
+    annotationToggle.style.marginTop = '8px';
+    annotationToggle.style.fontSize = '12px';
+    annotationToggle.style.color = '#d1d5db';
+    annotationToggle.textContent = 'Mostrar notas';
+    const annotationCheckbox = document.createElement('input');
+    annotationCheckbox.type = 'checkbox';
+    annotationCheckbox.checked = true;
+    annotationCheckbox.addEventListener('change', () => this.onToggleAnnotations?.(annotationCheckbox.checked));
+    annotationToggle.appendChild(annotationCheckbox);
+    panel.appendChild(annotationToggle);
+
+    const annotationList = document.createElement('div');
+    annotationList.style.maxHeight = '180px';
+    annotationList.style.overflow = 'auto';
+    annotationList.style.marginTop = '8px';
+    panel.appendChild(annotationList);
+    this._annotationList = annotationList;
+
+    const annotationImport = document.createElement('input');
+    annotationImport.type = 'file';
+    annotationImport.accept = 'application/json,.json';
+    annotationImport.style.display = 'none';
+    annotationImport.addEventListener('change', async () => {
+      const file = annotationImport.files?.[0];
+      annotationImport.value = '';
+      if (!file) return;
+      try {
+        const count = await this.onImportAnnotations?.(await file.text());
+        this._flashHud(`${count} notas importadas`);
+      } catch (e) {
+        this._flashHud(`No se pudo importar: ${e.message}`);
+      }
+    });
+    const annotationTransfer = document.createElement('div');
+    annotationTransfer.style.display = 'grid';
+    annotationTransfer.style.gridTemplateColumns = '1fr 1fr';
+    annotationTransfer.style.gap = '6px';
+    annotationTransfer.style.marginTop = '8px';
+    annotationTransfer.append(
+      this._createButton('Importar', () => annotationImport.click()),
+      this._createButton('Exportar', () => {
+        const json = this.onExportAnnotations?.();
+        if (json) this._download('notas-musculos3d.json', json, 'application/json');
+      }),
+      annotationImport
+    );
+    panel.appendChild(annotationTransfer);
+
+    // Measurements: distances, angles and areas in real-world units
+    const measureLabel = document.createElement('div');
+    measureLabel.textContent = 'Medidas:';
+    measureLabel.style.fontSize = '14px';
+    measureLabel.style.margin = '16px 0 8px';
+    measureLabel.style.color = '#d1d5db';
+    panel.appendChild(measureLabel);
+
+    const measureTools = document.createElement('div');
+    measureTools.style.display = 'grid';
+    measureTools.style.gridTemplateColumns = '1fr 1fr';
+    measureTools.style.gap = '6px';
+    this._measureButtons = new Map();
+    Object.entries(MEASUREMENT_TOOLS).forEach(([tool, { name }]) => {
+      const button = this._createButton(name, () => {
+        const next = this._measureTool === tool ? null : tool;
+        this.setMeasurementTool(next);
+        this.onSelectMeasurementTool?.(next);
+      });
+      this._measureButtons.set(tool, button);
+      measureTools.appendChild(button);
+    });
+    panel.appendChild(measureTools);
+    this._measureTool = null;
+
+    const measureList = document.createElement('div');
+    measureList.style.maxHeight = '160px';
+    measureList.style.overflow = 'auto';
+    measureList.style.marginTop = '8px';
+    panel.appendChild(measureList);
+    this._measureList = measureList;
+
+    const clearMeasures = this._createButton('Borrar medidas', () => this.onClearMeasurements?.());
+    clearMeasures.style.width = '100%';
+    clearMeasures.style.marginTop = '8px';
+    panel.appendChild(clearMeasures);
+
+    // Standard view shortcuts (handled by ZoomManager)
+    const viewHint = document.createElement('div');
+    viewHint.style.marginTop = '12px';
+    viewHint.style.fontSize = '11px';
+    viewHint.style.lineHeight = '1.5';
+    viewHint.style.color = '#9ca3af';
+    viewHint.textContent = 'Vistas: 1 anterior · 2 posterior · 3 izquierda · 4 derecha · 5 superior · 6 inferior · L lateral · M medial';
+    panel.appendChild(viewHint);
 
     // HUD
     const hud = document.createElement('div');
@@ -279,20 +713,1044 @@ export default class UIManager{
     hud.style.display = 'none';
     this._hud = hud;
 
-    wrap.append(panel, hud);
+    // Lesson player: narration and step controls
+    const lessonPlayer = document.createElement('div');
+    lessonPlayer.style.position = 'absolute';
+    lessonPlayer.style.bottom = '60px';
+    lessonPlayer.style.left = '50%';
+    lessonPlayer.style.transform = 'translateX(-50%)';
+    lessonPlayer.style.width = 'min(560px, calc(100% - 40px))';
+    lessonPlayer.style.boxSizing = 'border-box';
+    lessonPlayer.style.padding = '16px 20px';
+    lessonPlayer.style.borderRadius = '16px';
+    lessonPlayer.style.background = 'rgba(17,24,39,0.9)';
+    lessonPlayer.style.color = '#e5e7eb';
+    lessonPlayer.style.backdropFilter = 'blur(10px)';
+    lessonPlayer.style.pointerEvents = 'auto';
+    lessonPlayer.style.border = '1px solid rgba(255,255,255,0.1)';
+    lessonPlayer.style.boxShadow = '0 8px 32px rgba(0,0,0,0.3)';
+    lessonPlayer.style.fontSize = '13px';
+    lessonPlayer.style.lineHeight = '1.5';
+    lessonPlayer.style.display = 'none';
+
+    const lessonHeader = document.createElement('div');
+    lessonHeader.style.display = 'flex';
+    lessonHeader.style.justifyContent = 'space-between';
+    lessonHeader.style.gap = '8px';
+    lessonHeader.style.fontSize = '11px';
+    lessonHeader.style.color = '#9ca3af';
+    const lessonTitle = document.createElement('span');
+    const lessonProgressText = document.createElement('span');
+    lessonHeader.append(lessonTitle, lessonProgressText);
+
+    const stepTitle = document.createElement('div');
+    stepTitle.style.fontWeight = '700';
+    stepTitle.style.fontSize = '16px';
+    stepTitle.style.color = '#ffffff';
+    stepTitle.style.marginTop = '4px';
+
+    const narration = document.createElement('div');
+    narration.style.marginTop = '6px';
+    narration.style.maxHeight = '120px';
+    narration.style.overflowY = 'auto';
+
+    const progressTrack = document.createElement('div');
+    progressTrack.style.height = '4px';
+    progressTrack.style.margin = '12px 0';
+    progressTrack.style.borderRadius = '2px';
+    progressTrack.style.background = 'rgba(255,255,255,0.1)';
+    const progressBar = document.createElement('div');
+    progressBar.style.height = '100%';
+    progressBar.style.borderRadius = '2px';
+    progressBar.style.background = '#60a5fa';
+    progressBar.style.transition = 'width 0.3s';
+    progressTrack.appendChild(progressBar);
+
+    const lessonControls = document.createElement('div');
+    lessonControls.style.display = 'flex';
+    lessonControls.style.gap = '6px';
+    const previousStep = this._createButton('Anterior', () => this.onLessonPrevious?.());
+    const playLesson = this._createButton('Reproducir', () => this.onLessonTogglePlay?.());
+    const nextStep = this._createButton('Siguiente', () => this.onLessonNext?.());
+    const closeLesson = this._createButton('Cerrar', () => this.onLessonClose?.());
+    closeLesson.style.marginLeft = 'auto';
+    lessonControls.append(previousStep, playLesson, nextStep, closeLesson);
+
+    lessonPlayer.append(lessonHeader, stepTitle, narration, progressTrack, lessonControls);
+    this._lessonPlayer = {
+      el: lessonPlayer,
+      title: lessonTitle,
+      progressText: lessonProgressText,
+      stepTitle,
+      narration,
+      progressBar,
+      previous: previousStep,
+      play: playLesson,
+      next: nextStep
+    };
+
+    // Quiz card: question, answers and score
+    const quizCard = document.createElement('div');
+    quizCard.style.position = 'absolute';
+    quizCard.style.top = '20px';
+    quizCard.style.left = '50%';
+    quizCard.style.transform = 'translateX(-50%)';
+    quizCard.style.width = 'min(420px, calc(100% - 40px))';
+    quizCard.style.boxSizing = 'border-box';
+    quizCard.style.padding = '16px 20px';
+    quizCard.style.borderRadius = '16px';
+    quizCard.style.background = 'rgba(17,24,39,0.9)';
+    quizCard.style.color = '#e5e7eb';
+    quizCard.style.backdropFilter = 'blur(10px)';
+    quizCard.style.pointerEvents = 'auto';
+    quizCard.style.border = '1px solid rgba(255,255,255,0.1)';
+    quizCard.style.boxShadow = '0 8px 32px rgba(0,0,0,0.3)';
+    quizCard.style.fontSize = '13px';
+    quizCard.style.display = 'none';
+
+    const quizProgress = document.createElement('div');
+    quizProgress.style.fontSize = '11px';
+    quizProgress.style.color = '#9ca3af';
+    const quizPrompt = document.createElement('div');
+    quizPrompt.style.fontWeight = '700';
+    quizPrompt.style.fontSize = '16px';
+    quizPrompt.style.color = '#ffffff';
+    quizPrompt.style.margin = '4px 0 10px';
+    const quizAnswers = document.createElement('div');
+    const quizFeedback = document.createElement('div');
+    quizFeedback.style.marginTop = '8px';
+    quizFeedback.style.fontWeight = '600';
+
+    const quizActions = document.createElement('div');
+    quizActions.style.display = 'flex';
+    quizActions.style.flexWrap = 'wrap';
+    quizActions.style.gap = '6px';
+    quizActions.style.marginTop = '12px';
+    const quizNext = this._createButton('Siguiente', () => this.onQuizNext?.());
+    const quizExportJSON = this._createButton('Exportar JSON', () => {
+      const json = this.onExportQuiz?.('json');
+      if (json) this._download('autoevaluacion-musculos3d.json', json, 'application/json');
+    });
+    const quizExportCSV = this._createButton('Exportar CSV', () => {
+      const csv = this.onExportQuiz?.('csv');
+      if (csv) this._download('autoevaluacion-musculos3d.csv', csv, 'text/csv');
+    });
+    const quizStop = this._createButton('Terminar', () => this.onQuizStop?.());
+    quizStop.style.marginLeft = 'auto';
+    quizActions.append(quizNext, quizExportJSON, quizExportCSV, quizStop);
+
+    quizCard.append(quizProgress, quizPrompt, quizAnswers, quizFeedback, quizActions);
+    this._quizCard = {
+      el: quizCard,
+      progress: quizProgress,
+      prompt: quizPrompt,
+      answers: quizAnswers,
+      feedback: quizFeedback,
+      next: quizNext,
+      exports: [quizExportJSON, quizExportCSV],
+      stop: quizStop
+    };
+
+    // Colour legend for the active scheme
+    const legend = document.createElement('div');
+    legend.style.position = 'absolute';
+    legend.style.right = '20px';
+    legend.style.bottom = '20px';
+    legend.style.maxWidth = '240px';
+    legend.style.maxHeight = '40%';
+    legend.style.overflowY = 'auto';
+    legend.style.padding = '12px 14px';
+    legend.style.borderRadius = '12px';
+    legend.style.background = 'rgba(17,24,39,0.85)';
+    legend.style.color = '#e5e7eb';
+    legend.style.backdropFilter = 'blur(10px)';
+    legend.style.pointerEvents = 'auto';
+    legend.style.border = '1px solid rgba(255,255,255,0.1)';
+    legend.style.fontSize = '12px';
+    legend.style.display = 'none';
+    this._legend = legend;
+
+    // Panel derecho: información de la estructura
+    const infoPanel = document.createElement('div');
+    infoPanel.style.position = 'absolute';
+    infoPanel.style.top = '20px';
+    infoPanel.style.right = '20px';
+    infoPanel.style.width = '340px';
+    infoPanel.style.maxHeight = 'calc(100% - 40px)';
+    infoPanel.style.overflowY = 'auto';
+    infoPanel.style.boxSizing = 'border-box';
+    infoPanel.style.padding = '20px';
+    infoPanel.style.borderRadius = '16px';
+    infoPanel.style.background = 'rgba(17,24,39,0.85)';
+    infoPanel.style.color = '#e5e7eb';
+    infoPanel.style.backdropFilter = 'blur(10px)';
+    infoPanel.style.pointerEvents = 'auto';
+    infoPanel.style.border = '1px solid rgba(255,255,255,0.1)';
+    infoPanel.style.boxShadow = '0 8px 32px rgba(0,0,0,0.3)';
+    infoPanel.style.fontSize = '13px';
+    infoPanel.style.lineHeight = '1.45';
+    infoPanel.style.display = 'none';
+    this._infoPanel = infoPanel;
+
+    // Hover tooltip
+    const tooltip = document.createElement('div');
+    tooltip.style.position = 'fixed';
+    tooltip.style.padding = '4px 8px';
+    tooltip.style.borderRadius = '6px';
+    tooltip.style.background = 'rgba(17,24,39,0.9)';
+    tooltip.style.color = '#ffffff';
+    tooltip.style.fontSize = '12px';
+    tooltip.style.whiteSpace = 'nowrap';
+    tooltip.style.pointerEvents = 'none';
+    tooltip.style.display = 'none';
+    this._tooltip = tooltip;
+
+    wrap.append(panel, infoPanel, legend, lessonPlayer, quizCard, hud, tooltip);
     
     // Add to the app container instead of body
     const appContainer = document.getElementById('app') || document.body;
     appContainer.appendChild(wrap);
   }
 
+  _createSelect(options){
+    const select = document.createElement('select');
+    select.style.minWidth = '0';
+    select.style.padding = '8px';
+    select.style.borderRadius = '6px';
+    select.style.border = '1px solid rgba(255,255,255,0.2)';
+    select.style.background = 'rgba(255,255,255,0.1)';
+    select.style.color = '#ffffff';
+    select.style.fontSize = '12px';
+    options.forEach(([value, label]) => {
+      const o = document.createElement('option');
+      o.value = value; o.textContent = label;
+      select.appendChild(o);
+    });
+    return select;
+  }
+
+  _createButton(text, onClick){
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.style.padding = '8px 12px';
+    button.style.borderRadius = '6px';
+    button.style.border = '1px solid rgba(255,255,255,0.2)';
+    button.style.background = 'rgba(255,255,255,0.1)';
+    button.style.color = '#ffffff';
+    button.style.fontSize = '12px';
+    button.style.cursor = 'pointer';
+    button.style.transition = 'background 0.2s';
+    button.addEventListener('mouseenter', () => {
+      button.style.background = 'rgba(255,255,255,0.2)';
+    });
+    button.addEventListener('mouseleave', () => {
+      button.style.background = 'rgba(255,255,255,0.1)';
+    });
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Show the selected structures in the HUD
+   * @param {Object} info - AnatomyManager.getSelectionInfo() result
+   */
+  showSelectionInfo(info){
+    if (!info || info.count === 0) return this.hideHud();
+    // A single structure is described by the side info panel
+    if (info.count === 1) return this.hideHud();
+
+    const names = info.structures.slice(0, 3).map(s => s.name).join(', ');
+    const more = info.count > 3 ? ` +${info.count - 3}` : '';
+    this.showHud(`${info.count} estructuras: ${names}${more}`);
+  }
+
+  /**
+   * Fill the side info panel, or hide it when `info` is null
+   * @param {Object|null} info - AnatomyManager.getStructureInfo() result
+   */
+  updateStructureInfo(info){
+    const panel = this._infoPanel;
+    panel.replaceChildren();
+    if (!info) {
+      panel.style.display = 'none';
+      return;
+    }
+
+    const header = document.createElement('div');
+    header.style.display = 'flex';
+    header.style.alignItems = 'flex-start';
+    header.style.justifyContent = 'space-between';
+    header.style.gap = '8px';
+
+    const title = document.createElement('div');
+    title.textContent = info.name;
+    title.style.fontWeight = '700';
+    title.style.fontSize = '17px';
+    title.style.color = '#ffffff';
+
+    const close = document.createElement('button');
+    close.textContent = '×';
+    close.title = 'Cerrar';
+    close.style.background = 'none';
+    close.style.border = 'none';
+    close.style.color = '#9ca3af';
+    close.style.fontSize = '20px';
+    close.style.lineHeight = '1';
+    close.style.cursor = 'pointer';
+    close.addEventListener('click', () => { panel.style.display = 'none'; });
+    header.append(title, close);
+    panel.appendChild(header);
+
+    if (info.canonicalName && info.canonicalName !== info.name) {
+      const canonical = document.createElement('div');
+      canonical.textContent = info.canonicalName;
+      canonical.style.fontStyle = 'italic';
+      canonical.style.color = '#9ca3af';
+      canonical.style.marginTop = '2px';
+      panel.appendChild(canonical);
+    }
+
+    const layer = info.layer == null ? null : `${info.layer}${info.layer === 0 ? ' (superficial)' : ''}`;
+    const rows = [
+      ['Sinónimos', info.synonyms?.join(', ')],
+      ['Sistema', info.systemName || info.system],
+      ['Región', REGION_NAMES[info.region] || info.region],
+      ['Capa', layer],
+      // Same colours as the attachment patches on the bones
+      ['Origen', info.origin, ATTACHMENT_COLORS.origin],
+      ['Inserción', info.insertion, ATTACHMENT_COLORS.insertion],
+      ['Inervación', info.innervation],
+      ['Irrigación', info.bloodSupply],
+      ['Acción', info.action],
+      ['FMA', info.fmaId]
+    ];
+    rows.forEach(([label, value, accent]) => {
+      if (value == null || value === '') return;
+      panel.appendChild(this._createInfoRow(label, document.createTextNode(value), accent));
+    });
+
+    if (info.related?.length) {
+      const links = document.createElement('div');
+      links.style.display = 'flex';
+      links.style.flexWrap = 'wrap';
+      links.style.gap = '6px';
+      info.related.forEach(related => {
+        const link = document.createElement('button');
+        link.textContent = related.name;
+        link.style.padding = '4px 8px';
+        link.style.borderRadius = '999px';
+        link.style.border = '1px solid rgba(96,165,250,0.4)';
+        link.style.background = 'rgba(96,165,250,0.12)';
+        link.style.color = '#bfdbfe';
+        link.style.fontSize = '12px';
+        link.style.cursor = 'pointer';
+        link.addEventListener('click', () => this.onSelectStructure?.(related.id));
+        links.appendChild(link);
+      });
+      panel.appendChild(this._createInfoRow('Estructuras relacionadas', links));
+    }
+
+    panel.style.display = 'block';
+  }
+
+  _createInfoRow(label, content, accent = null){
+    const row = document.createElement('div');
+    row.style.marginTop = '12px';
+
+    const heading = document.createElement('div');
+    heading.textContent = label;
+    heading.style.fontSize = '11px';
+    heading.style.fontWeight = '600';
+    heading.style.textTransform = 'uppercase';
+    heading.style.letterSpacing = '0.04em';
+    heading.style.color = accent || '#9ca3af';
+    heading.style.marginBottom = '2px';
+
+    row.append(heading, content);
+    return row;
+  }
+
+  /**
+   * Adapt the peel slider to the number of layers in the loaded model
+   * @param {number} count - Layer count reported by AnatomyManager.getLayerCount()
+   */
+  /**
+   * Replace the structure tree, keeping the open branches that still exist
+   * @param {Array} tree - buildStructureTree() result
+   */
+  setStructureTree(tree){
+    this._tree.nodes = tree;
+    this._updateTreeRows();
+  }
+
+  /**
+   * Redraw the rows in view, after visibility or selection changes
+   */
+  refreshStructureTree(){
+    this._renderTreeRows();
+  }
+
+  _toggleTreeNode(node){
+    const { expanded } = this._tree;
+    if (expanded.has(node.id)) expanded.delete(node.id);
+    else expanded.add(node.id);
+    this._updateTreeRows();
+  }
+
+  _updateTreeRows(){
+    const tree = this._tree;
+    tree.rows = flattenStructureTree(tree.nodes, tree.expanded);
+    tree.spacer.style.height = `${tree.rows.length * TREE_ROW_HEIGHT}px`;
+    this._renderTreeRows();
+  }
+
+  _renderTreeRows(){
+    const { rows, viewport, spacer } = this._tree;
+    const first = Math.max(0, Math.floor(viewport.scrollTop / TREE_ROW_HEIGHT) - TREE_OVERSCAN);
+    const last = Math.min(rows.length, Math.ceil((viewport.scrollTop + TREE_HEIGHT) / TREE_ROW_HEIGHT) + TREE_OVERSCAN);
+    const elements = [];
+    for (let i = first; i < last; i++) {
+      const row = this._createTreeRow(rows[i]);
+      row.style.top = `${i * TREE_ROW_HEIGHT}px`;
+      elements.push(row);
+    }
+    spacer.replaceChildren(...elements);
+  }
+
+  _createTreeRow({ node, depth }){
+    const ids = node.structureIds || [node.structureId];
+    const visible = ids.filter(id => this.anatomy.isStructureVisible(id)).length;
+    const selected = ids.filter(id => this.anatomy.selection.has(id)).length;
+    const leaf = node.type === 'structure';
+
+    const row = document.createElement('div');
+    row.style.position = 'absolute';
+    row.style.left = '0';
+    row.style.right = '0';
+    row.style.height = `${TREE_ROW_HEIGHT}px`;
+    row.style.display = 'flex';
+    row.style.alignItems = 'center';
+    row.style.gap = '4px';
+    row.style.boxSizing = 'border-box';
+    row.style.paddingLeft = `${4 + depth * 14}px`;
+    row.style.paddingRight = '6px';
+    row.style.whiteSpace = 'nowrap';
+    if (leaf && selected) row.style.background = 'rgba(59,130,246,0.25)';
+    row.dataset.nodeId = node.id;
+
+    const caret = document.createElement('span');
+    caret.textContent = leaf ? '' : (this._tree.expanded.has(node.id) ? '▾' : '▸');
+    caret.style.width = '12px';
+    caret.style.flex = 'none';
+    caret.style.cursor = leaf ? 'default' : 'pointer';
+    caret.style.color = '#9ca3af';
+    if (!leaf) caret.addEventListener('click', () => this._toggleTreeNode(node));
+
+    // Checked when the whole branch is selected, mixed when part of it is
+    const check = document.createElement('input');
+    check.type = 'checkbox';
+    check.checked = selected === ids.length;
+    check.indeterminate = selected > 0 && selected < ids.length;
+    check.title = 'Añadir a la selección';
+    check.style.margin = '0';
+    check.style.flex = 'none';
+    check.addEventListener('change', () => this.onTreeCheck?.(ids, check.checked));
+
+    const eye = document.createElement('button');
+    eye.textContent = '👁';
+    eye.title = visible ? 'Ocultar' : 'Mostrar';
+    eye.style.background = 'none';
+    eye.style.border = 'none';
+    eye.style.padding = '0 2px';
+    eye.style.cursor = 'pointer';
+    eye.style.flex = 'none';
+    eye.style.opacity = visible === ids.length ? '1' : (visible ? '0.6' : '0.25');
+    // A partly hidden branch is shown whole first
+    eye.addEventListener('click', () => this.onTreeVisibility?.(ids, visible < ids.length));
+
+    const label = document.createElement('span');
+    label.textContent = node.label;
+    label.style.flex = '1';
+    label.style.overflow = 'hidden';
+    label.style.textOverflow = 'ellipsis';
+    label.style.cursor = 'pointer';
+    label.style.color = node.type === 'system' ? (node.color || '#ffffff') : '#e5e7eb';
+    if (!leaf) label.style.fontWeight = '600';
+    label.title = node.label;
+    if (leaf && this.anatomy.isStructurePeeled(node.structureId)) {
+      label.style.opacity = '0.5';
+      label.title = `${node.label} (capa retirada)`;
+    }
+    label.addEventListener('click', () => {
+      if (!leaf) return this._toggleTreeNode(node);
+      this.onSelectStructure?.(node.structureId);
+      this.zoom?.focusOn?.([node.structureId]);
+    });
+
+    row.append(caret, check, eye, label);
+    if (!leaf) {
+      const count = document.createElement('span');
+      count.textContent = String(ids.length);
+      count.style.fontSize = '11px';
+      count.style.color = '#9ca3af';
+      row.appendChild(count);
+    }
+    return row;
+  }
+
+  setLayerCount(count){
+    const max = Math.max(0, (count || 1) - 1);
+    this._peelSlider.max = String(max);
+    if (parseInt(this._peelSlider.value,10) > max) this._peelSlider.value = String(max);
+
+    this._quizLayerSelect.length = 1;
+    for (let layer = 0; layer <= max; layer++){
+      const o = document.createElement('option');
+      o.value = String(layer);
+      o.textContent = layer === 0 ? 'Capa 0 (superficial)' : `Capa ${layer}`;
+      this._quizLayerSelect.appendChild(o);
+    }
+  }
+
+  /**
+   * Render the bookmark list: click to restore, rename or delete
+   * @param {Array} bookmarks - BookmarkManager.list() result
+   */
+  updateBookmarks(bookmarks){
+    this._bookmarkList.replaceChildren();
+    bookmarks.forEach(bookmark => {
+      const row = document.createElement('div');
+      row.style.display = 'flex';
+      row.style.alignItems = 'center';
+      row.style.gap = '6px';
+      row.style.padding = '4px';
+      row.style.marginBottom = '4px';
+      row.style.borderRadius = '6px';
+      row.style.background = 'rgba(255,255,255,0.05)';
+
+      const open = document.createElement('button');
+      open.title = 'Ir a esta vista';
+      open.style.display = 'flex';
+      open.style.alignItems = 'center';
+      open.style.gap = '8px';
+      open.style.flex = '1';
+      open.style.minWidth = '0';
+      open.style.padding = '0';
+      open.style.border = 'none';
+      open.style.background = 'none';
+      open.style.color = '#e5e7eb';
+      open.style.fontSize = '12px';
+      open.style.textAlign = 'left';
+      open.style.cursor = 'pointer';
+      if (bookmark.thumbnail) {
+        const img = document.createElement('img');
+        img.src = bookmark.thumbnail;
+        img.alt = '';
+        img.style.width = '64px';
+        img.style.height = '40px';
+        img.style.objectFit = 'cover';
+        img.style.borderRadius = '4px';
+        open.appendChild(img);
+      }
+      const name = document.createElement('span');
+      name.textContent = bookmark.name;
+      name.style.overflow = 'hidden';
+      name.style.textOverflow = 'ellipsis';
+      name.style.whiteSpace = 'nowrap';
+      open.appendChild(name);
+      open.addEventListener('click', () => this.onRestoreBookmark?.(bookmark.id));
+
+      row.append(
+        open,
+        this._createButton('✎', () => {
+          const next = window.prompt('Nuevo nombre del marcador', bookmark.name);
+          if (next) this.onRenameBookmark?.(bookmark.id, next);
+        }),
+        this._createButton('✕', () => this.onDeleteBookmark?.(bookmark.id))
+      );
+      this._bookmarkList.appendChild(row);
+    });
+  }
+
+  /**
+   * Reflect the placing mode on its button (a placed pin ends it)
+   */
+  setAnnotationPlacing(enabled){
+    this._annotationPlacing = !!enabled;
+    this._annotationPlace.textContent = this._annotationPlacing ? 'Toca una estructura… (cancelar)' : 'Añadir nota';
+    if (this._annotationPlacing) this._flashHud('Toca la superficie donde quieres fijar la nota');
+  }
+
+  /**
+   * Ask for the text of a new note
+   * @returns {string|null}
+   */
+  promptAnnotationNote(structureName){
+    const text = window.prompt(`Nota sobre ${structureName}`);
+    return text && text.trim() ? text : null;
+  }
+
+  /**
+   * Render the note list: click to go to the note, ✕ to delete it
+   * @param {Array} pins - AnnotationManager.list() entries with a structureName
+   */
+  updateAnnotations(pins){
+    this._annotationList.replaceChildren();
+    pins.forEach(pin => {
+      const row = document.createElement('div');
+      row.style.display = 'flex';
+      row.style.alignItems = 'center';
+      row.style.gap = '6px';
+      row.style.padding = '4px';
+      row.style.marginBottom = '4px';
+      row.style.borderRadius = '6px';
+      row.style.background = 'rgba(255,255,255,0.05)';
+
+      const open = document.createElement('button');
+      open.title = 'Ir a esta nota';
+      open.textContent = `${pin.structureName}: ${pin.text}`;
+      open.style.flex = '1';
+      open.style.minWidth = '0';
+      open.style.padding = '0';
+      open.style.border = 'none';
+      open.style.background = 'none';
+      open.style.color = '#e5e7eb';
+      open.style.fontSize = '12px';
+      open.style.textAlign = 'left';
+      open.style.overflow = 'hidden';
+      open.style.textOverflow = 'ellipsis';
+      open.style.whiteSpace = 'nowrap';
+      open.style.cursor = 'pointer';
+      open.addEventListener('click', () => this.onFocusAnnotation?.(pin.id));
+
+      row.append(open, this._createButton('✕', () => this.onDeleteAnnotation?.(pin.id)));
+      this._annotationList.appendChild(row);
+    });
+  }
+
+  /**
+   * Render the legend of a colouring scheme; null hides it
+   * @param {Object|null} legend - ColorSchemeManager.getLegend() result
+   */
+  showColorLegend(legend){
+    this._legend.replaceChildren();
+    if (!legend) {
+      this._legend.style.display = 'none';
+      return;
+    }
+    if (this._schemeSelect.value !== legend.mode) this._schemeSelect.value = this._colorScheme = legend.mode;
+    const title = document.createElement('div');
+    title.textContent = legend.title;
+    title.style.fontWeight = '700';
+    title.style.marginBottom = '6px';
+    this._legend.appendChild(title);
+    legend.entries.forEach(entry => {
+      const row = document.createElement('div');
+      row.style.display = 'flex';
+      row.style.alignItems = 'center';
+      row.style.gap = '8px';
+      row.style.marginTop = '4px';
+      const swatch = document.createElement('span');
+      swatch.style.width = '12px';
+      swatch.style.height = '12px';
+      swatch.style.flexShrink = '0';
+      swatch.style.borderRadius = '3px';
+      swatch.style.background = entry.color;
+      const label = document.createElement('span');
+      label.textContent = `${entry.label} (${entry.count})`;
+      row.append(swatch, label);
+      this._legend.appendChild(row);
+    });
+    this._legend.style.display = 'block';
+  }
+
+  /**
+   * Highlight the active measurement tool
+   */
+  setMeasurementTool(tool){
+    this._measureTool = tool || null;
+    this._measureButtons.forEach((button, key) => {
+      button.style.borderColor = key === this._measureTool ? '#22d3ee' : 'rgba(255,255,255,0.2)';
+    });
+  }
+
+  /**
+   * Tell how many points the active tool still needs
+   * @param {{tool: string, picked: number, needed: number}|null} progress
+   */
+  showMeasurementProgress(progress){
+    if (!progress) return this.hideHud();
+    const { name, points } = MEASUREMENT_TOOLS[progress.tool];
+    this.showHud(points === 1
+      ? `${name}: toca una estructura`
+      : `${name}: toca el punto ${progress.picked + 1} de ${progress.needed}`);
+  }
+
+  /**
+   * Render the measurement list with each value and a delete button
+   * @param {Array} measurements - MeasurementManager.list() entries with structureNames
+   */
+  updateMeasurements(measurements){
+    this._measureList.replaceChildren();
+    measurements.forEach(measurement => {
+      const row = document.createElement('div');
+      row.style.display = 'flex';
+      row.style.alignItems = 'center';
+      row.style.gap = '6px';
+      row.style.padding = '4px';
+      row.style.marginBottom = '4px';
+      row.style.borderRadius = '6px';
+      row.style.background = 'rgba(255,255,255,0.05)';
+
+      const text = document.createElement('span');
+      text.textContent = `${MEASUREMENT_TOOLS[measurement.type].name}: ${formatMeasurement(measurement)}`;
+      text.title = measurement.structureNames.join(', ');
+      text.style.flex = '1';
+      text.style.minWidth = '0';
+      text.style.fontSize = '12px';
+      text.style.overflow = 'hidden';
+      text.style.textOverflow = 'ellipsis';
+      text.style.whiteSpace = 'nowrap';
+
+      row.append(text, this._createButton('✕', () => this.onDeleteMeasurement?.(measurement.id)));
+      this._measureList.appendChild(row);
+    });
+  }
+
+  /**
+   * Refresh the system toggles
+   * @param {Array} systems - AnatomyManager.getAvailableSystems() result
+   */
+  updateSystems(systems){
+    const STATUS = { loading: 'Cargando…', error: 'No disponible' };
+    this._systemList.replaceChildren();
+    systems.forEach(system => {
+      const row = document.createElement('label');
+      row.style.display = 'flex';
+      row.style.alignItems = 'center';
+      row.style.gap = '8px';
+      row.style.padding = '6px 8px';
+      row.style.marginBottom = '4px';
+      row.style.borderRadius = '6px';
+      row.style.background = 'rgba(255,255,255,0.05)';
+      row.style.fontSize = '13px';
+      row.style.cursor = 'pointer';
+      row.title = system.description || '';
+
+      const toggle = document.createElement('input');
+      toggle.type = 'checkbox';
+      toggle.checked = system.status === 'loaded' && system.visible;
+      toggle.disabled = system.status === 'loading';
+      toggle.style.accentColor = system.color;
+      toggle.addEventListener('change', async () => {
+        try {
+          await this.onToggleSystem?.(system.id, toggle.checked);
+        } catch (e) {
+          toggle.checked = false;
+          this._flashHud(e.message);
+        }
+      });
+
+      const name = document.createElement('span');
+      name.textContent = system.name;
+      name.style.flex = '1';
+      name.style.color = system.status === 'error' ? '#9ca3af' : '#e5e7eb';
+
+      const status = document.createElement('span');
+      status.textContent = STATUS[system.status] || (system.status === 'loaded' ? String(system.structures.length) : '');
+      status.style.fontSize = '11px';
+      status.style.color = '#9ca3af';
+
+      row.append(toggle, name, status);
+      // Systems from their own file can be dropped to free memory
+      if (system.model && system.status === 'loaded') {
+        const unload = this._createButton('⏏', (e) => {
+          e.preventDefault();
+          this.onUnloadSystem?.(system.id);
+        });
+        unload.title = 'Descargar para liberar memoria';
+        unload.style.padding = '2px 8px';
+        row.appendChild(unload);
+      }
+      this._systemList.appendChild(row);
+    });
+  }
+
+  _download(filename, text, type){
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  _flashHud(text, duration = 3000){
+    this.showHud(text);
+    clearTimeout(this._hudTimer);
+    this._hudTimer = setTimeout(() => this.hideHud(), duration);
+  }
+
+  /**
+   * Reflect a restored view (system, peel depth, labels) in the controls
+   * without firing their callbacks
+   */
+  setViewState({ peelDepth = 0, labels = false } = {}){
+    this.updateSystems(this.anatomy.getAvailableSystems());
+    this._peelSlider.value = String(peelDepth);
+    this._peelLabel.textContent = `Capas retiradas: ${peelDepth}`;
+    this._labelsToggle.checked = !!labels;
+  }
+
+  /**
+   * Fill the lesson picker
+   * @param {Array<{id: string, title: string}>} lessons - LessonPlayer.loadIndex() result
+   */
+  setLessons(lessons){
+    this._lessonSelect.replaceChildren();
+    lessons.forEach(lesson => {
+      const o = document.createElement('option');
+      o.value = lesson.id;
+      o.textContent = lesson.title || lesson.id;
+      if (lesson.description) o.title = lesson.description;
+      this._lessonSelect.appendChild(o);
+    });
+    if (!lessons.length) {
+      const none = document.createElement('option');
+      none.value = '';
+      none.textContent = 'Sin lecciones disponibles';
+      this._lessonSelect.appendChild(none);
+    }
+    this._lessonSelect.disabled = !lessons.length;
+    this._lessonStart.disabled = !lessons.length;
+  }
+
+  /**
+   * Show the lesson player at a step, or hide it when `status` is null
+   * @param {Object|null} status - LessonPlayer.getStatus() result
+   */
+  showLessonStep(status){
+    const player = this._lessonPlayer;
+    if (!status) {
+      player.el.style.display = 'none';
+      return;
+    }
+    const { title, index, count, step, playing } = status;
+    player.title.textContent = title || '';
+    player.progressText.textContent = `Paso ${index + 1} / ${count}`;
+    player.stepTitle.textContent = step?.title || '';
+    player.narration.textContent = step?.narration || '';
+    player.progressBar.style.width = `${((index + 1) / count) * 100}%`;
+    player.previous.disabled = index <= 0;
+    player.next.disabled = index >= count - 1;
+    player.play.textContent = playing ? 'Pausa' : 'Reproducir';
+    player.el.style.display = 'block';
+  }
+
+  /**
+   * Show the quiz card for a question, the final score, or hide it when
+   * `status` is null
+   * @param {Object|null} status - QuizManager.getStatus() result
+   */
+  showQuizStatus(status){
+    const card = this._quizCard;
+    if (!status) {
+      card.el.style.display = 'none';
+      return;
+    }
+    const { question, score, finished, index, count } = status;
+    card.answers.replaceChildren();
+    card.feedback.textContent = '';
+    card.progress.textContent = finished
+      ? 'Autoevaluación terminada'
+      : `Pregunta ${index + 1} / ${count} · Aciertos: ${score.correct} / ${score.answered}`;
+    card.next.style.display = finished ? 'none' : '';
+    card.exports.forEach(button => { button.style.display = finished ? '' : 'none'; });
+    card.stop.textContent = finished ? 'Cerrar' : 'Terminar';
+    card.el.style.display = 'block';
+
+    if (finished) {
+      card.prompt.textContent = `Resultado: ${score.correct} de ${score.total} aciertos`;
+      return;
+    }
+
+    const answered = !!question.answeredAt;
+    if (question.type === 'locate') {
+      card.prompt.textContent = `Señala: ${question.name}`;
+      const hint = document.createElement('div');
+      hint.textContent = 'Haz clic sobre la estructura en el modelo';
+      hint.style.color = '#9ca3af';
+      card.answers.appendChild(hint);
+    } else {
+      card.prompt.textContent = '¿Qué estructura está resaltada?';
+      if (question.choices) {
+        const grid = document.createElement('div');
+        grid.style.display = 'grid';
+        grid.style.gridTemplateColumns = '1fr 1fr';
+        grid.style.gap = '6px';
+        question.choices.forEach(choice => {
+          const button = this._createButton(choice, () => this.onQuizAnswer?.(choice));
+          button.disabled = answered;
+          if (answered && choice === question.name) button.style.borderColor = '#22c55e';
+          else if (answered && choice === question.answer) button.style.borderColor = '#ef4444';
+          grid.appendChild(button);
+        });
+        card.answers.appendChild(grid);
+      } else {
+        const form = document.createElement('div');
+        form.style.display = 'flex';
+        form.style.gap = '6px';
+        const input = document.createElement('input');
+        input.placeholder = 'Nombre de la estructura';
+        input.value = question.answer || '';
+        input.disabled = answered;
+        input.style.flex = '1';
+        input.style.minWidth = '0';
+        input.style.padding = '8px';
+        input.style.borderRadius = '6px';
+        input.style.border = '1px solid rgba(255,255,255,0.2)';
+        input.style.background = 'rgba(255,255,255,0.1)';
+        input.style.color = '#ffffff';
+        input.style.fontSize = '12px';
+        const submit = () => { if (input.value.trim()) this.onQuizAnswer?.(input.value); };
+        input.addEventListener('keydown', (e) => { if (e.key === 'Enter') submit(); });
+        const button = this._createButton('Responder', submit);
+        button.disabled = answered;
+        form.append(input, button);
+        card.answers.appendChild(form);
+        if (!answered) setTimeout(() => input.focus(), 0);
+      }
+    }
+
+    if (answered) {
+      card.feedback.textContent = question.correct ? `✔ Correcto: ${question.name}` : `✘ Era: ${question.name}`;
+      card.feedback.style.color = question.correct ? '#4ade80' : '#f87171';
+    }
+  }
+
+  /**
+   * List the active clipping planes with flip/remove actions
+   * @param {Array} planes - ClippingManager.getPlanes() result
+   */
+  updateClippingPlanes(planes){
+    this._clipList.replaceChildren();
+    this._clipGizmoToggle.style.display = planes.length ? 'flex' : 'none';
+    planes.forEach((plane, i) => {
+      const row = document.createElement('div');
+      row.style.display = 'flex';
+      row.style.alignItems = 'center';
+      row.style.gap = '6px';
+      row.style.marginBottom = '4px';
+      const name = document.createElement('span');
+      name.textContent = `${i + 1}. ${plane.name}`;
+      name.style.flex = '1';
+      name.style.fontSize = '12px';
+      row.append(
+        name,
+        this._createButton('Invertir', () => this.onFlipClippingPlane?.(plane.id)),
+        this._createButton('✕', () => this.onRemoveClippingPlane?.(plane.id))
+      );
+      this._clipList.appendChild(row);
+    });
+  }
+
+  /**
+   * Floating menu at a screen point; closes on pick, Escape or a click elsewhere
+   * @param {Array<{label: string, action: Function}>} items
+   */
+  showContextMenu(items, clientX, clientY){
+    this.hideContextMenu();
+    const menu = document.createElement('div');
+    menu.style.position = 'fixed';
+    menu.style.left = `${clientX}px`;
+    menu.style.top = `${clientY}px`;
+    menu.style.minWidth = '160px';
+    menu.style.padding = '4px';
+    menu.style.borderRadius = '8px';
+    menu.style.background = 'rgba(17,24,39,0.95)';
+    menu.style.border = '1px solid rgba(255,255,255,0.15)';
+    menu.style.boxShadow = '0 8px 24px rgba(0,0,0,0.35)';
+    menu.style.fontFamily = 'system-ui, Arial, sans-serif';
+    menu.style.zIndex = '1000';
+
+    items.forEach(({ label, action }) => {
+      const item = document.createElement('button');
+      item.textContent = label;
+      item.style.display = 'block';
+      item.style.width = '100%';
+      item.style.padding = '8px 12px';
+      item.style.border = 'none';
+      item.style.borderRadius = '6px';
+      item.style.background = 'transparent';
+      item.style.color = '#e5e7eb';
+      item.style.fontSize = '13px';
+      item.style.textAlign = 'left';
+      item.style.cursor = 'pointer';
+      item.addEventListener('mouseenter', () => { item.style.background = 'rgba(255,255,255,0.1)'; });
+      item.addEventListener('mouseleave', () => { item.style.background = 'transparent'; });
+      item.addEventListener('click', () => {
+        this.hideContextMenu();
+        action();
+      });
+      menu.appendChild(item);
+    });
+
+    document.body.appendChild(menu);
+    // Keep the menu on screen
+    const rect = menu.getBoundingClientRect();
+    if (rect.right > window.innerWidth) menu.style.left = `${Math.max(0, clientX - rect.width)}px`;
+    if (rect.bottom > window.innerHeight) menu.style.top = `${Math.max(0, clientY - rect.height)}px`;
+
+    const onOutside = (e) => { if (!menu.contains(e.target)) this.hideContextMenu(); };
+    const onKey = (e) => { if (e.key === 'Escape') this.hideContextMenu(); };
+    document.addEventListener('pointerdown', onOutside, true);
+    document.addEventListener('keydown', onKey);
+    this._contextMenu = {
+      el: menu,
+      remove: () => {
+        menu.remove();
+        document.removeEventListener('pointerdown', onOutside, true);
+        document.removeEventListener('keydown', onKey);
+      }
+    };
+  }
+
+  hideContextMenu(){
+    this._contextMenu?.remove();
+    this._contextMenu = null;
+  }
+
+  showTooltip(text, clientX, clientY){
+    this._tooltip.textContent = text;
+    this._tooltip.style.display = 'block';
+    this.moveTooltip(clientX, clientY);
+  }
+
+  moveTooltip(clientX, clientY){
+    this._tooltip.style.left = `${clientX + 14}px`;
+    this._tooltip.style.top = `${clientY + 14}px`;
+  }
+
+  hideTooltip(){ this._tooltip.style.display = 'none'; }
+
   showHud(text){
     this._hud.textContent = text;
     this._hud.style.display = 'block';
   }
   hideHud(){ this._hud.style.display = 'none'; }
 
+  /**
+   * Show a short-lived message in the HUD
+   */
+  showMessage(text){ this._flashHud(text); }
+
   dispose(){
+    clearTimeout(this._hudTimer);
     this._hud?.remove();
+    this._infoPanel?.remove();
+    this._lessonPlayer?.el.remove();
+    this._quizCard?.el.remove();
+    this._tooltip?.remove();
+    this.hideContextMenu();
   }
 }
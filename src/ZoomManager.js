@@ -1,8 +1,1083 @@
-// Manages deep zoom + orientation hints (simplified)
-export default class ZoomManager{
-  constructor(renderer, anatomy){
-    this.renderer = renderer; this.anatomy = anatomy;
-    this.maxDepth = 2;
+// Manages deep zoom: discrete zoom levels, smooth camera transitions and
+// stepping texture/mesh resolution up and down as zoom thresholds are crossed
+import * as THREE from 'three';
+import CACHE_CONFIG from './config/cache-config.js';
+
+const { maxConcurrentLoads } = CACHE_CONFIG.progressiveLoading;
+
+// One zoom level per texture resolution, entered once the camera is at
+// `maxDistance` or closer. Distances are view units: camera units as they are,
+// or rescaled so the framed model sits at referenceViewDistance (see
+// setReferenceDistance).
+const DEFAULT_ZOOM_LEVELS = [
+  ['standard', Infinity],
+  ['medium', 50],
+  ['high', 20],
+  ['ultra', 10]
+].map(([quality, maxDistance], level) => ({
+  level,
+  maxDistance,
+  textureQuality: quality,
+  format: CACHE_CONFIG.textureResolutions[quality].format
+}));
+
+// The orientation indicators hang from the scene on a layer of their own: the
+// main camera never sees them and they are drawn in a corner viewport instead
+const ORIENTATION_LAYER = 1;
+
+// Standard anatomical views in model space. Models follow the glTF
+// convention (+Y up, body facing +Z), so the patient's left is +X.
+// Face order matches BoxGeometry material groups: +X, -X, +Y, -Y, +Z, -Z.
+const VIEW_CUBE_FACES = [
+  { view: 'left', label: 'IZQ' },
+  { view: 'right', label: 'DER' },
+  { view: 'superior', label: 'SUP' },
+  { view: 'inferior', label: 'INF' },
+  { view: 'anterior', label: 'ANT' },
+  { view: 'posterior', label: 'POST' }
+];
+
+const VIEW_DIRECTIONS = {
+  anterior: [0, 0, 1],
+  posterior: [0, 0, -1],
+  left: [1, 0, 0],
+  right: [-1, 0, 0],
+  // OrbitControls cannot look exactly along its up axis
+  superior: [0, 1, 0.001],
+  inferior: [0, -1, 0.001]
+};
+
+// Lateral/medial depend on the side of the selected structure
+export const VIEW_SHORTCUTS = {
+  1: 'anterior',
+  2: 'posterior',
+  3: 'left',
+  4: 'right',
+  5: 'superior',
+  6: 'inferior',
+  l: 'lateral',
+  m: 'medial'
+};
+
+export default class ZoomManager {
+  /**
+   * @param {AnatomicalRenderer} renderer
+   * @param {THREE.Camera} camera - Defaults to the renderer's
+   * @param {THREE.Scene} scene - Defaults to the renderer's
+   * @param {Object} options - See the defaults below; `anatomy` enables focusOn and high-res meshes
+   */
+  constructor(renderer, camera, scene, options = {}) {
+    // Older callers pass (renderer, anatomy)
+    if (camera && !camera.position) {
+      options = { anatomy: camera, ...options };
+      camera = null;
+    }
+    this.renderer = renderer;
+    this.camera = camera || renderer?.camera;
+    this.scene = scene || renderer?.scene;
+    this.anatomy = options.anatomy || null;
+
+    this.options = {
+      zoomLevels: DEFAULT_ZOOM_LEVELS,
+      referenceViewDistance: 60, // view units of the framed model, just outside level 1
+      textureBasePath: './assets/textures/',
+      transitionDuration: 800,
+      easing: 'easeInOutCubic',
+      throttleMs: 100,
+      maxConcurrentLoads,
+      maxStructuresPerLevel: 12,
+      enableLabels: true,
+      labelPoolSize: 50,
+      labelMinDistance: 2, // view units; labels show between min and max
+      labelMaxDistance: 30,
+      labelFadeStart: 15, // fully opaque up to here, fading out towards max
+      labelScale: 0.08, // label height per camera unit of distance
+      enableOrientationIndicators: true,
+      orientationSize: 110, // px, view cube viewport in the bottom-right corner
+      orientationMargin: 16,
+      ...options
+    };
+
+    this.currentZoomLevel = 0;
+    this.targetZoomLevel = 0;
+    this.maxDepth = this.options.maxDepth ?? this.options.zoomLevels.length - 1;
+    this.lastCameraDistance = null;
+    this.referenceDistance = null; // camera distance of the framed model, see setReferenceDistance()
+    this.isTransitioning = false;
+
+    this.textureLoader = new THREE.TextureLoader();
+    this.textureCache = new Map();     // `${id}_${quality}` -> texture
+    this.loadingTextures = new Map();  // `${id}_${quality}` -> Promise
+    this.failedTextures = new Set();   // keys that 404'd, never retried
+    this.appliedAssets = new Map();    // mesh -> { quality, texture, geometry }
+    this.transitionCallbacks = [];
+    this.labelPool = [];
+    this.activeLabels = new Map();     // structure id -> label from labelPool
+
+    this._lastChangeTime = -Infinity;
+    this._trailingTimer = null;
+    this._transitionId = 0;
+    this._flight = null; // { level } while setZoomLevel moves the camera
+
+    this._bindControls();
+    this._createLabelSystem();
+    this._createOrientationIndicators();
+  }
+
+  _bindControls() {
+    // Camera moves come through the renderer's interaction controller when it has one
+    const interaction = this.renderer?.getInteractionController?.();
+    const controls = this.renderer?.controls;
+    if (interaction?.onControlsChange) {
+      this._offControlsChange = interaction.onControlsChange(({ distance }) => this.handleCameraChange(distance));
+    } else if (controls?.addEventListener) {
+      this._onControlsChange = () => this.handleCameraChange(this.getCameraDistance());
+      controls.addEventListener('change', this._onControlsChange);
+    }
+    if (!controls?.addEventListener) return;
+    // Any user drag/zoom interrupts a programmatic transition
+    this._onControlsStart = () => this.cancelTransition();
+    controls.addEventListener('start', this._onControlsStart);
+  }
+
+  getCameraDistance() {
+    const target = this.renderer?.controls?.target || new THREE.Vector3();
+    return this.camera.position.distanceTo(target);
+  }
+
+  /**
+   * Camera distance of the framed, whole-model view, which then counts as
+   * options.referenceViewDistance. Called once the model is framed; defaults
+   * to the current camera distance. Until then camera units are view units.
+   */
+  setReferenceDistance(distance = this.getCameraDistance()) {
+    this.referenceDistance = Math.max(distance, 1e-6);
+    this.lastCameraDistance = this.getCameraDistance();
+    this.currentZoomLevel = this.targetZoomLevel = this.calculateZoomLevel(this.lastCameraDistance);
+  }
+
+  /**
+   * @param {number} distance - Camera distance to the orbit target
+   * @returns {number} The same distance in view units
+   */
+  getViewDistance(distance) {
+    if (!this.referenceDistance) return distance;
+    return distance * this.options.referenceViewDistance / this.referenceDistance;
+  }
+
+  getZoomFactor(distance) {
+    return this.options.referenceViewDistance / Math.max(this.getViewDistance(distance), 1e-6);
+  }
+
+  /**
+   * @param {number} distance - Camera distance to the orbit target
+   * @returns {number} Zoom level index into options.zoomLevels
+   */
+  calculateZoomLevel(distance) {
+    const viewDistance = this.getViewDistance(distance);
+    const levels = this.options.zoomLevels;
+    for (let i = levels.length - 1; i > 0; i--) {
+      if (viewDistance <= levels[i].maxDistance) return i;
+    }
+    return 0;
+  }
+
+  /**
+   * Camera distance that sits comfortably inside a level's band
+   */
+  getDistanceForLevel(level) {
+    const levels = this.options.zoomLevels;
+    const near = levels[level + 1]?.maxDistance;
+    const far = levels[level].maxDistance;
+    let viewDistance;
+    if (near === undefined) viewDistance = far * 0.6;
+    else if (far === Infinity) viewDistance = near * 1.2;
+    else viewDistance = (near + far) / 2;
+    return this.referenceDistance
+      ? viewDistance * this.referenceDistance / this.options.referenceViewDistance
+      : viewDistance;
+  }
+
+  /**
+   * Deepest level zooming may reach
+   */
+  setMaxDepth(depth) {
+    this.maxDepth = THREE.MathUtils.clamp(Math.floor(depth), 0, this.options.zoomLevels.length - 1);
+    if (this.currentZoomLevel > this.maxDepth) {
+      this.targetZoomLevel = this.maxDepth;
+      this.transitionToZoomLevel(this.maxDepth);
+    }
+  }
+
+  /**
+   * Called on every controls change; throttled, with a trailing update so
+   * the final position of a zoom gesture is always evaluated
+   */
+  handleCameraChange(distance) {
+    const now = performance.now();
+    const elapsed = now - this._lastChangeTime;
+    if (elapsed < this.options.throttleMs) {
+      clearTimeout(this._trailingTimer);
+      this._trailingTimer = setTimeout(() => this.handleCameraChange(distance), this.options.throttleMs - elapsed);
+      return;
+    }
+    this._lastChangeTime = now;
+    // The first reading settles the starting level
+    const first = this.lastCameraDistance === null;
+    this.lastCameraDistance = distance;
+    this.updateLabels(distance);
+    // The level was already switched when the flight started
+    if (this._flight) return;
+
+    const level = Math.min(this.calculateZoomLevel(distance), this.maxDepth);
+    if (level === this.currentZoomLevel && !first) return;
+    this.targetZoomLevel = level;
+    this.transitionToZoomLevel(level);
+  }
+
+  /**
+   * Switch the active level and swap assets: load higher resolution when
+   * zooming in, release everything above the new level when zooming out
+   */
+  async transitionToZoomLevel(level) {
+    const previous = this.currentZoomLevel;
+    this.currentZoomLevel = level;
+    this.notifyTransitionComplete(level);
+
+    if (level > previous) {
+      await this.loadTexturesForZoomLevel(level);
+    } else if (level < previous) {
+      this.releaseAssetsAboveLevel(level);
+    }
+  }
+
+  /**
+   * Animate the camera to a zoom level along the current view direction
+   * @param {number} level
+   * @returns {Promise<void>}
+   */
+  setZoomLevel(level) {
+    if (!Number.isInteger(level) || level < 0 || level > this.maxDepth) return Promise.resolve();
+    const previous = this.currentZoomLevel;
+    this.targetZoomLevel = level;
+    // Assets for the new level load while the camera is on its way
+    if (level !== previous) this.transitionToZoomLevel(level);
+    return this.performSmoothTransition(previous, level);
+  }
+
+  async performSmoothTransition(fromLevel, toLevel) {
+    this.targetZoomLevel = toLevel;
+    const fromDistance = this.getCameraDistance();
+    const toDistance = this.getDistanceForLevel(toLevel);
+
+    const flight = this._flight = { level: toLevel };
+    let completed;
+    try {
+      completed = await this._runTransition(this.options.transitionDuration,
+        progress => this.updateTransitionState(progress, fromDistance, toDistance));
+    } finally {
+      if (this._flight === flight) this._flight = null;
+    }
+
+    if (completed && this.currentZoomLevel !== toLevel) {
+      await this.transitionToZoomLevel(toLevel);
+    } else if (!completed && !this._flight) {
+      // Interrupted by the user: the level follows wherever the camera stopped
+      this.handleCameraChange(this.getCameraDistance());
+    }
+  }
+
+  /**
+   * Drive an eased camera animation, one update per animation frame.
+   * Starting another transition or any user input on the controls stops it.
+   * @param {number} duration - ms
+   * @param {Function} update - Receives the eased progress (0..1)
+   * @returns {Promise<boolean>} true when it ran to the end
+   */
+  async _runTransition(duration, update) {
+    this.cancelTransition();
+    const id = ++this._transitionId;
+    this.isTransitioning = true;
+    const length = Math.max(1, duration);
+    const start = performance.now();
+
+    try {
+      return await new Promise((resolve, reject) => {
+        const step = () => {
+          // A newer transition or user input took over
+          if (id !== this._transitionId) return resolve(false);
+          const t = Math.min(1, (performance.now() - start) / length);
+          try {
+            update(this.applyEasing(t, this.options.easing));
+          } catch (e) {
+            return reject(e);
+          }
+          if (t < 1) requestAnimationFrame(step);
+          else resolve(true);
+        };
+        step();
+      });
+    } finally {
+      if (id === this._transitionId) this.isTransitioning = false;
+    }
+  }
+
+  /**
+   * Fly the camera to frame the given structures. The view faces their outer
+   * surface: it looks at them from the side pointing away from the model's
+   * center, falling back to the current direction for central structures.
+   * @param {string[]} structureIds
+   * @param {Object} options
+   * @param {number} options.duration - ms (default: transitionDuration)
+   * @returns {Promise<boolean>} true when the camera arrived, false if interrupted or nothing to frame
+   */
+  async focusOn(structureIds, { duration = this.options.transitionDuration } = {}) {
+    const meshes = [].concat(structureIds ?? [])
+      .map(id => this.anatomy?.structures?.get(id)?.mesh)
+      .filter(Boolean);
+    const framing = meshes.length ? this.renderer.computeFraming?.(meshes) : null;
+    const controls = this.renderer?.controls;
+    if (!framing || !controls) return false;
+
+    const target = framing.center.clone();
+    const position = target.clone().addScaledVector(this._outwardDirection(framing.center), framing.distance);
+    return this.flyTo({ position, target }, { duration });
+  }
+
+  /**
+   * Ease the camera and orbit target to a pose, e.g. a saved bookmark
+   * @param {{position: THREE.Vector3|number[], target: THREE.Vector3|number[]}} pose
+   * @returns {Promise<boolean>} true when the camera arrived
+   */
+  flyTo(pose, { duration = this.options.transitionDuration } = {}) {
+    const controls = this.renderer?.controls;
+    if (!controls || !pose?.position || !pose?.target) return Promise.resolve(false);
+    const toVector = (v) => (Array.isArray(v) ? new THREE.Vector3().fromArray(v) : v.clone());
+
+    const fromTarget = controls.target.clone();
+    const fromPosition = this.camera.position.clone();
+    const toTarget = toVector(pose.target);
+    const toPosition = toVector(pose.position);
+
+    return this._runTransition(duration, progress => {
+      controls.target.lerpVectors(fromTarget, toTarget, progress);
+      this.camera.position.lerpVectors(fromPosition, toPosition, progress);
+      this.camera.lookAt(controls.target);
+    });
+  }
+
+  /**
+   * Unit vector from the model's center through `point`, flattened towards
+   * the horizontal so head and feet are not viewed straight from above/below
+   */
+  _outwardDirection(point) {
+    const current = new THREE.Vector3().subVectors(this.camera.position, this.renderer.controls.target);
+    if (current.lengthSq() < 1e-12) current.set(0, 0, 1);
+    current.normalize();
+
+    const root = this.renderer?.root;
+    if (!root) return current;
+    const box = new THREE.Box3().setFromObject(root);
+    if (box.isEmpty()) return current;
+
+    const size = box.getSize(new THREE.Vector3()).length();
+    const outward = point.clone().sub(box.getCenter(new THREE.Vector3()));
+    outward.y *= 0.35;
+    // Structures near the middle of the body have no meaningful outside
+    if (outward.length() < size * 0.05) return current;
+    return outward.normalize();
+  }
+
+  /**
+   * Orbit around the current target to a standard anatomical view. Views are
+   * relative to the model, so they follow its rotation.
+   * @param {string} view - anterior, posterior, left, right, superior, inferior, lateral or medial
+   * @returns {Promise<boolean>} true when the camera arrived
+   */
+  setView(view, { duration = this.options.transitionDuration } = {}) {
+    const direction = VIEW_DIRECTIONS[this._resolveView(view)];
+    const controls = this.renderer?.controls;
+    if (!direction || !controls) return Promise.resolve(false);
+
+    const target = controls.target;
+    const from = new THREE.Vector3().subVectors(this.camera.position, target);
+    const distance = from.length() || 1;
+    from.normalize();
+    const to = new THREE.Vector3(...direction).normalize().applyQuaternion(this._modelQuaternion());
+
+    // Swing around the vertical for opposite views instead of an arbitrary axis
+    const rotation = from.dot(to) < -0.999
+      ? new THREE.Quaternion().setFromAxisAngle(this.camera.up, Math.PI)
+      : new THREE.Quaternion().setFromUnitVectors(from, to);
+    const step = new THREE.Quaternion();
+
+    return this._runTransition(duration, progress => {
+      step.identity().slerp(rotation, progress);
+      this.camera.position.copy(from).applyQuaternion(step).multiplyScalar(distance).add(target);
+      this.camera.lookAt(target);
+    });
+  }
+
+  _resolveView(view) {
+    if (view !== 'lateral' && view !== 'medial') return view;
+    const lateral = this.anatomy?.getStructureSide?.(this.anatomy.selection?.primary) || 'left';
+    if (view === 'lateral') return lateral;
+    return lateral === 'left' ? 'right' : 'left';
+  }
+
+  _modelQuaternion() {
+    const quaternion = new THREE.Quaternion();
+    this.renderer?.root?.getWorldQuaternion(quaternion);
+    return quaternion;
+  }
+
+  /**
+   * Pool of name labels shown over the nearest structures while zoomed in
+   */
+  _createLabelSystem() {
+    this.labelContainer = new THREE.Group();
+    this.labelContainer.name = 'zoomLabels';
+    this.labelContainer.visible = this.options.enableLabels;
+    // The pool's canvases are only worth allocating once labels are on
+    if (this.options.enableLabels) this._fillLabelPool();
+    this.scene?.add(this.labelContainer);
+  }
+
+  _fillLabelPool() {
+    while (this.labelPool.length < this.options.labelPoolSize) {
+      const label = this.createLabelMesh();
+      this.labelPool.push(label);
+      this.labelContainer.add(label);
+    }
+  }
+
+  /**
+   * A hidden billboard: a dark backing plane and the text drawn on a canvas
+   * @returns {THREE.Group}
+   */
+  createLabelMesh() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 512;
+    canvas.height = 128;
+    const context = canvas.getContext('2d');
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+
+    // Drawn on top of the model, which they describe
+    const overlay = { transparent: true, depthTest: false, depthWrite: false };
+    const background = new THREE.Mesh(
+      new THREE.PlaneGeometry(4, 1),
+      new THREE.MeshBasicMaterial({ color: 0x111827, opacity: 0.6, ...overlay })
+    );
+    const textMesh = new THREE.Mesh(new THREE.PlaneGeometry(4, 1), new THREE.MeshBasicMaterial({ map: texture, ...overlay }));
+    background.renderOrder = 998;
+    textMesh.renderOrder = 999;
+
+    const label = new THREE.Group();
+    label.add(background, textMesh);
+    label.visible = false;
+    label.userData = { canvas, context, texture, background, textMesh, isActive: false, structureId: null };
+    return label;
+  }
+
+  /**
+   * 'biceps_brachii' -> 'Biceps Brachii', 'camelCase' -> 'Camel Case'
+   */
+  formatStructureName(name) {
+    return String(name || '')
+      .replace(/[_-]+/g, ' ')
+      .replace(/([a-z])([A-Z])/g, '$1 $2')
+      .split(/\s+/)
+      .filter(Boolean)
+      .map(word => word[0].toUpperCase() + word.slice(1))
+      .join(' ');
+  }
+
+  /**
+   * @param {number} distance - In view units
+   * @returns {number} 1 up to labelFadeStart, fading to 0 at labelMaxDistance
+   */
+  calculateLabelOpacity(distance) {
+    const { labelFadeStart: start, labelMaxDistance: end } = this.options;
+    if (distance <= start) return 1;
+    if (distance >= end) return 0;
+    return (end - distance) / (end - start);
+  }
+
+  getLabelFromPool() {
+    return this.labelPool.find(label => !label.userData.isActive) || null;
+  }
+
+  _releaseLabel(id) {
+    const label = this.activeLabels.get(id);
+    if (!label) return;
+    label.visible = false;
+    if (label.userData) Object.assign(label.userData, { isActive: false, structureId: null });
+    this.activeLabels.delete(id);
+  }
+
+  clearActiveLabels() {
+    [...this.activeLabels.keys()].forEach(id => this._releaseLabel(id));
+  }
+
+  setLabelsEnabled(enabled) {
+    this.options.enableLabels = !!enabled;
+    if (this.labelContainer) this.labelContainer.visible = !!enabled;
+    if (enabled) {
+      this._fillLabelPool();
+      this.updateLabels();
+    }
+    else this.clearActiveLabels();
+  }
+
+  /**
+   * Label the structures in view nearest the camera, between
+   * labelMinDistance and labelMaxDistance (view units)
+   * @param {number} distance - Camera distance to the orbit target
+   */
+  updateLabels(distance = this.lastCameraDistance) {
+    const viewDistance = distance == null ? null : this.getViewDistance(distance);
+    const { labelMinDistance, labelMaxDistance } = this.options;
+    if (!this.options.enableLabels || viewDistance == null ||
+        viewDistance < labelMinDistance || viewDistance > labelMaxDistance) {
+      this.clearActiveLabels();
+      return;
+    }
+
+    const cameraPos = this.camera.position;
+    const structures = this.getVisibleStructures()
+      .filter(s => this.isStructureInView(s))
+      .map(s => ({ s, d: s.getWorldPosition(new THREE.Vector3()).distanceTo(cameraPos) }))
+      .sort((a, b) => a.d - b.d)
+      .slice(0, this.labelPool.length)
+      .map(c => c.s);
+    const wanted = new Set(structures.map(s => this._structureId(s)));
+    [...this.activeLabels.keys()].forEach(id => { if (!wanted.has(id)) this._releaseLabel(id); });
+
+    const opacity = this.calculateLabelOpacity(viewDistance);
+    const box = new THREE.Box3();
+    structures.forEach(structure => {
+      const id = this._structureId(structure);
+      let label = this.activeLabels.get(id);
+      if (!label) {
+        label = this.getLabelFromPool();
+        if (!label) return;
+        label.userData.isActive = true;
+        label.userData.structureId = id;
+        this.activeLabels.set(id, label);
+        this.updateLabelText(label, structure);
+      }
+      // Centred just above the structure, facing the camera, same size on screen
+      box.setFromObject(structure);
+      const scale = distance * this.options.labelScale;
+      label.position.set((box.min.x + box.max.x) / 2, box.max.y + scale, (box.min.z + box.max.z) / 2);
+      label.quaternion.copy(this.camera.quaternion || label.quaternion);
+      label.scale.setScalar(scale);
+      label.userData.background.material.opacity = 0.6 * opacity;
+      label.userData.textMesh.material.opacity = opacity;
+      label.visible = true;
+    });
+  }
+
+  /**
+   * Draw a structure's name on a label's canvas
+   */
+  updateLabelText(label, structure) {
+    const { canvas, context, texture } = label.userData;
+    const id = this._structureId(structure);
+    const text = this.anatomy?.structures?.get(id)?.name || this.formatStructureName(id);
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    context.font = 'bold 56px system-ui, Arial, sans-serif';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillStyle = '#ffffff';
+    context.fillText(text, canvas.width / 2, canvas.height / 2);
+    texture.needsUpdate = true;
+  }
+
+  /**
+   * View cube, axes and compass drawn in a corner viewport on top of the scene
+   */
+  _createOrientationIndicators() {
+    this.orientationCamera = new THREE.OrthographicCamera(-1.6, 1.6, 1.6, -1.6, 0.1, 10);
+    this.orientationCamera.layers.set(ORIENTATION_LAYER);
+    this.orientationGroup = new THREE.Group();
+    this.orientationGroup.name = 'orientationIndicators';
+    this.orientationGroup.visible = this.options.enableOrientationIndicators;
+
+    this.viewCube = new THREE.Mesh(
+      new THREE.BoxGeometry(1, 1, 1),
+      VIEW_CUBE_FACES.map(face => this._createFaceMaterial(face.label))
+    );
+    this.orientationGroup.add(this.viewCube);
+
+    // Axes leave the cube through the left, superior and anterior faces
+    this.axisLines = new THREE.Group();
+    // Their letters turn to face the viewer, see updateOrientationIndicators()
+    this.axisHelpers = new THREE.Group();
+    [['X', 1, 0, 0, '#ef4444'], ['Y', 0, 1, 0, '#22c55e'], ['Z', 0, 0, 1, '#3b82f6']].forEach(([letter, x, y, z, color]) => {
+      const axis = new THREE.Vector3(x, y, z);
+      const geometry = new THREE.BufferGeometry().setFromPoints([axis.clone().multiplyScalar(0.5), axis.clone().multiplyScalar(1.1)]);
+      this.axisLines.add(new THREE.Line(geometry, new THREE.LineBasicMaterial({ color })));
+
+      const tip = new THREE.Mesh(
+        new THREE.PlaneGeometry(0.3, 0.3),
+        new THREE.MeshBasicMaterial({ map: this._createLetterTexture(letter, color), transparent: true, depthWrite: false })
+      );
+      tip.userData.axis = axis.multiplyScalar(1.3);
+      tip.position.copy(tip.userData.axis);
+      this.axisHelpers.add(tip);
+    });
+    this.orientationGroup.add(this.axisLines, this.axisHelpers);
+
+    // Horizontal ring under the cube whose arrow marks the side the camera looks from
+    this.compassMesh = new THREE.Group();
+    this.compassMesh.rotation.x = -Math.PI / 2; // local z is up, so rotation.z is the heading
+    const ring = new THREE.Mesh(
+      new THREE.RingGeometry(0.95, 1.05, 48),
+      new THREE.MeshBasicMaterial({ color: 0x9ca3af, side: THREE.DoubleSide, transparent: true, opacity: 0.6 })
+    );
+    const arrow = new THREE.Mesh(new THREE.ConeGeometry(0.12, 0.3, 16), new THREE.MeshBasicMaterial({ color: 0x3b82f6 }));
+    arrow.rotation.z = Math.PI;
+    arrow.position.y = -1.15; // anterior at heading 0
+    this.compassMesh.add(ring, arrow);
+    this.compassMesh.position.y = -0.55;
+    this.orientationGroup.add(this.compassMesh);
+
+    this.orientationGroup.traverse(o => o.layers.set(ORIENTATION_LAYER));
+    this.scene?.add(this.orientationGroup);
+
+    this._viewRaycaster = new THREE.Raycaster();
+    this._viewRaycaster.layers.set(ORIENTATION_LAYER);
+    if (this.renderer?.addFrameCallback) {
+      this._removeOrientationRender = this.renderer.addFrameCallback(() => this.renderOrientationIndicators());
+    }
+    this._onViewKey = (e) => this._handleViewShortcut(e);
+    window.addEventListener('keydown', this._onViewKey);
+  }
+
+  _createFaceMaterial(label) {
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = 128;
+    const ctx = canvas.getContext?.('2d');
+    if (!ctx?.fillRect) return new THREE.MeshBasicMaterial({ color: 0xe5e7eb });
+
+    ctx.fillStyle = '#6b7280';
+    ctx.fillRect(0, 0, 128, 128);
+    ctx.fillStyle = '#e5e7eb';
+    ctx.fillRect(6, 6, 116, 116);
+    ctx.fillStyle = '#111827';
+    ctx.font = 'bold 34px system-ui, Arial, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(label, 64, 66);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    return new THREE.MeshBasicMaterial({ map: texture });
+  }
+
+  _createLetterTexture(letter, color) {
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = 64;
+    const ctx = canvas.getContext?.('2d');
+    if (ctx) {
+      ctx.font = 'bold 48px system-ui, Arial, sans-serif';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillStyle = color;
+      ctx.fillText(letter, 32, 34);
+    }
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    return texture;
+  }
+
+  /**
+   * Turn the indicators with the model and look at them from the main
+   * camera's direction. The axis letters face the camera and the compass
+   * arrow turns to the side of the model the camera is on.
+   */
+  updateOrientationIndicators() {
+    if (!this.orientationGroup) return;
+    const model = this._modelQuaternion();
+    this.orientationGroup.quaternion.copy(model);
+    this.orientationGroup.updateMatrixWorld();
+
+    const view = new THREE.Quaternion();
+    this.camera.getWorldQuaternion?.(view);
+    this.orientationCamera.quaternion.copy(view);
+    this.orientationCamera.position.set(0, 0, 4).applyQuaternion(view);
+    this.orientationCamera.updateMatrixWorld();
+
+    this.axisHelpers.lookAt(this.camera.position);
+    const toHelpers = this.axisHelpers.quaternion.clone().invert();
+    this.axisHelpers.children.forEach(tip => tip.position.copy(tip.userData.axis).applyQuaternion(toHelpers));
+    this.axisHelpers.updateMatrixWorld();
+
+    const direction = this.camera.getWorldDirection(new THREE.Vector3()).clone().applyQuaternion(model.invert());
+    this.compassMesh.rotation.z = Math.atan2(-direction.x, -direction.z);
+  }
+
+  _orientationViewport() {
+    const { orientationSize: size, orientationMargin: margin } = this.options;
+    const width = this.renderer.renderer.getSize(new THREE.Vector2()).x;
+    return { x: width - size - margin, y: margin, size };
+  }
+
+  /**
+   * Draw the view cube in its corner after the main scene (frame callback)
+   */
+  renderOrientationIndicators() {
+    const gl = this.renderer?.renderer;
+    if (!gl || !this.options.enableOrientationIndicators) return;
+    this.updateOrientationIndicators();
+
+    const { x, y, size } = this._orientationViewport();
+    const autoClear = gl.autoClear;
+    gl.autoClear = false;
+    gl.setScissorTest(true);
+    gl.setScissor(x, y, size, size);
+    gl.setViewport(x, y, size, size);
+    gl.clearDepth();
+    // Just the indicators: no background, fog or shadow pass of the main scene
+    gl.render(this.orientationGroup, this.orientationCamera);
+    gl.setScissorTest(false);
+    const full = gl.getSize(new THREE.Vector2());
+    gl.setViewport(0, 0, full.x, full.y);
+    gl.autoClear = autoClear;
+  }
+
+  /**
+   * View whose cube face is under a screen point, if any
+   * @returns {string|null}
+   */
+  pickView(clientX, clientY) {
+    const dom = this.renderer?.renderer?.domElement;
+    if (!dom || !this.options.enableOrientationIndicators) return null;
+    const rect = dom.getBoundingClientRect();
+    const { x, y, size } = this._orientationViewport();
+    const px = clientX - rect.left - x;
+    const py = rect.bottom - clientY - y;
+    if (px < 0 || py < 0 || px > size || py > size) return null;
+
+    this.updateOrientationIndicators();
+    this._viewRaycaster.setFromCamera(new THREE.Vector2((px / size) * 2 - 1, (py / size) * 2 - 1), this.orientationCamera);
+    const hit = this._viewRaycaster.intersectObject(this.viewCube, false)[0];
+    return hit ? VIEW_CUBE_FACES[hit.face.materialIndex].view : null;
+  }
+
+  _handleViewShortcut(e) {
+    if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+    const target = e.target;
+    if (target?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName)) return;
+    const view = VIEW_SHORTCUTS[e.key?.toLowerCase()];
+    if (!view) return;
+    e.preventDefault();
+    this.setView(view);
+  }
+
+  setOrientationIndicatorsEnabled(enabled) {
+    this.options.enableOrientationIndicators = !!enabled;
+    if (this.orientationGroup) this.orientationGroup.visible = !!enabled;
+  }
+
+  /**
+   * Place the camera at the eased distance between the transition endpoints
+   */
+  updateTransitionState(progress, fromDistance, toDistance) {
+    const target = this.renderer?.controls?.target || new THREE.Vector3();
+    const offset = new THREE.Vector3().subVectors(this.camera.position, target);
+    if (offset.lengthSq() < 1e-12) offset.set(0, 0, 1);
+    offset.setLength(THREE.MathUtils.lerp(fromDistance, toDistance, progress));
+    this.camera.position.copy(target).add(offset);
+  }
+
+  cancelTransition() {
+    if (!this.isTransitioning) return;
+    this._transitionId++;
+    this.isTransitioning = false;
+  }
+
+  applyEasing(t, easing = 'easeInOutCubic') {
+    switch (easing) {
+      case 'linear': return t;
+      case 'easeInQuad': return t * t;
+      case 'easeOutQuad': return t * (2 - t);
+      case 'easeInOutCubic':
+      default:
+        return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+    }
+  }
+
+  onTransitionComplete(callback) {
+    this.transitionCallbacks.push(callback);
+  }
+
+  notifyTransitionComplete(level) {
+    this.transitionCallbacks.forEach(cb => {
+      try {
+        cb(level, this.options.zoomLevels[level]);
+      } catch (e) {
+        console.warn('Zoom transition callback error:', e);
+      }
+    });
+  }
+
+  getCurrentZoomInfo() {
+    return {
+      level: this.currentZoomLevel,
+      targetLevel: this.targetZoomLevel,
+      isTransitioning: this.isTransitioning,
+      distance: this.lastCameraDistance,
+      zoomFactor: this.lastCameraDistance ? this.getZoomFactor(this.lastCameraDistance) : 1,
+      config: this.options.zoomLevels[this.currentZoomLevel]
+    };
+  }
+
+  _structureId(structure) {
+    return structure.userData?.canonicalName || structure.name;
+  }
+
+  _qualityRank(quality) {
+    return this.options.zoomLevels.findIndex(l => l.textureQuality === quality);
+  }
+
+  /**
+   * Visible meshes that can receive high-resolution assets
+   */
+  getVisibleStructures() {
+    const structures = [];
+    this.scene?.traverse?.((object) => {
+      if (object.isMesh && object.visible && this._structureId(object)) structures.push(object);
+    });
+    return structures;
+  }
+
+  isStructureInView(structure) {
+    if (!this.camera.projectionMatrix || !structure.geometry) return false;
+    this.camera.updateMatrixWorld?.();
+    const frustum = new THREE.Frustum().setFromProjectionMatrix(
+      new THREE.Matrix4().multiplyMatrices(this.camera.projectionMatrix, this.camera.matrixWorldInverse)
+    );
+    return frustum.intersectsObject(structure);
+  }
+
+  /**
+   * Load the level's texture (and mesh, when the structure declares one) for
+   * the structures nearest the camera, a few at a time
+   * @param {number} level
+   */
+  async loadTexturesForZoomLevel(level) {
+    const config = this.options.zoomLevels[level];
+    if (!config || level === 0) return [];
+
+    const cameraPos = this.camera.position;
+    const candidates = this.getVisibleStructures()
+      .filter(s => this.isStructureInView(s))
+      .filter(s => this._qualityRank(this.appliedAssets.get(s)?.quality) < level)
+      .map(s => ({ s, d: s.getWorldPosition ? s.getWorldPosition(new THREE.Vector3()).distanceTo(cameraPos) : 0 }))
+      .sort((a, b) => a.d - b.d)
+      .slice(0, this.options.maxStructuresPerLevel)
+      .map(c => c.s);
+
+    // A direct call may preload above the current level; only a zoom-out
+    // below where the load started cancels it
+    const floor = Math.min(level, this.currentZoomLevel);
+    const results = [];
+    for (let i = 0; i < candidates.length; i += this.options.maxConcurrentLoads) {
+      // Stop if the user zoomed back out while this batch was loading
+      if (this.currentZoomLevel < floor) break;
+      const batch = candidates.slice(i, i + this.options.maxConcurrentLoads);
+      results.push(...await Promise.all(batch.map(async (s) => {
+        await this.loadHighResMesh(s, config.textureQuality);
+        return this.loadHighResTexture(s, config.textureQuality);
+      })));
+    }
+    // Loads that finished after a zoom-out must not stay applied
+    if (this.currentZoomLevel < floor) this.releaseAssetsAboveLevel(this.currentZoomLevel);
+    return results;
+  }
+
+  _texturePath(structure, quality) {
+    const declared = structure.userData?.assets?.textures?.[quality];
+    if (declared) return declared;
+    const format = this.options.zoomLevels[this._qualityRank(quality)]?.format || 'jpg';
+    return `${this.options.textureBasePath}${this._structureId(structure)}_${quality}.${format}`;
+  }
+
+  _loadTexture(path) {
+    return new Promise((resolve, reject) => this.textureLoader.load(path, resolve, undefined, reject));
+  }
+
+  /**
+   * Load and apply a texture at `quality`, falling back to lower qualities.
+   * Concurrent requests for the same key share one load.
+   * @returns {Promise<THREE.Texture|null>}
+   */
+  loadHighResTexture(structure, quality) {
+    const key = `${this._structureId(structure)}_${quality}`;
+
+    if (this.textureCache.has(key)) {
+      const cached = this.textureCache.get(key);
+      this._upgradeTexture(structure, cached, quality);
+      return Promise.resolve(cached);
+    }
+    if (this.loadingTextures.has(key)) return this.loadingTextures.get(key);
+    if (this.failedTextures.has(key)) return Promise.resolve(null);
+
+    const promise = (async () => {
+      const rank = this._qualityRank(quality);
+      const fallbacks = this.options.zoomLevels.slice(1, rank + 1).map(l => l.textureQuality).reverse();
+      for (const q of fallbacks.length ? fallbacks : [quality]) {
+        try {
+          const texture = await this._loadTexture(this._texturePath(structure, q));
+          texture.colorSpace = THREE.SRGBColorSpace;
+          this.textureCache.set(key, texture);
+          this._upgradeTexture(structure, texture, quality);
+          return texture;
+        } catch (e) {
+          // try the next lower resolution
+        }
+      }
+      this.failedTextures.add(key);
+      return null;
+    })().finally(() => this.loadingTextures.delete(key));
+
+    this.loadingTextures.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Swap in a higher-poly geometry for structures that declare one in
+   * userData.assets.meshes (from the structure index)
+   */
+  async loadHighResMesh(structure, quality) {
+    const path = structure.userData?.assets?.meshes?.[quality];
+    const loader = this.options.modelLoader || this.anatomy?.musclesLoader?.modelLoader;
+    if (!path || !loader || !structure.geometry) return null;
+
+    try {
+      const model = await loader.loadModel(path);
+      let hiRes = null;
+      model.traverse(o => { if (!hiRes && o.isMesh) hiRes = o; });
+      if (!hiRes || this.currentZoomLevel < this._qualityRank(quality)) return null;
+
+      const applied = this._trackOriginal(structure);
+      if (applied.hiResGeometry) applied.hiResGeometry.dispose();
+      // ModelLoader keeps the loaded geometry cached; ours is disposed on zoom-out
+      applied.hiResGeometry = hiRes.geometry.clone();
+      applied.quality = quality;
+      structure.geometry = applied.hiResGeometry;
+      return applied.hiResGeometry;
+    } catch (e) {
+      console.warn(`ZoomManager: high-res mesh failed for ${this._structureId(structure)}:`, e.message);
+      return null;
+    }
+  }
+
+  _trackOriginal(structure) {
+    if (!this.appliedAssets.has(structure)) {
+      const materials = Array.isArray(structure.material) ? structure.material : [structure.material];
+      this.appliedAssets.set(structure, {
+        quality: 'standard',
+        originalMaps: materials.map(m => m?.map || null),
+        originalGeometry: structure.geometry
+      });
+    }
+    return this.appliedAssets.get(structure);
+  }
+
+  /**
+   * Apply a texture and remember its quality, so zooming out releases it
+   */
+  _upgradeTexture(structure, texture, quality) {
+    if (structure.material) this._trackOriginal(structure).quality = quality;
+    this.applyTextureToStructure(structure, texture);
+  }
+
+  applyTextureToStructure(structure, texture) {
+    if (!structure.material) return;
+    this._trackOriginal(structure).texture = texture;
+
+    const materials = Array.isArray(structure.material) ? structure.material : [structure.material];
+    materials.forEach(m => {
+      m.map = texture;
+      m.needsUpdate = true;
+    });
+  }
+
+  /**
+   * Restore original maps/geometry on every structure above `level` and
+   * dispose the high-resolution textures that are no longer needed
+   */
+  releaseAssetsAboveLevel(level) {
+    for (const [structure, applied] of this.appliedAssets) {
+      if (this._qualityRank(applied.quality) <= level) continue;
+
+      const materials = Array.isArray(structure.material) ? structure.material : [structure.material];
+      materials.forEach((m, i) => {
+        if (!m) return;
+        m.map = applied.originalMaps[i] || null;
+        m.needsUpdate = true;
+      });
+      if (applied.hiResGeometry) {
+        structure.geometry = applied.originalGeometry;
+        applied.hiResGeometry.dispose();
+      }
+      this.appliedAssets.delete(structure);
+    }
+
+    for (const [key, texture] of this.textureCache) {
+      const quality = key.slice(key.lastIndexOf('_') + 1);
+      if (this._qualityRank(quality) > level) {
+        texture.dispose?.();
+        this.textureCache.delete(key);
+      }
+    }
+  }
+
+  getTextureCacheStats() {
+    return {
+      cachedTextures: this.textureCache.size,
+      loadingTextures: this.loadingTextures.size,
+      failedTextures: this.failedTextures.size,
+      upgradedStructures: this.appliedAssets.size,
+      activeLabels: this.activeLabels.size,
+      labelPoolSize: this.labelPool.length
+    };
+  }
+
+  clearTextureCache() {
+    this.releaseAssetsAboveLevel(0);
+    this.textureCache.forEach(t => t.dispose?.());
+    this.textureCache.clear();
+    this.failedTextures.clear();
+  }
+
+  dispose() {
+    this.cancelTransition();
+    clearTimeout(this._trailingTimer);
+    this._removeOrientationRender?.();
+    window.removeEventListener('keydown', this._onViewKey);
+    this.clearActiveLabels();
+    this.scene?.remove(this.labelContainer);
+    this.scene?.remove(this.orientationGroup);
+    [this.labelContainer, this.orientationGroup].forEach(group => group?.traverse(o => {
+      o.geometry?.dispose?.();
+      [].concat(o.material || []).forEach(m => {
+        m.map?.dispose?.();
+        m.dispose?.();
+      });
+    }));
+    this._offControlsChange?.();
+    const controls = this.renderer?.controls;
+    if (controls?.removeEventListener) {
+      if (this._onControlsChange) controls.removeEventListener('change', this._onControlsChange);
+      if (this._onControlsStart) controls.removeEventListener('start', this._onControlsStart);
+    }
+    this.clearTextureCache();
+    this.loadingTextures.clear();
+    this.transitionCallbacks = [];
   }
-  setMaxDepth(d){ this.maxDepth = d; }
 }
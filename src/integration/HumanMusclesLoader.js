@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import ModelLoader from '../ModelLoader.js';
+import { loadCachedJSON } from '../utils/cached-json.js';
 
 /**
  * HumanMusclesLoader - Adapter to load a glTF (.glb) human muscles model
@@ -7,9 +8,11 @@ import ModelLoader from '../ModelLoader.js';
  */
 export default class HumanMusclesLoader {
   constructor(options = {}) {
-    this.modelLoader = options.modelLoader || new ModelLoader(options.loaderOptions || {});
+    this.cacheManager = options.cacheManager || null;
+    this.modelLoader = options.modelLoader || new ModelLoader({ cacheManager: this.cacheManager, ...(options.loaderOptions || {}) });
     this.defaultModelName = options.defaultModelName || 'human_muscles.glb';
     this.indexPath = options.indexPath || 'assets/models/human_muscles_index.json';
+    this.terminologyPath = options.terminologyPath || 'assets/data/bp3d-terminology.json';
   }
 
   /**
@@ -48,6 +51,58 @@ export default class HumanMusclesLoader {
     return 'unknown';
   }
 
+  /**
+   * Fetch a JSON asset with the persistent cache as offline fallback
+   */
+  async _loadCachedJSON(path) {
+    return loadCachedJSON(path, this.cacheManager);
+  }
+
+  /**
+   * Fetch the scaffold index JSON (generated by tooling)
+   */
+  async loadIndex() {
+    return this._loadCachedJSON(this.indexPath);
+  }
+
+  /**
+   * Fetch the BodyParts3D terminology table (FJ id -> FMA concept and names)
+   */
+  async loadTerminology() {
+    return this._loadCachedJSON(this.terminologyPath);
+  }
+
+  /**
+   * Resolve the anatomical identity of a mesh from its BodyParts3D FJ id.
+   * Mesh names may carry suffixes (e.g. "FJ1252_1" for split primitives).
+   * @param {string} name - Raw mesh name
+   * @param {Object} table - Terminology table from loadTerminology()
+   * @returns {Object|null} { fjId, fmaId, en, la, es, region, layer, system, type, parent }
+   */
+  lookupTerminology(name = '', table = null) {
+    const match = (name || '').match(/FJ\d+M?/i);
+    if (!match || !table?.parts) return null;
+
+    const fjId = match[0].toUpperCase();
+    const fmaId = table.parts[fjId];
+    const concept = fmaId ? table.concepts?.[fmaId] : null;
+    if (!concept) return null;
+
+    const parentId = concept.parent || null;
+    return {
+      fjId,
+      fmaId,
+      en: concept.en || null,
+      la: concept.la || null,
+      es: concept.es || null,
+      region: concept.region || null,
+      layer: typeof concept.layer === 'number' ? concept.layer : null,
+      system: concept.system || null,
+      type: concept.type || null,
+      parent: parentId ? { id: parentId, ...(table.groups?.[parentId] || {}) } : null
+    };
+  }
+
   /**
    * Load the model and build an index
    * @param {string} modelPath - filename or path relative to ModelLoader basePath
@@ -71,20 +126,11 @@ export default class HumanMusclesLoader {
       });
       console.log('📊 Total meshes found:', meshCount);
 
-    // Try to load optional scaffold index (generated by tooling)
+    // Try to load optional scaffold index (generated by tooling) and the terminology table
     let scaffold = null;
-    try {
-      // Use fetch instead of require to avoid webpack bundling issues
-      const response = await fetch(this.indexPath);
-      if (response.ok) {
-        const scaffoldData = await response.json();
-        if (scaffoldData && scaffoldData.entries && Array.isArray(scaffoldData.entries)) {
-          const map = new Map(scaffoldData.entries.map(e => [e.id, e]));
-          scaffold = map;
-        }
-      }
-    } catch (e) {
-      scaffold = null; // missing index is fine
+    const [scaffoldData, terminology] = await Promise.all([this.loadIndex(), this.loadTerminology()]);
+    if (scaffoldData && scaffoldData.entries && Array.isArray(scaffoldData.entries)) {
+      scaffold = new Map(scaffoldData.entries.map(e => [e.id, e]));
     }
 
     // Build index structures
@@ -100,11 +146,16 @@ export default class HumanMusclesLoader {
         const scaffoldEntry = scaffold ? scaffold.get(rawName) || scaffold.get((rawName||'').toUpperCase()) : null;
         const canonical = scaffoldEntry && scaffoldEntry.id ? scaffoldEntry.id : (this.normalizeName(rawName) || `mesh_${child.id}`);
 
+        // FJ ids are opaque, so run the heuristics on the English term when known
+        const term = this.lookupTerminology(rawName, terminology);
+        const termName = term?.en || rawName;
+
         // Determine type and layer heuristics
-        const isMuscle = /muscle|musc|biceps|triceps|pectoral|quadriceps|hamstring|rectus|oblique|orbicular|sternocleidomastoid|scm/i.test(rawName);
-        const type = isMuscle ? 'muscle' : 'structure';
-        let layer = this.detectLayerFromName(rawName);
-        let region = this.detectRegionFromName(rawName);
+        const isMuscle = /muscle|musc|biceps|triceps|pectoral|quadriceps|hamstring|rectus|oblique|orbicular|sternocleidomastoid|scm/i.test(termName);
+        const type = term?.type || (isMuscle ? 'muscle' : 'structure');
+        // glTF extras may carry an explicit layer (any depth, not just 0..2)
+        let layer = typeof child.userData?.layer === 'number' ? child.userData.layer : (term?.layer ?? this.detectLayerFromName(termName));
+        let region = term?.region || this.detectRegionFromName(termName);
         // override from scaffold when present
         if (scaffoldEntry) {
           if (scaffoldEntry.layer != null) layer = scaffoldEntry.layer;
@@ -116,11 +167,14 @@ export default class HumanMusclesLoader {
           ...(child.userData || {}),
           canonicalName: canonical,
           type,
-          system: 'musculoskeletal',
+          system: term?.system || 'musculoskeletal',
           layer,
           region,
           originalName: rawName,
-          label: scaffoldEntry ? scaffoldEntry.label : (child.userData && child.userData.label ? child.userData.label : null)
+          label: scaffoldEntry?.label || child.userData?.label || term?.es || term?.en || null,
+          terminology: term,
+          // optional per-resolution textures/meshes used by ZoomManager
+          assets: scaffoldEntry?.assets || child.userData?.assets || null
         };
 
         // Ensure material is unique per mesh to allow highlighting safely
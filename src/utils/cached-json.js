@@ -0,0 +1,25 @@
+/**
+ * Fetch a JSON asset, keeping a copy in the persistent cache so it is
+ * still available offline. Returns null when neither source has it.
+ * @param {string} path - Asset URL
+ * @param {CacheManager} cacheManager - Optional persistent cache
+ */
+export async function loadCachedJSON(path, cacheManager = null) {
+  const cache = cacheManager?.isInitialized ? cacheManager : null;
+  try {
+    // Use fetch instead of require to avoid webpack bundling issues
+    const response = await fetch(path);
+    if (response.ok) {
+      const data = await response.json();
+      cache?.cacheMetadata(path, data).catch(() => {});
+      return data;
+    }
+  } catch (e) {
+    // offline or missing file: fall through to the cached copy
+  }
+  try {
+    return cache ? await cache.getCachedMetadata(path) : null;
+  } catch (e) {
+    return null; // missing file is fine
+  }
+}
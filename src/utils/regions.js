@@ -0,0 +1,26 @@
+/**
+ * Body regions used to colour, group and filter structures
+ */
+import HumanMusclesLoader from '../integration/HumanMusclesLoader.js';
+
+export const REGION_NAMES = {
+  head_neck: 'Cabeza y cuello',
+  torso: 'Tronco',
+  upper_limb: 'Miembro superior',
+  lower_limb: 'Miembro inferior'
+};
+
+/**
+ * Region of a structure: the loader/index tag, else guessed from the name
+ * like the loader does. Anything outside REGION_NAMES is 'unknown'.
+ * @param {Object} structure - AnatomyManager structure
+ * @returns {string}
+ */
+export function regionOf(structure) {
+  let region = structure.mesh?.userData?.region;
+  if (!region || region === 'unknown') {
+    const name = structure.mesh?.userData?.terminology?.en || structure.mesh?.name || structure.name || '';
+    region = HumanMusclesLoader.prototype.detectRegionFromName(name);
+  }
+  return REGION_NAMES[region] ? region : 'unknown';
+}
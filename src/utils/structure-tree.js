@@ -0,0 +1,104 @@
+/**
+ * Browsable hierarchy of the loaded structures:
+ *
+ *   system → region → muscle group → structure
+ *
+ * Groups are the BodyParts3D parent concepts of the terminology table
+ * ("Músculos del brazo izquierdo", ...). Every inner node lists the ids of
+ * the structures below it, so visibility and selection can be summarised
+ * without walking the subtree again.
+ */
+import { REGION_NAMES, regionOf } from './regions.js';
+
+const UNGROUPED = { id: 'other', label: 'Otras estructuras' };
+
+const byLabel = (a, b) => a.label.localeCompare(b.label, 'es');
+const isUngrouped = (node) => node.id.endsWith(`/${UNGROUPED.id}`);
+
+/**
+ * @param {AnatomyManager} anatomy
+ * @returns {Array<Object>} System nodes:
+ *   { id, type: 'system'|'region'|'group', label, color?, structureIds, children }
+ *   with structure leaves { id, type: 'structure', label, structureId }
+ */
+export function buildStructureTree(anatomy) {
+  const regionOrder = [...Object.keys(REGION_NAMES), 'unknown'];
+  const systems = new Map();
+
+  anatomy.structures.forEach((structure, structureId) => {
+    if (!structure.mesh) return;
+    const system = anatomy.systems.get(structure.system);
+    const systemKey = system ? system.id : structure.system;
+    if (!systems.has(systemKey)) {
+      systems.set(systemKey, {
+        id: `system:${systemKey}`,
+        type: 'system',
+        label: system?.name || systemKey,
+        color: system?.color || null,
+        structureIds: [],
+        children: new Map()
+      });
+    }
+    const systemNode = systems.get(systemKey);
+
+    const region = regionOf(structure);
+    if (!systemNode.children.has(region)) {
+      systemNode.children.set(region, {
+        id: `${systemNode.id}/${region}`,
+        type: 'region',
+        label: REGION_NAMES[region] || 'Sin región',
+        structureIds: [],
+        children: new Map()
+      });
+    }
+    const regionNode = systemNode.children.get(region);
+
+    const parent = structure.mesh.userData?.terminology?.parent;
+    const group = parent ? { id: parent.id, label: parent.es || parent.en || parent.id } : UNGROUPED;
+    if (!regionNode.children.has(group.id)) {
+      regionNode.children.set(group.id, {
+        id: `${regionNode.id}/${group.id}`,
+        type: 'group',
+        label: group.label,
+        structureIds: [],
+        children: []
+      });
+    }
+    const groupNode = regionNode.children.get(group.id);
+
+    [systemNode, regionNode, groupNode].forEach(node => node.structureIds.push(structureId));
+    groupNode.children.push({ id: structureId, type: 'structure', label: structure.name || structureId, structureId });
+  });
+
+  const systemOrder = [...anatomy.systems.keys()];
+  return [...systems.entries()]
+    .sort(([a], [b]) => systemOrder.indexOf(a) - systemOrder.indexOf(b))
+    .map(([, systemNode]) => ({
+      ...systemNode,
+      children: [...systemNode.children.entries()]
+        .sort(([a], [b]) => regionOrder.indexOf(a) - regionOrder.indexOf(b))
+        .map(([, regionNode]) => ({
+          ...regionNode,
+          // Loose structures after the named groups
+          children: [...regionNode.children.values()]
+            .sort((a, b) => isUngrouped(a) - isUngrouped(b) || byLabel(a, b))
+            .map(groupNode => ({ ...groupNode, children: groupNode.children.sort(byLabel) }))
+        }))
+    }));
+}
+
+/**
+ * Rows of the tree as shown: the children of expanded nodes only
+ * @param {Array<Object>} tree - buildStructureTree() result
+ * @param {Set<string>} expanded - Ids of the open nodes
+ * @returns {Array<{node: Object, depth: number}>}
+ */
+export function flattenStructureTree(tree, expanded) {
+  const rows = [];
+  const visit = (nodes, depth) => nodes.forEach(node => {
+    rows.push({ node, depth });
+    if (node.children && expanded.has(node.id)) visit(node.children, depth + 1);
+  });
+  visit(tree, 0);
+  return rows;
+}
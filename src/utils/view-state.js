@@ -0,0 +1,124 @@
+/**
+ * Compact URL-hash encoding of the viewer state, so a link reopens a
+ * prepared view. Structure ids are replaced by their position in the sorted
+ * id list: sets (hidden, isolated) become base64url bitsets and the ordered
+ * selection a list of base36 indices. The id count travels along so a link
+ * made against a different model keeps its camera but drops the ids. Ids
+ * are counted over the base model plus the systems the link shows, so the
+ * reader loads those systems before decoding the ids.
+ *
+ *   #v=1&n=1234&c=0_1.4_3.2_0_1_0&s=musculoskeletal&p=1&h=AAg&sel=2s.9&l=1
+ *
+ * `s` is the single shown system. When systems were toggled instead, `sys`
+ * lists the ones left on joined by '.', and is present but empty when all
+ * of them are off.
+ */
+
+export const VIEW_STATE_VERSION = 1;
+
+const round = (n) => Number(n.toFixed(3));
+// Characters URLSearchParams leaves unescaped
+const NUMBER_SEPARATOR = '_';
+const INDEX_SEPARATOR = '.';
+
+function toBase64Url(bytes) {
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+function encodeIdSet(ids, index) {
+  if (!ids.length) return '';
+  const bytes = new Uint8Array(Math.ceil(index.size / 8));
+  ids.forEach(id => {
+    const i = index.get(id);
+    if (i !== undefined) bytes[i >> 3] |= 1 << (i & 7);
+  });
+  // Trailing zero bytes carry no ids
+  let end = bytes.length;
+  while (end > 0 && bytes[end - 1] === 0) end--;
+  return toBase64Url(bytes.subarray(0, end));
+}
+
+function decodeIdSet(text, sortedIds) {
+  if (!text) return [];
+  const ids = [];
+  fromBase64Url(text).forEach((byte, b) => {
+    for (let bit = 0; bit < 8; bit++) {
+      if (byte & (1 << bit) && sortedIds[b * 8 + bit] !== undefined) ids.push(sortedIds[b * 8 + bit]);
+    }
+  });
+  return ids;
+}
+
+/**
+ * @param {Object} state - { camera: { position, target }, system, systems, peelDepth, hidden, isolated, selection, labels }
+ * @param {Iterable<string>} structureIds - Every structure id in the scene
+ * @returns {string} Hash fragment without the leading '#'
+ */
+export function encodeViewState(state, structureIds) {
+  const sortedIds = [...structureIds].sort();
+  const index = new Map(sortedIds.map((id, i) => [id, i]));
+  const params = new URLSearchParams();
+  params.set('v', VIEW_STATE_VERSION);
+  params.set('n', sortedIds.length);
+  if (state.camera) params.set('c', [...state.camera.position, ...state.camera.target].map(round).join(NUMBER_SEPARATOR));
+  if (state.systems) params.set('sys', state.systems.join(INDEX_SEPARATOR));
+  else if (state.system) params.set('s', state.system);
+  if (state.peelDepth) params.set('p', state.peelDepth);
+
+  const hidden = encodeIdSet(state.hidden || [], index);
+  const isolated = encodeIdSet(state.isolated || [], index);
+  const selection = (state.selection || []).filter(id => index.has(id)).map(id => index.get(id).toString(36));
+  if (hidden) params.set('h', hidden);
+  if (isolated) params.set('i', isolated);
+  if (selection.length) params.set('sel', selection.join(INDEX_SEPARATOR));
+  if (state.labels) params.set('l', '1');
+  return params.toString();
+}
+
+/**
+ * @param {string} hash - location.hash, with or without the leading '#'
+ * @param {Iterable<string>|null} structureIds - Every structure id in the scene, or null to
+ *   read only the camera, systems and flags
+ * @returns {Object|null} Decoded state (see encodeViewState), or null when the hash holds none
+ */
+export function decodeViewState(hash, structureIds) {
+  const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+  if (Number(params.get('v')) !== VIEW_STATE_VERSION) return null;
+
+  const sortedIds = structureIds ? [...structureIds].sort() : [];
+  const sameModel = !!structureIds && Number(params.get('n')) === sortedIds.length;
+  if (structureIds && !sameModel) console.warn('⚠️ View link made for a different model: ignoring structure ids');
+
+  const camera = (params.get('c') || '').split(NUMBER_SEPARATOR).map(Number);
+  const state = {
+    camera: camera.length === 6 && camera.every(Number.isFinite)
+      ? { position: camera.slice(0, 3), target: camera.slice(3) }
+      : null,
+    system: params.get('s') || null,
+    peelDepth: Math.max(0, parseInt(params.get('p'), 10) || 0),
+    hidden: [],
+    isolated: [],
+    selection: [],
+    labels: params.get('l') === '1'
+  };
+  if (params.has('sys')) state.systems = params.get('sys').split(INDEX_SEPARATOR).filter(Boolean);
+  if (!sameModel) return state;
+
+  try {
+    state.hidden = decodeIdSet(params.get('h'), sortedIds);
+    state.isolated = decodeIdSet(params.get('i'), sortedIds);
+  } catch (e) {
+    console.warn('⚠️ Malformed view link:', e.message);
+  }
+  state.selection = (params.get('sel') || '').split(INDEX_SEPARATOR).filter(Boolean)
+    .map(i => sortedIds[parseInt(i, 36)])
+    .filter(Boolean);
+  return state;
+}
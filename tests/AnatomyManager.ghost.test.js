@@ -0,0 +1,107 @@
+import * as THREE from 'three';
+import AnatomicalRenderer from '../src/AnatomicalRenderer.js';
+import AnatomyManager from '../src/AnatomyManager.js';
+
+describe('AnatomyManager - modo fantasma', () => {
+  let anatomy;
+  let meshes;
+  let originals;
+
+  const addMuscle = (id) => {
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(), new THREE.MeshStandardMaterial({ color: 0xaa0000 }));
+    anatomy.addStructure(id, { id, name: id, system: 'musculoskeletal', description: id, mesh });
+    return mesh;
+  };
+
+  beforeEach(() => {
+    anatomy = new AnatomyManager({ setRootObject: jest.fn() });
+    meshes = {
+      biceps: addMuscle('biceps'),
+      brachialis: addMuscle('brachialis'),
+      deltoid: addMuscle('deltoid')
+    };
+    originals = Object.fromEntries(Object.entries(meshes).map(([id, mesh]) => [id, mesh.material]));
+  });
+
+  test('debe dejar opaca la selección y volver translúcido el resto', () => {
+    anatomy.selectStructure('biceps');
+    anatomy.setGhostMode(true);
+
+    expect(anatomy.isGhosted(meshes.biceps)).toBe(false);
+    expect(meshes.biceps.material.transparent).toBe(false);
+    expect(anatomy.isGhosted(meshes.deltoid)).toBe(true);
+    expect(meshes.deltoid.material).toMatchObject({ transparent: true, depthWrite: false });
+    expect(meshes.deltoid.material.opacity).toBeLessThan(0.5);
+    expect(meshes.deltoid.visible).toBe(true);
+  });
+
+  test('sin selección no debe transformar nada', () => {
+    anatomy.setGhostMode(true);
+    expect(meshes.deltoid.material).toBe(originals.deltoid);
+  });
+
+  test('debe seguir los cambios de selección sin perder materiales', () => {
+    anatomy.setGhostMode(true);
+    anatomy.selectStructure('biceps');
+    anatomy.selectStructure('deltoid');
+
+    expect(anatomy.isGhosted(meshes.biceps)).toBe(true);
+    expect(anatomy.isGhosted(meshes.deltoid)).toBe(false);
+    expect(meshes.deltoid.material.emissive.getHex()).toBe(0x444444);
+
+    anatomy.clearSelection();
+    Object.keys(meshes).forEach(id => expect(meshes[id].material).toBe(originals[id]));
+  });
+
+  test('al salir debe restaurar exactamente cada material', () => {
+    anatomy.selection.add(['biceps', 'brachialis']);
+    anatomy.setGhostMode(true);
+    anatomy.setGhostMode(false);
+    anatomy.clearSelection();
+
+    Object.keys(meshes).forEach(id => {
+      expect(meshes[id].material).toBe(originals[id]);
+      expect(meshes[id].material).toMatchObject({ transparent: false, opacity: 1, depthWrite: true });
+    });
+  });
+
+  test('debe preferir la estructura enfocada detrás de un fantasma al hacer clic', () => {
+    anatomy.selectStructure('brachialis');
+    anatomy.setGhostMode(true);
+
+    const hits = [{ object: meshes.biceps }, { object: meshes.brachialis }];
+    expect(anatomy.resolvePick(hits)).toBe(meshes.brachialis);
+    expect(anatomy.resolvePick([{ object: meshes.deltoid }])).toBe(meshes.deltoid);
+    expect(anatomy.resolvePick([])).toBeNull();
+  });
+
+  test('al pasar el ratón debe preferir la estructura enfocada y parar en el primer impacto', () => {
+    // Three boxes one behind the other on the view axis
+    const root = new THREE.Group();
+    [['biceps', 2], ['brachialis', 0], ['deltoid', -2]].forEach(([id, z]) => {
+      meshes[id].position.z = z;
+      root.add(meshes[id]);
+    });
+    root.updateMatrixWorld(true);
+    const camera = new THREE.PerspectiveCamera(50, 1, 0.1, 100);
+    camera.position.set(0, 0, 6);
+    camera.updateMatrixWorld();
+    const dom = document.createElement('canvas');
+    dom.getBoundingClientRect = () => ({ left: 0, top: 0, width: 100, height: 100 });
+    const { pickFirst, _pickRoots, _isCutAway, raycasterAt } = AnatomicalRenderer.prototype;
+    const renderer = {
+      root, camera, renderer: { domElement: dom }, pointer: new THREE.Vector2(), raycaster: new THREE.Raycaster(),
+      selectableObjects: new Set(), pickFirst, _pickRoots, _isCutAway, raycasterAt
+    };
+    const prefer = (object) => !anatomy.isGhosted(object);
+    const intersect = jest.spyOn(renderer.raycaster, 'intersectObject');
+
+    expect(renderer.pickFirst(50, 50, prefer).object).toBe(meshes.biceps);
+    expect(intersect).toHaveBeenCalledTimes(1);
+
+    anatomy.selectStructure('brachialis');
+    anatomy.setGhostMode(true);
+    expect(renderer.pickFirst(50, 50, prefer).object).toBe(meshes.brachialis);
+    expect(renderer.pickFirst(50, 50).object).toBe(meshes.biceps);
+  });
+});
@@ -0,0 +1,91 @@
+import fs from 'fs';
+import path from 'path';
+import * as THREE from 'three';
+import AnatomyManager from '../src/AnatomyManager.js';
+import UIManager from '../src/UIManager.js';
+
+const metadata = JSON.parse(fs.readFileSync(path.join(__dirname, '../assets/data/structure-metadata.json'), 'utf8'));
+
+describe('AnatomyManager - metadatos anatómicos', () => {
+  let anatomy;
+
+  const addMesh = (id, { label, en, la, fmaId, region, layer }) => {
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(), new THREE.MeshStandardMaterial());
+    mesh.userData = { label, region, layer, system: 'musculoskeletal', terminology: { en, la, fmaId } };
+    anatomy._registerMesh(id, mesh);
+  };
+
+  beforeEach(() => {
+    anatomy = new AnatomyManager({ setRootObject: jest.fn() });
+    anatomy.setStructureMetadata(metadata);
+    addMesh('fj1', { label: 'Músculo pectoral menor derecho', en: 'Right pectoralis minor', la: 'Musculus pectoralis minor dexter', fmaId: 'FMA13375', region: 'torso', layer: 1 });
+    addMesh('fj2', { label: 'Músculo serrato anterior derecho', en: 'Right serratus anterior', fmaId: 'FMA13398', region: 'torso', layer: 1 });
+    addMesh('fj3', { label: 'Músculo serrato anterior izquierdo', en: 'Left serratus anterior', fmaId: 'FMA13399', region: 'torso', layer: 1 });
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('debe combinar terminología y metadatos del músculo', () => {
+    const info = anatomy.getStructureInfo('fj1');
+
+    expect(info).toMatchObject({
+      id: 'fj1',
+      name: 'Músculo pectoral menor derecho',
+      canonicalName: 'Musculus pectoralis minor',
+      system: 'musculoskeletal',
+      systemName: 'Sistema Musculoesquelético',
+      region: 'torso',
+      layer: 1,
+      fmaId: 'FMA13375',
+      innervation: 'Nervio pectoral medial (C8–T1)'
+    });
+    expect(info.origin).toMatch(/costillas/);
+    expect(info.insertion).toMatch(/coracoides/);
+    expect(info.bloodSupply).toMatch(/toracoacromial/);
+    expect(info.action).toBeTruthy();
+    expect(info.synonyms).toEqual(expect.arrayContaining(['Pectoral menor', 'Right pectoralis minor', 'Musculus pectoralis minor dexter']));
+  });
+
+  test('debe enlazar solo estructuras relacionadas del mismo lado presentes en la escena', () => {
+    expect(anatomy.getStructureInfo('fj1').related).toEqual([{ id: 'fj2', name: 'Músculo serrato anterior derecho' }]);
+  });
+
+  test('debe funcionar sin metadatos y devolver null para ids desconocidos', () => {
+    anatomy.setStructureMetadata(null);
+    const info = anatomy.getStructureInfo('fj1');
+
+    expect(info.canonicalName).toBe('Musculus pectoralis minor dexter');
+    expect(info.origin).toBeNull();
+    expect(info.related).toEqual([]);
+    expect(anatomy.getStructureInfo('nonexistent')).toBeNull();
+  });
+
+  test('debe cargar el JSON empaquetado', async () => {
+    anatomy.setStructureMetadata(null);
+    global.fetch = jest.fn(async () => ({ ok: true, json: async () => metadata }));
+
+    await expect(anatomy.loadStructureMetadata()).resolves.toBe(Object.keys(metadata.structures).length);
+    expect(global.fetch).toHaveBeenCalledWith('assets/data/structure-metadata.json');
+  });
+
+  test('el panel debe mostrar los campos y seleccionar estructuras relacionadas', () => {
+    const ui = new UIManager({ getAvailableSystems: () => [] }, null);
+    ui.onSelectStructure = jest.fn();
+
+    ui.updateStructureInfo(anatomy.getStructureInfo('fj1'));
+    const panel = ui._infoPanel;
+    expect(panel.style.display).toBe('block');
+    expect(panel.textContent).toContain('Inervación');
+    expect(panel.textContent).toContain('Tronco');
+
+    const link = Array.from(panel.querySelectorAll('button')).find(b => b.textContent === 'Músculo serrato anterior derecho');
+    link.click();
+    expect(ui.onSelectStructure).toHaveBeenCalledWith('fj2');
+
+    ui.updateStructureInfo(null);
+    expect(panel.style.display).toBe('none');
+    ui.dispose();
+  });
+});
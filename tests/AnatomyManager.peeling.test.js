@@ -0,0 +1,113 @@
+import * as THREE from 'three';
+import AnatomyManager from '../src/AnatomyManager.js';
+
+describe('AnatomyManager - pelado de capas', () => {
+  let anatomy;
+
+  const addMuscle = (id, layer, system = 'musculoskeletal') => {
+    const material = new THREE.MeshStandardMaterial({ opacity: 1, transparent: false });
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(1, 1, 1), material);
+    mesh.userData = { layer };
+    anatomy.addStructure(id, { id, name: id, system, description: id, mesh });
+    return mesh;
+  };
+
+  const finishFades = () => jest.advanceTimersByTime(anatomy.peelFadeDuration + 100);
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    anatomy = new AnatomyManager({ setRootObject: jest.fn() });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('debe contar capas más allá de las tres heurísticas', () => {
+    addMuscle('a', 0);
+    addMuscle('b', 4);
+    expect(anatomy.getLayerCount()).toBe(5);
+  });
+
+  test('debe desvanecer las capas superficiales antes de ocultarlas', () => {
+    const superficial = addMuscle('superficial', 0);
+    const deep = addMuscle('deep', 3);
+
+    anatomy.applyPeelDepth(1);
+    jest.advanceTimersByTime(anatomy.peelFadeDuration / 2);
+
+    expect(superficial.visible).toBe(true);
+    expect(superficial.material.transparent).toBe(true);
+    expect(superficial.material.opacity).toBeGreaterThan(0);
+    expect(superficial.material.opacity).toBeLessThan(1);
+
+    finishFades();
+    expect(superficial.visible).toBe(false);
+    expect(superficial.material.opacity).toBe(1);
+    expect(superficial.material.transparent).toBe(false);
+    expect(deep.visible).toBe(true);
+  });
+
+  test('debe restaurar las capas al reducir la profundidad', () => {
+    const superficial = addMuscle('superficial', 0);
+
+    anatomy.applyPeelDepth(1);
+    finishFades();
+    anatomy.applyPeelDepth(0);
+    expect(superficial.visible).toBe(true);
+
+    finishFades();
+    expect(superficial.material.opacity).toBe(1);
+    expect(superficial.material.transparent).toBe(false);
+    expect(superficial.material.depthWrite).toBe(true);
+  });
+
+  test('debe respetar el filtro de sistema', () => {
+    const muscle = addMuscle('muscle', 0);
+    addMuscle('vessel', 0, 'cardiovascular');
+
+    anatomy.showOnlySystem('cardiovascular');
+    anatomy.applyPeelDepth(1);
+    finishFades();
+    anatomy.applyPeelDepth(0);
+    finishFades();
+
+    expect(muscle.visible).toBe(false);
+  });
+
+  test('debe aplicar cambios de filtro hechos durante el pelado', () => {
+    const muscle = addMuscle('muscle', 0);
+
+    anatomy.applyPeelDepth(1);
+    finishFades();
+    anatomy.showOnlySystem('cardiovascular');
+    anatomy.showOnlySystem(null);
+    expect(muscle.visible).toBe(false);
+
+    anatomy.applyPeelDepth(0);
+    expect(muscle.visible).toBe(true);
+  });
+
+  test('no debe pelar estructuras aisladas', () => {
+    const isolated = addMuscle('isolated', 0);
+    const other = addMuscle('other', 0);
+
+    anatomy.isolateStructures(['isolated']);
+    anatomy.applyPeelDepth(2);
+    finishFades();
+
+    expect(isolated.visible).toBe(true);
+    expect(other.visible).toBe(false);
+  });
+
+  test('setVisibleLayer debe ocultar capas más profundas', () => {
+    const superficial = addMuscle('superficial', 0);
+    const deep = addMuscle('deep', 2);
+
+    anatomy.setVisibleLayer(1);
+    finishFades();
+
+    expect(superficial.visible).toBe(true);
+    expect(deep.visible).toBe(false);
+  });
+});
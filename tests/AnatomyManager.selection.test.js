@@ -0,0 +1,89 @@
+import * as THREE from 'three';
+import AnatomyManager from '../src/AnatomyManager.js';
+
+describe('AnatomyManager - selección múltiple', () => {
+  let anatomy;
+  let meshes;
+
+  const addMuscle = (id, color = 0xaa0000) => {
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(), new THREE.MeshStandardMaterial({ color }));
+    anatomy.addStructure(id, { id, name: id, system: 'musculoskeletal', description: id, mesh });
+    return mesh;
+  };
+
+  beforeEach(() => {
+    anatomy = new AnatomyManager({ setRootObject: jest.fn() });
+    meshes = {
+      supraspinatus: addMuscle('supraspinatus'),
+      infraspinatus: addMuscle('infraspinatus'),
+      teres_minor: addMuscle('teres_minor'),
+      deltoid: addMuscle('deltoid')
+    };
+  });
+
+  test('debe resaltar cada estructura seleccionada y restaurar su material', () => {
+    const original = meshes.supraspinatus.material;
+
+    anatomy.selection.add(['supraspinatus', 'infraspinatus']);
+    expect(meshes.supraspinatus.material).not.toBe(original);
+    expect(meshes.infraspinatus.material.emissive.getHex()).toBe(0x444444);
+    expect(anatomy.selectedStructure.id).toBe('infraspinatus');
+
+    anatomy.clearSelection();
+    expect(meshes.supraspinatus.material).toBe(original);
+    expect(anatomy.selectedStructure).toBeNull();
+  });
+
+  test('selectStructure debe reemplazar la selección', () => {
+    anatomy.selection.add(['supraspinatus', 'infraspinatus']);
+    anatomy.selectStructure('deltoid');
+
+    expect(anatomy.selection.list()).toEqual(['deltoid']);
+    expect(meshes.supraspinatus.material.emissive.getHex()).toBe(0x000000);
+  });
+
+  test('debe ocultar todo el grupo seleccionado', () => {
+    anatomy.selection.add(['supraspinatus', 'teres_minor']);
+
+    expect(anatomy.hideSelection()).toBe(2);
+    expect(meshes.supraspinatus.visible).toBe(false);
+    expect(meshes.teres_minor.visible).toBe(false);
+    expect(meshes.deltoid.visible).toBe(true);
+    expect(anatomy.selection.size).toBe(0);
+  });
+
+  test('debe aislar el grupo seleccionado', () => {
+    anatomy.selection.add(['supraspinatus', 'infraspinatus', 'teres_minor']);
+    anatomy.isolateSelection();
+
+    expect(meshes.deltoid.visible).toBe(false);
+    expect(meshes.infraspinatus.visible).toBe(true);
+
+    anatomy.resetView();
+    expect(meshes.deltoid.visible).toBe(true);
+  });
+
+  test('debe colorear el grupo y restaurar el color original', () => {
+    anatomy.selection.add(['supraspinatus', 'infraspinatus']);
+    anatomy.colorSelection('#00ff00');
+    expect(meshes.supraspinatus.material.color.getHex()).toBe(0x00ff00);
+
+    anatomy.clearSelection();
+    expect(meshes.supraspinatus.material.color.getHex()).toBe(0x00ff00);
+
+    anatomy.selection.add('supraspinatus');
+    anatomy.colorSelection(null);
+    anatomy.clearSelection();
+    expect(meshes.supraspinatus.material.color.getHex()).toBe(0xaa0000);
+  });
+
+  test('debe resumir la información de la selección', () => {
+    anatomy.selection.add(['supraspinatus', 'teres_minor']);
+    const info = anatomy.getSelectionInfo();
+
+    expect(info.count).toBe(2);
+    expect(info.primary.id).toBe('teres_minor');
+    expect(info.structures.map(s => s.id)).toEqual(['supraspinatus', 'teres_minor']);
+    expect(info.systems).toEqual({ musculoskeletal: 2 });
+  });
+});
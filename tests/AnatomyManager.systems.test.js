@@ -0,0 +1,194 @@
+import * as THREE from 'three';
+import AnatomicalRenderer from '../src/AnatomicalRenderer.js';
+import AnatomyManager from '../src/AnatomyManager.js';
+import HumanMusclesLoader from '../src/integration/HumanMusclesLoader.js';
+import InteractionController from '../src/InteractionController.js';
+import UIManager from '../src/UIManager.js';
+import AnatomicalApp from '../src/AnatomicalApp.js';
+import { encodeViewState, decodeViewState } from '../src/utils/view-state.js';
+
+describe('AnatomyManager - sistemas anatómicos combinados', () => {
+  let renderer;
+  let anatomy;
+  let load;
+
+  // Loader index of a model file with one mesh per id
+  const makeIndex = (ids) => {
+    const model = new THREE.Group();
+    const byId = new Map();
+    ids.forEach(id => {
+      const texture = new THREE.Texture();
+      const mesh = new THREE.Mesh(new THREE.BoxGeometry(), new THREE.MeshStandardMaterial({ map: texture }));
+      mesh.userData = { label: id, canonicalName: id };
+      model.add(mesh);
+      byId.set(id, mesh);
+    });
+    return { model, byId, groups: new Map(), allMeshes: new Set(byId.values()) };
+  };
+
+  beforeEach(() => {
+    // The renderer's root handling without a WebGL context
+    renderer = { scene: new THREE.Scene(), root: null, systemRoots: new Map() };
+    ['setRootObject', 'setSystemRoot', 'removeSystemRoot'].forEach(name => {
+      renderer[name] = AnatomicalRenderer.prototype[name].bind(renderer);
+    });
+    anatomy = new AnatomyManager(renderer);
+    anatomy.modelUnitMm = 1;
+    const muscles = makeIndex(['biceps']);
+    renderer.setSystemRoot('musculoskeletal', muscles.model);
+    muscles.byId.forEach((mesh, id) => anatomy._registerMesh(id, mesh));
+    load = jest.spyOn(HumanMusclesLoader.prototype, 'load');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('cada sistema debe colgar de la misma raíz y seguirla al cambiarla', () => {
+    const root = renderer.root;
+    expect(root.children.map(child => child.name)).toEqual(['system:musculoskeletal']);
+    renderer.setSystemRoot('nervous', new THREE.Group());
+    expect(root.children).toHaveLength(2);
+
+    const fitted = new THREE.Group();
+    renderer.setRootObject(fitted);
+    expect(renderer.scene.children).toEqual([fitted]);
+    expect(fitted.children.map(child => child.name)).toEqual(['system:musculoskeletal', 'system:nervous']);
+    expect(renderer.removeSystemRoot('nervous').parent).toBeNull();
+    expect(renderer.removeSystemRoot('nervous')).toBeNull();
+  });
+
+  test('al activar un sistema debe cargarse su modelo una sola vez', async () => {
+    const nervous = makeIndex(['sciatic', 'biceps']);
+    load.mockResolvedValue(nervous);
+    const states = [];
+    anatomy.onSystemsChange = (systems) => states.push(systems.find(s => s.id === 'nervous').status);
+
+    await Promise.all([anatomy.setSystemEnabled('nervous', true), anatomy.setSystemEnabled('nervous', true)]);
+    expect(load).toHaveBeenCalledTimes(1);
+    expect(load).toHaveBeenCalledWith('systems/nervous.glb');
+    expect(states[0]).toBe('loading');
+    expect(states[states.length - 1]).toBe('loaded');
+    // Same frame as the muscles; clashing ids get the system prefix
+    expect(nervous.model.parent).toBe(renderer.root);
+    expect(anatomy.structures.get('sciatic').system).toBe('nervous');
+    expect(anatomy.structures.get('nervous_biceps').system).toBe('nervous');
+    expect(anatomy.structures.get('biceps').system).toBe('musculoskeletal');
+    // Picking the clashing mesh finds its own structure, not the muscle
+    const pick = (mesh) => InteractionController.prototype._structureIdOf.call({ anatomy }, mesh);
+    expect(pick(nervous.byId.get('biceps'))).toBe('nervous_biceps');
+    expect(pick(anatomy.structures.get('biceps').mesh)).toBe('biceps');
+
+    await anatomy.setSystemEnabled('nervous', false);
+    expect(nervous.byId.get('sciatic').visible).toBe(false);
+    expect(anatomy.structures.get('biceps').mesh.visible).toBe(true);
+    await anatomy.setSystemEnabled('nervous', true);
+    expect(load).toHaveBeenCalledTimes(1);
+  });
+
+  test('un modelo que no carga debe quedar marcado y avisar', async () => {
+    load.mockRejectedValue(new Error('404'));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await expect(anatomy.setSystemEnabled('digestive', true)).rejects.toThrow('No se pudo cargar el Sistema Digestivo');
+    expect(anatomy.systems.get('digestive').status).toBe('error');
+    await expect(anatomy.loadSystem('missing')).rejects.toThrow('Sistema desconocido: missing');
+  });
+
+  test('descargar un sistema debe liberar su memoria y sus estructuras', async () => {
+    const nervous = makeIndex(['sciatic', 'ulnar_nerve']);
+    // Like ModelLoader.loadModel, which caches what it loads
+    load.mockImplementation(async function () {
+      this.modelLoader.cacheModel(`systems/nervous.glb?_t=${Date.now()}:{}`, nervous.model);
+      return nervous;
+    });
+    await anatomy.setSystemEnabled('nervous', true);
+    anatomy.selection.replace(['sciatic', 'biceps']);
+    const sciatic = nervous.byId.get('sciatic');
+    const disposed = ['geometry', 'material', 'texture'].map(() => jest.fn());
+    sciatic.geometry.addEventListener('dispose', disposed[0]);
+    sciatic.material.addEventListener('dispose', disposed[1]);
+    sciatic.material.map.addEventListener('dispose', disposed[2]);
+
+    expect(anatomy.unloadSystem('nervous')).toBe(true);
+    disposed.forEach(listener => expect(listener).toHaveBeenCalled());
+    expect(anatomy.structures.has('sciatic')).toBe(false);
+    expect(anatomy.selection.list()).toEqual(['biceps']);
+    expect(nervous.model.parent).toBeNull();
+    expect(anatomy.systems.get('nervous')).toMatchObject({ status: 'unloaded', structures: [] });
+    expect(anatomy.musclesLoader.modelLoader.getCacheStats()).toMatchObject({ cachedModels: 0, cacheSize: 0 });
+    // Systems without a file of their own stay
+    expect(anatomy.unloadSystem('musculoskeletal')).toBe(false);
+    expect(anatomy.unloadSystem('nervous')).toBe(false);
+  });
+
+  test('la vista compartida debe recordar qué sistemas se ven', async () => {
+    // Only the base model: same state as before systems could be combined
+    expect(anatomy.getViewState().systems).toBeUndefined();
+    load.mockResolvedValue(makeIndex(['sciatic']));
+    await anatomy.setSystemEnabled('nervous', true);
+    // A system loaded on demand goes in the link, even with everything shown
+    expect(anatomy.getViewState().systems).toEqual(['musculoskeletal', 'nervous']);
+
+    await anatomy.setSystemEnabled('musculoskeletal', false);
+    const state = anatomy.getViewState();
+    expect(state.systems).toEqual(['nervous']);
+    await anatomy.setSystemEnabled('musculoskeletal', true);
+    await anatomy.setSystemEnabled('nervous', false);
+    const ids = [...anatomy.structures.keys()];
+    const roundTrip = (view) => decodeViewState(encodeViewState(view, ids), ids);
+    expect(roundTrip({ ...state, systems: ['musculoskeletal', 'nervous'] }).systems).toEqual(['musculoskeletal', 'nervous']);
+    expect(roundTrip(state)).toMatchObject({ system: null, systems: ['nervous'] });
+
+    anatomy.applyViewState({ systems: ['nervous'] });
+    expect(anatomy.structures.get('biceps').mesh.visible).toBe(false);
+    expect(anatomy.structures.get('sciatic').mesh.visible).toBe(true);
+    anatomy.applyViewState({ systems: [] });
+    expect(anatomy.structures.get('sciatic').mesh.visible).toBe(false);
+    expect(anatomy.getViewState().systems).toEqual([]);
+  });
+
+  test('un enlace con otro sistema cargado debe restaurarse en una aplicación nueva', async () => {
+    // The App's view-state methods over a given AnatomyManager
+    const appFor = (manager) => ({
+      anatomy: manager,
+      renderer: { camera: new THREE.PerspectiveCamera(), controls: { target: new THREE.Vector3(), update: jest.fn() } },
+      zoom: { cancelTransition: jest.fn() },
+      ui: { setViewState: jest.fn() }
+    });
+    load.mockResolvedValue(makeIndex(['sciatic', 'biceps', 'ulnar_nerve']));
+    await anatomy.setSystemEnabled('nervous', true);
+    anatomy.selection.replace(['nervous_biceps', 'sciatic']);
+    anatomy.structures.get('ulnar_nerve').mesh.visible = false;
+    const hash = AnatomicalApp.prototype.getViewStateHash.call(appFor(anatomy));
+
+    const fresh = new AnatomyManager(renderer);
+    fresh.modelUnitMm = 1;
+    makeIndex(['biceps']).byId.forEach((mesh, id) => fresh._registerMesh(id, mesh));
+    load.mockResolvedValue(makeIndex(['sciatic', 'biceps', 'ulnar_nerve']));
+    await expect(AnatomicalApp.prototype.restoreViewState.call(appFor(fresh), `#${hash}`)).resolves.toBe(true);
+    expect(fresh.systems.get('nervous').status).toBe('loaded');
+    expect(fresh.selection.list()).toEqual(['nervous_biceps', 'sciatic']);
+    expect(fresh.structures.get('ulnar_nerve').mesh.visible).toBe(false);
+    expect(fresh.structures.get('sciatic').mesh.visible).toBe(true);
+  });
+
+  test('el panel debe mostrar un interruptor por sistema', async () => {
+    load.mockRejectedValue(new Error('404'));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const ui = new UIManager(anatomy, null);
+    ui.onToggleSystem = (id, enabled) => anatomy.setSystemEnabled(id, enabled);
+    anatomy.onSystemsChange = (systems) => ui.updateSystems(systems);
+    const toggleOf = (name) => Array.from(ui._systemList.querySelectorAll('label'))
+      .find(row => row.textContent.includes(name)).querySelector('input');
+
+    expect(toggleOf('Musculoesquelético').checked).toBe(true);
+    const digestive = toggleOf('Digestivo');
+    expect(digestive.checked).toBe(false);
+    digestive.checked = true;
+    digestive.dispatchEvent(new Event('change'));
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(ui._hud.textContent).toBe('No se pudo cargar el Sistema Digestivo');
+    expect(toggleOf('Digestivo').checked).toBe(false);
+    expect(toggleOf('Digestivo').parentElement.textContent).toContain('No disponible');
+    ui.dispose();
+  });
+});
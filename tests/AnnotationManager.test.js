@@ -0,0 +1,219 @@
+import * as THREE from 'three';
+import AnatomicalRenderer from '../src/AnatomicalRenderer.js';
+import AnatomyManager from '../src/AnatomyManager.js';
+import AnnotationManager, { ANNOTATION_FORMAT } from '../src/AnnotationManager.js';
+import InteractionController from '../src/InteractionController.js';
+import UIManager from '../src/UIManager.js';
+
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value))
+  };
+}
+
+describe('AnnotationManager - notas fijadas a la superficie', () => {
+  let anatomy;
+  let root;
+  let mesh;
+  let renderer;
+  let storage;
+  let annotations;
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    anatomy = new AnatomyManager({ setRootObject: jest.fn() });
+    root = new THREE.Group();
+    mesh = new THREE.Mesh(new THREE.BoxGeometry(2, 2, 2), new THREE.MeshStandardMaterial());
+    mesh.name = 'deltoid';
+    root.add(mesh);
+    root.updateMatrixWorld(true);
+    anatomy.addStructure('deltoid', { id: 'deltoid', name: 'Deltoides', system: 'musculoskeletal', mesh });
+
+    const camera = new THREE.PerspectiveCamera(50, 1, 0.1, 100);
+    camera.position.set(0, 0, 5);
+    camera.updateMatrixWorld(true);
+    // Taps cast a ray straight down -z, offset by the tap coordinates
+    const raycaster = new THREE.Raycaster();
+    renderer = {
+      camera,
+      renderer: { domElement: document.createElement('canvas') },
+      addFrameCallback: jest.fn(() => jest.fn()),
+      pickAll: (x, y) => {
+        raycaster.set(new THREE.Vector3(x, y, 10), new THREE.Vector3(0, 0, -1));
+        return raycaster.intersectObject(root, true);
+      }
+    };
+    renderer.pick = AnatomicalRenderer.prototype.pick.bind(renderer);
+    storage = createStorage();
+    annotations = new AnnotationManager({ renderer, anatomy }, { storage, endpoint: null, author: 'Ana' });
+  });
+
+  afterEach(() => {
+    annotations.dispose();
+    global.fetch = originalFetch;
+    jest.restoreAllMocks();
+  });
+
+  test('pick debe devolver el punto y la normal de la superficie en el mundo', () => {
+    root.rotation.y = Math.PI / 2;
+    root.updateMatrixWorld(true);
+    const hit = renderer.pick(0.5, 0.25);
+    expect(hit.object).toBe(mesh);
+    expect(hit.point.toArray().map(v => +v.toFixed(5))).toEqual([0.5, 0.25, 1]);
+    expect(hit.normal.z).toBeCloseTo(1);
+    expect(renderer.pick(5, 5)).toBeNull();
+  });
+
+  test('el punto debe guardarse en el espacio local y seguir al modelo', () => {
+    annotations.placing = true;
+    annotations.onPlace = jest.fn();
+    root.position.set(1, 0, 0);
+    root.updateMatrixWorld(true);
+
+    expect(annotations.handleTap('deltoid', 1.5, 0.25)).toBe(true);
+    const anchor = annotations.onPlace.mock.calls[0][0];
+    expect(anchor.structureId).toBe('deltoid');
+    expect(anchor.position.map(v => +v.toFixed(5))).toEqual([0.5, 0.25, 1]);
+    expect(anchor.normal.map(v => +v.toFixed(5))).toEqual([0, 0, 1]);
+
+    const pin = annotations.add('deltoid', anchor, 'Fibras anteriores');
+    root.rotation.y = Math.PI;
+    root.scale.setScalar(1.6);
+    root.updateMatrixWorld(true);
+    const world = new THREE.Vector3().fromArray(pin.position).applyMatrix4(mesh.matrixWorld);
+    // Rotated half a turn around its own origin: the pin is now on the back face
+    expect(world.z).toBeCloseTo(-1.6);
+    expect(world.x).toBeCloseTo(1 - 0.8);
+
+    // Outside placing mode, taps are left to the quiz and the selection
+    annotations.placing = false;
+    expect(annotations.handleTap('deltoid', 1, 0)).toBe(false);
+  });
+
+  test('las notas deben persistir por estructura y exportarse e importarse', () => {
+    const pin = annotations.add('deltoid', { position: [0, 1, 1], normal: null }, '  Inserción en la tuberosidad deltoidea  ');
+    expect(pin).toMatchObject({ text: 'Inserción en la tuberosidad deltoidea', author: 'Ana' });
+    expect(annotations.add('deltoid', { position: [0, 1] }, 'x')).toBeNull();
+    expect(annotations.add('deltoid', { position: [0, 1, 1] }, '   ')).toBeNull();
+
+    const saved = JSON.parse(storage.getItem('musculos3d-annotations'));
+    expect(Object.keys(saved.annotations)).toEqual(['deltoid']);
+    const reloaded = new AnnotationManager({ renderer, anatomy }, { storage, endpoint: null });
+    reloaded._loadLocal();
+    expect(reloaded.get('deltoid')).toEqual([pin]);
+
+    const json = annotations.exportJSON();
+    expect(JSON.parse(json)).toMatchObject({ format: ANNOTATION_FORMAT, annotations: [{ id: pin.id }] });
+    const other = new AnnotationManager({ renderer, anatomy }, { storage: createStorage(), endpoint: null });
+    expect(other.importJSON(json)).toBe(1);
+    // Already present pins are skipped
+    expect(other.importJSON(json)).toBe(0);
+    expect(() => other.importJSON('{"format":"otro"}')).toThrow('El archivo no contiene notas válidas');
+
+    annotations.edit(pin.id, 'Editada');
+    annotations.remove('unknown');
+    expect(annotations.get('deltoid')[0].text).toBe('Editada');
+    annotations.remove(pin.id);
+    expect(annotations.list()).toEqual([]);
+  });
+
+  test('los marcadores deben proyectarse, ocultarse y desplegar la nota', async () => {
+    await annotations.initialize();
+    expect(renderer.addFrameCallback).toHaveBeenCalled();
+    const pin = annotations.add('deltoid', { position: [0, 0, 1], normal: [0, 0, 1] }, 'Nota');
+    const marker = annotations.markers.get(pin.id);
+
+    annotations.update();
+    expect(marker.el.style.display).toBe('block');
+    expect(marker.el.style.opacity).toBe('1');
+
+    // Seen from behind, the pin is dimmed
+    renderer.camera.position.set(0, 0, -5);
+    renderer.camera.lookAt(0, 0, 0);
+    renderer.camera.updateMatrixWorld(true);
+    annotations.update();
+    expect(marker.el.style.opacity).toBe('0.35');
+
+    mesh.visible = false;
+    annotations.update();
+    expect(marker.el.style.display).toBe('none');
+
+    marker.el.querySelector('button').click();
+    expect(marker.note.style.display).toBe('block');
+    expect(marker.note.textContent).toContain('Deltoides');
+    expect(marker.note.textContent).toContain('Ana');
+    annotations.toggleNote(pin.id, false);
+    expect(marker.note.style.display).toBe('none');
+  });
+
+  test('debe compartir las notas con el servidor cuando responde', async () => {
+    const remote = {
+      id: 'pin-remote', structureId: 'deltoid', position: [0, 0, 1], normal: null, text: 'De la clase', createdAt: 1
+    };
+    global.fetch = jest.fn(async (url, init = {}) => ({
+      ok: true,
+      status: init.method === 'POST' ? 201 : 200,
+      json: async () => ({ annotations: [remote, { id: 'broken' }] })
+    }));
+    const shared = new AnnotationManager({ renderer, anatomy }, { storage });
+    await shared.initialize();
+    expect(shared.remoteAvailable).toBe(true);
+    expect(shared.list().map(p => p.id)).toEqual(['pin-remote']);
+
+    const pin = shared.add('deltoid', { position: [0, 0, 1] }, 'Mía');
+    shared.edit(pin.id, 'Mía, editada');
+    shared.remove('pin-remote');
+    expect(global.fetch.mock.calls.slice(1).map(([url, init]) => [init.method, url])).toEqual([
+      ['POST', '/api/annotations'],
+      ['PUT', `/api/annotations/${pin.id}`],
+      ['DELETE', '/api/annotations/pin-remote']
+    ]);
+    expect(JSON.parse(global.fetch.mock.calls[1][1].body)).toMatchObject({ id: pin.id, text: 'Mía' });
+    shared.dispose();
+
+    // Without a server, notes stay local and nothing else is sent
+    global.fetch = jest.fn(() => Promise.reject(new Error('offline')));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const offline = new AnnotationManager({ renderer, anatomy }, { storage: createStorage() });
+    await offline.initialize();
+    offline.add('deltoid', { position: [0, 0, 1] }, 'Local');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    offline.dispose();
+  });
+
+  test('el clic en modo nota debe pasar por el controlador y la lista del panel', () => {
+    const ui = new UIManager({ getAvailableSystems: () => [] }, null);
+    const controller = new InteractionController(renderer, anatomy, ui, { hover: false });
+    controller.pickHandler = (id, x, y) => annotations.handleTap(id, x, y);
+    ui.onToggleAnnotationPlacing = (enabled) => annotations.setPlacing(enabled);
+    ui.onDeleteAnnotation = (id) => annotations.remove(id);
+    annotations.onPlace = ({ structureId, position, normal }) => {
+      annotations.setPlacing(false);
+      ui.setAnnotationPlacing(false);
+      annotations.add(structureId, { position, normal }, 'Desde el panel');
+    };
+    annotations.onChange = (pins) => ui.updateAnnotations(pins.map(pin => ({ ...pin, structureName: 'Deltoides' })));
+
+    ui._annotationPlace.click();
+    expect(annotations.placing).toBe(true);
+    expect(renderer.renderer.domElement.style.cursor).toBe('crosshair');
+    controller._onTap(0.2, 0.3, false);
+    expect(annotations.placing).toBe(false);
+    expect(anatomy.selection.size).toBe(0);
+    expect(annotations.list()).toHaveLength(1);
+
+    const row = ui._annotationList.firstChild;
+    expect(row.textContent).toContain('Deltoides: Desde el panel');
+    Array.from(row.querySelectorAll('button')).find(b => b.textContent === '✕').click();
+    expect(annotations.list()).toEqual([]);
+    expect(ui._annotationList.children).toHaveLength(0);
+
+    // Once placed, taps select again
+    controller._onTap(0.2, 0.3, false);
+    expect(anatomy.selection.list()).toEqual(['deltoid']);
+    controller.dispose();
+    ui.dispose();
+  });
+});
@@ -0,0 +1,200 @@
+import * as THREE from 'three';
+import fs from 'fs';
+import path from 'path';
+import AnatomyManager from '../src/AnatomyManager.js';
+import AttachmentManager, { ATTACHMENT_COLORS } from '../src/AttachmentManager.js';
+import HumanMusclesLoader from '../src/integration/HumanMusclesLoader.js';
+import InteractionController from '../src/InteractionController.js';
+import UIManager from '../src/UIManager.js';
+
+const readData = (file) => JSON.parse(fs.readFileSync(path.resolve(__dirname, '../assets/data', file), 'utf8'));
+
+describe('AttachmentManager - origen e inserción sobre los huesos', () => {
+  let anatomy;
+  let root;
+  let renderer;
+  let attachments;
+
+  // Box structure in model millimetres, with a vertex every ~10 mm
+  const addBox = (id, size, position, { fmaId = null, en = null } = {}) => {
+    const segments = size.map(s => Math.max(1, Math.round(s / 10)));
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(...size, ...segments), new THREE.MeshStandardMaterial());
+    mesh.name = id;
+    mesh.position.fromArray(position);
+    mesh.userData = { terminology: en ? { en, fmaId } : null };
+    root.add(mesh);
+    anatomy.addStructure(id, { id, name: en || id, system: 'musculoskeletal', fmaId, mesh });
+    return mesh;
+  };
+
+  // Distance from a point to the closest vertex of a mesh, in millimetres
+  const distanceTo = (point, mesh) => {
+    const vertices = attachments._modelVertices(mesh);
+    let best = Infinity;
+    for (let i = 0; i < vertices.length; i += 3) {
+      best = Math.min(best, Math.hypot(point[0] - vertices[i], point[1] - vertices[i + 1], point[2] - vertices[i + 2]));
+    }
+    return best;
+  };
+
+  beforeEach(() => {
+    anatomy = new AnatomyManager({ setRootObject: jest.fn() });
+    anatomy.modelUnitMm = 1;
+    anatomy.setStructureMetadata({ structures: { biceps_brachii: { ids: ['left_biceps', 'right_biceps'] } } });
+    root = new THREE.Group();
+    // What _fitAndCenterModel does to a 1.6 m tall model
+    root.scale.setScalar(1.6 / 1600);
+    root.position.set(0, 0.8, 0);
+    root.updateMatrixWorld(true);
+    renderer = { root, scene: new THREE.Scene(), addFrameCallback: jest.fn(() => jest.fn()) };
+
+    addBox('left_biceps', [40, 300, 40], [0, 0, 0]);
+    addBox('FJ_scapula_l', [100, 100, 20], [0, 200, 0], { fmaId: 'FMA13396', en: 'Left scapula' });
+    // The right scapula overlaps on purpose: only the muscle's side counts
+    addBox('FJ_scapula_r', [100, 100, 20], [0, 200, 0], { fmaId: 'FMA13395', en: 'Right scapula' });
+    addBox('FJ_radius_l', [20, 100, 20], [0, -200, 0], { fmaId: 'FMA23465', en: 'Left radius' });
+
+    attachments = new AttachmentManager({ renderer, anatomy });
+    attachments.setData({
+      patchRadiusMm: 12,
+      bones: {
+        scapula: { name: 'Escápula', fmaIds: ['FMA13395', 'FMA13396'] },
+        radius: { name: 'Radio', fmaIds: ['FMA23464', 'FMA23465'] }
+      },
+      muscles: {
+        biceps_brachii: {
+          origin: [{ bones: ['scapula'], area: 'Apófisis coracoides' }],
+          insertion: [{ bones: ['radius', 'ulna'], area: 'Tuberosidad del radio' }]
+        }
+      }
+    });
+    attachments.onChange = jest.fn();
+  });
+
+  afterEach(() => attachments.dispose());
+
+  test('los datos incluidos deben referirse a músculos y huesos conocidos', () => {
+    const data = readData('muscle-attachments.json');
+    const metadata = readData('structure-metadata.json').structures;
+    const terminology = readData('bp3d-terminology.json').concepts;
+    expect(Object.keys(data.muscles).length).toBeGreaterThan(10);
+    Object.entries(data.muscles).forEach(([key, { origin, insertion }]) => {
+      expect(metadata[key]).toBeDefined();
+      expect(origin.length && insertion.length).toBeTruthy();
+      [...origin, ...insertion].forEach(attachment => {
+        expect(typeof attachment.area).toBe('string');
+        attachment.bones.forEach(bone => expect(data.bones[bone]).toBeDefined());
+      });
+    });
+    Object.values(data.bones).forEach(bone => bone.fmaIds.forEach(fmaId => expect(terminology[fmaId]).toBeDefined()));
+  });
+
+  test('debe marcar las zonas de contacto del mismo lado y la línea de tracción', () => {
+    const result = attachments.show('left_biceps');
+    expect(attachments.onChange).toHaveBeenLastCalledWith(result);
+    const [origin] = result.origin;
+    const [insertion] = result.insertion;
+    expect(origin.bones).toEqual([{ id: 'FJ_scapula_l', name: 'Left scapula' }]);
+    expect(insertion).toMatchObject({ area: 'Tuberosidad del radio', bones: [{ id: 'FJ_radius_l' }] });
+
+    // Patches lie on the bone, within the radius of the muscle surface
+    const biceps = anatomy.structures.get('left_biceps').mesh;
+    expect(origin.points.length).toBeGreaterThan(4);
+    origin.points.forEach(point => expect(distanceTo(point, biceps)).toBeLessThanOrEqual(12 + 1e-6));
+    expect(origin.center[1]).toBeGreaterThanOrEqual(150);
+    expect(origin.center[1]).toBeLessThan(165);
+    expect(insertion.center[1]).toBeLessThanOrEqual(-150);
+    expect(Math.abs(origin.center[0])).toBeLessThan(1e-6);
+
+    // Two patches, two centre markers and the line of pull
+    expect(attachments.group.children).toHaveLength(5);
+    const line = attachments.group.children.find(object => object.isLine);
+    expect(`#${line.material.color.getHexString()}`).toBe(ATTACHMENT_COLORS.pull);
+    expect(line.geometry.attributes.position.getY(0)).toBeCloseTo(origin.center[1]);
+    expect(line.geometry.attributes.position.getY(1)).toBeCloseTo(insertion.center[1]);
+
+    // The overlay follows the model into the scene
+    attachments.update();
+    const world = new THREE.Vector3().fromArray(origin.center).applyMatrix4(attachments.group.matrix);
+    expect(world.y).toBeCloseTo(0.8 + origin.center[1] * 0.001);
+  });
+
+  test('si el músculo no llega al hueso, la zona rodea el punto más cercano', () => {
+    anatomy.structures.get('FJ_radius_l').mesh.position.y = -400;
+    root.updateMatrixWorld(true);
+    const [insertion] = attachments.show('left_biceps').insertion;
+    expect(insertion.points.length).toBeGreaterThan(0);
+    expect(insertion.center[1]).toBeCloseTo(-350, -1);
+    insertion.points.forEach(point => expect(point[1]).toBeGreaterThanOrEqual(-350 - 12));
+  });
+
+  test('sin datos o desactivado no debe mostrar nada', () => {
+    expect(attachments.show('FJ_scapula_l')).toBeNull();
+    expect(attachments.show('missing')).toBeNull();
+
+    attachments.show('left_biceps');
+    attachments.setEnabled(false);
+    expect(attachments.attachments).toBeNull();
+    expect(attachments.group.children).toHaveLength(0);
+    expect(attachments.onChange).toHaveBeenLastCalledWith(null);
+    // The muscle is remembered for when they are switched back on
+    attachments.setEnabled(true);
+    expect(attachments.attachments.structureId).toBe('left_biceps');
+
+    attachments.clear();
+    expect(attachments.structureId).toBeNull();
+    expect(attachments.group.children).toHaveLength(0);
+  });
+
+  test('el esqueleto debe cargarse junto a los músculos y registrar solo los huesos identificados', async () => {
+    const makeIndex = (meshes) => {
+      const model = new THREE.Group();
+      const byId = new Map();
+      meshes.forEach(([id, terminology]) => {
+        const mesh = new THREE.Mesh(new THREE.BoxGeometry(), new THREE.MeshStandardMaterial());
+        mesh.userData = { terminology, label: terminology?.es || null, canonicalName: id };
+        model.add(mesh);
+        byId.set(id, mesh);
+      });
+      return { model, byId, groups: new Map(), allMeshes: new Set(byId.values()) };
+    };
+    const muscles = makeIndex([['fj1', { en: 'Left biceps brachii', fmaId: 'FMA1' }]]);
+    const skeleton = makeIndex([
+      ['fj1', { en: 'Left humerus', es: 'Húmero izquierdo', fmaId: 'FMA23131' }],
+      ['body_placeholder', null]
+    ]);
+    const load = jest.spyOn(HumanMusclesLoader.prototype, 'load')
+      .mockImplementation(async (modelPath) => (modelPath === 'fallback/skeleton.gltf' ? skeleton : muscles));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const manager = new AnatomyManager({ setRootObject: jest.fn(), setSystemRoot: jest.fn() });
+    await manager.loadInitialScene('human_muscles.glb');
+    expect(load).toHaveBeenCalledWith('fallback/skeleton.gltf');
+    // Clashing ids are prefixed; unidentified meshes stay out of the scene
+    expect(manager.structures.get('bone_fj1')).toMatchObject({ name: 'Húmero izquierdo', fmaId: 'FMA23131' });
+    expect(manager.structures.get('bone_fj1').mesh.userData.type).toBe('bone');
+    // Picking the bone selects the bone, not the muscle whose id it shares
+    const pick = (mesh) => InteractionController.prototype._structureIdOf.call({ anatomy: manager }, mesh);
+    expect(pick(skeleton.byId.get('fj1'))).toBe('bone_fj1');
+    expect(pick(muscles.byId.get('fj1'))).toBe('fj1');
+    expect(manager.structures.has('body_placeholder')).toBe(false);
+    expect(skeleton.model.parent).toBe(muscles.model);
+    expect(skeleton.model.children).toHaveLength(1);
+    jest.restoreAllMocks();
+  });
+
+  test('el panel debe activar y desactivar las inserciones', () => {
+    const ui = new UIManager({ getAvailableSystems: () => [] }, null);
+    ui.onToggleAttachments = (enabled) => attachments.setEnabled(enabled);
+    attachments.show('left_biceps');
+    ui._attachmentToggle.checked = false;
+    ui._attachmentToggle.dispatchEvent(new Event('change'));
+    expect(attachments.enabled).toBe(false);
+    expect(attachments.group.children).toHaveLength(0);
+
+    ui.updateStructureInfo({ id: 'left_biceps', name: 'Bíceps', origin: 'Apófisis coracoides', insertion: 'Radio' });
+    const headings = Array.from(ui._infoPanel.querySelectorAll('div')).filter(d => d.textContent === 'Origen');
+    expect(headings[0].style.color).toBe('rgb(239, 68, 68)');
+    ui.dispose();
+  });
+});
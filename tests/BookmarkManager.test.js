@@ -0,0 +1,198 @@
+import * as THREE from 'three';
+import AnatomyManager from '../src/AnatomyManager.js';
+import BookmarkManager, { BOOKMARK_FORMAT } from '../src/BookmarkManager.js';
+import UIManager from '../src/UIManager.js';
+
+// Minimal asynchronous IndexedDB with one key-path store per database
+function createFakeIndexedDB() {
+  const databases = new Map();
+  const respond = (request, result) => {
+    setTimeout(() => {
+      request.result = result;
+      request.onsuccess?.();
+    }, 0);
+    return request;
+  };
+  return {
+    databases,
+    open(name) {
+      const request = {};
+      setTimeout(() => {
+        const upgrade = !databases.has(name);
+        if (upgrade) databases.set(name, new Map());
+        const stores = databases.get(name);
+        const db = {
+          objectStoreNames: { contains: (store) => stores.has(store) },
+          createObjectStore: (store, { keyPath }) => stores.set(store, { keyPath, rows: new Map() }),
+          transaction: () => ({
+            objectStore: (store) => {
+              const { keyPath, rows } = stores.get(store);
+              return {
+                getAll: () => respond({}, [...rows.values()].map(v => JSON.parse(JSON.stringify(v)))),
+                put: (value) => respond({}, rows.set(value[keyPath], JSON.parse(JSON.stringify(value))) && value[keyPath]),
+                delete: (key) => respond({}, rows.delete(key) && undefined)
+              };
+            }
+          }),
+          close: () => {}
+        };
+        request.result = db;
+        if (upgrade) request.onupgradeneeded?.();
+        request.onsuccess?.();
+      }, 0);
+      return request;
+    }
+  };
+}
+
+describe('BookmarkManager - marcadores', () => {
+  let originalIndexedDB;
+  let anatomy;
+  let renderer;
+  let zoom;
+  let bookmarks;
+
+  beforeEach(async () => {
+    originalIndexedDB = global.indexedDB;
+    global.indexedDB = createFakeIndexedDB();
+    anatomy = new AnatomyManager({ setRootObject: jest.fn() });
+    ['biceps', 'triceps', 'deltoid'].forEach(id => {
+      const mesh = new THREE.Mesh(new THREE.BoxGeometry(), new THREE.MeshStandardMaterial({ color: 0xaa0000 }));
+      anatomy.addStructure(id, { id, name: id, system: 'musculoskeletal', mesh });
+    });
+    const camera = new THREE.PerspectiveCamera();
+    camera.position.set(0, 1, 3);
+    renderer = {
+      camera,
+      controls: { target: new THREE.Vector3(0, 1, 0) },
+      captureThumbnail: jest.fn(() => 'data:image/jpeg;base64,AAAA')
+    };
+    zoom = { flyTo: jest.fn(() => Promise.resolve(true)) };
+    bookmarks = new BookmarkManager({ renderer, anatomy, zoom });
+    bookmarks.onChange = jest.fn();
+    await bookmarks.initialize();
+  });
+
+  afterEach(() => {
+    global.indexedDB = originalIndexedDB;
+  });
+
+  test('debe guardar cámara, visibilidad, selección y colores con miniatura', async () => {
+    anatomy.selection.replace(['deltoid']);
+    anatomy.colorSelection('#22d3ee');
+    anatomy.hideSelection();
+    anatomy.selection.replace(['biceps']);
+
+    const bookmark = await bookmarks.save('  Hombro  ');
+    expect(bookmark).toMatchObject({
+      name: 'Hombro',
+      thumbnail: 'data:image/jpeg;base64,AAAA',
+      state: {
+        camera: { position: [0, 1, 3], target: [0, 1, 0] },
+        hidden: ['deltoid'],
+        selection: ['biceps'],
+        colors: { deltoid: '#22d3ee' }
+      }
+    });
+    expect(bookmarks.onChange).toHaveBeenLastCalledWith([bookmark]);
+    expect((await bookmarks.save('')).name).toBe('Vista 2');
+  });
+
+  test('debe persistir en IndexedDB entre sesiones', async () => {
+    const { id } = await bookmarks.save('Pierna');
+    await bookmarks.rename(id, 'Pierna anterior');
+
+    const reopened = new BookmarkManager({ renderer, anatomy, zoom });
+    await reopened.initialize();
+    expect(reopened.list().map(b => b.name)).toEqual(['Pierna anterior']);
+
+    await reopened.remove(id);
+    const third = new BookmarkManager({ renderer, anatomy, zoom });
+    await third.initialize();
+    expect(third.list()).toEqual([]);
+  });
+
+  test('restaurar debe aplicar el estado y animar la cámara', async () => {
+    anatomy.colorStructures(['triceps'], '#ff0000');
+    const { id } = await bookmarks.save('Inicial');
+    anatomy.colorStructures(['triceps'], null);
+    anatomy.colorStructures(['biceps'], '#00ff00');
+    anatomy.selection.replace(['biceps']);
+    anatomy.hideSelection();
+
+    const state = bookmarks.restore(id, { duration: 0 });
+    expect(state.camera).toEqual({ position: [0, 1, 3], target: [0, 1, 0] });
+    expect(zoom.flyTo).toHaveBeenCalledWith(state.camera, { duration: 0 });
+    expect(anatomy.structures.get('biceps').mesh.visible).toBe(true);
+    expect(anatomy.getStructureColors()).toEqual({ triceps: '#ff0000' });
+    expect(anatomy.structures.get('biceps').mesh.material.color.getHexString()).toBe('aa0000');
+    expect(bookmarks.restore('missing')).toBeNull();
+  });
+
+  test('debe exportar e importar JSON sin sobrescribir', async () => {
+    await bookmarks.save('A');
+    await bookmarks.save('B');
+    const json = bookmarks.exportJSON();
+    expect(JSON.parse(json)).toMatchObject({ format: BOOKMARK_FORMAT, bookmarks: [{ name: 'A' }, { name: 'B' }] });
+
+    await expect(bookmarks.importJSON(json)).resolves.toBe(2);
+    const names = bookmarks.list().map(b => b.name);
+    expect(names).toEqual(['A', 'B', 'A', 'B']);
+    expect(new Set(bookmarks.list().map(b => b.id)).size).toBe(4);
+    await expect(bookmarks.importJSON('{"bookmarks": []}')).rejects.toThrow('marcadores válidos');
+  });
+
+  test('debe funcionar sin IndexedDB durante la sesión', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    delete global.indexedDB;
+    const memory = new BookmarkManager({ renderer, anatomy, zoom });
+    await memory.initialize();
+    await memory.save('Temporal');
+    expect(memory.list()).toHaveLength(1);
+    warn.mockRestore();
+  });
+
+  test('el panel debe listar, restaurar, renombrar y borrar marcadores', async () => {
+    const ui = new UIManager({ getAvailableSystems: () => [] }, null);
+    ui.onSaveBookmark = jest.fn();
+    ui.onRestoreBookmark = jest.fn();
+    ui.onRenameBookmark = jest.fn();
+    ui.onDeleteBookmark = jest.fn();
+    const prompt = jest.spyOn(window, 'prompt').mockReturnValue('Tronco');
+
+    const name = document.querySelector('input[placeholder="Nombre de la vista"]');
+    name.value = 'Brazo';
+    name.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+    expect(ui.onSaveBookmark).toHaveBeenCalledWith('Brazo');
+    expect(name.value).toBe('');
+
+    ui.updateBookmarks([await bookmarks.save('Brazo')]);
+    const list = ui._bookmarkList;
+    expect(list.querySelector('img').src).toContain('data:image/jpeg');
+    list.querySelector('button[title="Ir a esta vista"]').click();
+    Array.from(list.querySelectorAll('button')).find(b => b.textContent === '✎').click();
+    Array.from(list.querySelectorAll('button')).find(b => b.textContent === '✕').click();
+
+    const id = bookmarks.list()[0].id;
+    expect(ui.onRestoreBookmark).toHaveBeenCalledWith(id);
+    expect(ui.onRenameBookmark).toHaveBeenCalledWith(id, 'Tronco');
+    expect(ui.onDeleteBookmark).toHaveBeenCalledWith(id);
+    prompt.mockRestore();
+    ui.dispose();
+  });
+
+  test('el panel debe avisar si no se puede guardar y conservar el nombre', async () => {
+    const ui = new UIManager({ getAvailableSystems: () => [] }, null);
+    ui.onSaveBookmark = jest.fn(() => Promise.reject(new Error('Cuota excedida')));
+
+    // The previous test's panel is still in the document; this one is last
+    const name = [...document.querySelectorAll('input[placeholder="Nombre de la vista"]')].pop();
+    name.value = 'Brazo';
+    name.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(ui._hud.textContent).toBe('No se pudo guardar: Cuota excedida');
+    expect(name.value).toBe('Brazo');
+    ui.dispose();
+  });
+});
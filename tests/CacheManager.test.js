@@ -60,6 +60,19 @@ describe('CacheManager', () => {
         mockDB = { ...mockIDBDatabase };
         mockIDBTransaction.objectStore.mockReturnValue(mockIDBObjectStore);
         mockDB.transaction.mockReturnValue(mockIDBTransaction);
+
+        // clearAllMocks keeps implementations, so a failing open() or store
+        // request mocked by one test would otherwise leak into the next
+        Object.values(mockIDBObjectStore).forEach(fn => fn.mockReset());
+        mockIndexedDB.open.mockReset();
+        mockIndexedDB.open.mockImplementation(() => {
+            const request = { ...mockIDBRequest };
+            setTimeout(() => {
+                request.result = mockDB;
+                if (request.onsuccess) request.onsuccess();
+            }, 0);
+            return request;
+        });
         
         cacheManager = new CacheManager({
             maxStorageSize: 10 * 1024 * 1024, // 10MB for testing
@@ -323,32 +336,22 @@ describe('CacheManager', () => {
                 { size: 1500 }
             ];
 
-            let modelIndex = 0;
-            let textureIndex = 0;
-
+            // Like IndexedDB, continue() fires onsuccess again on the same request
             mockIDBObjectStore.openCursor.mockImplementation(() => {
                 const request = { ...mockIDBRequest };
-                setTimeout(() => {
-                    const storeName = mockIDBTransaction.objectStore.mock.calls[
-                        mockIDBTransaction.objectStore.mock.calls.length - 1
-                    ][0];
-                    
-                    let cursor = null;
-                    if (storeName === 'models' && modelIndex < mockModels.length) {
-                        cursor = {
-                            value: mockModels[modelIndex++],
-                            continue: jest.fn()
-                        };
-                    } else if (storeName === 'textures' && textureIndex < mockTextures.length) {
-                        cursor = {
-                            value: mockTextures[textureIndex++],
-                            continue: jest.fn()
-                        };
-                    }
-                    
-                    request.result = cursor;
+                const storeName = mockIDBTransaction.objectStore.mock.calls[
+                    mockIDBTransaction.objectStore.mock.calls.length - 1
+                ][0];
+                const values = storeName === 'models' ? mockModels : storeName === 'textures' ? mockTextures : [];
+                let index = 0;
+
+                const advance = () => setTimeout(() => {
+                    request.result = index < values.length
+                        ? { value: values[index++], continue: jest.fn(advance) }
+                        : null;
                     if (request.onsuccess) request.onsuccess();
                 }, 0);
+                advance();
                 return request;
             });
 
@@ -0,0 +1,209 @@
+import * as THREE from 'three';
+import AnatomicalRenderer from '../src/AnatomicalRenderer.js';
+import AnatomyManager from '../src/AnatomyManager.js';
+import ClippingManager from '../src/ClippingManager.js';
+import InteractionController from '../src/InteractionController.js';
+import UIManager from '../src/UIManager.js';
+
+describe('ClippingManager - planos de corte', () => {
+  let renderer;
+  let anatomy;
+  let clipping;
+  let dom;
+  let deltoid;
+
+  const addBox = (id, x, y) => {
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(0.4, 0.4, 0.4), new THREE.MeshStandardMaterial());
+    mesh.position.set(x, y, 0);
+    renderer.root.add(mesh);
+    anatomy.addStructure(id, { id, name: id, system: 'musculoskeletal', mesh });
+    return mesh;
+  };
+  const stencilsOf = (mesh) => mesh.children.filter(c => c.userData.clippingHelper);
+
+  beforeEach(() => {
+    const camera = new THREE.PerspectiveCamera(50, 1, 0.1, 100);
+    camera.position.set(0, 0, 5);
+    camera.updateMatrixWorld();
+    dom = document.createElement('canvas');
+    dom.getBoundingClientRect = () => ({ left: 0, top: 0, right: 500, bottom: 500, width: 500, height: 500 });
+    renderer = {
+      camera,
+      scene: new THREE.Scene(),
+      root: new THREE.Group(),
+      renderer: { domElement: dom },
+      controls: { enabled: true },
+      pointer: new THREE.Vector2(),
+      raycaster: new THREE.Raycaster(),
+      selectableObjects: new Set(),
+      addFrameCallback: jest.fn(() => jest.fn()),
+      raycasterAt: AnatomicalRenderer.prototype.raycasterAt,
+      pickAll: AnatomicalRenderer.prototype.pickAll,
+      pickFirst: AnatomicalRenderer.prototype.pickFirst,
+      _pickRoots: AnatomicalRenderer.prototype._pickRoots,
+      _isCutAway: AnatomicalRenderer.prototype._isCutAway
+    };
+    renderer.scene.add(renderer.root);
+    anatomy = new AnatomyManager({ setRootObject: jest.fn() });
+    deltoid = addBox('deltoid', 0, 1);
+    addBox('gastrocnemius', 0, -1);
+    clipping = new ClippingManager(renderer, anatomy);
+    clipping.onChange = jest.fn();
+  });
+
+  afterEach(() => {
+    clipping.dispose();
+  });
+
+  test('el corte axial debe pasar por el centro del modelo y recortar todos los materiales', () => {
+    const id = clipping.addPlane('axial');
+
+    const [plane] = clipping.getPlanes();
+    expect(plane).toMatchObject({ id, type: 'axial', name: 'Axial', normal: [0, -1, 0] });
+    expect(plane.constant).toBeCloseTo(0);
+    expect(clipping.onChange).toHaveBeenCalledWith(clipping.getPlanes());
+    expect(deltoid.material.clippingPlanes).toBe(clipping.worldPlanes);
+    expect(clipping.worldPlanes).toHaveLength(1);
+    // The cut runs between the two boxes: neither has a section to cap
+    expect(stencilsOf(deltoid)).toHaveLength(0);
+
+    // A selection highlight swaps in a cloned material: it must be clipped too
+    anatomy.selectStructure('deltoid');
+    expect(deltoid.material.clippingPlanes).not.toBe(clipping.worldPlanes);
+    clipping.update();
+    expect(deltoid.material.clippingPlanes).toBe(clipping.worldPlanes);
+  });
+
+  test('los planos deben girar con el modelo', () => {
+    clipping.addPlane('coronal');
+    renderer.root.rotation.y = Math.PI / 2;
+    clipping.update();
+
+    const normal = clipping.worldPlanes[0].normal;
+    expect(normal.x).toBeCloseTo(-1);
+    expect(normal.z).toBeCloseTo(0);
+  });
+
+  test('el corte libre debe mirar en la dirección de la cámara', () => {
+    clipping.addPlane('custom');
+    expect(clipping.getPlanes()[0].normal[2]).toBeCloseTo(-1);
+  });
+
+  test('invertir, quitar y limpiar deben restaurar la escena', () => {
+    const axial = clipping.addPlane('axial');
+    const sagittal = clipping.addPlane('sagittal');
+    // Only the sagittal cut goes through the deltoid
+    expect(stencilsOf(deltoid)).toHaveLength(2);
+
+    clipping.flipPlane(axial);
+    expect(clipping.worldPlanes[0].normal.y).toBeCloseTo(1);
+
+    clipping.removePlane(sagittal);
+    expect(clipping.worldPlanes).toHaveLength(1);
+    expect(stencilsOf(deltoid)).toHaveLength(0);
+
+    clipping.clear();
+    expect(clipping.worldPlanes).toHaveLength(0);
+    expect(stencilsOf(deltoid)).toHaveLength(0);
+    expect(renderer.scene.children).toEqual([renderer.root]);
+    expect(clipping.onChange).toHaveBeenLastCalledWith([]);
+  });
+
+  test('solo deben taparse las estructuras visibles que corta un plano', () => {
+    const id = clipping.addPlane('custom', { normal: [0, -1, 0], constant: 1 });
+    const gastrocnemius = anatomy.structures.get('gastrocnemius').mesh;
+    expect(stencilsOf(deltoid)).toHaveLength(2);
+    expect(stencilsOf(gastrocnemius)).toHaveLength(0);
+
+    // Hiding drops the caps, showing brings them back
+    anatomy.setStructuresVisible(['deltoid'], false);
+    clipping.update();
+    expect(stencilsOf(deltoid)).toHaveLength(0);
+    anatomy.setStructuresVisible(['deltoid'], true);
+    clipping.update();
+    expect(stencilsOf(deltoid)).toHaveLength(2);
+
+    // Flipping keeps the cut through the deltoid and its stencil passes
+    const helpers = stencilsOf(deltoid);
+    clipping.flipPlane(id);
+    expect(stencilsOf(deltoid)).toEqual(helpers);
+  });
+
+  test('un fotograma sin cambios no debe recalcular planos ni materiales', () => {
+    clipping.addPlane('axial');
+    const plane = clipping.worldPlanes[0];
+    const copy = jest.spyOn(plane, 'copy');
+    const traverse = jest.spyOn(renderer.root, 'traverse');
+
+    clipping.update();
+    expect(copy).not.toHaveBeenCalled();
+    expect(traverse).not.toHaveBeenCalled();
+
+    renderer.root.rotation.y = Math.PI / 2;
+    clipping.update();
+    expect(copy).toHaveBeenCalledTimes(1);
+    expect(traverse).not.toHaveBeenCalled();
+  });
+
+  test('no debe superar el máximo de planos', () => {
+    for (let i = 0; i < 4; i++) clipping.addPlane('axial');
+    expect(clipping.addPlane('axial')).toBeNull();
+  });
+
+  test('la selección debe ignorar las partes recortadas', () => {
+    clipping.addPlane('axial', { normal: [0, -1, 0], constant: 0.5 });
+    renderer.root.updateMatrixWorld(true);
+
+    const screenY = (y) => (1 - new THREE.Vector3(0, y, 0.2).project(renderer.camera).y) * 250;
+    // The deltoid (y = 1) lies above the cut and is gone
+    expect(renderer.pickAll(250, screenY(1))).toHaveLength(0);
+    expect(renderer.pickAll(250, screenY(-1))[0].object).toBe(anatomy.structures.get('gastrocnemius').mesh);
+    // Hover's first-hit pick agrees
+    expect(renderer.pickFirst(250, screenY(1))).toBeNull();
+    expect(renderer.pickFirst(250, screenY(-1)).object).toBe(anatomy.structures.get('gastrocnemius').mesh);
+  });
+
+  test('arrastrar el control debe mover el plano sin orbitar ni seleccionar', () => {
+    const controller = new InteractionController(renderer, anatomy, {}, { hover: false });
+    clipping.addPlane('custom', { normal: [0, -1, 0], constant: 0 });
+    clipping.update();
+    renderer.scene.updateMatrixWorld();
+
+    // The translate handle of the horizontal plane points down from the centre
+    const handle = new THREE.Vector3();
+    clipping.planes[0].gizmo.children.find(c => c.userData.clippingHandle === 'translate').getWorldPosition(handle);
+    handle.project(renderer.camera);
+    const x = (handle.x + 1) * 250;
+    const y = (1 - handle.y) * 250;
+
+    const down = new MouseEvent('pointerdown', { clientX: x, clientY: y, button: 0, bubbles: true, cancelable: true });
+    dom.dispatchEvent(Object.assign(down, { pointerId: 1, pointerType: 'mouse' }));
+    expect(renderer.controls.enabled).toBe(false);
+    window.dispatchEvent(new MouseEvent('pointermove', { clientX: x, clientY: y + 50 }));
+    window.dispatchEvent(new MouseEvent('pointerup', { clientX: x, clientY: y + 50 }));
+
+    expect(renderer.controls.enabled).toBe(true);
+    expect(clipping.getPlanes()[0].constant).toBeLessThan(-0.1);
+    expect(anatomy.selection.size).toBe(0);
+    controller.dispose();
+  });
+
+  test('el panel debe listar los cortes y reenviar las acciones', () => {
+    const ui = new UIManager({ getAvailableSystems: () => [] }, null);
+    ui.onAddClippingPlane = jest.fn();
+    ui.onFlipClippingPlane = jest.fn();
+    ui.onRemoveClippingPlane = jest.fn();
+    const buttons = () => Array.from(document.querySelectorAll('button'));
+
+    buttons().find(b => b.textContent === 'Sagital').click();
+    expect(ui.onAddClippingPlane).toHaveBeenCalledWith('sagittal');
+
+    ui.updateClippingPlanes([{ id: 7, type: 'sagittal', name: 'Sagital', normal: [-1, 0, 0], constant: 0 }]);
+    expect(ui._clipList.textContent).toContain('1. Sagital');
+    buttons().find(b => b.textContent === 'Invertir').click();
+    buttons().find(b => b.textContent === '✕').click();
+    expect(ui.onFlipClippingPlane).toHaveBeenCalledWith(7);
+    expect(ui.onRemoveClippingPlane).toHaveBeenCalledWith(7);
+    ui.dispose();
+  });
+});
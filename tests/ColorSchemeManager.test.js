@@ -0,0 +1,150 @@
+import * as THREE from 'three';
+import fs from 'fs';
+import path from 'path';
+import AnatomyManager from '../src/AnatomyManager.js';
+import ColorSchemeManager, { PALETTE_FORMAT } from '../src/ColorSchemeManager.js';
+import UIManager from '../src/UIManager.js';
+
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value))
+  };
+}
+
+const hex = (mesh) => `#${mesh.material.color.getHexString()}`;
+
+describe('ColorSchemeManager - esquemas de color', () => {
+  let anatomy;
+  let storage;
+  let colors;
+  let meshes;
+
+  beforeEach(() => {
+    anatomy = new AnatomyManager({ setRootObject: jest.fn() });
+    meshes = {};
+    // [id, mesh name, region tag, layer, system]
+    [
+      ['biceps', 'Left_biceps', 'upper_limb', 0, 'musculoskeletal'],
+      ['brachialis', 'brachialis', 'upper_limb', 1, 'musculoskeletal'],
+      ['left_pectoral', 'left_pectoral', undefined, 0, 'musculoskeletal'],
+      ['femur', 'FJ3259', 'unknown', 2, 'musculoskeletal'],
+      ['heart', 'heart', undefined, 0, 'cardiovascular']
+    ].forEach(([id, name, region, layer, system]) => {
+      const mesh = new THREE.Mesh(new THREE.BoxGeometry(), new THREE.MeshStandardMaterial({ color: 0x884444 }));
+      mesh.name = name;
+      mesh.userData = { region, layer };
+      meshes[id] = mesh;
+      anatomy.addStructure(id, { id, name, system, mesh });
+    });
+    storage = createStorage();
+    colors = new ColorSchemeManager({ anatomy }, { storage });
+    colors.onChange = jest.fn();
+  });
+
+  test('por región debe usar la etiqueta del índice o deducirla del nombre', () => {
+    const legend = colors.setMode('region');
+    expect(legend.entries.map(e => [e.label, e.count])).toEqual([
+      ['Tronco', 1],
+      ['Miembro superior', 2],
+      ['Sin región', 2]
+    ]);
+    expect(hex(meshes.left_pectoral)).toBe('#ef4444');
+    expect(hex(meshes.biceps)).toBe(hex(meshes.brachialis));
+    expect(colors.onChange).toHaveBeenLastCalledWith(legend);
+  });
+
+  test('por capa y por sistema deben dar un color por grupo', () => {
+    const layers = colors.setMode('layer');
+    expect(layers.entries.map(e => e.label)).toEqual(['Capa 0 (superficial)', 'Capa 1', 'Capa 2']);
+    expect(new Set(layers.entries.map(e => e.color)).size).toBe(3);
+    expect(hex(meshes.femur)).toBe(layers.entries[2].color);
+
+    const systems = colors.setMode('system');
+    // The colours defined in initializeSystems
+    expect(systems.entries).toEqual([
+      { label: 'Sistema Musculoesquelético', color: '#ff6b6b', count: 4 },
+      { label: 'Sistema Cardiovascular', color: '#ee5a24', count: 1 }
+    ]);
+    expect(hex(meshes.heart)).toBe('#ee5a24');
+  });
+
+  test('volver al material original debe restaurar colores, resaltados y tintes', () => {
+    anatomy.selection.replace(['biceps']);
+    anatomy.colorStructures(['brachialis'], '#00ff00');
+    colors.setMode('region');
+    // Custom tints win over the scheme and are the only ones saved in views
+    expect(hex(meshes.brachialis)).toBe('#00ff00');
+    expect(anatomy.getStructureColors()).toEqual({ brachialis: '#00ff00' });
+    expect(hex(meshes.biceps)).toBe('#3b82f6');
+    expect(anatomy.structures.get('biceps').originalMaterial.color.getHexString()).toBe('3b82f6');
+
+    anatomy.colorStructures(['brachialis'], null);
+    expect(hex(meshes.brachialis)).toBe('#3b82f6');
+    anatomy.selection.clear();
+    expect(colors.setMode('original')).toBeNull();
+    expect(colors.onChange).toHaveBeenLastCalledWith(null);
+    Object.values(meshes).forEach(mesh => expect(hex(mesh)).toBe('#884444'));
+  });
+
+  test('los materiales compartidos deben recuperar su color', () => {
+    const shared = new THREE.MeshStandardMaterial({ color: 0x123456 });
+    meshes.biceps.material = shared;
+    meshes.brachialis.material = shared;
+    colors.setMode('layer');
+    anatomy.colorStructures(['biceps'], '#ffffff');
+    colors.setMode('original');
+    anatomy.colorStructures(['biceps'], null);
+    expect(shared.color.getHexString()).toBe('123456');
+  });
+
+  test('debe importar una paleta, guardarla y rechazar las inválidas', () => {
+    expect(() => colors.setMode('palette')).toThrow('Importa una paleta primero');
+    expect(() => colors.importPalette('{"format":"otro"}')).toThrow('El archivo no contiene una paleta válida');
+    expect(() => colors.setMode('rainbow')).toThrow();
+
+    const legend = colors.importPalette(JSON.stringify({
+      format: PALETTE_FORMAT,
+      name: 'Brazo',
+      groups: [
+        { label: 'Flexores', color: '#e11d48', structures: ['biceps', 'brachialis'] },
+        { label: 'Sin color', color: 'red', structures: ['heart'] },
+        { label: 'Ausentes', color: '#000000', structures: ['missing'] }
+      ]
+    }));
+    expect(legend).toEqual({ mode: 'palette', title: 'Brazo', entries: [{ label: 'Flexores', color: '#e11d48', count: 2 }] });
+    expect(hex(meshes.brachialis)).toBe('#e11d48');
+    expect(hex(meshes.heart)).toBe('#884444');
+
+    const later = new ColorSchemeManager({ anatomy }, { storage });
+    expect(later.setMode('palette').title).toBe('Brazo');
+  });
+
+  test('la paleta de ejemplo debe ser válida', () => {
+    const text = fs.readFileSync(path.resolve(__dirname, '../assets/data/palette-example.json'), 'utf8');
+    expect(colors._validPalette(JSON.parse(text)).groups.length).toBeGreaterThan(0);
+  });
+
+  test('el selector y la leyenda del panel', () => {
+    const ui = new UIManager({ getAvailableSystems: () => [] }, null);
+    ui.onSelectColorScheme = (mode) => colors.setMode(mode);
+    colors.onChange = (legend) => ui.showColorLegend(legend);
+
+    ui._schemeSelect.value = 'system';
+    ui._schemeSelect.dispatchEvent(new Event('change'));
+    expect(ui._legend.style.display).toBe('block');
+    expect(ui._legend.textContent).toContain('Sistema Cardiovascular (1)');
+
+    // No palette yet: the select goes back and explains why
+    ui._schemeSelect.value = 'palette';
+    ui._schemeSelect.dispatchEvent(new Event('change'));
+    expect(ui._schemeSelect.value).toBe('system');
+    expect(ui._hud.textContent).toBe('Importa una paleta primero');
+
+    ui._schemeSelect.value = 'original';
+    ui._schemeSelect.dispatchEvent(new Event('change'));
+    expect(ui._legend.style.display).toBe('none');
+    ui.dispose();
+  });
+});
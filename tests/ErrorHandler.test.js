@@ -31,7 +31,10 @@ Object.defineProperty(global, 'document', {
             textContent: '',
             parentNode: { removeChild: jest.fn() }
         })),
-        body: { appendChild: jest.fn() }
+        body: { appendChild: jest.fn() },
+        // jsdom subscribes to the replaced document's load event after setup
+        addEventListener: jest.fn(),
+        removeEventListener: jest.fn()
     }
 });
 
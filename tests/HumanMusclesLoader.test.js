@@ -0,0 +1,87 @@
+import fs from 'fs';
+import path from 'path';
+import * as THREE from 'three';
+import HumanMusclesLoader from '../src/integration/HumanMusclesLoader.js';
+
+const terminology = JSON.parse(fs.readFileSync(path.join(__dirname, '../assets/data/bp3d-terminology.json'), 'utf8'));
+const structureIndex = JSON.parse(fs.readFileSync(path.join(__dirname, '../assets/models/human_muscles_index.json'), 'utf8'));
+
+describe('HumanMusclesLoader - terminología', () => {
+  let loader;
+
+  beforeEach(() => {
+    loader = new HumanMusclesLoader({ modelLoader: { loadModel: jest.fn() } });
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('debe resolver ids FJ a conceptos FMA con nombres en tres idiomas', () => {
+    const term = loader.lookupTerminology('FJ1294', terminology);
+
+    expect(term).toMatchObject({
+      fjId: 'FJ1294',
+      fmaId: 'FMA49051',
+      en: 'Left inferior oblique',
+      la: 'Musculus obliquus inferior bulbi sinister',
+      es: 'Músculo oblicuo inferior del ojo izquierdo',
+      region: 'head_neck',
+      type: 'muscle'
+    });
+    expect(term.parent).toMatchObject({ id: 'left_extraocular_muscles', es: 'Músculos extraoculares izquierdos' });
+  });
+
+  test('debe tolerar sufijos y mayúsculas en el nombre de la malla', () => {
+    expect(loader.lookupTerminology('fj1423m_1', terminology).en).toBe('Left iliotibial tract');
+  });
+
+  test('debe devolver null para nombres sin id FJ o desconocidos', () => {
+    expect(loader.lookupTerminology('Cube', terminology)).toBeNull();
+    expect(loader.lookupTerminology('FJ9999999', terminology)).toBeNull();
+    expect(loader.lookupTerminology('FJ1294', null)).toBeNull();
+  });
+
+  test('cada pieza del modelo por defecto debe tener nombres, región y capa', () => {
+    // Parts without a BodyParts3D concept (no OBJ header) are named in
+    // human_muscles_overrides.json instead
+    const incomplete = structureIndex.entries.filter(entry => {
+      const term = loader.lookupTerminology(entry.id, terminology);
+      const named = entry.label || (term?.la && term?.es);
+      const region = entry.region ?? term?.region;
+      const layer = entry.layer ?? term?.layer;
+      return !named || region == null || layer == null;
+    });
+
+    expect(incomplete.map(entry => entry.id)).toEqual([]);
+  });
+
+  test('load() debe dar identidad anatómica a cada malla', async () => {
+    const model = new THREE.Group();
+    ['FJ1431', 'FJ1654', 'Unnamed'].forEach(name => {
+      const mesh = new THREE.Mesh(new THREE.BoxGeometry(), new THREE.MeshStandardMaterial());
+      mesh.name = name;
+      model.add(mesh);
+    });
+    loader.modelLoader.loadModel.mockResolvedValue(model);
+    global.fetch = jest.fn(async (url) => ({
+      ok: url === loader.terminologyPath,
+      json: async () => terminology
+    }));
+
+    const index = await loader.load('human_muscles.glb');
+
+    const psoas = index.byId.get('fj1431').userData;
+    expect(psoas).toMatchObject({ label: 'Músculo psoas mayor derecho', type: 'muscle', layer: 3, region: 'torso', system: 'musculoskeletal' });
+    expect(psoas.terminology.la).toBe('Musculus psoas major dexter');
+
+    const artery = index.byId.get('fj1654').userData;
+    expect(artery.system).toBe('cardiovascular');
+    expect(artery.layer).toBe(4);
+
+    const unknown = index.byId.get('unnamed').userData;
+    expect(unknown.terminology).toBeNull();
+    expect(unknown.label).toBeNull();
+    expect(unknown.system).toBe('musculoskeletal');
+  });
+});
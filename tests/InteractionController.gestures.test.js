@@ -0,0 +1,117 @@
+import * as THREE from 'three';
+import AnatomyManager from '../src/AnatomyManager.js';
+import InteractionController from '../src/InteractionController.js';
+
+describe('InteractionController - gestos', () => {
+  let anatomy;
+  let renderer;
+  let ui;
+  let dom;
+  let controller;
+  let hit;
+
+  const pointer = (type, x, y, { id = 1, pointerType = 'mouse', button = 0, shiftKey = false } = {}) => {
+    const event = new MouseEvent(type, { clientX: x, clientY: y, button, buttons: type === 'pointerup' ? 0 : 1, shiftKey });
+    dom.dispatchEvent(Object.assign(event, { pointerId: id, pointerType }));
+  };
+  const click = (x, y, options) => {
+    pointer('pointerdown', x, y, options);
+    pointer('pointerup', x, y, options);
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    anatomy = new AnatomyManager({ setRootObject: jest.fn() });
+    ['deltoid', 'biceps'].forEach(id => {
+      const mesh = new THREE.Mesh(new THREE.BoxGeometry(), new THREE.MeshStandardMaterial());
+      mesh.userData.canonicalName = id;
+      anatomy.addStructure(id, { id, name: id, system: 'musculoskeletal', mesh });
+    });
+    hit = anatomy.structures.get('deltoid').mesh;
+
+    dom = document.createElement('canvas');
+    renderer = { renderer: { domElement: dom }, pickAll: jest.fn(() => (hit ? [{ object: hit }] : [])) };
+    ui = { showContextMenu: jest.fn(), hideContextMenu: jest.fn(), updateStructureInfo: jest.fn() };
+    controller = new InteractionController(renderer, anatomy, ui, { hover: false });
+    controller.onFocus = jest.fn();
+  });
+
+  afterEach(() => {
+    controller.dispose();
+    jest.useRealTimers();
+  });
+
+  test('un clic corto debe seleccionar la estructura', () => {
+    click(10, 10);
+    expect(anatomy.selection.list()).toEqual(['deltoid']);
+  });
+
+  test('arrastrar para orbitar no debe tocar la selección', () => {
+    anatomy.selectStructure('biceps');
+    hit = null;
+
+    pointer('pointerdown', 10, 10);
+    pointer('pointermove', 40, 25);
+    pointer('pointerup', 40, 25);
+
+    expect(anatomy.selection.list()).toEqual(['biceps']);
+    expect(renderer.pickAll).not.toHaveBeenCalled();
+  });
+
+  test('un clic debe lanzar un solo raycast aunque haya un manejador de selección', () => {
+    controller.pickHandler = jest.fn(() => false);
+    click(10, 10);
+
+    expect(controller.pickHandler).toHaveBeenCalledWith('deltoid', 10, 10);
+    expect(anatomy.selection.list()).toEqual(['deltoid']);
+    expect(renderer.pickAll).toHaveBeenCalledTimes(1);
+  });
+
+  test('una pulsación demasiado larga no cuenta como clic', () => {
+    pointer('pointerdown', 10, 10);
+    jest.advanceTimersByTime(800);
+    pointer('pointerup', 10, 10);
+    expect(anatomy.selection.size).toBe(0);
+  });
+
+  test('doble clic debe seleccionar y enfocar', () => {
+    click(10, 10);
+    jest.advanceTimersByTime(100);
+    click(12, 11);
+
+    expect(controller.onFocus).toHaveBeenCalledTimes(1);
+    expect(controller.onFocus).toHaveBeenCalledWith(['deltoid']);
+  });
+
+  test('clic derecho debe abrir las acciones de contexto', () => {
+    click(10, 10, { button: 2 });
+
+    expect(anatomy.selection.list()).toEqual(['deltoid']);
+    const [items, x, y] = ui.showContextMenu.mock.calls[0];
+    expect([x, y]).toEqual([10, 10]);
+    expect(items.map(i => i.label)).toEqual(['Información', 'Enfocar', 'Aislar', 'Ocultar']);
+
+    items.find(i => i.label === 'Ocultar').action();
+    expect(anatomy.structures.get('deltoid').mesh.visible).toBe(false);
+  });
+
+  test('mantener pulsado en táctil debe abrir el menú sin seleccionar después', () => {
+    pointer('pointerdown', 10, 10, { pointerType: 'touch' });
+    jest.advanceTimersByTime(600);
+    expect(ui.showContextMenu).toHaveBeenCalledTimes(1);
+
+    anatomy.clearSelection();
+    pointer('pointerup', 10, 10, { pointerType: 'touch' });
+    expect(anatomy.selection.size).toBe(0);
+  });
+
+  test('un segundo dedo debe cancelar el toque', () => {
+    pointer('pointerdown', 10, 10, { id: 1, pointerType: 'touch' });
+    pointer('pointerdown', 60, 60, { id: 2, pointerType: 'touch' });
+    pointer('pointerup', 10, 10, { id: 1, pointerType: 'touch' });
+    jest.advanceTimersByTime(600);
+
+    expect(anatomy.selection.size).toBe(0);
+    expect(ui.showContextMenu).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,85 @@
+import * as THREE from 'three';
+import AnatomyManager from '../src/AnatomyManager.js';
+import InteractionController from '../src/InteractionController.js';
+
+describe('InteractionController - hover', () => {
+  let anatomy;
+  let renderer;
+  let ui;
+  let dom;
+  let biceps;
+
+  const move = (x, y, { pointerType = 'mouse', buttons = 0 } = {}) => {
+    const event = new MouseEvent('pointermove', { clientX: x, clientY: y, buttons });
+    dom.dispatchEvent(Object.assign(event, { pointerType }));
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    anatomy = new AnatomyManager({ setRootObject: jest.fn() });
+    biceps = new THREE.Mesh(new THREE.BoxGeometry(), new THREE.MeshStandardMaterial());
+    biceps.userData.canonicalName = 'biceps';
+    anatomy.addStructure('biceps', { id: 'biceps', name: 'Bíceps braquial', system: 'musculoskeletal', mesh: biceps });
+
+    dom = document.createElement('canvas');
+    renderer = { renderer: { domElement: dom }, pickFirst: jest.fn(() => ({ object: biceps })) };
+    ui = { showTooltip: jest.fn(), moveTooltip: jest.fn(), hideTooltip: jest.fn() };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('debe limitar los raycasts y usar la última posición del puntero', () => {
+    new InteractionController(renderer, anatomy, ui, { hover: true, hoverInterval: 50 });
+
+    move(10, 10);
+    move(20, 20);
+    move(30, 30);
+    jest.advanceTimersByTime(0);
+    expect(renderer.pickFirst).toHaveBeenCalledTimes(1);
+    expect(renderer.pickFirst).toHaveBeenLastCalledWith(30, 30, expect.any(Function));
+
+    move(40, 40);
+    jest.advanceTimersByTime(20);
+    expect(renderer.pickFirst).toHaveBeenCalledTimes(1);
+    jest.advanceTimersByTime(30);
+    expect(renderer.pickFirst).toHaveBeenCalledTimes(2);
+    expect(ui.showTooltip).toHaveBeenLastCalledWith('Bíceps braquial', 40, 40);
+  });
+
+  test('debe teñir la estructura sin tocar el material de selección', () => {
+    new InteractionController(renderer, anatomy, ui, { hover: true });
+    anatomy.selectStructure('biceps');
+    const selectionMaterial = biceps.material;
+
+    move(5, 5);
+    jest.runOnlyPendingTimers();
+    expect(anatomy.hoveredStructure.id).toBe('biceps');
+    expect(biceps.children).toHaveLength(1);
+    expect(biceps.material).toBe(selectionMaterial);
+
+    dom.dispatchEvent(new MouseEvent('pointerleave'));
+    expect(biceps.children).toHaveLength(0);
+    expect(ui.hideTooltip).toHaveBeenCalled();
+    expect(biceps.material).toBe(selectionMaterial);
+  });
+
+  test('no debe reaccionar al tacto ni mientras se arrastra', () => {
+    new InteractionController(renderer, anatomy, ui, { hover: true });
+
+    move(5, 5, { pointerType: 'touch' });
+    move(5, 5, { buttons: 1 });
+    jest.runOnlyPendingTimers();
+    expect(renderer.pickFirst).not.toHaveBeenCalled();
+  });
+
+  test('debe desactivarse en dispositivos sin hover', () => {
+    new InteractionController(renderer, anatomy, ui, { hover: false });
+
+    move(5, 5);
+    jest.runOnlyPendingTimers();
+    expect(renderer.pickFirst).not.toHaveBeenCalled();
+    expect(anatomy.hoveredStructure).toBeNull();
+  });
+});
@@ -0,0 +1,147 @@
+import * as THREE from 'three';
+import LabelManager from '../src/LabelManager.js';
+
+describe('LabelManager', () => {
+  let renderer;
+  let anatomy;
+  let canvas;
+
+  const makeStructure = (id, position, userData = {}) => {
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(0.1, 0.1, 0.1), new THREE.MeshBasicMaterial());
+    mesh.position.copy(position);
+    mesh.userData = { ...userData };
+    return { id, name: id, system: 'musculoskeletal', mesh };
+  };
+
+  beforeEach(() => {
+    canvas = document.createElement('canvas');
+    canvas.getBoundingClientRect = () => ({ left: 0, top: 0, width: 800, height: 600 });
+    document.body.appendChild(canvas);
+
+    const camera = new THREE.PerspectiveCamera(50, 800 / 600, 0.1, 100);
+    camera.position.set(0, 0, 5);
+    camera.lookAt(0, 0, 0);
+    camera.updateMatrixWorld();
+
+    const root = new THREE.Group();
+    renderer = {
+      canvas,
+      camera,
+      root,
+      addFrameCallback: jest.fn(() => jest.fn())
+    };
+    anatomy = { structures: new Map(), selectedStructure: null };
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  const addStructures = (structures) => {
+    structures.forEach(s => {
+      renderer.root.add(s.mesh);
+      anatomy.structures.set(s.id, s);
+    });
+    renderer.root.updateMatrixWorld(true);
+  };
+
+  test('debe usar userData.label y caer en originalName', () => {
+    const labels = new LabelManager(renderer, anatomy);
+    const a = makeStructure('a', new THREE.Vector3(), { label: 'Biceps brachii', originalName: 'FJ1' });
+    const b = makeStructure('b', new THREE.Vector3(), { originalName: 'FJ2' });
+
+    expect(labels.getLabelText(a)).toBe('Biceps brachii');
+    expect(labels.getLabelText(b)).toBe('FJ2');
+  });
+
+  test('debe reutilizar un pool limitado de nodos DOM', () => {
+    const structures = [];
+    for (let i = 0; i < 200; i++) {
+      structures.push(makeStructure(`s${i}`, new THREE.Vector3((i % 20) * 0.1 - 1, Math.floor(i / 20) * 0.1 - 0.5, 0)));
+    }
+    addStructures(structures);
+
+    const labels = new LabelManager(renderer, anatomy, { maxLabels: 10 });
+    labels.setEnabled(true);
+
+    expect(renderer.addFrameCallback).toHaveBeenCalledTimes(1);
+    expect(labels.active).toHaveLength(10);
+    expect(labels.container.querySelectorAll('.anatomy-label')).toHaveLength(10);
+    expect(labels.svg.querySelectorAll('line')).toHaveLength(10);
+  });
+
+  test('debe ignorar estructuras ocultas o fuera de cámara', () => {
+    const visible = makeStructure('visible', new THREE.Vector3(0, 0, 0));
+    const hidden = makeStructure('hidden', new THREE.Vector3(0.2, 0, 0));
+    const behind = makeStructure('behind', new THREE.Vector3(0, 0, 10));
+    hidden.mesh.visible = false;
+    addStructures([visible, hidden, behind]);
+
+    const labels = new LabelManager(renderer, anatomy);
+    labels.setEnabled(true);
+
+    expect(labels.active.map(e => e.structure.id)).toEqual(['visible']);
+  });
+
+  test('debe priorizar la estructura seleccionada', () => {
+    const big = makeStructure('big', new THREE.Vector3(0, 0, 0));
+    big.mesh.scale.setScalar(5);
+    const selected = makeStructure('selected', new THREE.Vector3(0.8, 0.5, 0));
+    addStructures([big, selected]);
+    anatomy.selectedStructure = selected;
+
+    const labels = new LabelManager(renderer, anatomy);
+    labels.setEnabled(true);
+
+    expect(labels.active[0].structure.id).toBe('selected');
+  });
+
+  test('debe atenuar etiquetas de estructuras ocluidas', () => {
+    const back = makeStructure('back', new THREE.Vector3(0, 0, 0));
+    const front = makeStructure('front', new THREE.Vector3(0, 0, 1));
+    front.mesh.scale.setScalar(3);
+    addStructures([back, front]);
+
+    const labels = new LabelManager(renderer, anatomy, { occludedOpacity: 0.25 });
+    labels.setEnabled(true);
+
+    expect(labels.occluded.get(back.mesh)).toBe(true);
+    expect(labels.occluded.get(front.mesh)).toBe(false);
+  });
+
+  test('debe ocultar etiquetas que se solapan', () => {
+    const a = makeStructure('a', new THREE.Vector3(0.5, 0.3, 0));
+    const b = makeStructure('b', new THREE.Vector3(0.5, 0.3, 0));
+    addStructures([a, b]);
+
+    const labels = new LabelManager(renderer, anatomy);
+    labels._ensureOverlay();
+    labels.enabled = true;
+    // jsdom has no layout, so give the pooled labels a size
+    const acquire = labels._acquire.bind(labels);
+    labels._acquire = (i) => {
+      const slot = acquire(i);
+      Object.defineProperty(slot.el, 'offsetWidth', { value: 80, configurable: true });
+      Object.defineProperty(slot.el, 'offsetHeight', { value: 16, configurable: true });
+      return slot;
+    };
+    labels.update();
+
+    const shown = labels.pool.filter(slot => slot.el.style.display === 'block');
+    expect(shown).toHaveLength(1);
+  });
+
+  test('debe ocultar todo al desactivar', () => {
+    addStructures([makeStructure('a', new THREE.Vector3())]);
+    const unsubscribe = jest.fn();
+    renderer.addFrameCallback = jest.fn(() => unsubscribe);
+
+    const labels = new LabelManager(renderer, anatomy);
+    labels.setEnabled(true);
+    labels.setEnabled(false);
+
+    expect(unsubscribe).toHaveBeenCalled();
+    expect(labels.container.style.display).toBe('none');
+    expect(labels.pool.every(slot => slot.el.style.display === 'none')).toBe(true);
+  });
+});
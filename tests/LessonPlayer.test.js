@@ -0,0 +1,188 @@
+import * as THREE from 'three';
+import fs from 'fs';
+import path from 'path';
+import AnatomyManager from '../src/AnatomyManager.js';
+import LessonPlayer from '../src/LessonPlayer.js';
+import UIManager from '../src/UIManager.js';
+
+const LESSONS_DIR = path.resolve(__dirname, '../assets/lessons');
+
+describe('LessonPlayer - lecciones guiadas', () => {
+  let anatomy;
+  let renderer;
+  let zoom;
+  let player;
+
+  const lesson = {
+    id: 'hombro',
+    title: 'Hombro',
+    steps: [
+      { title: 'Inicio', narration: 'Vista general', camera: { view: 'anterior' }, peelDepth: 1, labels: true },
+      { title: 'Deltoides', narration: 'El deltoides', camera: { focus: ['deltoid:right'] }, isolated: ['deltoid'], highlighted: ['deltoid:right'] },
+      { title: 'Brazo', narration: 'Bíceps y tríceps', visible: ['biceps_brachii', 'triceps'], duration: 1000 }
+    ]
+  };
+
+  beforeEach(() => {
+    anatomy = new AnatomyManager({ setRootObject: jest.fn() });
+    ['Left_deltoid', 'Right_deltoid', 'biceps_l', 'triceps', 'femur'].forEach(id => {
+      const mesh = new THREE.Mesh(new THREE.BoxGeometry(), new THREE.MeshStandardMaterial());
+      mesh.userData.layer = id === 'femur' ? 1 : 0;
+      anatomy.addStructure(id, { id, name: id, system: 'musculoskeletal', mesh });
+    });
+    anatomy.setStructureMetadata({
+      structures: {
+        deltoid: { name: 'Deltoides', ids: ['Left_deltoid', 'Right_deltoid'] },
+        biceps_brachii: { name: 'Bíceps braquial', ids: ['biceps_l'] }
+      }
+    });
+    const camera = new THREE.PerspectiveCamera();
+    camera.position.set(0, 1, 3);
+    renderer = { camera, controls: { target: new THREE.Vector3(0, 1, 0) } };
+    zoom = {
+      flyTo: jest.fn(() => Promise.resolve(true)),
+      focusOn: jest.fn(() => Promise.resolve(true)),
+      setView: jest.fn(() => Promise.resolve(true))
+    };
+    player = new LessonPlayer({ renderer, anatomy, zoom });
+    player.onChange = jest.fn();
+  });
+
+  afterEach(() => {
+    player.dispose();
+    jest.useRealTimers();
+  });
+
+  test('debe resolver estructuras por id, por concepto y por lado', () => {
+    expect(anatomy.resolveStructureRefs(['deltoid'])).toEqual(['Left_deltoid', 'Right_deltoid']);
+    expect(anatomy.resolveStructureRefs(['deltoid:right', 'femur', 'femur'])).toEqual(['Right_deltoid', 'femur']);
+    expect(anatomy.resolveStructureRefs(['unknown', 'deltoid:up'])).toEqual([]);
+  });
+
+  test('cada paso debe aplicar cámara, visibilidad y resaltado', () => {
+    player.start(lesson);
+    expect(zoom.setView).toHaveBeenCalledWith('anterior');
+    expect(anatomy.peelDepth).toBe(1);
+    expect(player.onChange).toHaveBeenLastCalledWith(expect.objectContaining({ index: 0, count: 3, title: 'Hombro' }));
+
+    player.next();
+    expect(zoom.focusOn).toHaveBeenCalledWith(['Right_deltoid']);
+    expect(anatomy.selection.list()).toEqual(['Right_deltoid']);
+    expect(anatomy.getViewState().isolated).toEqual(['Left_deltoid', 'Right_deltoid']);
+
+    player.next();
+    const state = anatomy.getViewState();
+    // Peeling and labels carry over; isolation and highlights belong to their step
+    expect(state).toMatchObject({ peelDepth: 1, labels: true, isolated: [], selection: [] });
+    expect(state.hidden.sort()).toEqual(['Left_deltoid', 'Right_deltoid', 'femur']);
+    expect(player.next()).toBe(false);
+
+    player.previous();
+    expect(player.index).toBe(1);
+  });
+
+  test('saltar a un paso debe dar el mismo estado que avanzar hasta él', () => {
+    player.start(lesson);
+    player.goTo(2);
+    const jumped = anatomy.getViewState();
+    player.goTo(0);
+    player.next();
+    player.next();
+    expect(anatomy.getViewState()).toEqual(jumped);
+  });
+
+  test('la reproducción automática debe avanzar y detenerse al final', () => {
+    jest.useFakeTimers();
+    player.start(lesson);
+    player.play();
+    expect(player.getStatus().playing).toBe(true);
+
+    // Short narrations still get the minimum reading time
+    jest.advanceTimersByTime(3999);
+    expect(player.index).toBe(0);
+    jest.advanceTimersByTime(1);
+    expect(player.index).toBe(1);
+    jest.advanceTimersByTime(4000);
+    expect(player.index).toBe(2);
+    jest.advanceTimersByTime(1000);
+    expect(player.getStatus().playing).toBe(false);
+
+    // Playing from the last step starts over
+    player.play();
+    expect(player.index).toBe(0);
+    player.pause();
+    jest.advanceTimersByTime(10000);
+    expect(player.index).toBe(0);
+  });
+
+  test('cerrar debe restaurar la vista previa a la lección', () => {
+    anatomy.selection.replace(['femur']);
+    player.start(lesson);
+    player.next();
+
+    const state = player.stop();
+    expect(zoom.flyTo).toHaveBeenLastCalledWith({ position: [0, 1, 3], target: [0, 1, 0] });
+    expect(state.selection).toEqual(['femur']);
+    expect(anatomy.peelDepth).toBe(0);
+    expect(anatomy.isolatedStructures.size).toBe(0);
+    expect(player.onChange).toHaveBeenLastCalledWith(null);
+    expect(player.active).toBe(false);
+  });
+
+  test('debe cargar el índice y las lecciones desde assets/lessons', async () => {
+    const originalFetch = global.fetch;
+    global.fetch = jest.fn(async (url) => {
+      const file = path.join(LESSONS_DIR, url.replace('assets/lessons/', ''));
+      if (!fs.existsSync(file)) return { ok: false };
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return { ok: true, json: async () => data };
+    });
+
+    try {
+      const lessons = await player.loadIndex();
+      expect(lessons.length).toBeGreaterThan(0);
+      for (const entry of lessons) {
+        const loaded = await player.load(entry.id);
+        expect(loaded.steps.length).toBeGreaterThan(0);
+        loaded.steps.forEach(step => {
+          expect(typeof step.title).toBe('string');
+          expect(typeof step.narration).toBe('string');
+        });
+      }
+      expect(await player.load('missing')).toBeNull();
+    } finally {
+      global.fetch = originalFetch;
+    }
+  });
+
+  test('el reproductor debe mostrar el progreso y reenviar los controles', () => {
+    const ui = new UIManager({ getAvailableSystems: () => [] }, null);
+    ui.onStartLesson = jest.fn();
+    ui.onLessonNext = jest.fn();
+    ui.onLessonTogglePlay = jest.fn();
+    ui.onLessonClose = jest.fn();
+    const button = (text) => Array.from(ui._lessonPlayer.el.querySelectorAll('button')).find(b => b.textContent === text);
+
+    ui.setLessons([{ id: 'hombro', title: 'Hombro' }]);
+    ui._lessonStart.click();
+    expect(ui.onStartLesson).toHaveBeenCalledWith('hombro');
+
+    player.onChange = (status) => ui.showLessonStep(status);
+    player.start(lesson);
+    expect(ui._lessonPlayer.el.style.display).toBe('block');
+    expect(ui._lessonPlayer.progressText.textContent).toBe('Paso 1 / 3');
+    expect(ui._lessonPlayer.narration.textContent).toBe('Vista general');
+    expect(button('Anterior').disabled).toBe(true);
+
+    button('Siguiente').click();
+    button('Reproducir').click();
+    button('Cerrar').click();
+    expect(ui.onLessonNext).toHaveBeenCalled();
+    expect(ui.onLessonTogglePlay).toHaveBeenCalled();
+    expect(ui.onLessonClose).toHaveBeenCalled();
+
+    player.stop();
+    expect(ui._lessonPlayer.el.style.display).toBe('none');
+    ui.dispose();
+  });
+});
@@ -0,0 +1,163 @@
+import * as THREE from 'three';
+import AnatomicalRenderer from '../src/AnatomicalRenderer.js';
+import AnatomyManager from '../src/AnatomyManager.js';
+import InteractionController from '../src/InteractionController.js';
+import MeasurementManager, { formatMeasurement } from '../src/MeasurementManager.js';
+import UIManager from '../src/UIManager.js';
+
+describe('MeasurementManager - medidas en milímetros', () => {
+  let anatomy;
+  let root;
+  let renderer;
+  let measurements;
+
+  // Box structure in model units (millimetres, like BodyParts3D)
+  const addBox = (id, size, position = [0, 0, 0], segments = 1) => {
+    const mesh = new THREE.Mesh(
+      new THREE.BoxGeometry(...size, segments, segments, segments),
+      new THREE.MeshStandardMaterial()
+    );
+    mesh.name = id;
+    mesh.position.fromArray(position);
+    root.add(mesh);
+    anatomy.addStructure(id, { id, name: id, system: 'musculoskeletal', mesh });
+    return mesh;
+  };
+
+  beforeEach(() => {
+    anatomy = new AnatomyManager({ setRootObject: jest.fn() });
+    anatomy.modelUnitMm = 1;
+    root = new THREE.Group();
+    // What _fitAndCenterModel does to a 1.6 m tall model
+    root.scale.setScalar(1.6 / 1600);
+    root.position.set(0, 0.8, 0);
+
+    const camera = new THREE.PerspectiveCamera(50, 1, 0.01, 100);
+    camera.position.set(0, 0.8, 3);
+    camera.updateMatrixWorld(true);
+    const raycaster = new THREE.Raycaster();
+    renderer = {
+      camera,
+      root,
+      scene: new THREE.Scene(),
+      renderer: { domElement: document.createElement('canvas') },
+      addFrameCallback: jest.fn(() => jest.fn()),
+      // Taps cast a ray straight down -z through world (x, y)
+      pickAll: (x, y) => {
+        root.updateMatrixWorld(true);
+        raycaster.set(new THREE.Vector3(x, y, 10), new THREE.Vector3(0, 0, -1));
+        return raycaster.intersectObject(root, true);
+      }
+    };
+    renderer.pick = AnatomicalRenderer.prototype.pick.bind(renderer);
+    renderer.scene.add(root);
+    measurements = new MeasurementManager({ renderer, anatomy });
+    measurements.onChange = jest.fn();
+  });
+
+  afterEach(() => measurements.dispose());
+
+  test('la distancia debe salir en milímetros a pesar del reescalado del modelo', () => {
+    addBox('humerus', [40, 300, 40]);
+    measurements.setTool('distance');
+    expect(measurements.handleTap('humerus', 0, 0.8 + 0.1)).toBe(true);
+    expect(measurements.handleTap('humerus', 0, 0.8 - 0.1)).toBe(true);
+
+    const [measurement] = measurements.list();
+    // 0.2 scene units are 200 mm of model
+    expect(measurement.value).toBeCloseTo(200);
+    expect(formatMeasurement(measurement)).toBe('20.0 cm');
+
+    // Rotating the model doesn't change the stored measurement, and the overlay follows it
+    root.rotation.y = 1;
+    root.updateMatrixWorld(true);
+    measurements.update();
+    const anchor = new THREE.Vector3().fromArray(measurement.anchor).applyMatrix4(measurements.group.matrix);
+    expect(anchor.distanceTo(new THREE.Vector3().fromArray(measurement.anchor).applyMatrix4(root.matrixWorld))).toBeCloseTo(0);
+  });
+
+  test('el modelo procedural en metros también debe medirse en milímetros', () => {
+    anatomy.modelUnitMm = 1000;
+    root.scale.setScalar(1);
+    root.position.set(0, 0, 0);
+    addBox('torso', [0.3, 0.6, 0.2]);
+    measurements.setTool('distance');
+    measurements.handleTap('torso', 0, 0.25);
+    measurements.handleTap('torso', 0, 0.2);
+    expect(measurements.list()[0].value).toBeCloseTo(50);
+    expect(formatMeasurement(measurements.list()[0])).toBe('50.0 mm');
+  });
+
+  test('el ángulo debe medirse en el punto central', () => {
+    const picks = [[10, 0, 0], [0, 0, 0], [0, 10, 0]].map(point => ({ structureId: 'a', point }));
+    expect(measurements.measure('angle', picks).value).toBeCloseTo(90);
+    picks[2].point = [-10, 10, 0];
+    const measurement = measurements.measure('angle', picks);
+    expect(formatMeasurement(measurement)).toBe('135.0°');
+    expect(measurement.anchor).toEqual([0, 0, 0]);
+    expect(measurements.measure('angle', [picks[0], picks[0], picks[1]])).toBeNull();
+  });
+
+  test('la geodésica debe rodear la superficie y unir las caras del cubo', () => {
+    addBox('block', [20, 20, 20], [0, 0, 0], 2);
+    const geodesic = measurements.geodesicPath('block', new THREE.Vector3(0, 0, 10), new THREE.Vector3(0, 0, -10));
+    // Front centre -> edge -> across the side -> back centre: 10 + 20 + 10
+    expect(geodesic.length).toBeCloseTo(40);
+    expect(geodesic.path[0].toArray()).toEqual([0, 0, 10]);
+
+    measurements.onError = jest.fn();
+    addBox('other', [10, 10, 10], [0, 200, 0]);
+    measurements.setTool('geodesic');
+    measurements.handleTap('block', 0, 0.8);
+    measurements.handleTap('other', 0, 0.8 + 0.2);
+    expect(measurements.onError).toHaveBeenCalledWith('La distancia geodésica se mide sobre una sola estructura');
+    expect(measurements.pending).toHaveLength(1);
+  });
+
+  test('área y volumen de una estructura cerrada', () => {
+    addBox('block', [10, 20, 30], [0, 0, 0], 2);
+    const { area, volume } = measurements.surfaceMetrics('block');
+    expect(area).toBeCloseTo(2 * (10 * 20 + 20 * 30 + 10 * 30));
+    expect(volume).toBeCloseTo(6000);
+
+    measurements.setTool('area');
+    measurements.handleTap('block', 0, 0.8);
+    expect(formatMeasurement(measurements.list()[0])).toBe('22.0 cm² · 6.0 cm³');
+  });
+
+  test('las herramientas del panel deben pasar por el controlador y listar las medidas', () => {
+    addBox('humerus', [40, 300, 40]);
+    const ui = new UIManager({ getAvailableSystems: () => [] }, null);
+    const controller = new InteractionController(renderer, anatomy, ui, { hover: false });
+    controller.pickHandler = (id, x, y) => measurements.handleTap(id, x, y);
+    ui.onSelectMeasurementTool = (tool) => measurements.setTool(tool);
+    ui.onDeleteMeasurement = (id) => measurements.remove(id);
+    measurements.onProgress = (progress) => ui.showMeasurementProgress(progress);
+    measurements.onChange = (list) => ui.updateMeasurements(list.map(m => ({ ...m, structureNames: ['Húmero'] })));
+    const button = (text) => Array.from(ui._measureButtons.values()).find(b => b.textContent === text);
+
+    button('Distancia').click();
+    expect(measurements.tool).toBe('distance');
+    expect(ui._hud.textContent).toBe('Distancia: toca el punto 1 de 2');
+    controller._onTap(0, 0.85, false);
+    expect(ui._hud.textContent).toBe('Distancia: toca el punto 2 de 2');
+    expect(measurements._pendingPoints).not.toBeNull();
+    controller._onTap(0, 0.75, false);
+    expect(anatomy.selection.size).toBe(0);
+
+    const row = ui._measureList.firstChild;
+    expect(row.textContent).toContain('Distancia: 10.0 cm');
+    expect(measurements.group.children).toHaveLength(2);
+    Array.from(row.querySelectorAll('button')).find(b => b.textContent === '✕').click();
+    expect(measurements.list()).toEqual([]);
+    expect(measurements.group.children).toHaveLength(0);
+
+    // Clicking the active tool again stops measuring
+    button('Distancia').click();
+    expect(measurements.tool).toBeNull();
+    controller._onTap(0, 0.85, false);
+    expect(anatomy.selection.list()).toEqual(['humerus']);
+    controller.dispose();
+    ui.dispose();
+  });
+});
@@ -0,0 +1,184 @@
+import * as THREE from 'three';
+import AnatomyManager from '../src/AnatomyManager.js';
+import InteractionController from '../src/InteractionController.js';
+import QuizManager, { QUIZ_FORMAT, normalizeAnswer } from '../src/QuizManager.js';
+import UIManager from '../src/UIManager.js';
+
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value))
+  };
+}
+
+describe('QuizManager - autoevaluación', () => {
+  let anatomy;
+  let renderer;
+  let zoom;
+  let storage;
+  let quiz;
+
+  const structures = [
+    ['Left_biceps', 'Bíceps braquial izquierdo', 'upper_limb', 0],
+    ['Right_biceps', 'Bíceps braquial derecho', 'upper_limb', 0],
+    ['brachialis', 'Braquial', 'upper_limb', 1],
+    ['triceps', 'Tríceps braquial', 'upper_limb', 0],
+    ['deltoid', 'Deltoides', 'upper_limb', 0],
+    ['rectus', 'Recto del abdomen', 'torso', 0],
+    ['quadriceps', 'Cuádriceps', 'lower_limb', 0]
+  ];
+
+  beforeEach(() => {
+    anatomy = new AnatomyManager({ setRootObject: jest.fn() });
+    structures.forEach(([id, name, region, layer]) => {
+      const mesh = new THREE.Mesh(new THREE.BoxGeometry(), new THREE.MeshStandardMaterial());
+      mesh.userData = { region, layer };
+      anatomy.addStructure(id, { id, name, system: 'musculoskeletal', mesh });
+    });
+    const camera = new THREE.PerspectiveCamera();
+    camera.position.set(0, 1, 3);
+    renderer = { camera, controls: { target: new THREE.Vector3(0, 1, 0) } };
+    zoom = { flyTo: jest.fn(() => Promise.resolve(true)), focusOn: jest.fn(() => Promise.resolve(true)) };
+    storage = createStorage();
+    quiz = new QuizManager({ renderer, anatomy, zoom }, { storage });
+    quiz.onChange = jest.fn();
+  });
+
+  test('debe filtrar por región, sistema y capa', () => {
+    expect(quiz.getCandidates({ region: 'upper_limb', layer: 0 }).sort())
+      .toEqual(['Left_biceps', 'Right_biceps', 'deltoid', 'triceps']);
+    expect(quiz.getCandidates({ layer: 1 })).toEqual(['brachialis']);
+    expect(quiz.getCandidates({ system: 'skeletal' })).toEqual([]);
+    expect(quiz.start({ system: 'skeletal' })).toBeNull();
+  });
+
+  test('debe filtrar por la misma región que el color y el árbol', () => {
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(), new THREE.MeshStandardMaterial());
+    mesh.name = 'Pectoralis_major';
+    mesh.userData = { region: 'unknown', layer: 0 };
+    anatomy.addStructure('pectoralis', { id: 'pectoralis', name: 'Pectoral mayor', system: 'musculoskeletal', mesh });
+
+    expect(quiz.getCandidates({ region: 'torso' }).sort()).toEqual(['pectoralis', 'rectus']);
+    expect(quiz.getCandidates({ region: 'unknown' })).toEqual([]);
+  });
+
+  test('debe resaltar la estructura y aceptar la respuesta escrita sin acentos ni lado', () => {
+    const question = quiz.start({ mode: 'name', answerMode: 'typed', region: 'upper_limb', layer: 0, count: 10 });
+    // Both sides of the biceps are one question
+    expect(quiz.questions).toHaveLength(3);
+    expect(anatomy.selection.list()).toEqual([question.structureId]);
+    expect(zoom.focusOn).toHaveBeenCalledWith([question.structureId]);
+    expect(normalizeAnswer('Bíceps  braquial (izquierdo)')).toBe('biceps braquial');
+
+    quiz.answer(question.name.toUpperCase());
+    expect(question.correct).toBe(true);
+    // A second answer to the same question does not count
+    expect(quiz.answer('Deltoides')).toBeNull();
+
+    quiz.next();
+    quiz.answer('no lo sé');
+    expect(quiz.getScore()).toEqual({ correct: 1, answered: 2, total: 3 });
+  });
+
+  test('las opciones múltiples deben incluir la respuesta correcta sin repetir', () => {
+    const question = quiz.start({ mode: 'name', answerMode: 'choice', count: 3 });
+    expect(question.choices).toHaveLength(4);
+    expect(question.choices).toContain(question.name);
+    expect(new Set(question.choices).size).toBe(4);
+  });
+
+  test('localizar debe comprobar el clic y no dejar seleccionar otra estructura', () => {
+    const question = quiz.start({ mode: 'locate', region: 'torso' });
+    expect(question).toMatchObject({ type: 'locate', structureId: 'rectus' });
+    expect(anatomy.selection.size).toBe(0);
+
+    expect(quiz.handlePick(null)).toBe(true);
+    expect(question.answeredAt).toBeNull();
+    expect(quiz.handlePick('quadriceps')).toBe(true);
+    expect(question).toMatchObject({ correct: false, answer: 'Cuádriceps' });
+    // The answer is revealed by selecting it
+    expect(anatomy.selection.list()).toEqual(['rectus']);
+
+    quiz.next();
+    expect(quiz.finished).toBe(true);
+    expect(quiz.handlePick('rectus')).toBe(false);
+  });
+
+  test('el clic en el modelo debe pasar por el controlador de interacción', () => {
+    const question = quiz.start({ mode: 'locate', region: 'upper_limb', layer: 0, count: 1 });
+    const target = anatomy.structures.get(question.structureId).mesh;
+    target.name = question.structureId;
+    const controller = new InteractionController(
+      { renderer: { domElement: document.createElement('canvas') }, pickAll: () => [{ object: target }] },
+      anatomy, {}, { hover: false }
+    );
+    controller.pickHandler = (id) => quiz.handlePick(id);
+
+    controller._onTap(10, 10, false);
+    expect(question).toMatchObject({ answer: question.name, correct: true });
+    // Once the quiz is over, taps select again
+    quiz.next();
+    controller._onTap(10, 10, false);
+    expect(anatomy.selection.list()).toEqual([question.structureId]);
+    controller.dispose();
+  });
+
+  test('los fallos deben volver primero en la siguiente sesión', () => {
+    quiz.start({ mode: 'name', answerMode: 'typed', region: 'upper_limb', layer: 0 });
+    const missed = quiz.current.structureId;
+    quiz.answer('error');
+    quiz.next();
+    quiz.answer(quiz.current.name);
+    quiz.stop();
+
+    const later = new QuizManager({ renderer, anatomy, zoom }, { storage });
+    expect(later.review.get(missed)).toMatchObject({ box: 0, wrong: 1 });
+    expect(later.start({ mode: 'name', region: 'upper_limb', layer: 0 }).structureId).toBe(missed);
+    // Right answers are not asked again until their interval has passed
+    expect(later.questions[later.questions.length - 1].structureId).not.toBe(missed);
+  });
+
+  test('terminar debe restaurar la vista y exportar los resultados en JSON y CSV', () => {
+    anatomy.selection.replace(['quadriceps']);
+    quiz.start({ mode: 'name', answerMode: 'typed', region: 'torso' });
+    quiz.answer('Recto, "del" abdomen');
+    quiz.next();
+    expect(quiz.onChange).toHaveBeenLastCalledWith(expect.objectContaining({ finished: true }));
+
+    const state = quiz.stop();
+    expect(state.selection).toEqual(['quadriceps']);
+    expect(zoom.flyTo).toHaveBeenLastCalledWith({ position: [0, 1, 3], target: [0, 1, 0] });
+    expect(quiz.onChange).toHaveBeenLastCalledWith(null);
+
+    expect(JSON.parse(quiz.exportJSON())).toMatchObject({
+      format: QUIZ_FORMAT,
+      settings: { region: 'torso' },
+      score: { correct: 1, total: 1 },
+      results: [{ question: 1, type: 'name', structureId: 'rectus', correct: true }]
+    });
+    const [header, row] = quiz.exportCSV().split('\n');
+    expect(header).toBe('question,type,structureId,name,answer,correct,answeredAt');
+    expect(row).toMatch(/^1,name,rectus,Recto del abdomen,"Recto, ""del"" abdomen",true,\d{4}-/);
+  });
+
+  test('la tarjeta debe mostrar opciones, corrección y exportación al final', () => {
+    const ui = new UIManager({ getAvailableSystems: () => [] }, null);
+    ui.onQuizAnswer = jest.fn((choice) => quiz.answer(choice));
+    quiz.onChange = (status) => ui.showQuizStatus(status);
+    const buttons = () => Array.from(ui._quizCard.el.querySelectorAll('button'));
+
+    const question = quiz.start({ mode: 'name', answerMode: 'choice', region: 'torso' });
+    expect(ui._quizCard.prompt.textContent).toBe('¿Qué estructura está resaltada?');
+    buttons().find(b => b.textContent === question.name).click();
+    expect(ui.onQuizAnswer).toHaveBeenCalledWith('Recto del abdomen');
+    expect(ui._quizCard.feedback.textContent).toContain('Correcto');
+
+    quiz.next();
+    expect(ui._quizCard.prompt.textContent).toBe('Resultado: 1 de 1 aciertos');
+    expect(buttons().find(b => b.textContent === 'Exportar CSV').style.display).toBe('');
+    quiz.stop();
+    expect(ui._quizCard.el.style.display).toBe('none');
+    ui.dispose();
+  });
+});
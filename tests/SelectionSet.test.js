@@ -0,0 +1,63 @@
+import SelectionSet from '../src/SelectionSet.js';
+
+describe('SelectionSet', () => {
+  let selection;
+  let changes;
+
+  beforeEach(() => {
+    selection = new SelectionSet({ isValid: id => id !== 'unknown' });
+    changes = [];
+    selection.onChange(change => changes.push(change));
+  });
+
+  test('debe añadir, quitar y alternar ids', () => {
+    selection.add(['a', 'b']);
+    selection.remove('a');
+    selection.toggle('c');
+    selection.toggle('b');
+
+    expect(selection.list()).toEqual(['c']);
+    expect(changes.map(c => [c.added, c.removed])).toEqual([
+      [['a', 'b'], []],
+      [[], ['a']],
+      [['c'], []],
+      [[], ['b']]
+    ]);
+  });
+
+  test('replace debe notificar solo la diferencia neta', () => {
+    selection.add(['a', 'b']);
+    changes = [];
+
+    selection.replace(['b', 'c']);
+
+    expect(changes).toEqual([{ added: ['c'], removed: ['a'], selection: ['b', 'c'] }]);
+    expect(selection.primary).toBe('c');
+  });
+
+  test('no debe notificar cuando nada cambia', () => {
+    selection.add('a');
+    changes = [];
+
+    selection.add('a');
+    selection.remove('z');
+    selection.clear();
+    selection.clear();
+
+    expect(changes).toHaveLength(1);
+  });
+
+  test('debe ignorar ids no válidos', () => {
+    selection.add(['unknown', null, 'a']);
+    expect(selection.list()).toEqual(['a']);
+  });
+
+  test('debe permitir cancelar la suscripción', () => {
+    const listener = jest.fn();
+    const unsubscribe = selection.onChange(listener);
+    unsubscribe();
+
+    selection.add('a');
+    expect(listener).not.toHaveBeenCalled();
+  });
+});
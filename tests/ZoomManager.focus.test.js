@@ -0,0 +1,108 @@
+import * as THREE from 'three';
+import AnatomicalRenderer from '../src/AnatomicalRenderer.js';
+import AnatomyManager from '../src/AnatomyManager.js';
+import UIManager from '../src/UIManager.js';
+import ZoomManager from '../src/ZoomManager.js';
+
+describe('ZoomManager - focusOn', () => {
+  let renderer;
+  let anatomy;
+  let zoom;
+  let listeners;
+
+  const addBox = (id, x, y = 0) => {
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(0.2, 0.2, 0.2), new THREE.MeshStandardMaterial());
+    mesh.position.set(x, y, 0);
+    renderer.root.add(mesh);
+    anatomy.addStructure(id, { id, name: id, system: 'musculoskeletal', mesh });
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    listeners = {};
+    const camera = new THREE.PerspectiveCamera(50, 1, 0.1, 100);
+    camera.position.set(0, 0, 5);
+    renderer = {
+      camera,
+      root: new THREE.Group(),
+      controls: {
+        target: new THREE.Vector3(),
+        addEventListener: (type, cb) => { listeners[type] = cb; },
+        removeEventListener: jest.fn()
+      },
+      computeFraming: AnatomicalRenderer.prototype.computeFraming
+    };
+    anatomy = new AnatomyManager({ setRootObject: jest.fn() });
+    addBox('deltoid', 1);
+    addBox('pectoral', -1);
+    addBox('core', 0.01);
+    renderer.root.updateMatrixWorld(true);
+    zoom = new ZoomManager(renderer, camera, null, { anatomy, transitionDuration: 300 });
+  });
+
+  afterEach(() => {
+    zoom.dispose();
+    jest.useRealTimers();
+  });
+
+  test('debe animar el objetivo y la cámara hacia la cara externa de la estructura', async () => {
+    const done = zoom.focusOn(['deltoid']);
+    expect(zoom.isTransitioning).toBe(true);
+    jest.advanceTimersByTime(400);
+
+    await expect(done).resolves.toBe(true);
+    const target = renderer.controls.target;
+    expect(target.x).toBeCloseTo(1);
+    expect(target.y).toBeCloseTo(0);
+    // Deltoid sits on the +X side of the model, so the camera looks at it from +X
+    const view = renderer.camera.position.clone().sub(target);
+    expect(view.x).toBeGreaterThan(0);
+    expect(Math.abs(view.z)).toBeLessThan(1e-6);
+    expect(view.length()).toBeGreaterThan(0.1);
+    expect(view.length()).toBeLessThan(2);
+  });
+
+  test('debe mantener la dirección actual para estructuras centrales', async () => {
+    const done = zoom.focusOn(['core']);
+    jest.advanceTimersByTime(400);
+    await done;
+
+    const view = renderer.camera.position.clone().sub(renderer.controls.target).normalize();
+    expect(view.z).toBeCloseTo(1);
+  });
+
+  test('la interacción del usuario debe interrumpir la animación', async () => {
+    const done = zoom.focusOn(['pectoral']);
+    jest.advanceTimersByTime(100);
+    listeners.start();
+    const x = renderer.controls.target.x;
+    jest.advanceTimersByTime(400);
+
+    await expect(done).resolves.toBe(false);
+    expect(renderer.controls.target.x).toBe(x);
+    expect(x).toBeGreaterThan(-1);
+  });
+
+  test('debe ignorar ids desconocidos', async () => {
+    await expect(zoom.focusOn(['nope'])).resolves.toBe(false);
+    expect(renderer.camera.position.z).toBe(5);
+  });
+
+  test('los resultados de búsqueda deben seleccionar y enfocar la estructura', () => {
+    const focusOn = jest.fn();
+    const ui = new UIManager({ getAvailableSystems: () => [] }, { focusOn });
+    ui.onSearch = () => [{ id: 'deltoid', name: 'Deltoides', system: 'musculoskeletal' }];
+    ui.onSelectStructure = jest.fn();
+    ui.onToggleSystem = jest.fn();
+
+    const search = document.querySelector('input[placeholder="Buscar estructura…"]');
+    search.value = 'delt';
+    search.dispatchEvent(new Event('input'));
+    Array.from(document.querySelectorAll('div')).filter(d => d.textContent === 'Deltoides').pop().click();
+
+    expect(ui.onSelectStructure).toHaveBeenCalledWith('deltoid');
+    expect(focusOn).toHaveBeenCalledWith(['deltoid']);
+    expect(ui.onToggleSystem).not.toHaveBeenCalled();
+    ui.dispose();
+  });
+});
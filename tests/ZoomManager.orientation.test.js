@@ -0,0 +1,133 @@
+import * as THREE from 'three';
+import AnatomyManager from '../src/AnatomyManager.js';
+import InteractionController from '../src/InteractionController.js';
+import ZoomManager from '../src/ZoomManager.js';
+
+describe('ZoomManager - cubo de orientación', () => {
+  let renderer;
+  let anatomy;
+  let zoom;
+  let dom;
+
+  const viewDirection = () => renderer.camera.position.clone().sub(renderer.controls.target).normalize();
+  const press = (key, init = {}) => window.dispatchEvent(new KeyboardEvent('keydown', { key, cancelable: true, ...init }));
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    const camera = new THREE.PerspectiveCamera(50, 1, 0.1, 100);
+    camera.position.set(0, 0, 5);
+    dom = document.createElement('canvas');
+    dom.getBoundingClientRect = () => ({ left: 0, top: 0, right: 800, bottom: 600, width: 800, height: 600 });
+    renderer = {
+      camera,
+      root: new THREE.Group(),
+      renderer: { domElement: dom, getSize: (v) => v.set(800, 600) },
+      controls: {
+        target: new THREE.Vector3(),
+        addEventListener: jest.fn(),
+        removeEventListener: jest.fn()
+      },
+      addFrameCallback: jest.fn(() => jest.fn())
+    };
+    anatomy = new AnatomyManager({ setRootObject: jest.fn() });
+    zoom = new ZoomManager(renderer, camera, null, { anatomy, transitionDuration: 300 });
+  });
+
+  afterEach(() => {
+    zoom.dispose();
+    jest.useRealTimers();
+  });
+
+  test('debe crear los indicadores y dibujarlos en cada fotograma', () => {
+    expect(zoom.orientationGroup.children).toEqual(expect.arrayContaining([zoom.viewCube, zoom.axisHelpers, zoom.compassMesh]));
+    expect(zoom.viewCube.material).toHaveLength(6);
+    expect(renderer.addFrameCallback).toHaveBeenCalledTimes(1);
+
+    zoom.setOrientationIndicatorsEnabled(false);
+    expect(zoom.orientationGroup.visible).toBe(false);
+    expect(zoom.pickView(740, 540)).toBeNull();
+  });
+
+  test('debe seguir la rotación del modelo y la dirección de la cámara', () => {
+    renderer.root.rotation.y = Math.PI / 2;
+    renderer.root.updateMatrixWorld();
+    zoom.updateOrientationIndicators();
+
+    const anterior = new THREE.Vector3(0, 0, 1).applyQuaternion(zoom.orientationGroup.quaternion);
+    expect(anterior.x).toBeCloseTo(1);
+    expect(zoom.orientationCamera.position.z).toBeCloseTo(4);
+  });
+
+  test('debe animar hacia la vista posterior conservando la distancia', async () => {
+    const done = zoom.setView('posterior');
+    jest.advanceTimersByTime(150);
+    expect(zoom.isTransitioning).toBe(true);
+    expect(renderer.camera.position.length()).toBeCloseTo(5);
+    jest.advanceTimersByTime(300);
+
+    await expect(done).resolves.toBe(true);
+    expect(viewDirection().z).toBeCloseTo(-1);
+    expect(renderer.camera.position.length()).toBeCloseTo(5);
+  });
+
+  test('las vistas deben ser relativas a la orientación del modelo', async () => {
+    renderer.root.rotation.y = Math.PI / 2;
+    renderer.root.updateMatrixWorld();
+
+    const done = zoom.setView('anterior');
+    jest.advanceTimersByTime(400);
+    await done;
+    expect(viewDirection().x).toBeCloseTo(1);
+  });
+
+  test('lateral y medial deben depender del lado de la estructura seleccionada', async () => {
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(), new THREE.MeshStandardMaterial());
+    mesh.userData = { terminology: { en: 'Right deltoid' } };
+    anatomy._registerMesh('deltoid_r', mesh);
+    anatomy.selectStructure('deltoid_r');
+
+    let done = zoom.setView('lateral');
+    jest.advanceTimersByTime(400);
+    await done;
+    expect(viewDirection().x).toBeCloseTo(-1);
+
+    done = zoom.setView('medial');
+    jest.advanceTimersByTime(400);
+    await done;
+    expect(viewDirection().x).toBeCloseTo(1);
+  });
+
+  test('los atajos de teclado deben cambiar de vista salvo al escribir', async () => {
+    const input = document.createElement('input');
+    document.body.appendChild(input);
+    input.dispatchEvent(new KeyboardEvent('keydown', { key: '5', bubbles: true }));
+    press('5', { ctrlKey: true });
+    expect(zoom.isTransitioning).toBe(false);
+
+    press('5');
+    expect(zoom.isTransitioning).toBe(true);
+    jest.advanceTimersByTime(400);
+    await Promise.resolve();
+    expect(viewDirection().y).toBeCloseTo(1);
+    input.remove();
+  });
+
+  test('un clic en la cara del cubo debe elegir la vista', () => {
+    // Viewport: 110 px in the bottom-right corner with a 16 px margin
+    expect(zoom.pickView(729, 529)).toBe('anterior');
+    expect(zoom.pickView(400, 300)).toBeNull();
+
+    const pickAll = jest.fn(() => []);
+    const controller = new InteractionController({ renderer: { domElement: dom }, pickAll }, anatomy, {}, { hover: false });
+    controller.viewCube = zoom;
+    const setView = jest.spyOn(zoom, 'setView');
+    [['pointerdown', 1], ['pointerup', 0]].forEach(([type, buttons]) => {
+      const event = new MouseEvent(type, { clientX: 729, clientY: 529, button: 0, buttons });
+      dom.dispatchEvent(Object.assign(event, { pointerId: 1, pointerType: 'mouse' }));
+    });
+
+    expect(setView).toHaveBeenCalledWith('anterior');
+    expect(pickAll).not.toHaveBeenCalled();
+    controller.dispose();
+  });
+});
@@ -147,6 +147,16 @@ describe('ZoomManager', () => {
             expect(zoomManager.calculateZoomLevel(10)).toBe(3); // Exactly at threshold
             expect(zoomManager.calculateZoomLevel(5)).toBe(3);  // Exactly at threshold
         });
+
+        test('should rescale distances once a reference distance is set', () => {
+            // The framed model at camera distance 5 counts as 60 view units
+            zoomManager.setReferenceDistance(5);
+
+            expect(zoomManager.calculateZoomLevel(5)).toBe(0);
+            expect(zoomManager.calculateZoomLevel(4)).toBe(1);   // 48 view units
+            expect(zoomManager.calculateZoomLevel(1)).toBe(2);
+            expect(zoomManager.calculateZoomLevel(0.5)).toBe(3);
+        });
     });
 
     describe('Camera Change Handling', () => {
@@ -265,6 +275,26 @@ describe('ZoomManager', () => {
             expect(result1).toEqual(result2);
             expect(zoomManager.textureLoader.load).toHaveBeenCalledTimes(1);
         });
+
+        test('should not dispose the high-res geometry the model loader caches', async () => {
+            const cachedGeometry = new THREE.BoxGeometry(1, 1, 1, 8, 8, 8);
+            const disposeCached = jest.spyOn(cachedGeometry, 'dispose');
+            const cachedModel = new THREE.Group().add(new THREE.Mesh(cachedGeometry));
+            zoomManager.options.modelLoader = { loadModel: jest.fn().mockResolvedValue(cachedModel) };
+
+            const lowRes = new THREE.BoxGeometry(1, 1, 1);
+            const structure = new THREE.Mesh(lowRes, new THREE.MeshStandardMaterial());
+            structure.userData.assets = { meshes: { high: 'models/test_high.glb' } };
+            zoomManager.currentZoomLevel = 2;
+
+            const applied = await zoomManager.loadHighResMesh(structure, 'high');
+            expect(structure.geometry).toBe(applied);
+            expect(applied).not.toBe(cachedGeometry);
+
+            zoomManager.releaseAssetsAboveLevel(0);
+            expect(structure.geometry).toBe(lowRes);
+            expect(disposeCached).not.toHaveBeenCalled();
+        });
     });
 
     describe('Label System', () => {
@@ -340,6 +370,15 @@ describe('ZoomManager', () => {
             
             expect(spy).toHaveBeenCalledWith(mockCamera.position);
         });
+
+        test('should look at the indicators from the main camera direction', () => {
+            const view = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.PI / 2);
+            mockCamera.getWorldQuaternion = jest.fn(target => target.copy(view));
+
+            zoomManager.updateOrientationIndicators();
+
+            expect(zoomManager.orientationCamera.quaternion.angleTo(view)).toBeCloseTo(0);
+        });
     });
 
     describe('Transitions', () => {
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+const { parseGLB, buildIndex, diffIds, validate, IndexBuildError } = require('../scripts/build-structure-index.js');
+const INDEX_SCHEMA = require('../scripts/schema/structure-index.schema.json');
+
+// Minimal GLB: JSON chunk only, accessors carry the mandatory POSITION min/max
+function makeGLB(json) {
+  let text = JSON.stringify(json);
+  while (text.length % 4) text += ' ';
+  const chunk = Buffer.from(text, 'utf8');
+  const header = Buffer.alloc(20);
+  header.writeUInt32LE(0x46546C67, 0);
+  header.writeUInt32LE(2, 4);
+  header.writeUInt32LE(20 + chunk.length, 8);
+  header.writeUInt32LE(chunk.length, 12);
+  header.writeUInt32LE(0x4E4F534A, 16);
+  return Buffer.concat([header, chunk]);
+}
+
+const box = (min, max, count = 8) => ({ componentType: 5126, type: 'VEC3', count, min, max });
+
+// Same layout `gltf-transform merge` produces: one named scene per input, each with a "grp1" node
+const mergedModel = () => ({
+  asset: { version: '2.0' },
+  scene: 0,
+  scenes: [{ name: 'FJ1', nodes: [0] }, { name: 'FJ2', nodes: [1] }],
+  nodes: [
+    { name: 'grp1', mesh: 0 },
+    { name: 'grp1', mesh: 1, translation: [10, 0, 0], scale: [2, 2, 2] }
+  ],
+  meshes: [
+    { name: 'grp1_1', primitives: [{ attributes: { POSITION: 0 }, indices: 2 }] },
+    { name: 'grp1_1', primitives: [{ attributes: { POSITION: 1 } }] }
+  ],
+  accessors: [box([-1, -1, -1], [1, 1, 1], 24), box([0, 0, 0], [1, 2, 3], 12), { componentType: 5123, type: 'SCALAR', count: 36 }]
+});
+
+describe('build-structure-index', () => {
+  test('debe rechazar archivos que no son GLB', () => {
+    expect(() => parseGLB(Buffer.from('not a glb at all....'))).toThrow(IndexBuildError);
+  });
+
+  test('debe generar cajas numéricas en espacio mundo y recuentos de vértices', () => {
+    const index = buildIndex(makeGLB(mergedModel()), { modelName: 'merged.glb' });
+
+    expect(index.version).toBe(2);
+    expect(index.entries.map(e => e.id)).toEqual(['FJ1', 'FJ2']);
+
+    const [first, second] = index.entries;
+    expect(first).toMatchObject({ scene: 'FJ1', root: 'grp1', parent: null, vertexCount: 24, renderVertexCount: 36, primitiveCount: 1 });
+    expect(first.bbox).toEqual({ min: [-1, -1, -1], max: [1, 1, 1] });
+    expect(second.bbox).toEqual({ min: [10, 0, 0], max: [12, 4, 6] });
+    expect(second.renderVertexCount).toBe(12);
+  });
+
+  test('debe conservar la jerarquía de nodos', () => {
+    const model = {
+      asset: { version: '2.0' },
+      scenes: [{ nodes: [0] }],
+      nodes: [{ name: 'Arm', children: [1], translation: [0, 5, 0] }, { name: 'Biceps', mesh: 0 }],
+      meshes: [{ primitives: [{ attributes: { POSITION: 0 } }] }],
+      accessors: [box([0, 0, 0], [1, 1, 1])]
+    };
+
+    const index = buildIndex(makeGLB(model), { modelName: 'arm.glb' });
+
+    expect(index.entries[0]).toMatchObject({ id: 'Biceps', scene: null, root: 'Arm', parent: 'Arm' });
+    expect(index.entries[0].bbox.min).toEqual([0, 5, 0]);
+    expect(index.hierarchy).toEqual([
+      { name: 'scene_0', mesh: null, children: [{ name: 'Arm', mesh: null, children: [{ name: 'Biceps', mesh: null, children: [] }] }] }
+    ]);
+  });
+
+  test('una pieza suelta dentro de "grp1" debe tomar el id FJ de su malla o de su archivo', () => {
+    const file = path.join(__dirname, '../assets/models/_glb_tmp/FJ1252.glb');
+    const index = buildIndex(fs.readFileSync(file), { modelName: 'FJ1252.glb' });
+    expect(index.entries).toHaveLength(1);
+    expect(index.entries[0]).toMatchObject({ id: 'FJ1252', scene: null, root: 'grp1', primitiveCount: 1 });
+
+    const model = mergedModel();
+    model.scenes = [{ nodes: [0] }];
+    model.meshes[0].name = 'FJ7';
+    expect(buildIndex(makeGLB(model), { modelName: 'part.glb' }).entries[0].id).toBe('FJ7');
+    model.meshes[0].name = 'grp1_1';
+    expect(buildIndex(makeGLB(model), { modelName: 'part.glb' }).entries[0].id).toBe('grp1');
+  });
+
+  test('el índice del repositorio debe cumplir el esquema', () => {
+    const index = require('../assets/models/human_muscles_index.json');
+    expect(() => validate(INDEX_SCHEMA, index, 'assets/models/human_muscles_index.json')).not.toThrow();
+  });
+
+  test('debe fusionar las anotaciones del archivo de overrides', () => {
+    const overrides = { entries: { FJ2: { label: 'Psoas mayor', layer: 3, region: 'torso' } } };
+    const index = buildIndex(makeGLB(mergedModel()), { modelName: 'merged.glb', overrides, overridesName: 'overrides.json' });
+
+    expect(index.entries[1]).toMatchObject({ label: 'Psoas mayor', layer: 3, region: 'torso' });
+    expect(index.entries[0].label).toBeNull();
+    expect(index.source.overrides).toBe('overrides.json');
+  });
+
+  test('debe fallar si los overrides usan ids que no están en el modelo', () => {
+    const overrides = { entries: { FJ999: { layer: 1 } } };
+    expect(() => buildIndex(makeGLB(mergedModel()), { modelName: 'm.glb', overrides }))
+      .toThrow('Overrides reference ids that are not in the model');
+  });
+
+  test('debe validar los overrides contra el esquema', () => {
+    const overrides = { entries: { FJ1: { layer: 'deep' } } };
+    expect(() => buildIndex(makeGLB(mergedModel()), { modelName: 'm.glb', overrides })).toThrow(/does not match/);
+  });
+
+  test('debe fallar con ids duplicados', () => {
+    const model = mergedModel();
+    model.scenes = [{ nodes: [0, 1] }];
+    expect(() => buildIndex(makeGLB(model), { modelName: 'm.glb' })).toThrow('Model ids are not usable as structure ids');
+  });
+
+  test('debe detectar ids que divergen del índice existente', () => {
+    expect(diffIds(['FJ1', 'FJ2'], ['FJ2', 'FJ3'])).toEqual({ missing: ['FJ1'], extra: ['FJ3'] });
+  });
+});
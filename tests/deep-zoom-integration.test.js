@@ -2,6 +2,43 @@ import { jest } from '@jest/globals';
 import * as THREE from 'three';
 import AnatomicalRenderer from '../src/AnatomicalRenderer.js';
 
+// jsdom has no WebGL, so the renderer gets a stand-in for THREE.WebGLRenderer
+jest.mock('three', () => {
+    const actual = jest.requireActual('three');
+    // Material.needsUpdate is write-only (it bumps `version`); keep the flag readable
+    Object.defineProperty(actual.Material.prototype, 'needsUpdate', {
+        configurable: true,
+        get() { return this._needsUpdate; },
+        set(value) {
+            if (value === true) this.version++;
+            this._needsUpdate = value;
+        }
+    });
+    return {
+        ...actual,
+        WebGLRenderer: jest.fn().mockImplementation(({ canvas }) => ({
+            domElement: canvas,
+            setSize: jest.fn(),
+            setPixelRatio: jest.fn(),
+            getSize: jest.fn(target => target.set(800, 600)),
+            render: jest.fn(),
+            dispose: jest.fn(),
+            setScissorTest: jest.fn(),
+            setScissor: jest.fn(),
+            setViewport: jest.fn(),
+            clearDepth: jest.fn()
+        }))
+    };
+});
+
+// The zoom manager subscribes through the controller's onControlsChange
+jest.mock('../src/InteractionController.js', () => {
+    return jest.fn().mockImplementation(() => ({
+        onControlsChange: jest.fn(),
+        dispose: jest.fn()
+    }));
+});
+
 // Mock Three.js and browser APIs
 global.ResizeObserver = jest.fn().mockImplementation(() => ({
     observe: jest.fn(),
@@ -0,0 +1,61 @@
+/**
+ * Tests del endpoint de anotaciones compartidas
+ */
+// jsdom no define TextEncoder, que necesita express
+const { TextEncoder, TextDecoder } = require('util');
+Object.assign(global, { TextEncoder, TextDecoder });
+
+const request = require('supertest');
+const app = require('../server/proxy-server.js');
+
+jest.mock('node-fetch');
+
+describe('Anotaciones compartidas (/api/annotations)', () => {
+    const pin = {
+        id: 'pin-test-1',
+        structureId: 'Left_biceps',
+        position: [0.1, 0.2, 0.3],
+        normal: [0, 0, 1],
+        text: '  Cabeza larga  ',
+        author: 'Grupo A',
+        createdAt: 1000
+    };
+
+    test('debe crear, listar, editar y borrar una anotación', async () => {
+        const created = await request(app).post('/api/annotations').send(pin);
+        expect(created.status).toBe(201);
+        expect(created.body).toMatchObject({ id: 'pin-test-1', text: 'Cabeza larga' });
+
+        // Reenviar la misma anotación la reemplaza
+        const again = await request(app).post('/api/annotations').send(pin);
+        expect(again.status).toBe(200);
+
+        const list = await request(app).get('/api/annotations').query({ structureId: 'Left_biceps' });
+        expect(list.body.annotations).toHaveLength(1);
+        const other = await request(app).get('/api/annotations').query({ structureId: 'triceps' });
+        expect(other.body.annotations).toEqual([]);
+
+        const edited = await request(app).put('/api/annotations/pin-test-1').send({ text: 'Cabeza corta' });
+        expect(edited.body.text).toBe('Cabeza corta');
+
+        expect((await request(app).delete('/api/annotations/pin-test-1')).status).toBe(204);
+        expect((await request(app).delete('/api/annotations/pin-test-1')).status).toBe(404);
+        expect((await request(app).put('/api/annotations/pin-test-1').send({ text: 'x' })).status).toBe(404);
+    });
+
+    test('debe rechazar anotaciones inválidas', async () => {
+        const invalid = [
+            { ...pin, position: [0, 1] },
+            { ...pin, normal: ['a', 0, 0] },
+            { ...pin, text: '   ' },
+            { ...pin, structureId: undefined },
+            { ...pin, id: '../otro' }
+        ];
+        for (const body of invalid) {
+            const response = await request(app).post('/api/annotations').send(body);
+            expect(response.status).toBe(400);
+            expect(response.body).toHaveProperty('error');
+        }
+        expect((await request(app).get('/api/annotations')).body.annotations).toEqual([]);
+    });
+});
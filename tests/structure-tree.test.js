@@ -0,0 +1,147 @@
+import * as THREE from 'three';
+import AnatomyManager from '../src/AnatomyManager.js';
+import UIManager from '../src/UIManager.js';
+import { buildStructureTree, flattenStructureTree } from '../src/utils/structure-tree.js';
+
+describe('Árbol de estructuras', () => {
+  let anatomy;
+
+  // [id, name, system, region, parent group, layer]
+  const addStructure = (id, name, system, region, parent = null, layer = 0) => {
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(), new THREE.MeshStandardMaterial());
+    mesh.userData = { region, layer, terminology: parent ? { en: name, parent } : null };
+    anatomy.addStructure(id, { id, name, system, description: name, mesh });
+  };
+
+  const armMuscles = { id: 'left_arm_muscles', es: 'Músculos del brazo izquierdo' };
+  const backMuscles = { id: 'left_back_muscles', es: 'Músculos superficiales de la espalda izquierdos' };
+
+  beforeEach(() => {
+    anatomy = new AnatomyManager({ setRootObject: jest.fn() });
+    addStructure('triceps', 'Tríceps braquial', 'musculoskeletal', 'upper_limb', armMuscles);
+    addStructure('biceps', 'Bíceps braquial', 'musculoskeletal', 'upper_limb', armMuscles, 1);
+    addStructure('humerus', 'Húmero', 'musculoskeletal', 'upper_limb');
+    addStructure('trapezius', 'Trapecio', 'musculoskeletal', 'torso', backMuscles);
+    addStructure('heart', 'Corazón', 'cardiovascular', 'torso');
+  });
+
+  test('debe agrupar por sistema, región y grupo muscular', () => {
+    const tree = buildStructureTree(anatomy);
+    expect(tree.map(node => [node.label, node.structureIds.length])).toEqual([
+      ['Sistema Musculoesquelético', 4],
+      ['Sistema Cardiovascular', 1]
+    ]);
+    const [torso, arm] = tree[0].children;
+    expect(tree[0].children.map(node => node.label)).toEqual(['Tronco', 'Miembro superior']);
+    // Named groups first, loose structures last; both sorted by name
+    expect(arm.children.map(node => node.label)).toEqual(['Músculos del brazo izquierdo', 'Otras estructuras']);
+    expect(arm.children[0].children.map(node => node.structureId)).toEqual(['biceps', 'triceps']);
+    expect(torso.children[0]).toMatchObject({ type: 'group', structureIds: ['trapezius'] });
+
+    const rows = flattenStructureTree(tree, new Set([tree[0].id, arm.id]));
+    expect(rows.map(({ node, depth }) => [node.label, depth])).toEqual([
+      ['Sistema Musculoesquelético', 0],
+      ['Tronco', 1],
+      ['Miembro superior', 1],
+      ['Músculos del brazo izquierdo', 2],
+      ['Otras estructuras', 2],
+      ['Sistema Cardiovascular', 0]
+    ]);
+  });
+
+  test('la visibilidad debe avisar una vez por cambio y contar las capas retiradas aparte', async () => {
+    jest.useFakeTimers();
+    anatomy.onVisibilityChange = jest.fn();
+    anatomy.search('bíceps');
+    anatomy.setStructuresVisible(['heart'], false);
+    await Promise.resolve();
+    expect(anatomy.onVisibilityChange).toHaveBeenCalledTimes(1);
+    expect(anatomy.isStructureVisible('triceps')).toBe(false);
+
+    anatomy.search('');
+    anatomy.applyPeelDepth(1);
+    await Promise.resolve();
+    expect(anatomy.onVisibilityChange).toHaveBeenCalledTimes(2);
+    // Peeled, but the filters still show it: it comes back with the layer
+    expect(anatomy.isStructurePeeled('triceps')).toBe(true);
+    expect(anatomy.isStructureVisible('triceps')).toBe(true);
+    expect(anatomy.isStructureVisible('heart')).toBe(true);
+    jest.useRealTimers();
+  });
+
+  describe('panel', () => {
+    let ui;
+
+    const rowOf = (label) => Array.from(ui._tree.spacer.children)
+      .find(row => row.querySelector('span:nth-of-type(2)').textContent === label);
+
+    beforeEach(() => {
+      ui = new UIManager(anatomy, { focusOn: jest.fn() });
+      ui.onSelectStructure = (id) => anatomy.selectStructure(id);
+      ui.onTreeVisibility = (ids, visible) => anatomy.setStructuresVisible(ids, visible);
+      ui.onTreeCheck = (ids, checked) => (checked ? anatomy.selection.add(ids) : anatomy.selection.remove(ids));
+      anatomy.onVisibilityChange = () => ui.refreshStructureTree();
+      anatomy.selection.onChange(() => ui.refreshStructureTree());
+      ui.setStructureTree(buildStructureTree(anatomy));
+    });
+
+    afterEach(() => ui.dispose());
+
+    test('debe abrir ramas, seleccionar y mostrar un estado mixto en los grupos', () => {
+      expect(ui._tree.spacer.children).toHaveLength(2);
+      rowOf('Sistema Musculoesquelético').querySelector('span').click();
+      rowOf('Miembro superior').querySelector('span:nth-of-type(2)').click();
+      rowOf('Músculos del brazo izquierdo').querySelector('span').click();
+      expect(ui._tree.spacer.children).toHaveLength(8);
+
+      rowOf('Bíceps braquial').querySelector('span:nth-of-type(2)').click();
+      expect(anatomy.selection.list()).toEqual(['biceps']);
+      expect(ui.zoom.focusOn).toHaveBeenCalledWith(['biceps']);
+      const group = rowOf('Músculos del brazo izquierdo').querySelector('input');
+      expect(group.indeterminate).toBe(true);
+
+      group.checked = true;
+      group.dispatchEvent(new Event('change'));
+      expect(anatomy.selection.list()).toEqual(['biceps', 'triceps']);
+      expect(rowOf('Músculos del brazo izquierdo').querySelector('input')).toMatchObject({ checked: true, indeterminate: false });
+      expect(rowOf('Sistema Musculoesquelético').querySelector('input').indeterminate).toBe(true);
+    });
+
+    test('el ojo debe ocultar ramas enteras y seguir a la búsqueda', async () => {
+      rowOf('Sistema Musculoesquelético').querySelector('button').click();
+      ['triceps', 'biceps', 'humerus', 'trapezius'].forEach(id => expect(anatomy.structures.get(id).mesh.visible).toBe(false));
+      await Promise.resolve();
+      expect(rowOf('Sistema Musculoesquelético').querySelector('button').style.opacity).toBe('0.25');
+
+      anatomy.search('tríceps');
+      await Promise.resolve();
+      expect(rowOf('Sistema Musculoesquelético').querySelector('button').style.opacity).toBe('0.6');
+      expect(rowOf('Sistema Cardiovascular').querySelector('button').title).toBe('Mostrar');
+
+      // Partly hidden: the eye shows the whole branch
+      rowOf('Sistema Musculoesquelético').querySelector('button').click();
+      await Promise.resolve();
+      expect(rowOf('Sistema Musculoesquelético').querySelector('button').style.opacity).toBe('1');
+    });
+
+    test('solo las filas a la vista deben estar en el documento', () => {
+      for (let i = 0; i < 1500; i++) {
+        addStructure(`muscle_${i}`, `Músculo ${String(i).padStart(4, '0')}`, 'musculoskeletal', 'lower_limb');
+      }
+      const tree = buildStructureTree(anatomy);
+      const legRegion = tree[0].children.find(node => node.label === 'Miembro inferior');
+      ui._tree.expanded = new Set([tree[0].id, legRegion.id, legRegion.children[0].id]);
+      ui.setStructureTree(tree);
+      expect(ui._tree.rows.length).toBeGreaterThan(1500);
+      expect(ui._tree.spacer.style.height).toBe(`${ui._tree.rows.length * 26}px`);
+      expect(ui._tree.spacer.children.length).toBeLessThan(30);
+
+      ui._tree.viewport.scrollTop = 26 * 1000;
+      ui._tree.viewport.dispatchEvent(new Event('scroll'));
+      const rows = Array.from(ui._tree.spacer.children);
+      expect(rows.length).toBeLessThan(30);
+      expect(rows.some(row => row.style.top === `${26 * 1000}px`)).toBe(true);
+      expect(rows.some(row => row.textContent.includes('Músculo 099'))).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,121 @@
+import * as THREE from 'three';
+import AnatomicalApp from '../src/AnatomicalApp.js';
+import AnatomyManager from '../src/AnatomyManager.js';
+import { encodeViewState, decodeViewState } from '../src/utils/view-state.js';
+
+describe('Estado de la vista en la URL', () => {
+  const manyIds = Array.from({ length: 1200 }, (_, i) => `structure_${i}`);
+
+  test('debe codificar y decodificar el estado completo', () => {
+    const state = {
+      camera: { position: [0.1234, 1.4, -3.2], target: [0, 1, 0] },
+      system: 'musculoskeletal',
+      peelDepth: 2,
+      hidden: ['structure_3', 'structure_900'],
+      isolated: [],
+      selection: ['structure_1100', 'structure_7'],
+      labels: true
+    };
+    const hash = encodeViewState(state, manyIds);
+
+    expect(decodeViewState(`#${hash}`, [...manyIds].reverse())).toEqual({
+      ...state,
+      camera: { position: [0.123, 1.4, -3.2], target: [0, 1, 0] }
+    });
+  });
+
+  test('debe ser compacto con más de 1.000 estructuras ocultas', () => {
+    const hash = encodeViewState({ hidden: manyIds.slice(0, 1000), selection: [] }, manyIds);
+    expect(hash.length).toBeLessThan(250);
+    expect(decodeViewState(hash, manyIds).hidden).toHaveLength(1000);
+  });
+
+  test('los sistemas activados no deben confundirse con el sistema exclusivo', () => {
+    const roundTrip = (state) => decodeViewState(encodeViewState(state, manyIds), manyIds);
+    // Every system switched off is not "every system shown"
+    expect(roundTrip({ systems: [] })).toMatchObject({ system: null, systems: [] });
+    expect(roundTrip({ systems: ['musculoskeletal'] })).toMatchObject({ system: null, systems: ['musculoskeletal'] });
+    expect(roundTrip({ systems: ['musculoskeletal', 'skeletal'] }).systems).toEqual(['musculoskeletal', 'skeletal']);
+    const exclusive = roundTrip({ system: 'musculoskeletal' });
+    expect(exclusive.system).toBe('musculoskeletal');
+    expect(exclusive.systems).toBeUndefined();
+  });
+
+  test('debe ignorar ids de otro modelo y hashes ajenos', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const hash = encodeViewState({ camera: { position: [1, 2, 3], target: [0, 0, 0] }, selection: ['structure_5'] }, manyIds);
+
+    const state = decodeViewState(hash, manyIds.slice(1));
+    expect(state.camera.position).toEqual([1, 2, 3]);
+    expect(state.selection).toEqual([]);
+    expect(decodeViewState('#seccion-2', manyIds)).toBeNull();
+    warn.mockRestore();
+  });
+
+  describe('AnatomyManager', () => {
+    let anatomy;
+
+    beforeEach(() => {
+      anatomy = new AnatomyManager({ setRootObject: jest.fn() });
+      ['biceps', 'triceps', 'deltoid', 'femur'].forEach((id, layer) => {
+        const mesh = new THREE.Mesh(new THREE.BoxGeometry(), new THREE.MeshStandardMaterial());
+        mesh.userData.layer = layer % 2;
+        anatomy.addStructure(id, { id, name: id, system: id === 'femur' ? 'skeletal' : 'musculoskeletal', mesh });
+      });
+    });
+
+    test('debe distinguir lo ocultado a mano de lo filtrado', () => {
+      anatomy.showOnlySystem('musculoskeletal');
+      anatomy.selectStructure('deltoid');
+      anatomy.hideSelection();
+      anatomy.selection.replace(['triceps', 'biceps']);
+
+      expect(anatomy.getViewState()).toEqual({
+        system: 'musculoskeletal',
+        peelDepth: 0,
+        hidden: ['deltoid'],
+        isolated: [],
+        selection: ['triceps', 'biceps'],
+        labels: false
+      });
+    });
+
+    test('debe restaurar sistema, aislamiento, ocultos y selección', () => {
+      anatomy.applyViewState({
+        system: null,
+        peelDepth: 1,
+        hidden: ['femur'],
+        isolated: ['biceps', 'triceps', 'femur'],
+        selection: ['triceps'],
+        labels: false
+      });
+      const visible = (id) => anatomy.structures.get(id).mesh.visible;
+
+      expect(visible('deltoid')).toBe(false);
+      expect(visible('femur')).toBe(false);
+      // Isolated structures are never peeled, even on a peeled layer
+      expect(visible('triceps')).toBe(true);
+      expect(anatomy.peelDepth).toBe(1);
+      expect(anatomy.selection.list()).toEqual(['triceps']);
+      expect(anatomy.getViewState().hidden).toEqual(['femur']);
+    });
+  });
+
+  test('la aplicación debe restaurar la cámara y reflejar el estado en la interfaz', async () => {
+    const camera = new THREE.PerspectiveCamera();
+    const app = {
+      anatomy: new AnatomyManager({ setRootObject: jest.fn() }),
+      renderer: { camera, controls: { target: new THREE.Vector3(), update: jest.fn() } },
+      zoom: { cancelTransition: jest.fn() },
+      ui: { setViewState: jest.fn() }
+    };
+    const hash = encodeViewState({ camera: { position: [1, 2, 3], target: [0, 1, 0] }, peelDepth: 1 }, []);
+
+    await expect(AnatomicalApp.prototype.restoreViewState.call(app, `#${hash}`)).resolves.toBe(true);
+    expect(camera.position.toArray()).toEqual([1, 2, 3]);
+    expect(app.renderer.controls.target.toArray()).toEqual([0, 1, 0]);
+    expect(app.ui.setViewState).toHaveBeenCalledWith(expect.objectContaining({ peelDepth: 1 }));
+    expect(AnatomicalApp.prototype.getViewStateHash.call(app)).toBe(hash);
+    await expect(AnatomicalApp.prototype.restoreViewState.call(app, '')).resolves.toBe(false);
+  });
+});
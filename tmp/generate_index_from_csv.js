@@ -1,5 +1,13 @@
+// Rebuilds assets/models/human_muscles_index.json from `gltf-transform inspect`
+// output of the merged model, for when human_muscles.glb itself is not at
+// hand. Writes the same format as scripts/build-structure-index.js and merges
+// the same overrides file; prefer that script whenever the GLB is available.
 const fs = require('fs');
 const path = require('path');
+const { mergeOverrides, validate } = require('../scripts/build-structure-index.js');
+
+const INDEX_SCHEMA = require('../scripts/schema/structure-index.schema.json');
+const OVERRIDES_SCHEMA = require('../scripts/schema/structure-overrides.schema.json');
 
 function parseCSVLine(line) {
   const out = [];
@@ -22,60 +30,88 @@ function parseCSVLine(line) {
   return out.map(s => s.trim());
 }
 
+// Rows of the table that follows a section title (SCENES, MESHES, ...)
+function readSection(lines, title) {
+  const titleAt = lines.findIndex(l => l.trim() === title);
+  const start = lines.findIndex((l, i) => i > titleAt && l.trim().startsWith('#,name'));
+  if (titleAt === -1 || start === -1) throw new Error(`${title} table not found`);
+
+  const header = parseCSVLine(lines[start]);
+  const rows = [];
+  for (let i = start + 1; i < lines.length; i++) {
+    const l = lines[i];
+    if (!l || l.trim().length === 0) break; // end of table
+    const cols = parseCSVLine(l);
+    if (cols.length < 2) continue;
+    const obj = {};
+    for (let j = 0; j < Math.min(header.length, cols.length); j++) {
+      obj[header[j]] = cols[j];
+    }
+    rows.push(obj);
+  }
+  return rows;
+}
+
+const toInt = (s) => Number(String(s || '').replace(/[^0-9]/g, '')) || 0;
+const round = (v) => Math.round(v * 1e5) / 1e5;
+const toVec3 = (s) => s.split(',').map(v => round(Number(v)));
+
 (async () => {
   try {
-    const csvPath = path.resolve('tmp', 'human_muscles_inspect.csv');
-    const outPath = path.resolve('assets', 'models', 'human_muscles_index.json');
-    const txt = fs.readFileSync(csvPath, 'utf8');
-    const lines = txt.split(/\r?\n/);
+    const root = path.resolve(__dirname, '..');
+    const csvPath = path.join(__dirname, 'human_muscles_inspect.csv');
+    const overridesPath = path.join(root, 'assets', 'models', 'human_muscles_overrides.json');
+    const outPath = path.join(root, 'assets', 'models', 'human_muscles_index.json');
+    const lines = fs.readFileSync(csvPath, 'utf8').split(/\r?\n/);
 
-    // find SCENES section
-    let start = -1;
-    for (let i = 0; i < lines.length; i++) {
-      if (lines[i].trim().startsWith('#,name') && i > 0) {
-        // header line
-        start = i;
-        break;
-      }
-    }
-    if (start === -1) {
-      console.error('SCENES header not found');
-      process.exit(1);
-    }
-    const header = parseCSVLine(lines[start]);
-    const rows = [];
-    for (let i = start + 1; i < lines.length; i++) {
-      const l = lines[i];
-      if (!l || l.trim().length === 0) break; // end of table
-      if (l.trim().startsWith('MESHES')) break;
-      const cols = parseCSVLine(l);
-      if (cols.length < 2) continue;
-      const obj = {};
-      for (let j = 0; j < Math.min(header.length, cols.length); j++) {
-        obj[header[j]] = cols[j];
-      }
-      rows.push(obj);
+    // Every merged part is a scene holding one node with one mesh, in order
+    const scenes = readSection(lines, 'SCENES');
+    const meshes = readSection(lines, 'MESHES');
+    if (scenes.length !== meshes.length) {
+      throw new Error(`${scenes.length} scenes but ${meshes.length} meshes`);
     }
 
-    // convert to desired scaffold
-    const scaffold = rows.map(r => ({
-      id: r['name'] || null,
-      root: r['rootName'] || null,
-      bboxMin: r['bboxMin'] || null,
-      bboxMax: r['bboxMax'] || null,
-      renderVertexCount: Number((r['renderVertexCount'] || '').replace(/[^0-9]/g,'')) || 0,
-      uploadVertexCount: Number((r['uploadVertexCount'] || '').replace(/[^0-9]/g,'')) || 0,
-      uploadNaiveVertexCount: Number((r['uploadNaiveVertexCount'] || '').replace(/[^0-9]/g,'')) || 0,
+    const entries = scenes.map((r, i) => ({
+      id: r['name'],
+      scene: r['name'],
+      root: r['rootName'],
+      parent: null,
+      bbox: { min: toVec3(r['bboxMin']), max: toVec3(r['bboxMax']) },
+      vertexCount: toInt(r['uploadVertexCount']),
+      renderVertexCount: toInt(r['renderVertexCount']),
+      primitiveCount: toInt(meshes[i]['meshPrimitives']),
       label: null,
       layer: null,
       region: null
     }));
+    const hierarchy = scenes.map((r, i) => ({
+      name: r['name'],
+      mesh: null,
+      children: [{ name: r['rootName'], mesh: meshes[i]['name'], children: [] }]
+    }));
+
+    const overrides = JSON.parse(fs.readFileSync(overridesPath, 'utf8'));
+    validate(OVERRIDES_SCHEMA, overrides, 'Overrides file');
+    mergeOverrides(entries, overrides);
+
+    const index = {
+      version: 2,
+      generatedAt: new Date().toISOString(),
+      source: {
+        model: 'human_muscles.glb',
+        overrides: path.relative(root, overridesPath),
+        generator: path.relative(root, __filename)
+      },
+      entries,
+      hierarchy
+    };
+    validate(INDEX_SCHEMA, index, 'Generated index');
 
-    fs.mkdirSync(path.dirname(outPath), { recursive: true });
-    fs.writeFileSync(outPath, JSON.stringify({ generatedAt: new Date().toISOString(), source: 'gltf-transform inspect CSV', entries: scaffold }, null, 2), 'utf8');
-    console.log('WROTE', outPath, 'entries:', scaffold.length);
+    fs.writeFileSync(outPath, JSON.stringify(index, null, 2) + '\n', 'utf8');
+    console.log('WROTE', outPath, 'entries:', entries.length, 'with overrides:', Object.keys(overrides.entries).length);
   } catch (err) {
     console.error(err && err.stack ? err.stack : err);
+    (err.details || []).forEach(detail => console.error(`  - ${detail}`));
     process.exit(2);
   }
 })();
@@ -141,6 +141,17 @@ module.exports = (env, argv) => {
                 }
               }
             },
+            {
+              // Lesson scripts, so lessons already opened work offline
+              urlPattern: /\/assets\/lessons\/.*\.json$/,
+              handler: 'StaleWhileRevalidate',
+              options: {
+                cacheName: 'lessons',
+                expiration: {
+                  maxEntries: 50
+                }
+              }
+            },
             {
               urlPattern: /^https:\/\/api\./,
               handler: 'NetworkFirst',